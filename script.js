@@ -1,988 +1,6786 @@
-// Data Models and Storage System
-class MangaTracker {
-    constructor() {
-        this.storageKey = 'mangaTrackerData';
-        this.data = this.loadData();
-        this.initializeDefaultData();
+// IndexedDB Storage Layer
+class MangaStorage {
+    constructor(dbName = 'mangaTrackerDB') {
+        this.dbName = dbName;
+        this.version = 5;
+        this.db = null;
+        this.recordStores = ['manga', 'readingSessions', 'bookmarks', 'history', 'trash', 'chapterLog'];
     }
 
-    // Initialize default data structure
-    initializeDefaultData() {
-        if (!this.data.manga) this.data.manga = [];
-        if (!this.data.readingSessions) this.data.readingSessions = [];
-        if (!this.data.settings) this.data.settings = {
-            dailyGoal: 5,
-            theme: 'light',
-            notifications: true
-        };
-        if (!this.data.tags) this.data.tags = ['Action', 'Romance', 'Comedy', 'Drama', 'Fantasy', 'Sci-Fi'];
-        if (!this.data.bookmarks) this.data.bookmarks = [];
-        if (!this.data.history) this.data.history = [];
-        this.saveData();
-    }
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
 
-    // Load data from localStorage
-    loadData() {
-        try {
-            const stored = localStorage.getItem(this.storageKey);
-            return stored ? JSON.parse(stored) : {};
-        } catch (error) {
-            console.error('Error loading data:', error);
-            return {};
-        }
+            request.onupgradeneeded = (event) => {
+                this.upgrade(request.result, event.oldVersion);
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Let a newer tab upgrade the schema instead of blocking it
+                this.db.onversionchange = () => this.db.close();
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
     }
 
-    // Save data to localStorage
-    saveData() {
-        try {
-            localStorage.setItem(this.storageKey, JSON.stringify(this.data));
-        } catch (error) {
-            console.error('Error saving data:', error);
+    // Create or update object stores, one step per database version
+    upgrade(db, oldVersion) {
+        if (oldVersion < 1) {
+            ['manga', 'readingSessions', 'bookmarks', 'history'].forEach(name => db.createObjectStore(name, { keyPath: 'id' }));
+            db.createObjectStore('meta', { keyPath: 'key' });
+        }
+        if (oldVersion < 2) {
+            db.createObjectStore('backups', { keyPath: 'id' });
+        }
+        if (oldVersion < 3) {
+            // History entries that have aged out of the in-memory window
+            const archive = db.createObjectStore('historyArchive', { keyPath: 'id' });
+            archive.createIndex('timestamp', 'timestamp');
+        }
+        if (oldVersion < 4) {
+            // Soft-deleted manga, keyed by manga id
+            db.createObjectStore('trash', { keyPath: 'id' });
+        }
+        if (oldVersion < 5) {
+            // One record per chapter read
+            db.createObjectStore('chapterLog', { keyPath: 'id' });
         }
     }
 
-    // Generate unique ID
-    generateId() {
-        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    // Run callback inside a transaction and resolve once it has committed
+    transaction(storeNames, mode, callback) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeNames, mode);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+            callback(tx);
+        });
     }
 
-    // Manga CRUD operations
-    addManga(mangaData) {
-        const manga = {
-            id: this.generateId(),
-            title: mangaData.title,
-            type: mangaData.type || 'manga', // manga, manhwa, manhua
-            status: mangaData.status || 'reading', // reading, completed, on-hold, dropped, plan-to-read
-            currentChapter: mangaData.currentChapter || 0,
-            totalChapters: mangaData.totalChapters || null,
-            rating: mangaData.rating || null,
-            tags: mangaData.tags || [],
-            notes: mangaData.notes || '',
-            coverImage: mangaData.coverImage || null,
-            author: mangaData.author || '',
-            startDate: mangaData.startDate || new Date().toISOString(),
-            endDate: mangaData.endDate || null,
-            lastRead: mangaData.lastRead || null,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
-        
-        this.data.manga.push(manga);
-        this.saveData();
-        return manga;
+    getAll(storeName) {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     }
 
-    updateManga(id, updates) {
-        const index = this.data.manga.findIndex(m => m.id === id);
-        if (index !== -1) {
-            this.data.manga[index] = {
-                ...this.data.manga[index],
-                ...updates,
-                updatedAt: new Date().toISOString()
-            };
-            this.saveData();
-            return this.data.manga[index];
-        }
-        return null;
+    get(storeName, id) {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction(storeName, 'readonly').objectStore(storeName).get(id);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     }
 
-    deleteManga(id) {
-        const index = this.data.manga.findIndex(m => m.id === id);
-        if (index !== -1) {
-            const deleted = this.data.manga.splice(index, 1)[0];
-            this.saveData();
-            return deleted;
-        }
-        return null;
+    put(storeName, record) {
+        return this.transaction(storeName, 'readwrite', tx => {
+            tx.objectStore(storeName).put(record);
+        });
     }
 
-    getManga(id) {
-        return this.data.manga.find(m => m.id === id);
+    delete(storeName, id) {
+        return this.transaction(storeName, 'readwrite', tx => {
+            tx.objectStore(storeName).delete(id);
+        });
     }
 
-    getAllManga() {
-        return this.data.manga;
+    clear(storeName) {
+        return this.transaction(storeName, 'readwrite', tx => {
+            tx.objectStore(storeName).clear();
+        });
     }
 
-    // Reading session operations
-    startReadingSession(mangaId) {
-        const session = {
-            id: this.generateId(),
-            mangaId: mangaId,
-            startTime: new Date().toISOString(),
-            endTime: null,
-            chaptersRead: 0,
-            active: true
-        };
-        
-        this.data.readingSessions.push(session);
-        this.saveData();
-        return session;
+    // Key range for iterate(); a null bound leaves that end open
+    keyRange(lower, upper) {
+        if (lower && upper) return IDBKeyRange.bound(lower, upper);
+        if (lower) return IDBKeyRange.lowerBound(lower);
+        if (upper) return IDBKeyRange.upperBound(upper);
+        return null;
     }
 
-    endReadingSession(sessionId, chaptersRead = 0) {
-        const session = this.data.readingSessions.find(s => s.id === sessionId);
-        if (session) {
-            session.endTime = new Date().toISOString();
-            session.chaptersRead = chaptersRead;
-            session.active = false;
-            this.saveData();
-            
-            // Update manga progress
-            if (session.mangaId && chaptersRead > 0) {
-                const manga = this.getManga(session.mangaId);
-                if (manga) {
-                    this.updateManga(manga.id, {
-                        currentChapter: manga.currentChapter + chaptersRead,
-                        lastRead: new Date().toISOString()
-                    });
+    // Walk records in index order; stop as soon as onRecord returns false
+    iterate(storeName, indexName, range, direction, onRecord) {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction(storeName, 'readonly')
+                .objectStore(storeName)
+                .index(indexName)
+                .openCursor(range, direction);
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || onRecord(cursor.value) === false) {
+                    resolve();
+                    return;
                 }
-            }
-            
-            return session;
-        }
-        return null;
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
     }
 
-    getActiveSession() {
-        return this.data.readingSessions.find(s => s.active);
+    // Move records between stores in a single transaction
+    move(fromStore, toStore, records) {
+        return this.transaction([fromStore, toStore], 'readwrite', tx => {
+            records.forEach(record => {
+                tx.objectStore(fromStore).delete(record.id);
+                tx.objectStore(toStore).put(record);
+            });
+        });
     }
 
-    // Statistics and analytics
-    getStatistics() {
-        const manga = this.data.manga;
-        const sessions = this.data.readingSessions.filter(s => !s.active);
-        
-        const stats = {
-            totalManga: manga.length,
-            currentlyReading: manga.filter(m => m.status === 'reading').length,
-            completed: manga.filter(m => m.status === 'completed').length,
-            onHold: manga.filter(m => m.status === 'on-hold').length,
-            dropped: manga.filter(m => m.status === 'dropped').length,
-            planToRead: manga.filter(m => m.status === 'plan-to-read').length,
-            totalChaptersRead: manga.reduce((sum, m) => sum + m.currentChapter, 0),
-            totalReadingSessions: sessions.length,
-            averageSessionTime: this.calculateAverageSessionTime(sessions),
-            dailyProgress: this.getDailyProgress(),
-            weeklyProgress: this.getWeeklyProgress(),
-            monthlyProgress: this.getMonthlyProgress()
-        };
-        
-        return stats;
+    deleteMany(storeName, ids) {
+        return this.transaction(storeName, 'readwrite', tx => {
+            const store = tx.objectStore(storeName);
+            ids.forEach(id => store.delete(id));
+        });
     }
 
-    calculateAverageSessionTime(sessions) {
-        if (sessions.length === 0) return 0;
-        
-        const totalTime = sessions.reduce((sum, session) => {
-            if (session.startTime && session.endTime) {
-                const start = new Date(session.startTime);
-                const end = new Date(session.endTime);
-                return sum + (end - start);
-            }
-            return sum;
-        }, 0);
-        
-        return Math.round(totalTime / sessions.length / 1000 / 60); // Average in minutes
+    async getAllMeta() {
+        const entries = await this.getAll('meta');
+        return entries.reduce((meta, entry) => {
+            meta[entry.key] = entry.value;
+            return meta;
+        }, {});
     }
 
-    getDailyProgress() {
-        const today = new Date().toDateString();
-        const todaySessions = this.data.readingSessions.filter(s => 
-            !s.active && s.endTime && new Date(s.endTime).toDateString() === today
-        );
-        
-        return todaySessions.reduce((sum, s) => sum + s.chaptersRead, 0);
+    setMeta(key, value) {
+        return this.put('meta', { key, value });
     }
 
-    getWeeklyProgress() {
-        const oneWeekAgo = new Date();
-        oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
-        
-        const weekSessions = this.data.readingSessions.filter(s => 
-            !s.active && s.endTime && new Date(s.endTime) >= oneWeekAgo
-        );
-        
-        return weekSessions.reduce((sum, s) => sum + s.chaptersRead, 0);
+    // Write a full data snapshot, optionally clearing existing records first
+    writeSnapshot(data, { clear = false } = {}) {
+        const storeNames = [...this.recordStores, 'meta'];
+        return this.transaction(storeNames, 'readwrite', tx => {
+            this.recordStores.forEach(name => {
+                const store = tx.objectStore(name);
+                if (clear) store.clear();
+                (data[name] || []).forEach(record => store.put(record));
+            });
+
+            const metaStore = tx.objectStore('meta');
+            if (clear) metaStore.clear();
+            Object.keys(data)
+                .filter(key => !this.recordStores.includes(key))
+                .forEach(key => metaStore.put({ key, value: data[key] }));
+        });
     }
+}
 
-    getMonthlyProgress() {
-        const oneMonthAgo = new Date();
-        oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1);
-        
-        const monthSessions = this.data.readingSessions.filter(s => 
-            !s.active && s.endTime && new Date(s.endTime) >= oneMonthAgo
-        );
-        
-        return monthSessions.reduce((sum, s) => sum + s.chaptersRead, 0);
+// Fallback for when IndexedDB can't be opened (blocked storage, some private
+// modes). Same interface as MangaStorage, kept as one localStorage blob in the
+// pre-IndexedDB format so migrateFromLocalStorage() moves it over once
+// IndexedDB works again. Backups stay in memory; they would not fit.
+class LocalStorageStore {
+    constructor(key = 'mangaTrackerData') {
+        this.key = key;
+        this.recordStores = ['manga', 'readingSessions', 'bookmarks', 'history', 'trash', 'chapterLog'];
+        this.data = {};
+        this.backups = [];
     }
 
-    // Search and filter operations
-    searchManga(query, filters = {}) {
-        let results = this.data.manga;
-        
-        // Text search
-        if (query) {
-            const searchTerm = query.toLowerCase();
-            results = results.filter(manga => 
-                manga.title.toLowerCase().includes(searchTerm) ||
-                manga.author.toLowerCase().includes(searchTerm) ||
-                manga.tags.some(tag => tag.toLowerCase().includes(searchTerm))
-            );
-        }
-        
-        // Apply filters
-        if (filters.status) {
-            results = results.filter(manga => manga.status === filters.status);
-        }
-        
-        if (filters.type) {
-            results = results.filter(manga => manga.type === filters.type);
-        }
-        
-        if (filters.tags && filters.tags.length > 0) {
-            results = results.filter(manga => 
-                filters.tags.some(tag => manga.tags.includes(tag))
-            );
-        }
-        
-        return results;
+    open() {
+        return new Promise(resolve => {
+            const stored = localStorage.getItem(this.key);
+            this.data = stored ? JSON.parse(stored) : {};
+            resolve();
+        });
     }
 
-    // Bookmark operations
-    addBookmark(mangaId, chapterNumber, note = '') {
-        const bookmark = {
-            id: this.generateId(),
-            mangaId: mangaId,
-            chapterNumber: chapterNumber,
-            note: note,
-            createdAt: new Date().toISOString()
-        };
-        
-        this.data.bookmarks.push(bookmark);
-        this.saveData();
-        return bookmark;
+    persist() {
+        return new Promise(resolve => {
+            localStorage.setItem(this.key, JSON.stringify(this.data));
+            resolve();
+        });
     }
 
-    removeBookmark(id) {
-        const index = this.data.bookmarks.findIndex(b => b.id === id);
-        if (index !== -1) {
-            const deleted = this.data.bookmarks.splice(index, 1)[0];
-            this.saveData();
-            return deleted;
-        }
-        return null;
+    records(storeName) {
+        if (storeName === 'backups') return this.backups;
+        if (!Array.isArray(this.data[storeName])) this.data[storeName] = [];
+        return this.data[storeName];
     }
 
-    // History operations
-    addToHistory(mangaId, action, details = {}) {
-        const historyEntry = {
-            id: this.generateId(),
-            mangaId: mangaId,
-            action: action, // 'read', 'added', 'completed', 'updated'
-            details: details,
-            timestamp: new Date().toISOString()
-        };
-        
-        this.data.history.unshift(historyEntry); // Add to beginning
-        
-        // Keep only last 100 entries
-        if (this.data.history.length > 100) {
-            this.data.history = this.data.history.slice(0, 100);
-        }
-        
-        this.saveData();
-        return historyEntry;
+    // Copies, like IndexedDB's structured clones
+    clone(value) {
+        return JSON.parse(JSON.stringify(value));
     }
 
-    getRecentActivity(limit = 10) {
-        return this.data.history.slice(0, limit);
+    save(storeName) {
+        return storeName === 'backups' ? Promise.resolve() : this.persist();
     }
-}
 
-// Initialize the manga tracker
-const mangaTracker = new MangaTracker();
+    getAll(storeName) {
+        return Promise.resolve(this.clone(this.records(storeName)));
+    }
 
-// UI Controller
-class UIController {
-    constructor(tracker) {
-        this.tracker = tracker;
-        this.currentView = 'dashboard';
-        this.activeTimer = null;
-        this.timerInterval = null;
-        this.init();
+    get(storeName, id) {
+        const record = this.records(storeName).find(r => r.id === id);
+        return Promise.resolve(record ? this.clone(record) : undefined);
     }
 
-    init() {
-        this.setupNavigation();
-        this.setupTimerButton();
-        this.setupMobileMenu();
-        this.setupAddMangaModal();
-        this.loadDashboard();
+    put(storeName, record) {
+        this.upsert(storeName, record);
+        return this.save(storeName);
     }
 
-    setupMobileMenu() {
-        const mobileMenuToggle = document.getElementById('mobile-menu-toggle');
-        const sidebar = document.getElementById('sidebar');
-        const sidebarOverlay = document.getElementById('sidebar-overlay');
+    upsert(storeName, record) {
+        const records = this.records(storeName);
+        const index = records.findIndex(r => r.id === record.id);
+        if (index === -1) records.push(this.clone(record));
+        else records[index] = this.clone(record);
+    }
 
-        mobileMenuToggle.addEventListener('click', () => {
-            sidebar.classList.toggle('open');
-            sidebarOverlay.classList.toggle('show');
-        });
+    delete(storeName, id) {
+        return this.deleteMany(storeName, [id]);
+    }
 
-        sidebarOverlay.addEventListener('click', () => {
-            sidebar.classList.remove('open');
-            sidebarOverlay.classList.remove('show');
-        });
+    deleteMany(storeName, ids) {
+        const remove = new Set(ids);
+        const records = this.records(storeName);
+        records.splice(0, records.length, ...records.filter(r => !remove.has(r.id)));
+        return this.save(storeName);
+    }
 
-        // Close sidebar when clicking nav links on mobile
-        document.querySelectorAll('.nav-link').forEach(link => {
-            link.addEventListener('click', () => {
-                if (window.innerWidth < 768) {
-                    sidebar.classList.remove('open');
-                    sidebarOverlay.classList.remove('show');
-                }
-            });
-        });
+    clear(storeName) {
+        this.records(storeName).length = 0;
+        return this.save(storeName);
     }
 
-    setupAddMangaModal() {
-        const form = document.getElementById('add-manga-form');
-        form.addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.handleAddManga();
-        });
+    keyRange(lower, upper) {
+        return lower || upper ? { lower, upper } : null;
     }
 
-    setupNavigation() {
-        const navLinks = document.querySelectorAll('.nav-link');
-        
-        navLinks.forEach(link => {
-            link.addEventListener('click', (event) => {
-                event.preventDefault();
-                const hash = link.getAttribute('href').substring(1);
-                this.navigateTo(hash);
-            });
-        });
+    iterate(storeName, indexName, range, direction, onRecord) {
+        const inRange = value => !range
+            || ((!range.lower || value >= range.lower) && (!range.upper || value <= range.upper));
+        const records = this.records(storeName)
+            .filter(record => inRange(record[indexName]))
+            .sort((a, b) => (a[indexName] < b[indexName] ? -1 : a[indexName] > b[indexName] ? 1 : 0) || (a.id < b.id ? -1 : 1));
+        if (direction === 'prev') records.reverse();
 
-        // Handle initial load
-        const initialHash = window.location.hash.substring(1) || 'dashboard';
-        this.navigateTo(initialHash);
+        for (const record of records) {
+            if (onRecord(this.clone(record)) === false) break;
+        }
+        return Promise.resolve();
+    }
 
-        // Handle hash changes
-        window.addEventListener('hashchange', () => {
-            const hash = window.location.hash.substring(1) || 'dashboard';
-            this.navigateTo(hash);
-        });
+    move(fromStore, toStore, records) {
+        const ids = new Set(records.map(record => record.id));
+        const from = this.records(fromStore);
+        from.splice(0, from.length, ...from.filter(r => !ids.has(r.id)));
+        this.records(toStore).push(...this.clone(records));
+        return this.persist();
     }
 
-    navigateTo(view) {
-        // Update active navigation
-        document.querySelectorAll('.nav-link').forEach(link => {
-            link.classList.remove('active');
+    getAllMeta() {
+        const meta = {};
+        Object.keys(this.data)
+            .filter(key => !this.recordStores.includes(key) && key !== 'historyArchive')
+            .forEach(key => { meta[key] = this.clone(this.data[key]); });
+        return Promise.resolve(meta);
+    }
+
+    setMeta(key, value) {
+        this.data[key] = this.clone(value);
+        return this.persist();
+    }
+
+    writeSnapshot(data, { clear = false } = {}) {
+        const snapshot = this.clone(data);
+        if (clear) {
+            // The archive is not part of a snapshot, as in MangaStorage
+            this.data = { historyArchive: this.records('historyArchive'), ...snapshot };
+        } else {
+            Object.keys(snapshot).forEach(key => {
+                if (this.recordStores.includes(key)) snapshot[key].forEach(record => this.upsert(key, record));
+                else this.data[key] = snapshot[key];
+            });
+        }
+        return this.persist();
+    }
+}
+
+// Schema Migrations
+// Each step upgrades data from the previous version to `version`.
+// Append new steps at the end; never change a step that has shipped.
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Fill in missing manga fields and normalize status names',
+        up(data) {
+            ['manga', 'readingSessions', 'bookmarks', 'history'].forEach(key => {
+                if (!Array.isArray(data[key])) data[key] = [];
+            });
+
+            const statusAliases = {
+                'plan to read': 'plan-to-read',
+                'plantoread': 'plan-to-read',
+                'on hold': 'on-hold',
+                'onhold': 'on-hold'
+            };
+
+            data.manga = data.manga.map(manga => {
+                const status = String(manga.status || 'reading').trim().toLowerCase();
+                return {
+                    type: 'manga',
+                    totalChapters: null,
+                    rating: null,
+                    notes: '',
+                    coverImage: null,
+                    author: '',
+                    startDate: manga.createdAt || new Date().toISOString(),
+                    endDate: null,
+                    lastRead: null,
+                    createdAt: new Date().toISOString(),
+                    ...manga,
+                    status: statusAliases[status] || status,
+                    currentChapter: Number(manga.currentChapter) || 0,
+                    tags: Array.isArray(manga.tags)
+                        ? manga.tags
+                        : String(manga.tags || '').split(',').map(tag => tag.trim()).filter(tag => tag),
+                    updatedAt: manga.updatedAt || manga.createdAt || new Date().toISOString()
+                };
+            });
+
+            return data;
+        }
+    },
+    {
+        version: 2,
+        description: 'Add externalIds for linking entries to other trackers',
+        up(data) {
+            data.manga.forEach(manga => {
+                if (!manga.externalIds) manga.externalIds = {};
+            });
+            return data;
+        }
+    },
+    {
+        version: 3,
+        description: 'Add the trash and its retention setting',
+        up(data) {
+            if (!Array.isArray(data.trash)) data.trash = [];
+            if (data.settings && data.settings.trashRetentionDays === undefined) {
+                data.settings.trashRetentionDays = 30;
+            }
+            return data;
+        }
+    },
+    {
+        version: 4,
+        description: 'Add tag colors and hierarchy, and list every tag in use',
+        up(data) {
+            if (!data.tagInfo || typeof data.tagInfo !== 'object') data.tagInfo = {};
+            if (Array.isArray(data.tags)) {
+                data.manga.forEach(manga => {
+                    manga.tags.forEach(tag => {
+                        if (!data.tags.includes(tag)) data.tags.push(tag);
+                    });
+                });
+            }
+            return data;
+        }
+    },
+    {
+        version: 5,
+        description: 'Add saved smart lists',
+        up(data) {
+            if (!Array.isArray(data.smartLists)) data.smartLists = [];
+            return data;
+        }
+    },
+    {
+        version: 6,
+        description: 'Add hand-curated collections',
+        up(data) {
+            if (!Array.isArray(data.collections)) data.collections = [];
+            return data;
+        }
+    },
+    {
+        version: 7,
+        description: 'Track active reading time separately from wall time',
+        up(data) {
+            // Activity before the upgrade wasn't tracked, so idle time counts from now
+            const loadedAt = new Date().toISOString();
+            const backfill = session => {
+                if (session.activeMs !== undefined) return;
+                // Older sessions have no pause data, so all of their wall time counts
+                session.activeMs = session.endTime
+                    ? Math.max(0, new Date(session.endTime) - new Date(session.startTime))
+                    : 0;
+                session.runningSince = session.active ? session.startTime : null;
+                session.pausedAt = null;
+                session.lastActiveAt = session.active ? loadedAt : null;
+            };
+            data.readingSessions.forEach(backfill);
+            data.trash.forEach(entry => (entry.readingSessions || []).forEach(backfill));
+            return data;
+        }
+    },
+    {
+        version: 8,
+        description: 'Add the per-chapter read log',
+        up(data) {
+            if (!Array.isArray(data.chapterLog)) data.chapterLog = [];
+            // Progress made before the log existed has no dates; keep it as a baseline
+            [...data.manga, ...data.trash.map(entry => entry.manga)].forEach(manga => {
+                if (manga.chaptersBeforeLog === undefined) manga.chaptersBeforeLog = manga.currentChapter;
+            });
+            data.trash.forEach(entry => {
+                if (!Array.isArray(entry.chapterLog)) entry.chapterLog = [];
+            });
+            return data;
+        }
+    },
+    {
+        version: 9,
+        description: 'Track re-reads per series',
+        up(data) {
+            [...data.manga, ...data.trash.map(entry => entry.manga)].forEach(manga => {
+                if (!Array.isArray(manga.rereads)) manga.rereads = [];
+            });
+            return data;
+        }
+    },
+    {
+        version: 10,
+        description: 'Track volumes alongside chapters',
+        up(data) {
+            [...data.manga, ...data.trash.map(entry => entry.manga)].forEach(manga => {
+                if (manga.currentVolume === undefined) manga.currentVolume = 0;
+                if (manga.totalVolumes === undefined) manga.totalVolumes = null;
+            });
+            return data;
+        }
+    },
+    {
+        version: 11,
+        description: 'Replace the daily goal setting with a list of goals',
+        up(data) {
+            if (!Array.isArray(data.goals)) data.goals = [];
+            if (data.settings && data.settings.dailyGoal !== undefined) {
+                if (data.settings.dailyGoal >= 1 && !data.goals.some(goal => goal.id === 'daily-goal')) {
+                    const now = new Date().toISOString();
+                    data.goals.push({
+                        id: 'daily-goal',
+                        kind: 'chapters',
+                        period: 'day',
+                        target: data.settings.dailyGoal,
+                        mangaId: null,
+                        dueDate: null,
+                        history: [],
+                        createdAt: now,
+                        updatedAt: now
+                    });
+                }
+                delete data.settings.dailyGoal;
+            }
+            return data;
+        }
+    }
+];
+
+class SchemaMigrator {
+    constructor(migrations = SCHEMA_MIGRATIONS) {
+        this.migrations = migrations;
+    }
+
+    get currentVersion() {
+        return this.migrations[this.migrations.length - 1].version;
+    }
+
+    needsMigration(data) {
+        return (data.schemaVersion || 0) !== this.currentVersion;
+    }
+
+    // Return a migrated copy of data; the input is left untouched
+    migrate(data) {
+        const fromVersion = data.schemaVersion || 0;
+        if (fromVersion > this.currentVersion) {
+            throw new Error(`Data was saved by a newer version of the app (schema ${fromVersion}, supported ${this.currentVersion})`);
+        }
+
+        let migrated = JSON.parse(JSON.stringify(data));
+        this.migrations
+            .filter(step => step.version > fromVersion)
+            .forEach(step => {
+                try {
+                    migrated = step.up(migrated);
+                    migrated.schemaVersion = step.version;
+                } catch (error) {
+                    throw new Error(`Migration to schema ${step.version} failed: ${error.message}`);
+                }
+            });
+
+        return migrated;
+    }
+}
+
+// Bounded undo/redo history. Each command is a list of record changes
+// ({ store, before, after, index }) that can be applied in either direction.
+class CommandStack {
+    constructor(limit = 20) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    push(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        // A new change invalidates anything that was undone before it
+        this.redoStack = [];
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (command) this.redoStack.push(command);
+        return command || null;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (command) this.undoStack.push(command);
+        return command || null;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
+
+// Data Models and Storage System
+class MangaTracker {
+    constructor() {
+        this.storageKey = 'mangaTrackerData'; // legacy localStorage key
+        this.storage = new MangaStorage();
+        this.migrator = new SchemaMigrator();
+        this.query = new MangaQuery();
+        this.searchIndex = new SearchIndex();
+        this.maxBackups = 3;
+        this.historyWindow = 100; // entries kept in memory; older ones are archived
+        this.goalHistoryLimit = 366; // finished periods kept per goal
+        this.goalPeriods = {
+            chapters: ['day', 'week', 'month', 'year'],
+            series: ['month', 'year'],
+            challenge: ['year'],
+            deadline: [null]
+        };
+        this.commands = new CommandStack(20);
+        this.defaultSettings = {
+            theme: 'light', // light, dark or system
+            accent: 'blue', // blue, purple, green, rose, amber
+            notifications: true, // confirmation toasts; errors always show
+            trashRetentionDays: 30, // 0 keeps deleted manga until the trash is emptied
+            defaultStatus: 'reading',
+            defaultType: 'manga',
+            dateFormat: 'relative', // relative, locale, iso, dmy, mdy
+            weekStart: 0, // 0 = Sunday, 1 = Monday
+            ratingScale: 10, // ratings are stored out of 10 and shown on this scale
+            idleMinutes: 30, // offer to discard session time after this long without activity; 0 = off
+            streakMinChapters: 1, // chapters needed for a day to count towards a streak
+            streakFreezeDays: 0 // missed days per week that don't break a streak
+        };
+        this.pendingChanges = null; // record changes of the command being run
+        this.nextGoalClose = null; // earliest end of an open goal period; reset whenever goals change
+        this.data = {};
+        this.onStorageError = null;
+        this.migrationError = null;
+    }
+
+    // Open the database, migrate legacy data and load everything into memory
+    async init() {
+        try {
+            await this.storage.open();
+            await this.migrateFromLocalStorage();
+        } catch (error) {
+            console.error('Error opening database, falling back to localStorage:', error);
+            this.storage = await this.openFallbackStorage();
+        }
+
+        try {
+            if (this.storage) {
+                this.data = await this.loadData();
+                await this.runMigrations();
+            }
+        } catch (error) {
+            // Keep working in memory; UIController warns that nothing will be saved
+            console.error('Error loading data:', error);
+            this.storage = null;
+        }
+        this.initializeDefaultData();
+        this.purgeExpiredTrash();
+        this.pruneCollections();
+        this.closeGoalPeriods();
+        this.searchIndex.rebuild(this.data.manga);
+        return this;
+    }
+
+    // Initialize default data structure
+    initializeDefaultData() {
+        if (!this.data.manga) this.data.manga = [];
+        if (!this.data.readingSessions) this.data.readingSessions = [];
+        if (!this.data.settings) {
+            this.data.settings = { ...this.defaultSettings };
+            this.saveMeta('settings');
+        } else {
+            // Fill in settings added since the library was created
+            this.data.settings = { ...this.defaultSettings, ...this.data.settings };
+        }
+        if (!this.data.tags) {
+            this.data.tags = ['Action', 'Romance', 'Comedy', 'Drama', 'Fantasy', 'Sci-Fi'];
+            this.saveMeta('tags');
+        }
+        if (!this.data.tagInfo) this.data.tagInfo = {}; // tag -> { color, parent }
+        if (!this.data.bookmarks) this.data.bookmarks = [];
+        if (!this.data.history) this.data.history = [];
+        if (!this.data.trash) this.data.trash = [];
+        if (!this.data.chapterLog) this.data.chapterLog = [];
+        if (!this.data.smartLists) this.data.smartLists = [];
+        if (!this.data.collections) this.data.collections = [];
+        if (!this.data.goals) {
+            const now = new Date().toISOString();
+            this.data.goals = [{
+                id: 'daily-goal',
+                kind: 'chapters',
+                period: 'day',
+                target: 5,
+                mangaId: null,
+                dueDate: null,
+                history: [],
+                createdAt: now,
+                updatedAt: now
+            }];
+            this.saveMeta('goals');
+        }
+    }
+
+    // The whole library in one localStorage blob, as before IndexedDB; null when
+    // localStorage is unavailable too or holds data that can't be read
+    async openFallbackStorage() {
+        const storage = new LocalStorageStore(this.storageKey);
+        try {
+            await storage.open();
+            return storage;
+        } catch (error) {
+            console.error('Error opening localStorage:', error);
+            return null;
+        }
+    }
+
+    get usingFallbackStorage() {
+        return this.storage instanceof LocalStorageStore;
+    }
+
+    // Load all object stores into memory
+    async loadData() {
+        const [manga, readingSessions, bookmarks, history, trash, chapterLog, meta] = await Promise.all([
+            this.storage.getAll('manga'),
+            this.storage.getAll('readingSessions'),
+            this.storage.getAll('bookmarks'),
+            this.storage.getAll('history'),
+            this.storage.getAll('trash'),
+            this.storage.getAll('chapterLog'),
+            this.storage.getAllMeta()
+        ]);
+
+        const byDate = field => (a, b) => new Date(a[field]) - new Date(b[field]);
+
+        return {
+            ...meta,
+            manga: manga.sort(byDate('createdAt')),
+            readingSessions: readingSessions.sort(byDate('startTime')),
+            bookmarks: bookmarks.sort(byDate('createdAt')),
+            history: history.sort(MangaTracker.compareHistory),
+            trash: trash.sort(byDate('deletedAt')),
+            chapterLog: chapterLog.sort(byDate('readAt'))
+        };
+    }
+
+    // One-time move of the old localStorage blob into IndexedDB
+    async migrateFromLocalStorage() {
+        const stored = localStorage.getItem(this.storageKey);
+        if (!stored) return;
+
+        let legacyData;
+        try {
+            legacyData = JSON.parse(stored);
+        } catch (error) {
+            console.error('Error parsing legacy data, leaving it in localStorage:', error);
+            return;
+        }
+
+        // A blob written by LocalStorageStore can include archived history
+        const { historyArchive = [], ...snapshot } = legacyData;
+        await this.storage.writeSnapshot(snapshot);
+        await Promise.all(historyArchive.map(entry => this.storage.put('historyArchive', entry)));
+        localStorage.removeItem(this.storageKey);
+        console.log('Migrated library from localStorage to IndexedDB');
+    }
+
+    // Bring loaded data up to the current schema, keeping a backup of the old data
+    async runMigrations() {
+        if (!this.migrator.needsMigration(this.data)) return;
+
+        const isEmpty = this.storage.recordStores.every(name => this.data[name].length === 0);
+        if (isEmpty && !this.data.settings) {
+            // Fresh install, nothing to migrate
+            this.data.schemaVersion = this.migrator.currentVersion;
+            this.saveMeta('schemaVersion');
+            return;
+        }
+
+        try {
+            const migrated = this.migrator.migrate(this.data);
+            await this.createBackup(`Before upgrade to schema ${migrated.schemaVersion}`);
+            this.data = migrated;
+            await this.saveData();
+            console.log(`Migrated library to schema ${migrated.schemaVersion}`);
+        } catch (error) {
+            // Keep running on the unmigrated data rather than losing it
+            console.error('Error migrating data:', error);
+            this.migrationError = error;
+        }
+    }
+
+    // Keep a copy of the current data in the backups store (last few only)
+    async createBackup(reason) {
+        await this.storage.put('backups', {
+            id: this.generateId(),
+            createdAt: new Date().toISOString(),
+            reason,
+            schemaVersion: this.data.schemaVersion || 0,
+            data: this.data
+        });
+
+        const backups = await this.getBackups();
+        const expired = backups.slice(this.maxBackups).map(backup => backup.id);
+        if (expired.length > 0) {
+            await this.storage.deleteMany('backups', expired);
+        }
+    }
+
+    // Newest first
+    async getBackups() {
+        if (!this.storage) return [];
+        const backups = await this.storage.getAll('backups');
+        return backups.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    // Replace current data with a stored backup, upgraded to the current schema.
+    // A failed migration throws before anything is written.
+    async restoreBackup(backupId) {
+        const backup = await this.storage.get('backups', backupId);
+        if (!backup) {
+            throw new Error('Backup not found');
+        }
+
+        const data = this.migrator.migrate(backup.data);
+        await this.storage.writeSnapshot(data, { clear: true });
+        this.data = await this.loadData();
+        this.initializeDefaultData();
+        this.searchIndex.rebuild(this.data.manga);
+        this.commands.clear();
+        this.nextGoalClose = null;
+        return backup;
+    }
+
+    // Bring data from an exported file up to the current schema
+    migrateImportedData(importedData) {
+        return this.migrator.migrate(importedData);
+    }
+
+    // Everything needed to rebuild the library from an export file
+    async getExportData() {
+        const archivedHistory = await this.getArchivedHistory();
+        return {
+            exportDate: new Date().toISOString(),
+            schemaVersion: this.data.schemaVersion,
+            manga: this.data.manga,
+            readingSessions: this.data.readingSessions,
+            bookmarks: this.data.bookmarks,
+            history: [...this.data.history, ...archivedHistory],
+            trash: this.data.trash,
+            chapterLog: this.data.chapterLog,
+            tags: this.data.tags,
+            tagInfo: this.data.tagInfo,
+            smartLists: this.data.smartLists,
+            collections: this.data.collections,
+            goals: this.data.goals,
+            settings: this.data.settings,
+            stats: this.getStatistics()
+        };
+    }
+
+    // Validate an export file and migrate it to the current schema
+    parseExportFile(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error('File is not valid JSON');
+        }
+
+        if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.manga)) {
+            throw new Error('File is not a MangaMarks library export');
+        }
+
+        ['readingSessions', 'bookmarks', 'history', 'trash', 'chapterLog', 'tags', 'smartLists', 'collections', 'goals'].forEach(key => {
+            if (parsed[key] !== undefined && !Array.isArray(parsed[key])) {
+                throw new Error(`"${key}" in the export file must be a list`);
+            }
+        });
+
+        const invalid = parsed.manga.filter(manga =>
+            !manga || !manga.id || typeof manga.title !== 'string' || !manga.title.trim()
+        );
+        if (invalid.length > 0) {
+            throw new Error(`${invalid.length} manga entries are missing an id or title`);
+        }
+
+        const migrated = this.migrateImportedData(parsed);
+        const unsafe = this.countUnsafeIds(migrated);
+        if (unsafe > 0) {
+            throw new Error(`${unsafe} ${unsafe === 1 ? 'entry has' : 'entries have'} an id with characters that aren't allowed`);
+        }
+
+        // Goals are re-evaluated on every navigation, so one in the wrong shape
+        // would break every view; leave those out and say why
+        const skipped = [];
+        const goals = [];
+        (migrated.goals || []).forEach(goal => {
+            try {
+                goals.push(this.validateImportedGoal(goal, migrated.manga));
+            } catch (error) {
+                skipped.push({ title: `Goal ${goal && goal.id ? `"${goal.id}"` : '(no id)'}`, reason: error.message });
+            }
+        });
+        const smartLists = [];
+        (migrated.smartLists || []).forEach(list => {
+            try {
+                smartLists.push(this.validateImportedSmartList(list, smartLists));
+            } catch (error) {
+                skipped.push({ title: `Smart list ${list && typeof list.name === 'string' && list.name.trim() ? `"${list.name.trim()}"` : '(no name)'}`, reason: error.message });
+            }
+        });
+
+        return {
+            schemaVersion: migrated.schemaVersion,
+            manga: migrated.manga,
+            readingSessions: migrated.readingSessions,
+            bookmarks: migrated.bookmarks,
+            history: migrated.history,
+            trash: migrated.trash || [],
+            chapterLog: migrated.chapterLog || [],
+            tags: migrated.tags || [],
+            tagInfo: this.sanitizeImportedTagInfo(migrated.tagInfo),
+            smartLists,
+            collections: migrated.collections || [],
+            goals,
+            settings: migrated.settings || null,
+            skipped
+        };
+    }
+
+    // Keep a color only in #rrggbb form and a parent only as a tag name
+    sanitizeImportedTagInfo(tagInfo) {
+        const sanitized = {};
+        Object.entries(tagInfo && typeof tagInfo === 'object' ? tagInfo : {}).forEach(([tag, info]) => {
+            if (!info || typeof info !== 'object') return;
+            const kept = {};
+            if (MangaTracker.isTagColor(info.color)) kept.color = info.color;
+            if (typeof info.parent === 'string' && info.parent && info.parent !== tag) kept.parent = info.parent;
+            if (Object.keys(kept).length > 0) sanitized[tag] = kept;
+        });
+        return sanitized;
+    }
+
+    // Ids end up in inline onclick handlers, so an imported file may only use
+    // the characters generateId() produces (plus "-" and "_")
+    countUnsafeIds(data) {
+        const isSafe = id => typeof id === 'string' && /^[A-Za-z0-9_-]+$/.test(id);
+        const isUnsafe = record => Boolean(record) && typeof record === 'object' && (
+            !isSafe(record.id)
+            || ['mangaId', 'sessionId'].some(field => record[field] != null && !isSafe(record[field]))
+            || (Array.isArray(record.mangaIds) && !record.mangaIds.every(isSafe))
+        );
+
+        const records = ['manga', 'readingSessions', 'bookmarks', 'history', 'chapterLog', 'smartLists', 'collections', 'goals']
+            .flatMap(key => data[key] || []);
+        (data.trash || []).forEach(entry => {
+            records.push(entry);
+            if (!entry) return;
+            if (entry.manga) records.push(entry.manga);
+            ['readingSessions', 'bookmarks', 'history', 'chapterLog'].forEach(key => records.push(...(entry[key] || [])));
+        });
+        return records.filter(isUnsafe).length;
+    }
+
+    // Compare an imported library against the current one by manga id
+    diffLibrary(importedData) {
+        const currentById = new Map(this.data.manga.map(manga => [manga.id, manga]));
+        const importedIds = new Set(importedData.manga.map(manga => manga.id));
+
+        const added = [];
+        const changed = [];
+        importedData.manga.forEach(manga => {
+            const current = currentById.get(manga.id);
+            if (!current) {
+                added.push(manga);
+            } else if (JSON.stringify(current) !== JSON.stringify(manga)) {
+                changed.push(manga);
+            }
+        });
+
+        const removed = this.data.manga.filter(manga => !importedIds.has(manga.id));
+        return { added, changed, removed };
+    }
+
+    // Swap the whole library for the imported one
+    async replaceLibrary(importedData) {
+        if (this.storage) await this.createBackup('Before restoring from file');
+
+        const { skipped, ...data } = importedData;
+        this.data = {
+            ...data,
+            history: [...importedData.history].sort(MangaTracker.compareHistory),
+            settings: { ...this.defaultSettings, ...(importedData.settings || this.data.settings) },
+            tags: importedData.tags.length > 0 ? importedData.tags : this.data.tags,
+            tagInfo: importedData.tagInfo
+        };
+
+        if (this.storage) await this.storage.clear('historyArchive');
+        await this.trimHistory();
+        this.searchIndex.rebuild(this.data.manga);
+        this.commands.clear();
+        this.nextGoalClose = null;
+        await this.saveData();
+    }
+
+    // Clear every manga and all reading activity; settings and tags are kept,
+    // and so are goals and collections, minus their history, members and any
+    // per-series deadlines
+    async resetLibrary() {
+        if (this.storage) await this.createBackup('Before resetting the library');
+
+        ['manga', 'readingSessions', 'bookmarks', 'history', 'trash', 'chapterLog'].forEach(key => {
+            this.data[key] = [];
+        });
+        this.data.collections = this.data.collections.map(collection => ({ ...collection, mangaIds: [] }));
+        this.data.goals = this.data.goals
+            .filter(goal => goal.kind !== 'deadline')
+            .map(goal => ({ ...goal, history: [], createdAt: new Date().toISOString() }));
+
+        if (this.storage) await this.storage.clear('historyArchive');
+        this.searchIndex.rebuild(this.data.manga);
+        this.commands.clear();
+        this.nextGoalClose = null;
+        await this.saveData();
+    }
+
+    // Add new records and keep whichever copy of a manga was updated last
+    async mergeLibrary(importedData) {
+        if (this.storage) await this.createBackup('Before merging from file');
+
+        importedData.manga.forEach(manga => {
+            const index = this.data.manga.findIndex(m => m.id === manga.id);
+            if (index === -1) {
+                this.data.manga.push(manga);
+            } else if (new Date(manga.updatedAt) > new Date(this.data.manga[index].updatedAt)) {
+                this.data.manga[index] = manga;
+            }
+        });
+
+        // Trashed manga that are back in the library stay restored
+        const mangaIds = new Set(this.data.manga.map(manga => manga.id));
+        importedData.trash = importedData.trash.filter(entry => !mangaIds.has(entry.id));
+
+        ['readingSessions', 'bookmarks', 'history', 'trash', 'chapterLog'].forEach(key => {
+            const existingIds = new Set(this.data[key].map(record => record.id));
+            importedData[key]
+                .filter(record => !existingIds.has(record.id))
+                .forEach(record => this.data[key].push(record));
+        });
+
+        this.data.history.sort(MangaTracker.compareHistory);
+        this.data.chapterLog.sort((a, b) => new Date(a.readAt) - new Date(b.readAt));
+        await this.trimHistory();
+        this.data.tags = [...new Set([...this.data.tags, ...importedData.tags])];
+        this.data.tagInfo = { ...importedData.tagInfo, ...this.data.tagInfo };
+        const smartListIds = new Set(this.data.smartLists.map(list => list.id));
+        importedData.smartLists
+            .filter(list => !smartListIds.has(list.id))
+            .forEach(list => this.data.smartLists.push({ ...list, name: this.getUnusedSmartListName(list.name) }));
+        importedData.collections.forEach(collection => {
+            const index = this.data.collections.findIndex(c => c.id === collection.id);
+            if (index === -1) {
+                this.data.collections.push(collection);
+            } else if (new Date(collection.updatedAt) > new Date(this.data.collections[index].updatedAt)) {
+                this.data.collections[index] = collection;
+            }
+        });
+        importedData.goals.forEach(goal => {
+            const index = this.data.goals.findIndex(g => g.id === goal.id);
+            if (index === -1) {
+                this.data.goals.push(goal);
+            } else if (new Date(goal.updatedAt) > new Date(this.data.goals[index].updatedAt)) {
+                this.data.goals[index] = goal;
+            }
+        });
+        this.searchIndex.rebuild(this.data.manga);
+
+        this.commands.clear();
+        this.nextGoalClose = null;
+        await this.saveData();
+    }
+
+    // Write the whole in-memory dataset (used for bulk changes and sync requests)
+    saveData() {
+        this.notifyChange();
+        if (!this.storage) return Promise.resolve();
+        return this.storage.writeSnapshot(this.data, { clear: true })
+            .catch(error => this.handleStorageError(error));
+    }
+
+    // Per-record persistence helpers
+    saveRecord(storeName, record) {
+        this.notifyChange();
+        if (!this.storage) return Promise.resolve();
+        return this.storage.put(storeName, record)
+            .catch(error => this.handleStorageError(error));
+    }
+
+    removeRecords(storeName, ids) {
+        this.notifyChange();
+        if (!this.storage || ids.length === 0) return Promise.resolve();
+        return this.storage.deleteMany(storeName, ids)
+            .catch(error => this.handleStorageError(error));
+    }
+
+    saveMeta(key) {
+        this.notifyChange();
+        if (!this.storage) return Promise.resolve();
+        return this.storage.setMeta(key, this.data[key])
+            .catch(error => this.handleStorageError(error));
+    }
+
+    // Every write goes through the helpers above, so this fires for any data change
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    // Undo/redo. Mutations made inside runCommand are grouped into one undoable
+    // step; nested calls join the outer command.
+    runCommand(label, action) {
+        if (this.pendingChanges) {
+            return action();
+        }
+
+        this.pendingChanges = [];
+        try {
+            return action();
+        } finally {
+            const changes = this.pendingChanges;
+            this.pendingChanges = null;
+            if (changes.length > 0) {
+                this.commands.push({ label, changes });
+            }
+        }
+    }
+
+    // Meta values (tags, tagInfo, ...) are recorded whole, as { id: key, value }
+    recordMetaChanges(keys, action) {
+        const before = keys.map(key => ({ id: key, value: JSON.parse(JSON.stringify(this.data[key])) }));
+        const result = action();
+        before.forEach(entry => this.recordChange('meta', entry, { id: entry.id, value: this.data[entry.id] }));
+        return result;
+    }
+
+    recordChange(store, before, after, index = -1) {
+        if (!this.pendingChanges) return;
+        this.pendingChanges.push({
+            store,
+            before: before ? JSON.parse(JSON.stringify(before)) : null,
+            after: after ? JSON.parse(JSON.stringify(after)) : null,
+            index
+        });
+    }
+
+    canUndo() {
+        return this.commands.canUndo;
+    }
+
+    canRedo() {
+        return this.commands.canRedo;
+    }
+
+    undo() {
+        const command = this.commands.undo();
+        if (command) {
+            [...command.changes].reverse().forEach(change => this.applyChange(change.store, change.after, change.before, change.index));
+        }
+        return command;
+    }
+
+    redo() {
+        const command = this.commands.redo();
+        if (command) {
+            command.changes.forEach(change => this.applyChange(change.store, change.before, change.after, change.index));
+        }
+        return command;
+    }
+
+    // Swap a record from one recorded state to the other
+    applyChange(store, from, to, index) {
+        if (store === 'meta') {
+            this.data[to.id] = JSON.parse(JSON.stringify(to.value));
+            this.saveMeta(to.id);
+            return;
+        }
+
+        const records = this.data[store];
+        const id = (to || from).id;
+        const position = records.findIndex(record => record.id === id);
+
+        if (!to) {
+            if (position !== -1) records.splice(position, 1);
+            this.removeRecords(store, [id]);
+            if (store === 'manga') this.searchIndex.remove(id);
+            // The entry may have been trimmed into the archive since it was recorded
+            if (store === 'history') this.removeRecords('historyArchive', [id]);
+            return;
+        }
+
+        const record = JSON.parse(JSON.stringify(to));
+        if (position !== -1) {
+            records[position] = record;
+        } else if (store === 'history') {
+            records.push(record);
+            records.sort(MangaTracker.compareHistory);
+        } else if (index !== -1 && index <= records.length) {
+            records.splice(index, 0, record);
+        } else {
+            records.push(record);
+        }
+        this.saveRecord(store, record);
+        if (store === 'manga') this.searchIndex.add(record);
+        if (store === 'history') this.trimHistory();
+    }
+
+    handleStorageError(error) {
+        console.error('Error saving data:', error);
+        if (this.onStorageError) {
+            this.onStorageError(error);
+        }
+    }
+
+    // Generate unique ID
+    generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    }
+
+    // Manga CRUD operations
+    addManga(mangaData) {
+        return this.runCommand('Add manga', () => {
+            const manga = {
+                id: this.generateId(),
+                title: mangaData.title,
+                type: mangaData.type || this.data.settings.defaultType, // manga, manhwa, manhua
+                status: mangaData.status || this.data.settings.defaultStatus, // reading, completed, on-hold, dropped, plan-to-read
+                currentChapter: mangaData.currentChapter || 0, // may be fractional, e.g. 10.5 for an extra
+                totalChapters: mangaData.totalChapters || null,
+                currentVolume: mangaData.currentVolume || 0,
+                totalVolumes: mangaData.totalVolumes || null,
+                rating: mangaData.rating || null,
+                tags: mangaData.tags || [],
+                notes: mangaData.notes || '',
+                coverImage: mangaData.coverImage || null,
+                author: mangaData.author || '',
+                startDate: mangaData.startDate || new Date().toISOString(),
+                endDate: mangaData.endDate || null,
+                lastRead: mangaData.lastRead || null,
+                externalIds: mangaData.externalIds || {}, // e.g. { mal: '2' }
+                // Chapters read before the manga was added count as read, without dates
+                chaptersBeforeLog: mangaData.chaptersBeforeLog ?? (mangaData.currentChapter || 0),
+                rereads: mangaData.rereads || [],
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+        
+            this.data.manga.push(manga);
+            this.recordChange('manga', null, manga);
+            this.saveRecord('manga', manga);
+            this.searchIndex.add(manga);
+            this.registerTags(manga.tags);
+            return manga;
+        });
+    }
+
+    updateManga(id, updates) {
+        return this.runCommand('Update manga', () => {
+            const index = this.data.manga.findIndex(m => m.id === id);
+            if (index !== -1) {
+                const before = this.data.manga[index];
+                this.data.manga[index] = {
+                    ...before,
+                    ...updates,
+                    updatedAt: new Date().toISOString()
+                };
+                // Finishing a series by any route (progress, Edit) dates it, which
+                // 'series' goals and the period stats count by
+                const manga = this.data.manga[index];
+                if (manga.status === 'completed' && before.status !== 'completed' && !manga.endDate) {
+                    manga.endDate = manga.updatedAt;
+                }
+                this.recordChange('manga', before, this.data.manga[index]);
+                this.saveRecord('manga', this.data.manga[index]);
+                this.searchIndex.add(this.data.manga[index]);
+                if (updates.tags) this.registerTags(updates.tags);
+                return this.data.manga[index];
+            }
+            return null;
+        });
+    }
+
+    // Soft delete: the manga and everything that references it move to the trash
+    deleteManga(id) {
+        return this.runCommand('Delete manga', () => {
+            const index = this.data.manga.findIndex(m => m.id === id);
+            if (index !== -1) {
+                const deleted = this.data.manga.splice(index, 1)[0];
+                this.recordChange('manga', deleted, null, index);
+                this.removeRecords('manga', [id]);
+                this.searchIndex.remove(id);
+
+                // Archived history stays put as part of the long-term activity log
+                const entry = {
+                    id,
+                    deletedAt: new Date().toISOString(),
+                    manga: deleted,
+                    readingSessions: this.takeRelatedRecords('readingSessions', id),
+                    bookmarks: this.takeRelatedRecords('bookmarks', id),
+                    history: this.takeRelatedRecords('history', id),
+                    chapterLog: this.takeRelatedRecords('chapterLog', id)
+                };
+                this.data.trash.push(entry);
+                this.recordChange('trash', null, entry);
+                this.saveRecord('trash', entry);
+
+                return deleted;
+            }
+            return null;
+        });
+    }
+
+    // Remove and return every record in a store that belongs to a manga
+    takeRelatedRecords(storeName, mangaId) {
+        const related = this.data[storeName].filter(record => record.mangaId === mangaId);
+        related.forEach(record => this.recordChange(storeName, record, null));
+        this.data[storeName] = this.data[storeName].filter(record => record.mangaId !== mangaId);
+        this.removeRecords(storeName, related.map(record => record.id));
+        return related;
+    }
+
+    // Trash operations
+    getTrash() {
+        return [...this.data.trash].sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+    }
+
+    getTrashExpiry(entry) {
+        const days = this.data.settings.trashRetentionDays;
+        if (!days) return null;
+        const expiry = new Date(entry.deletedAt);
+        expiry.setDate(expiry.getDate() + days);
+        return expiry;
+    }
+
+    restoreFromTrash(id) {
+        return this.runCommand('Restore from trash', () => {
+            const entry = this.data.trash.find(e => e.id === id);
+            if (!entry) return null;
+
+            this.removeTrashEntry(entry);
+            this.data.manga.push(entry.manga);
+            this.recordChange('manga', null, entry.manga);
+            this.saveRecord('manga', entry.manga);
+            this.searchIndex.add(entry.manga);
+
+            ['readingSessions', 'bookmarks', 'history', 'chapterLog'].forEach(storeName => {
+                (entry[storeName] || []).forEach(record => {
+                    this.data[storeName].push(record);
+                    this.recordChange(storeName, null, record);
+                    this.saveRecord(storeName, record);
+                });
+            });
+            this.data.history.sort(MangaTracker.compareHistory);
+            this.data.chapterLog.sort((a, b) => new Date(a.readAt) - new Date(b.readAt));
+            this.trimHistory();
+
+            return entry.manga;
+        });
+    }
+
+    // Permanent deletes are not undoable, so these stay outside runCommand
+    purgeFromTrash(id) {
+        const entry = this.data.trash.find(e => e.id === id);
+        if (!entry) return null;
+        this.purgeTrashEntry(entry);
+        this.pruneCollections();
+        return entry.manga;
+    }
+
+    emptyTrash() {
+        const entries = [...this.data.trash];
+        entries.forEach(entry => this.purgeTrashEntry(entry));
+        this.pruneCollections();
+        return entries.length;
+    }
+
+    // Drop entries older than the retention period; runs on startup
+    purgeExpiredTrash() {
+        const now = new Date();
+        const expired = this.data.trash.filter(entry => {
+            const expiry = this.getTrashExpiry(entry);
+            return expiry && expiry <= now;
+        });
+        expired.forEach(entry => this.purgeTrashEntry(entry));
+        return expired.length;
+    }
+
+    // Permanent delete. The manga's history goes back to the activity log so
+    // the record of what was read survives the manga itself.
+    purgeTrashEntry(entry) {
+        this.removeTrashEntry(entry);
+        (entry.history || []).forEach(record => {
+            this.data.history.push(record);
+            this.recordChange('history', null, record);
+            this.saveRecord('history', record);
+        });
+        this.data.history.sort(MangaTracker.compareHistory);
+        this.trimHistory();
+    }
+
+    removeTrashEntry(entry) {
+        this.data.trash = this.data.trash.filter(e => e.id !== entry.id);
+        this.recordChange('trash', entry, null);
+        this.removeRecords('trash', [entry.id]);
+    }
+
+    getManga(id) {
+        return this.data.manga.find(m => m.id === id);
+    }
+
+    getAllManga() {
+        return this.data.manga;
+    }
+
+    // Reading session operations. A session's active time is activeMs plus the
+    // current stretch since runningSince; while paused runningSince is null.
+    // Wall time is simply endTime - startTime.
+    startReadingSession(mangaId) {
+        const now = new Date().toISOString();
+        const session = {
+            id: this.generateId(),
+            mangaId: mangaId,
+            startTime: now,
+            endTime: null,
+            chaptersRead: 0,
+            active: true,
+            activeMs: 0,
+            runningSince: now,
+            pausedAt: null,
+            lastActiveAt: now
+        };
+        
+        this.data.readingSessions.push(session);
+        this.saveRecord('readingSessions', session);
+        return session;
+    }
+
+    getReadingSession(sessionId) {
+        return this.data.readingSessions.find(s => s.id === sessionId);
+    }
+
+    getSessionActiveTime(session, now = new Date()) {
+        const running = session.runningSince ? Math.max(0, now - new Date(session.runningSince)) : 0;
+        return (session.activeMs || 0) + running;
+    }
+
+    // at can be in the past to pause retroactively, e.g. from when the reader went idle
+    pauseReadingSession(sessionId, at = new Date()) {
+        const session = this.getReadingSession(sessionId);
+        if (!session || !session.active || !session.runningSince) return session;
+
+        const pausedAt = new Date(Math.max(at, new Date(session.runningSince)));
+        session.activeMs = this.getSessionActiveTime(session, pausedAt);
+        session.runningSince = null;
+        session.pausedAt = pausedAt.toISOString();
+        this.saveRecord('readingSessions', session);
+        return session;
+    }
+
+    resumeReadingSession(sessionId) {
+        const session = this.getReadingSession(sessionId);
+        if (!session || !session.active || session.runningSince) return session;
+
+        const now = new Date().toISOString();
+        session.runningSince = now;
+        session.pausedAt = null;
+        session.lastActiveAt = now;
+        this.saveRecord('readingSessions', session);
+        return session;
+    }
+
+    // Drop the time since idleSince from a running session and keep it running
+    discardIdleTime(sessionId, idleSince) {
+        this.pauseReadingSession(sessionId, idleSince);
+        return this.resumeReadingSession(sessionId);
+    }
+
+    // Remember the reader was here, so idle time can be detected after a reload
+    touchReadingSession(sessionId) {
+        const session = this.getReadingSession(sessionId);
+        if (!session || !session.active) return;
+        session.lastActiveAt = new Date().toISOString();
+        this.saveRecord('readingSessions', session);
+    }
+
+    endReadingSession(sessionId, chaptersRead = 0) {
+        return this.runCommand('End reading session', () => {
+            const session = this.data.readingSessions.find(s => s.id === sessionId);
+            if (session) {
+                const before = { ...session };
+                const now = new Date();
+                session.activeMs = this.getSessionActiveTime(session, now);
+                session.runningSince = null;
+                session.pausedAt = null;
+                session.endTime = now.toISOString();
+                session.chaptersRead = chaptersRead;
+                session.active = false;
+                this.recordChange('readingSessions', before, session);
+                this.saveRecord('readingSessions', session);
+                
+                // Update manga progress
+                if (session.mangaId && chaptersRead > 0) {
+                    const manga = this.getManga(session.mangaId);
+                    if (manga) {
+                        // Sessions count whole chapters, so reading on from an extra like 10.5 ends at 10 + n
+                        const progress = this.getProgress(manga);
+                        const newProgress = Math.floor(progress) + chaptersRead;
+                        this.logProgress(manga.id, progress, newProgress, {
+                            sessionId: session.id,
+                            readAt: session.endTime
+                        });
+                        this.setProgress(manga.id, newProgress, {
+                            lastRead: new Date().toISOString()
+                        });
+                    }
+                }
+                
+                return session;
+            }
+            return null;
+        });
+    }
+
+    getActiveSession() {
+        return this.data.readingSessions.find(s => s.active);
+    }
+
+    // Manga still in progress, most recently read first
+    getContinueReading(limit = 5) {
+        return this.data.manga
+            .filter(manga => manga.lastRead && !['completed', 'dropped'].includes(manga.status))
+            .sort((a, b) => new Date(b.lastRead) - new Date(a.lastRead))
+            .slice(0, limit);
+    }
+
+    // Ranked title/author/tag search without the query syntax, for type-ahead pickers
+    quickSearch(text, limit = 20) {
+        const scores = this.searchIndex.search(text);
+        return [...scores.keys()]
+            .map(id => this.getManga(id))
+            .filter(manga => manga)
+            .sort((a, b) => (scores.get(b.id) - scores.get(a.id)) || a.title.localeCompare(b.title))
+            .slice(0, limit);
+    }
+
+    // Statistics and analytics
+    getStatistics() {
+        const manga = this.data.manga;
+        const sessions = this.data.readingSessions.filter(s => !s.active);
+        
+        const stats = {
+            totalManga: manga.length,
+            currentlyReading: manga.filter(m => m.status === 'reading').length,
+            completed: manga.filter(m => m.status === 'completed').length,
+            onHold: manga.filter(m => m.status === 'on-hold').length,
+            dropped: manga.filter(m => m.status === 'dropped').length,
+            planToRead: manga.filter(m => m.status === 'plan-to-read').length,
+            // Extras like 10.5 don't add to the count of numbered chapters
+            totalChaptersRead: manga.reduce((sum, m) => sum + Math.floor(m.currentChapter), 0),
+            rereadChaptersRead: manga.reduce((sum, m) => sum + (m.rereads || []).reduce((total, r) => total + Math.floor(r.currentChapter), 0), 0),
+            totalVolumesRead: manga.reduce((sum, m) => sum + Math.floor(m.currentVolume || 0), 0),
+            totalRereads: manga.reduce((sum, m) => sum + (m.rereads || []).filter(MangaTracker.isFinishedReread).length, 0),
+            currentlyRereading: manga.filter(m => this.getActiveReread(m)).length,
+            totalReadingSessions: sessions.length,
+            averageSessionTime: this.calculateAverageSessionTime(sessions),
+            dailyProgress: this.getDailyProgress(),
+            weeklyProgress: this.getWeeklyProgress(),
+            monthlyProgress: this.getMonthlyProgress()
+        };
+        
+        return stats;
+    }
+
+    calculateAverageSessionTime(sessions) {
+        if (sessions.length === 0) return 0;
+        
+        // Paused and discarded idle time does not count
+        const totalTime = sessions.reduce((sum, session) => sum + (session.activeMs || 0), 0);
+        
+        return Math.round(totalTime / sessions.length / 1000 / 60); // Average in minutes
+    }
+
+    getDailyProgress() {
+        const now = new Date();
+        return this.countChaptersRead(new Date(now.getFullYear(), now.getMonth(), now.getDate()));
+    }
+
+    // Chapters read since the start of the current week (see settings.weekStart)
+    getWeeklyProgress() {
+        return this.countChaptersRead(this.getStartOfWeek());
+    }
+
+    getStartOfWeek(date = new Date()) {
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const offset = (start.getDay() - this.data.settings.weekStart + 7) % 7;
+        start.setDate(start.getDate() - offset);
+        return start;
+    }
+
+    getMonthlyProgress() {
+        const oneMonthAgo = new Date();
+        oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1);
+        return this.countChaptersRead(oneMonthAgo);
+    }
+
+    // Chapters read in [from, to): every logged chapter, plus chapters from
+    // sessions that were not tied to a manga and so have nothing to log
+    countChaptersRead(from, to = new Date(8640000000000000)) {
+        return this.getChapterReads(from, to).reduce((sum, read) => sum + read.count, 0);
+    }
+
+    // [{ date, count, mangaId, pass }] for every read in [from, to)
+    getChapterReads(from, to) {
+        const inRange = date => date >= from && date < to;
+        const logged = this.data.chapterLog
+            .filter(entry => entry.readAt && inRange(new Date(entry.readAt)))
+            .map(entry => ({ date: new Date(entry.readAt), count: 1, mangaId: entry.mangaId, pass: entry.pass || 1 }));
+        const unlinked = this.data.readingSessions
+            .filter(s => !s.active && !s.mangaId && s.endTime && s.chaptersRead > 0 && inRange(new Date(s.endTime)))
+            .map(s => ({ date: new Date(s.endTime), count: s.chaptersRead, mangaId: null, pass: 1 }));
+        return [...logged, ...unlinked];
+    }
+
+    // Activity in [from, to) for the analytics period view. manga holds every
+    // series read or added in the period; chaptersByManga counts logged reads.
+    getPeriodStatistics(from, to) {
+        const inRange = value => {
+            const date = value && new Date(value);
+            return Boolean(date) && date >= from && date < to;
+        };
+        const reads = this.getChapterReads(from, to);
+        const sessions = this.data.readingSessions.filter(s => !s.active && inRange(s.endTime));
+
+        const chaptersByManga = new Map();
+        reads.filter(read => read.mangaId).forEach(read => {
+            chaptersByManga.set(read.mangaId, (chaptersByManga.get(read.mangaId) || 0) + read.count);
+        });
+        const manga = this.data.manga.filter(m => chaptersByManga.has(m.id) || inRange(m.createdAt));
+
+        return {
+            chaptersRead: reads.reduce((sum, read) => sum + read.count, 0),
+            rereadChaptersRead: reads.filter(read => read.pass > 1).reduce((sum, read) => sum + read.count, 0),
+            mangaAdded: this.data.manga.filter(m => inRange(m.createdAt)).length,
+            seriesCompleted: this.data.manga.filter(m => m.status === 'completed' && inRange(m.endDate)).length,
+            rereadsCompleted: this.data.manga.reduce((sum, m) => sum + (m.rereads || []).filter(r => inRange(r.endDate)).length, 0),
+            readingSessions: sessions.length,
+            averageSessionTime: this.calculateAverageSessionTime(sessions),
+            manga,
+            chaptersByManga
+        };
+    }
+
+    // Local calendar day as YYYY-MM-DD
+    getDayKey(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // Map of day key -> chapters read that day, for [from, to)
+    getDailyChapterCounts(from, to) {
+        const counts = new Map();
+        this.getChapterReads(from, to).forEach(read => {
+            const key = this.getDayKey(read.date);
+            counts.set(key, (counts.get(key) || 0) + read.count);
+        });
+        return counts;
+    }
+
+    // Reading streaks. A day counts once settings.streakMinChapters chapters
+    // were read; progress updates and finished sessions both feed the chapter
+    // log. Up to settings.streakFreezeDays missed days per week keep a streak
+    // alive without adding to it. Today only counts once it qualifies, so a
+    // streak isn't lost before the day is over.
+    getStreaks(today = new Date()) {
+        const minChapters = Math.max(this.data.settings.streakMinChapters || 1, 1);
+        const freezeDays = this.data.settings.streakFreezeDays || 0;
+        const first = this.getFirstActivityDate();
+        const end = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        const counts = this.getDailyChapterCounts(new Date(first.getFullYear(), first.getMonth(), first.getDate()), new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1));
+
+        let current = 0;
+        let longest = 0;
+        let week = null;
+        let frozen = 0;
+        for (let day = new Date(first.getFullYear(), first.getMonth(), first.getDate()); day <= end; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+            const weekKey = this.getDayKey(this.getStartOfWeek(day));
+            if (weekKey !== week) {
+                week = weekKey;
+                frozen = 0;
+            }
+
+            if ((counts.get(this.getDayKey(day)) || 0) >= minChapters) {
+                current++;
+                longest = Math.max(longest, current);
+            } else if (day < end) {
+                if (current > 0 && frozen < freezeDays) {
+                    frozen++;
+                } else {
+                    current = 0;
+                }
+            }
+        }
+
+        return {
+            current,
+            longest,
+            readToday: (counts.get(this.getDayKey(end)) || 0) >= minChapters,
+            freezesLeft: Math.max(freezeDays - frozen, 0)
+        };
+    }
+
+    // What was read on one day: chapters per manga from the log, and the
+    // reading sessions finished that day
+    getDayActivity(date) {
+        const from = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const to = new Date(from.getFullYear(), from.getMonth(), from.getDate() + 1);
+        const inRange = value => {
+            const time = value && new Date(value);
+            return Boolean(time) && time >= from && time < to;
+        };
+
+        const chaptersByManga = new Map();
+        this.data.chapterLog.filter(entry => inRange(entry.readAt)).forEach(entry => {
+            if (!chaptersByManga.has(entry.mangaId)) chaptersByManga.set(entry.mangaId, []);
+            chaptersByManga.get(entry.mangaId).push(entry.chapter);
+        });
+
+        return {
+            total: this.countChaptersRead(from, to),
+            manga: [...chaptersByManga]
+                .map(([mangaId, chapters]) => ({ manga: this.getManga(mangaId), chapters: chapters.sort((a, b) => a - b) }))
+                .filter(item => item.manga),
+            sessions: this.data.readingSessions.filter(s => !s.active && inRange(s.endTime))
+        };
+    }
+
+    // Earliest date anything was recorded, for "all time" ranges
+    getFirstActivityDate() {
+        const dates = [
+            ...this.data.manga.map(m => m.createdAt),
+            ...this.data.chapterLog.map(entry => entry.readAt),
+            ...this.data.readingSessions.map(s => s.startTime)
+        ].filter(date => date).map(date => new Date(date));
+        return dates.reduce((earliest, date) => date < earliest ? date : earliest, new Date());
+    }
+
+    // Re-reads. The first read lives on the manga itself (currentChapter,
+    // currentVolume, startDate, endDate); each later pass is { pass, startDate,
+    // endDate, currentChapter, currentVolume } in manga.rereads, pass 2 being the first re-read.
+    // Imported passes that are known to be finished but not when carry dateUnknown
+    // instead of an endDate. The unfinished pass is the one in progress.
+    static isFinishedReread(reread) {
+        return Boolean(reread.endDate || reread.dateUnknown);
+    }
+
+    getActiveReread(manga) {
+        return (manga.rereads || []).find(r => !MangaTracker.isFinishedReread(r)) || null;
+    }
+
+    getCurrentPass(manga) {
+        const reread = this.getActiveReread(manga);
+        return reread ? reread.pass : 1;
+    }
+
+    // Progress in the pass being read
+    getProgress(manga) {
+        const reread = this.getActiveReread(manga);
+        return reread ? reread.currentChapter : manga.currentChapter;
+    }
+
+    getVolumeProgress(manga) {
+        const reread = this.getActiveReread(manga);
+        return (reread ? reread.currentVolume : manga.currentVolume) || 0;
+    }
+
+    // Share of the series read in the current pass: by chapters when the total
+    // is known, otherwise by volumes, otherwise null
+    getCompletion(manga) {
+        if (manga.totalChapters) return Math.min(this.getProgress(manga) / manga.totalChapters, 1);
+        if (manga.totalVolumes) return Math.min(this.getVolumeProgress(manga) / manga.totalVolumes, 1);
+        return null;
+    }
+
+    // Whether chapter/volume progress reaches the end of the series
+    reachesEnd(manga, chapter, volume = null) {
+        if (manga.totalChapters) return chapter >= manga.totalChapters;
+        return Boolean(manga.totalVolumes && volume !== null && volume >= manga.totalVolumes);
+    }
+
+    // Move progress in the current pass to chapter (and volume, unless null),
+    // along with any other updates. A re-read reaching the end is finished;
+    // returns whether that happened.
+    setProgress(mangaId, chapter, updates = {}, volume = null) {
+        const manga = this.getManga(mangaId);
+        if (!manga) return false;
+
+        const progress = { currentChapter: chapter };
+        if (volume !== null) progress.currentVolume = volume;
+
+        const reread = this.getActiveReread(manga);
+        if (!reread) {
+            this.updateManga(mangaId, { ...updates, ...progress });
+            return false;
+        }
+
+        const finished = this.reachesEnd(manga, chapter, volume ?? reread.currentVolume ?? 0);
+        const updated = { ...reread, ...progress, endDate: finished ? new Date().toISOString() : null };
+        this.updateManga(mangaId, { ...updates, rereads: manga.rereads.map(r => r === reread ? updated : r) });
+        if (finished) {
+            this.addToHistory(mangaId, 'completed', { title: manga.title, pass: reread.pass, chapter });
+        }
+        return finished;
+    }
+
+    startReread(mangaId) {
+        return this.runCommand('Start re-read', () => {
+            const manga = this.getManga(mangaId);
+            if (!manga) return null;
+            if (manga.status !== 'completed') {
+                throw new Error(`"${manga.title}" has to be completed before it can be re-read`);
+            }
+            if (this.getActiveReread(manga)) {
+                throw new Error(`"${manga.title}" is already being re-read`);
+            }
+
+            const rereads = manga.rereads || [];
+            const reread = {
+                pass: rereads.length + 2,
+                startDate: new Date().toISOString(),
+                endDate: null,
+                currentChapter: 0,
+                currentVolume: 0
+            };
+            this.updateManga(mangaId, { rereads: [...rereads, reread] });
+            this.addToHistory(mangaId, 'reread_started', { title: manga.title, pass: reread.pass });
+            return reread;
+        });
+    }
+
+    // Stop the re-read in progress where it is; its progress is kept
+    finishReread(mangaId) {
+        return this.runCommand('Finish re-read', () => {
+            const manga = this.getManga(mangaId);
+            const reread = manga && this.getActiveReread(manga);
+            if (!reread) return null;
+
+            const finished = { ...reread, endDate: new Date().toISOString() };
+            this.updateManga(mangaId, { rereads: manga.rereads.map(r => r === reread ? finished : r) });
+            this.addToHistory(mangaId, 'completed', {
+                title: manga.title,
+                pass: reread.pass,
+                chapter: reread.currentChapter
+            });
+            return finished;
+        });
+    }
+
+    // Chapter log. Each read chapter is { id, mangaId, chapter, readAt, sessionId,
+    // pass, volume }, volume being set when the progress update named one.
+    // Chapters up to manga.chaptersBeforeLog were read before logging began and
+    // count as read in the first pass, without a date. Entries without a pass
+    // predate re-reads and belong to the first. Chapter numbers can be
+    // fractional (10.5 for an extra); only whole chapters count as gaps.
+    getChapterLog(mangaId) {
+        return this.data.chapterLog
+            .filter(entry => entry.mangaId === mangaId)
+            .sort((a, b) => new Date(b.readAt || 0) - new Date(a.readAt || 0));
+    }
+
+    // Chapters read in a pass, the current one by default
+    getReadChapters(mangaId, pass = null) {
+        const manga = this.getManga(mangaId);
+        const read = new Set();
+        if (!manga) return read;
+
+        pass = pass || this.getCurrentPass(manga);
+        if (pass === 1) {
+            this.chaptersBetween(0, manga.chaptersBeforeLog || 0).forEach(chapter => read.add(chapter));
+        }
+        this.data.chapterLog.forEach(entry => {
+            if (entry.mangaId === mangaId && (entry.pass || 1) === pass) read.add(entry.chapter);
+        });
+        return read;
+    }
+
+    // { read, gaps } as lists of [first, last] ranges, and the unread tail up
+    // to totalChapters (or null when the total is unknown or everything is read)
+    getChapterRanges(mangaId, pass = null) {
+        const manga = this.getManga(mangaId);
+        const read = this.getReadChapters(mangaId, pass);
+        const highest = Math.max(0, ...read);
+
+        // A range continues as long as no whole chapter is missing, so 10, 10.5, 11 is one range
+        const toRanges = chapters => chapters.reduce((ranges, chapter) => {
+            const last = ranges[ranges.length - 1];
+            if (last && chapter <= Math.floor(last[1]) + 1) {
+                last[1] = chapter;
+            } else {
+                ranges.push([chapter, chapter]);
+            }
+            return ranges;
+        }, []);
+
+        const gaps = [];
+        for (let chapter = 1; chapter < highest; chapter++) {
+            if (!read.has(chapter)) gaps.push(chapter);
+        }
+
+        return {
+            read: toRanges([...read].sort((a, b) => a - b)),
+            gaps: toRanges(gaps),
+            unread: manga && manga.totalChapters > highest ? [Math.floor(highest) + 1, manga.totalChapters] : null
+        };
+    }
+
+    // Chapters passed when progress moves from one chapter to another: the
+    // whole chapters after from, up to to, plus to itself when it is an extra
+    chaptersBetween(from, to) {
+        const chapters = [];
+        for (let chapter = Math.floor(from) + 1; chapter <= to; chapter++) chapters.push(chapter);
+        if (!Number.isInteger(to) && to > from) chapters.push(to);
+        return chapters;
+    }
+
+    // Log the chapters passed moving progress from -> to as read now; chapters
+    // already read are left alone
+    logProgress(mangaId, from, to, options = {}) {
+        return this.logChapters(mangaId, this.chaptersBetween(from, to), options);
+    }
+
+    logChapters(mangaId, chapters, { sessionId = null, readAt = new Date().toISOString(), pass = null, volume = null } = {}) {
+        const manga = this.getManga(mangaId);
+        if (!manga) return 0;
+        pass = pass || this.getCurrentPass(manga);
+
+        const read = this.getReadChapters(mangaId, pass);
+        const entries = chapters
+            .filter(chapter => !read.has(chapter))
+            .map(chapter => ({ id: this.generateId(), mangaId, chapter, readAt, sessionId, pass, volume }));
+
+        entries.forEach(entry => {
+            this.data.chapterLog.push(entry);
+            this.recordChange('chapterLog', null, entry);
+            this.saveRecord('chapterLog', entry);
+        });
+        return entries.length;
+    }
+
+    // Mark chapters read from the per-series view; progress moves up if needed
+    markChaptersRead(mangaId, chapters) {
+        return this.runCommand('Mark chapters read', () => {
+            const manga = this.getManga(mangaId);
+            if (!manga || chapters.length === 0) return 0;
+
+            const count = this.logChapters(mangaId, chapters);
+            const highest = Math.max(...chapters);
+            if (highest > this.getProgress(manga)) {
+                this.setProgress(mangaId, highest, { lastRead: new Date().toISOString() });
+            }
+            return count;
+        });
+    }
+
+    // Progress drops to the highest chapter still read
+    markChaptersUnread(mangaId, chapters) {
+        return this.runCommand('Mark chapters unread', () => {
+            const manga = this.getManga(mangaId);
+            if (!manga || chapters.length === 0) return 0;
+
+            const unread = new Set(chapters);
+            const pass = this.getCurrentPass(manga);
+            const before = this.getReadChapters(mangaId, pass);
+
+            // Split the undated baseline: what stays read above the cut gets its own entries
+            const baseline = pass === 1 ? this.chaptersBetween(0, manga.chaptersBeforeLog || 0) : [];
+            const cut = Math.min(...baseline.filter(chapter => unread.has(chapter)));
+            if (cut !== Infinity) {
+                const kept = baseline.filter(chapter => chapter > cut && !unread.has(chapter));
+                this.updateManga(mangaId, { chaptersBeforeLog: Math.ceil(cut) - 1 });
+                this.logChapters(mangaId, kept, { readAt: null });
+            }
+
+            const removed = this.data.chapterLog.filter(entry =>
+                entry.mangaId === mangaId && (entry.pass || 1) === pass && unread.has(entry.chapter));
+            removed.forEach(entry => this.recordChange('chapterLog', entry, null));
+            this.data.chapterLog = this.data.chapterLog.filter(entry => !removed.includes(entry));
+            this.removeRecords('chapterLog', removed.map(entry => entry.id));
+
+            const highest = Math.max(0, ...this.getReadChapters(mangaId, pass));
+            if (highest !== this.getProgress(manga)) {
+                this.setProgress(mangaId, highest);
+            }
+            return chapters.filter(chapter => before.has(chapter)).length;
+        });
+    }
+
+    // Search and filter operations
+    // query uses the MangaQuery syntax; throws if it is malformed. Results are
+    // ranked by relevance when the query has free text, otherwise in library order.
+    searchManga(query, filters = {}) {
+        let results = this.data.manga;
+        
+        // Text search
+        if (query && query.trim()) {
+            const parsed = this.query.parse(query);
+            // Text like "!!!" normalizes to no words at all and filters nothing
+            const text = parsed.text.join(' ');
+            const textMatches = this.searchIndex.tokenize(text).length > 0 ? this.searchIndex.search(text) : null;
+            const matches = this.query.compile(parsed, {
+                expandTag: tag => this.getKnownTags()
+                    .filter(name => name.toLowerCase() === tag)
+                    .flatMap(name => this.getTagDescendants(name)),
+                ratingScale: this.data.settings.ratingScale,
+                textMatches,
+                normalize: text => this.searchIndex.normalize(text)
+            });
+            results = results.filter(matches);
+            if (textMatches) {
+                results.sort((a, b) => (textMatches.get(b.id) - textMatches.get(a.id)) || a.title.localeCompare(b.title));
+            }
+        }
+        
+        // Apply filters
+        if (filters.status) {
+            results = results.filter(manga => manga.status === filters.status);
+        }
+        
+        if (filters.type) {
+            results = results.filter(manga => manga.type === filters.type);
+        }
+        
+        if (filters.tags && filters.tags.length > 0) {
+            // A parent tag also matches manga tagged with any of its sub-tags
+            const wanted = new Set(filters.tags.flatMap(tag => this.getTagDescendants(tag)));
+            results = results.filter(manga => 
+                manga.tags.some(tag => wanted.has(tag))
+            );
+        }
+        
+        return results;
+    }
+
+    // Tag operations
+    // data.tags lists known tags; data.tagInfo holds optional { color, parent } per tag
+    registerTags(tags) {
+        const added = tags.filter(tag => !this.data.tags.includes(tag));
+        if (added.length > 0) {
+            this.data.tags.push(...added);
+            this.saveMeta('tags');
+        }
+    }
+
+    getKnownTags() {
+        return [...this.getTagUsage().keys()];
+    }
+
+    getTagUsage() {
+        const usage = new Map(this.data.tags.map(tag => [tag, 0]));
+        this.data.manga.forEach(manga => {
+            manga.tags.forEach(tag => usage.set(tag, (usage.get(tag) || 0) + 1));
+        });
+        return usage;
+    }
+
+    getTagParent(tag) {
+        const info = this.data.tagInfo[tag];
+        return info && info.parent ? info.parent : null;
+    }
+
+    getTagColor(tag) {
+        const info = this.data.tagInfo[tag];
+        return info && MangaTracker.isTagColor(info.color) ? info.color : null;
+    }
+
+    // Tag colors end up in style and value attributes, so only #rrggbb is kept
+    static isTagColor(color) {
+        return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color);
+    }
+
+    getTagChildren(tag) {
+        return Object.keys(this.data.tagInfo).filter(name => this.getTagParent(name) === tag);
+    }
+
+    // The tag itself plus every tag nested below it
+    getTagDescendants(tag) {
+        const result = [tag];
+        for (let i = 0; i < result.length; i++) {
+            this.getTagChildren(result[i]).forEach(child => {
+                if (!result.includes(child)) result.push(child);
+            });
+        }
+        return result;
+    }
+
+    // e.g. ['Fantasy', 'Isekai']
+    getTagPath(tag) {
+        const path = [tag];
+        let parent = this.getTagParent(tag);
+        while (parent && !path.includes(parent)) {
+            path.unshift(parent);
+            parent = this.getTagParent(parent);
+        }
+        return path;
+    }
+
+    // Depth-first list of { name, depth, count } with siblings sorted by name
+    getTagTree() {
+        const usage = this.getTagUsage();
+        const names = [...usage.keys()];
+        const byName = (a, b) => a.localeCompare(b);
+        const tree = [];
+        const visit = (name, depth) => {
+            tree.push({ name, depth, count: usage.get(name) });
+            names.filter(child => this.getTagParent(child) === name).sort(byName).forEach(child => visit(child, depth + 1));
+        };
+        names.filter(name => !this.getTagParent(name) || !usage.has(this.getTagParent(name)))
+            .sort(byName)
+            .forEach(name => visit(name, 0));
+        return tree;
+    }
+
+    updateTagInfo(tag, updates) {
+        const info = { ...this.data.tagInfo[tag], ...updates };
+        if (!MangaTracker.isTagColor(info.color)) delete info.color;
+        Object.keys(info).forEach(key => {
+            if (!info[key]) delete info[key];
+        });
+        if (Object.keys(info).length > 0) {
+            this.data.tagInfo[tag] = info;
+        } else {
+            delete this.data.tagInfo[tag];
+        }
+        this.saveMeta('tagInfo');
+    }
+
+    setTagColor(tag, color) {
+        this.updateTagInfo(tag, { color });
+    }
+
+    setTagParent(tag, parent) {
+        if (parent && this.getTagDescendants(tag).includes(parent)) {
+            throw new Error(`"${parent}" is nested under "${tag}"`);
+        }
+        this.updateTagInfo(tag, { parent });
+    }
+
+    // Renaming onto an existing tag merges the two
+    renameTag(oldName, newName) {
+        newName = newName.trim();
+        if (!newName) throw new Error('Tag name cannot be empty');
+        if (newName === oldName) return 0;
+
+        const affected = this.data.manga.filter(manga => manga.tags.includes(oldName));
+        this.runCommand('Rename tag', () => this.recordMetaChanges(['tags', 'tagInfo', 'smartLists'], () => {
+            affected.forEach(manga => {
+                const tags = [...new Set(manga.tags.map(tag => tag === oldName ? newName : tag))];
+                this.updateManga(manga.id, { tags });
+            });
+
+            this.data.tags = [...new Set(this.data.tags.map(tag => tag === oldName ? newName : tag))];
+            if (!this.data.tags.includes(newName)) this.data.tags.push(newName);
+            this.saveMeta('tags');
+
+            const oldInfo = this.data.tagInfo[oldName];
+            delete this.data.tagInfo[oldName];
+            if (oldInfo) {
+                this.data.tagInfo[newName] = { ...oldInfo, ...this.data.tagInfo[newName] };
+            }
+            Object.values(this.data.tagInfo).forEach(info => {
+                if (info.parent === oldName) info.parent = newName;
+            });
+            this.replaceSmartListTag(oldName, newName);
+            // Merging can leave the tag nested under itself
+            const parent = this.getTagParent(newName);
+            if (parent && (parent === newName || this.getTagDescendants(newName).includes(parent))) {
+                this.updateTagInfo(newName, { parent: null });
+            } else {
+                this.saveMeta('tagInfo');
+            }
+        }));
+
+        return affected.length;
+    }
+
+    mergeTags(sources, target) {
+        return this.runCommand('Merge tags', () => sources
+            .filter(source => source !== target)
+            .reduce((count, source) => count + this.renameTag(source, target), 0));
+    }
+
+    // Remove a tag everywhere; its sub-tags move up to its parent
+    deleteTag(tag) {
+        const affected = this.data.manga.filter(manga => manga.tags.includes(tag));
+        this.runCommand('Delete tag', () => this.recordMetaChanges(['tags', 'tagInfo', 'smartLists'], () => {
+            affected.forEach(manga => {
+                this.updateManga(manga.id, { tags: manga.tags.filter(t => t !== tag) });
+            });
+
+            this.data.tags = this.data.tags.filter(t => t !== tag);
+            this.saveMeta('tags');
+
+            const parent = this.getTagParent(tag);
+            delete this.data.tagInfo[tag];
+            this.getTagChildren(tag).forEach(child => this.updateTagInfo(child, { parent }));
+            this.saveMeta('tagInfo');
+            this.replaceSmartListTag(tag, null);
+        }));
+
+        return affected.length;
+    }
+
+    // Smart lists are saved searches: { id, name, query, status, type, tags, sortBy }.
+    // Their contents are computed on demand, so they always reflect the current library.
+    getSmartLists() {
+        return this.data.smartLists;
+    }
+
+    getSmartList(id) {
+        return this.data.smartLists.find(list => list.id === id);
+    }
+
+    createSmartList(name, criteria) {
+        const list = {
+            id: this.generateId(),
+            ...this.validateSmartList({ name, ...criteria }),
+            createdAt: new Date().toISOString()
+        };
+        this.data.smartLists.push(list);
+        this.saveMeta('smartLists');
+        return list;
+    }
+
+    updateSmartList(id, updates) {
+        const list = this.getSmartList(id);
+        if (!list) throw new Error('Smart list not found');
+
+        Object.assign(list, this.validateSmartList({ ...list, ...updates }, id));
+        this.saveMeta('smartLists');
+        return list;
+    }
+
+    deleteSmartList(id) {
+        this.data.smartLists = this.data.smartLists.filter(list => list.id !== id);
+        this.saveMeta('smartLists');
+    }
+
+    validateSmartList(list, id = null, smartLists = this.data.smartLists) {
+        const name = String(list.name || '').trim();
+        if (!name) throw new Error('Smart list name cannot be empty');
+        if (smartLists.some(other => other.id !== id && other.name.toLowerCase() === name.toLowerCase())) {
+            throw new Error(`A smart list named "${name}" already exists`);
+        }
+
+        const query = String(list.query || '').trim();
+        this.query.parse(query); // throws if malformed
+
+        return {
+            name,
+            query,
+            status: list.status || '',
+            type: list.type || '',
+            tags: [...(list.tags || [])],
+            sortBy: list.sortBy || 'relevance'
+        };
+    }
+
+    // Names must be unique within the file; the other fields are checked by
+    // type, since the list views assume strings and a list of tag names
+    validateImportedSmartList(list, smartLists) {
+        if (!list || typeof list !== 'object') throw new Error('Not a smart list');
+        const isString = value => value === undefined || typeof value === 'string';
+        if (!['name', 'query', 'status', 'type', 'sortBy'].every(field => isString(list[field]))
+            || (list.tags !== undefined && !(Array.isArray(list.tags) && list.tags.every(tag => typeof tag === 'string')))) {
+            throw new Error('Not a smart list');
+        }
+        const createdAt = typeof list.createdAt === 'string' && !isNaN(new Date(list.createdAt))
+            ? list.createdAt
+            : new Date().toISOString();
+        return { id: list.id, ...this.validateSmartList(list, null, smartLists), createdAt };
+    }
+
+    // name, or "name (2)", "name (3)", ... if a smart list already uses it
+    getUnusedSmartListName(name) {
+        const taken = new Set(this.data.smartLists.map(list => list.name.toLowerCase()));
+        let unused = name;
+        for (let n = 2; taken.has(unused.toLowerCase()); n++) unused = `${name} (${n})`;
+        return unused;
+    }
+
+    // Unsorted matches; the UI applies the list's sortBy
+    getSmartListManga(id) {
+        const list = this.getSmartList(id);
+        if (!list) return [];
+        return this.searchManga(list.query, { status: list.status, type: list.type, tags: list.tags });
+    }
+
+    // Collections are hand-ordered lists: { id, name, description, mangaIds }.
+    // A manga can be in any number of them. Trashed manga keep their place so a
+    // restore puts them back; ids of purged manga are pruned on startup.
+    getCollections() {
+        return this.data.collections;
+    }
+
+    getCollection(id) {
+        return this.data.collections.find(collection => collection.id === id);
+    }
+
+    // Manga in collection order, skipping any that are in the trash
+    getCollectionManga(id) {
+        const collection = this.getCollection(id);
+        if (!collection) return [];
+        return collection.mangaIds.map(mangaId => this.getManga(mangaId)).filter(manga => manga);
+    }
+
+    getMangaCollections(mangaId) {
+        return this.data.collections.filter(collection => collection.mangaIds.includes(mangaId));
+    }
+
+    createCollection(name, description = '') {
+        const now = new Date().toISOString();
+        const collection = {
+            id: this.generateId(),
+            name: this.validateCollectionName(name),
+            description: description.trim(),
+            mangaIds: [],
+            createdAt: now,
+            updatedAt: now
+        };
+        this.changeCollections('Create collection', () => this.data.collections.push(collection));
+        return collection;
+    }
+
+    updateCollection(id, updates) {
+        const collection = this.getCollection(id);
+        if (!collection) throw new Error('Collection not found');
+
+        const name = updates.name !== undefined ? this.validateCollectionName(updates.name, id) : collection.name;
+        this.changeCollections('Edit collection', () => {
+            collection.name = name;
+            if (updates.description !== undefined) collection.description = updates.description.trim();
+            if (updates.mangaIds !== undefined) collection.mangaIds = [...new Set(updates.mangaIds)];
+            collection.updatedAt = new Date().toISOString();
+        });
+        return collection;
+    }
+
+    deleteCollection(id) {
+        this.changeCollections('Delete collection', () => {
+            this.data.collections = this.data.collections.filter(collection => collection.id !== id);
+        });
+    }
+
+    // Collections are saved whole, so each change is one meta undo step
+    changeCollections(label, action) {
+        return this.runCommand(label, () => this.recordMetaChanges(['collections'], () => {
+            const result = action();
+            this.saveMeta('collections');
+            return result;
+        }));
+    }
+
+    validateCollectionName(name, id = null) {
+        name = String(name || '').trim();
+        if (!name) throw new Error('Collection name cannot be empty');
+        if (this.data.collections.some(other => other.id !== id && other.name.toLowerCase() === name.toLowerCase())) {
+            throw new Error(`A collection named "${name}" already exists`);
+        }
+        return name;
+    }
+
+    addToCollection(id, mangaId) {
+        const collection = this.getCollection(id);
+        if (!collection || collection.mangaIds.includes(mangaId)) return false;
+        this.runCommand('Add to collection', () => this.updateCollection(id, { mangaIds: [...collection.mangaIds, mangaId] }));
+        return true;
+    }
+
+    removeFromCollection(id, mangaId) {
+        const collection = this.getCollection(id);
+        if (!collection) return;
+        this.runCommand('Remove from collection', () => this.updateCollection(id, { mangaIds: collection.mangaIds.filter(m => m !== mangaId) }));
+    }
+
+    // Place mangaId just before beforeId, or at the end when beforeId is null
+    moveInCollection(id, mangaId, beforeId = null) {
+        const collection = this.getCollection(id);
+        if (!collection || mangaId === beforeId) return;
+
+        const mangaIds = collection.mangaIds.filter(m => m !== mangaId);
+        const index = beforeId ? mangaIds.indexOf(beforeId) : -1;
+        mangaIds.splice(index === -1 ? mangaIds.length : index, 0, mangaId);
+        this.runCommand('Reorder collection', () => this.updateCollection(id, { mangaIds }));
+    }
+
+    // Make mangaId a member of exactly the given collections
+    setMangaCollections(mangaId, collectionIds) {
+        this.runCommand('Change collections', () => this.data.collections.forEach(collection => {
+            const wanted = collectionIds.includes(collection.id);
+            if (wanted && !collection.mangaIds.includes(mangaId)) {
+                this.addToCollection(collection.id, mangaId);
+            } else if (!wanted && collection.mangaIds.includes(mangaId)) {
+                this.removeFromCollection(collection.id, mangaId);
+            }
+        }));
+    }
+
+    // Drop ids that are neither in the library nor in the trash
+    pruneCollections() {
+        const known = new Set([...this.data.manga, ...this.data.trash].map(item => item.id));
+        let changed = false;
+        this.data.collections.forEach(collection => {
+            const mangaIds = collection.mangaIds.filter(mangaId => known.has(mangaId));
+            if (mangaIds.length !== collection.mangaIds.length) {
+                collection.mangaIds = mangaIds;
+                changed = true;
+            }
+        });
+        if (changed) this.saveMeta('collections');
+    }
+
+    // Goals: { id, kind, period, target, mangaId, dueDate, history }. kind is
+    // 'chapters' (read target chapters a day/week/month/year), 'series' (finish
+    // target series a month/year), 'challenge' (read from target different
+    // series in a year) or 'deadline' (finish mangaId by dueDate, YYYY-MM-DD).
+    // history holds { start, end, value, target, met } for finished periods;
+    // a deadline gets one entry once it is met or missed.
+    getGoals() {
+        return this.data.goals;
+    }
+
+    getGoal(id) {
+        return this.data.goals.find(goal => goal.id === id);
+    }
+
+    createGoal(fields) {
+        const validated = this.validateGoal(fields);
+        this.checkDeadlineIsOpen(validated);
+
+        const now = new Date().toISOString();
+        const goal = {
+            id: this.generateId(),
+            ...validated,
+            history: [],
+            createdAt: now,
+            updatedAt: now
+        };
+        this.data.goals.push(goal);
+        this.nextGoalClose = null;
+        this.saveMeta('goals');
+        return goal;
+    }
+
+    // Past periods only stay comparable while the kind and period do, so
+    // changing either (or what a deadline is for) starts the history over
+    updateGoal(id, updates) {
+        const goal = this.getGoal(id);
+        if (!goal) throw new Error('Goal not found');
+
+        const fields = this.validateGoal({ ...goal, ...updates });
+        if (['kind', 'period', 'mangaId', 'dueDate'].some(key => fields[key] !== goal[key])) {
+            this.checkDeadlineIsOpen(fields);
+            goal.history = [];
+            goal.createdAt = new Date().toISOString();
+        }
+        Object.assign(goal, fields, { updatedAt: new Date().toISOString() });
+        this.nextGoalClose = null;
+        this.saveMeta('goals');
+        return goal;
+    }
+
+    // A deadline that is new or starts over can't be settled already
+    checkDeadlineIsOpen({ kind, mangaId, dueDate }) {
+        if (kind !== 'deadline') return;
+        const manga = this.getManga(mangaId);
+        if (manga.status === 'completed') throw new Error(`"${manga.title}" is already finished`);
+        if (dueDate < this.getDayKey(new Date())) throw new Error('The due date has already passed');
+    }
+
+    deleteGoal(id) {
+        this.data.goals = this.data.goals.filter(goal => goal.id !== id);
+        this.nextGoalClose = null;
+        this.saveMeta('goals');
+    }
+
+    // The stored fields of a goal; throws an Error explaining what's wrong.
+    // Deadlines are checked against mangaList, which an import passes in.
+    validateGoal({ kind, period, target, mangaId, dueDate }, mangaList = this.data.manga) {
+        const periods = this.goalPeriods[kind];
+        if (!periods) throw new Error(`Unknown goal type "${kind}"`);
+
+        if (kind === 'deadline') {
+            const manga = mangaList.find(m => m.id === mangaId);
+            if (!manga) throw new Error('Choose a series for the deadline');
+            if (!manga.totalChapters) throw new Error(`Set the total chapters of "${manga.title}" before giving it a deadline`);
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(dueDate || '')) throw new Error('Choose a due date');
+            return { kind, period: null, target: null, mangaId, dueDate };
+        }
+
+        if (!periods.includes(period)) throw new Error(`This goal can't be set per ${period}`);
+        target = Number(target);
+        if (!Number.isInteger(target) || target < 1) throw new Error('A goal needs a whole number of at least 1');
+        return { kind, period, target, mangaId: null, dueDate: null };
+    }
+
+    // A goal from an export file with the fields createGoal() stores; missing
+    // dates start from now and missing history starts empty. Past periods go
+    // into the goal's HTML, so only those with valid dates and numbers are kept.
+    validateImportedGoal(goal, mangaList) {
+        if (!goal || typeof goal !== 'object') throw new Error('Not a goal');
+        const isDate = value => typeof value === 'string' && !isNaN(new Date(value));
+        const createdAt = isDate(goal.createdAt) ? goal.createdAt : new Date().toISOString();
+        const history = (Array.isArray(goal.history) ? goal.history : [])
+            .filter(entry => entry && isDate(entry.start) && isDate(entry.end) && Number.isFinite(entry.value) && Number.isFinite(entry.target))
+            .map(({ start, end, value, target, met }) => ({ start, end, value, target, met: met === true }));
+        return {
+            id: goal.id,
+            ...this.validateGoal(goal, mangaList),
+            history,
+            createdAt,
+            updatedAt: isDate(goal.updatedAt) ? goal.updatedAt : createdAt
+        };
+    }
+
+    // The period of goal that contains date, as [start, end)
+    getGoalPeriod(goal, date = new Date()) {
+        if (goal.kind === 'deadline') {
+            const [year, month, day] = goal.dueDate.split('-').map(Number);
+            return { start: new Date(goal.createdAt), end: new Date(year, month - 1, day + 1) };
+        }
+
+        const year = date.getFullYear();
+        const month = date.getMonth();
+        switch (goal.period) {
+            case 'day':
+                return { start: new Date(year, month, date.getDate()), end: new Date(year, month, date.getDate() + 1) };
+            case 'week': {
+                const start = this.getStartOfWeek(date);
+                return { start, end: new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7) };
+            }
+            case 'month':
+                return { start: new Date(year, month, 1), end: new Date(year, month + 1, 1) };
+            default:
+                return { start: new Date(year, 0, 1), end: new Date(year + 1, 0, 1) };
+        }
+    }
+
+    // What a periodic goal counts, over [from, to)
+    measureGoal(goal, from, to) {
+        const inRange = value => {
+            const date = value && new Date(value);
+            return Boolean(date) && date >= from && date < to;
+        };
+        switch (goal.kind) {
+            case 'series':
+                return this.data.manga.filter(m => m.status === 'completed' && inRange(m.endDate)).length;
+            case 'challenge':
+                return new Set(this.getChapterReads(from, to).filter(read => read.mangaId).map(read => read.mangaId)).size;
+            default:
+                return this.countChaptersRead(from, to);
+        }
+    }
+
+    // Progress in the current period and where it ends up at the current pace.
+    // status is 'met', 'on-track', 'behind', 'missed' (deadlines only) or
+    // 'missing' when a deadline's series is no longer in the library.
+    // Periodic goals project the count so far over the whole period; deadlines
+    // project a finish date from the series' last 30 days of reading.
+    getGoalProgress(goal, now = new Date()) {
+        const { start, end } = this.getGoalPeriod(goal, now);
+        if (goal.kind === 'deadline') return this.getDeadlineProgress(goal, start, end, now);
+
+        const value = this.measureGoal(goal, start, end);
+        const elapsed = Math.min(Math.max((now - start) / (end - start), 0), 1);
+        const projected = elapsed > 0 ? Math.round(value / elapsed) : value;
+        let status = 'behind';
+        if (value >= goal.target) status = 'met';
+        else if (projected >= goal.target) status = 'on-track';
+
+        return { value, target: goal.target, fraction: Math.min(value / goal.target, 1), start, end, projected, status };
+    }
+
+    getDeadlineProgress(goal, start, end, now) {
+        const manga = this.getManga(goal.mangaId);
+        if (!manga) return { value: 0, target: null, fraction: 0, start, end, projectedDate: null, status: 'missing' };
+
+        const target = manga.totalChapters;
+        const value = Math.min(this.getProgress(manga), target);
+        const finished = manga.status === 'completed' || value >= target;
+        const paceFrom = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+        const recent = this.data.chapterLog.filter(entry =>
+            entry.mangaId === manga.id && entry.readAt && new Date(entry.readAt) >= paceFrom
+        ).length;
+        const perDay = recent / 30;
+        const projectedDate = !finished && perDay > 0
+            ? new Date(now.getTime() + (target - value) / perDay * 24 * 60 * 60 * 1000)
+            : null;
+
+        let status = 'behind';
+        if (finished) status = !manga.endDate || new Date(manga.endDate) < end ? 'met' : 'missed';
+        else if (now >= end) status = 'missed';
+        else if (projectedDate && projectedDate < end) status = 'on-track';
+
+        return { value, target, fraction: finished ? 1 : value / target, start, end, projectedDate, status };
+    }
+
+    // Record every period that has ended since a goal was created or last
+    // closed, and settle deadlines that were met or missed. This runs on every
+    // navigation, so periodic goals are skipped until nextGoalClose, and chapter
+    // goals catching up on many periods share one pass over the chapter log.
+    closeGoalPeriods(now = new Date()) {
+        let changed = false;
+        this.data.goals.filter(goal => goal.kind === 'deadline').forEach(goal => {
+            if (goal.history.length > 0) return;
+            const progress = this.getGoalProgress(goal, now);
+            if (progress.status !== 'met' && progress.status !== 'missed') return;
+            goal.history.push({
+                start: progress.start.toISOString(),
+                end: progress.end.toISOString(),
+                value: progress.value,
+                target: progress.target,
+                met: progress.status === 'met'
+            });
+            changed = true;
+        });
+
+        if (!this.nextGoalClose || now >= this.nextGoalClose) {
+            let dailyCounts = null;
+            let nextClose = null;
+            this.data.goals.filter(goal => goal.kind !== 'deadline').forEach(goal => {
+                const last = goal.history[goal.history.length - 1];
+                let period = this.getGoalPeriod(goal, new Date(last ? last.end : goal.createdAt));
+                while (period.end <= now) {
+                    let value;
+                    if (goal.kind === 'chapters') {
+                        dailyCounts = dailyCounts || this.getDailyChapterCounts(new Date(0), now);
+                        value = this.sumDailyCounts(dailyCounts, period.start, period.end);
+                    } else {
+                        value = this.measureGoal(goal, period.start, period.end);
+                    }
+                    goal.history.push({
+                        start: period.start.toISOString(),
+                        end: period.end.toISOString(),
+                        value,
+                        target: goal.target,
+                        met: value >= goal.target
+                    });
+                    period = this.getGoalPeriod(goal, period.end);
+                    changed = true;
+                }
+                if (goal.history.length > this.goalHistoryLimit) {
+                    goal.history = goal.history.slice(-this.goalHistoryLimit);
+                }
+                if (!nextClose || period.end < nextClose) nextClose = period.end;
+            });
+            this.nextGoalClose = nextClose;
+        }
+
+        if (changed) this.saveMeta('goals');
+        return changed;
+    }
+
+    // Chapters in [from, to) from getDailyChapterCounts(); both are local midnights
+    sumDailyCounts(counts, from, to) {
+        let sum = 0;
+        for (let day = new Date(from); day < to; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+            sum += counts.get(this.getDayKey(day)) || 0;
+        }
+        return sum;
+    }
+
+    // Keep saved tag filters pointing at renamed tags; newName null drops the tag
+    replaceSmartListTag(oldName, newName) {
+        let changed = false;
+        this.data.smartLists.forEach(list => {
+            if (!list.tags.includes(oldName)) return;
+            list.tags = [...new Set(list.tags.map(tag => tag === oldName ? newName : tag))].filter(tag => tag);
+            changed = true;
+        });
+        if (changed) this.saveMeta('smartLists');
+    }
+
+    // Bookmark operations
+    addBookmark(mangaId, chapterNumber, note = '') {
+        const bookmark = {
+            id: this.generateId(),
+            mangaId: mangaId,
+            chapterNumber: chapterNumber,
+            note: note,
+            createdAt: new Date().toISOString()
+        };
+        
+        this.data.bookmarks.push(bookmark);
+        this.saveRecord('bookmarks', bookmark);
+        return bookmark;
+    }
+
+    updateBookmark(id, updates) {
+        const bookmark = this.data.bookmarks.find(b => b.id === id);
+        if (bookmark) {
+            Object.assign(bookmark, updates);
+            this.saveRecord('bookmarks', bookmark);
+            return bookmark;
+        }
+        return null;
+    }
+
+    removeBookmark(id) {
+        const index = this.data.bookmarks.findIndex(b => b.id === id);
+        if (index !== -1) {
+            const deleted = this.data.bookmarks.splice(index, 1)[0];
+            this.removeRecords('bookmarks', [id]);
+            return deleted;
+        }
+        return null;
+    }
+
+    // Bookmarks left behind by manga deleted before deleteManga cleaned them up
+    removeOrphanedBookmarks() {
+        const mangaIds = new Set(this.data.manga.map(m => m.id));
+        const orphaned = this.data.bookmarks.filter(b => !mangaIds.has(b.mangaId));
+        this.data.bookmarks = this.data.bookmarks.filter(b => mangaIds.has(b.mangaId));
+        this.removeRecords('bookmarks', orphaned.map(b => b.id));
+        return orphaned.length;
+    }
+
+    // History operations
+    addToHistory(mangaId, action, details = {}) {
+        const historyEntry = {
+            id: this.generateId(),
+            mangaId: mangaId,
+            action: action, // 'read', 'progress_update', 'added', 'completed', 'updated', 'deleted'
+            details: details,
+            timestamp: new Date().toISOString()
+        };
+        
+        this.data.history.unshift(historyEntry); // Add to beginning
+        this.recordChange('history', null, historyEntry);
+        this.saveRecord('history', historyEntry);
+        this.trimHistory();
+
+        return historyEntry;
+    }
+
+    // Newest first; ties broken by id to match the archive's index order
+    static compareHistory(a, b) {
+        if (a.timestamp !== b.timestamp) return a.timestamp < b.timestamp ? 1 : -1;
+        return a.id < b.id ? 1 : a.id > b.id ? -1 : 0;
+    }
+
+    // Move entries beyond the in-memory window into the archive store
+    trimHistory() {
+        if (this.data.history.length <= this.historyWindow) return Promise.resolve();
+
+        const archived = this.data.history.splice(this.historyWindow);
+        if (!this.storage) return Promise.resolve();
+        return this.storage.move('history', 'historyArchive', archived)
+            .catch(error => this.handleStorageError(error));
+    }
+
+    async getArchivedHistory() {
+        if (!this.storage) return [];
+        const archived = await this.storage.getAll('historyArchive');
+        return archived.sort(MangaTracker.compareHistory);
+    }
+
+    // Filter categories shown in the History view
+    getHistoryCategory(action) {
+        return ['progress_update', 'reread_started'].includes(action) ? 'read' : action;
+    }
+
+    // filters: { action, mangaId, from, to } with from/to as YYYY-MM-DD local dates
+    buildHistoryFilter(filters, before) {
+        const from = filters.from ? new Date(`${filters.from}T00:00:00`) : null;
+        const to = filters.to ? new Date(`${filters.to}T23:59:59.999`) : null;
+
+        return entry => {
+            if (filters.action && this.getHistoryCategory(entry.action) !== filters.action) return false;
+            if (filters.mangaId && entry.mangaId !== filters.mangaId) return false;
+
+            const time = new Date(entry.timestamp);
+            if (from && time < from) return false;
+            if (to && time > to) return false;
+
+            // Keyset paging: only entries that sort after the last one already shown
+            if (before && MangaTracker.compareHistory(before, entry) >= 0) return false;
+            return true;
+        };
+    }
+
+    // Page through the in-memory window first, then the archive, newest first
+    async queryHistory(filters = {}, { before = null, limit = 50 } = {}) {
+        const matches = this.buildHistoryFilter(filters, before);
+        const entries = this.data.history.filter(matches);
+
+        if (entries.length <= limit && this.storage) {
+            const lower = filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : null;
+            const upperBounds = [
+                filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : null,
+                before ? before.timestamp : null
+            ].filter(bound => bound).sort();
+            const upper = upperBounds[0] || null;
+
+            const emptyRange = lower && upper && lower > upper;
+
+            if (!emptyRange) {
+                const range = this.storage.keyRange(lower, upper);
+                // Entries sharing a timestamp can straddle the window, so collect
+                // a full page from the archive and merge by sort order below
+                const seen = new Set(entries.map(entry => entry.id));
+                let archivedCount = 0;
+                await this.storage.iterate('historyArchive', 'timestamp', range, 'prev', entry => {
+                    if (!seen.has(entry.id) && matches(entry)) {
+                        entries.push(entry);
+                        archivedCount++;
+                    }
+                    return archivedCount <= limit;
+                });
+            }
+        }
+
+        entries.sort(MangaTracker.compareHistory);
+        return { entries: entries.slice(0, limit), hasMore: entries.length > limit };
+    }
+
+    getRecentActivity(limit = 10) {
+        return this.data.history.slice(0, limit);
+    }
+
+    updateSettings(updates) {
+        this.data.settings = { ...this.data.settings, ...updates };
+        // Week goals end on a different day once weekStart changes
+        this.nextGoalClose = null;
+        this.saveMeta('settings');
+        return this.data.settings;
+    }
+
+    // Add entries from another tracker, skipping titles already in the library
+    importMangaList(mangaDataList) {
+        return this.runCommand('Import', () => {
+            const existingTitles = new Set(this.data.manga.map(manga => manga.title.trim().toLowerCase()));
+            const report = { imported: [], skipped: [] };
+
+            mangaDataList.forEach(mangaData => {
+                const title = (mangaData.title || '').trim();
+                if (!title) {
+                    report.skipped.push({ title: '(untitled)', reason: 'Missing title' });
+                    return;
+                }
+                if (existingTitles.has(title.toLowerCase())) {
+                    report.skipped.push({ title, reason: 'Already in library' });
+                    return;
+                }
+
+                existingTitles.add(title.toLowerCase());
+                report.imported.push(this.addManga({ ...mangaData, title }));
+            });
+
+            return report;
+        });
+    }
+}
+
+// Importers
+// Each importer handles one external list format. detect() decides whether a file
+// belongs to it; parse() returns addManga data plus entries that were skipped or
+// imported with guesses ("ambiguous") so the user can review them.
+class ImporterRegistry {
+    constructor() {
+        this.importers = [];
+    }
+
+    register(importer) {
+        this.importers.push(importer);
+        return this;
+    }
+
+    get(id) {
+        return this.importers.find(importer => importer.id === id) || null;
+    }
+
+    // JSON is parsed once here and shared with every importer
+    detect(fileName, text) {
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            // Not JSON; XML importers only look at the text
+        }
+
+        const importer = this.importers.find(candidate => candidate.detect(text, json, fileName));
+        return importer ? { importer, json } : null;
+    }
+
+    parse(fileName, text) {
+        const match = this.detect(fileName, text);
+        if (!match) {
+            throw new Error('Unrecognized file format');
+        }
+
+        const result = match.importer.parse(text, match.json);
+        return {
+            importer: match.importer,
+            entries: result.entries,
+            skipped: result.skipped || [],
+            ambiguous: result.ambiguous || []
+        };
+    }
+}
+
+// Shared mapping helpers for importers
+class BaseImporter {
+    // ISO 3166 country (AniList) or ISO 639 language (MangaDex) to our type
+    typeFromOrigin(code) {
+        const origin = String(code || '').toLowerCase();
+        if (['kr', 'ko'].includes(origin)) return 'manhwa';
+        if (['cn', 'tw', 'hk', 'zh', 'zh-hk', 'zh-ro'].includes(origin)) return 'manhua';
+        if (['jp', 'ja', 'ja-ro'].includes(origin)) return 'manga';
+        return null;
+    }
+
+    // Scale a score from 0..maxScore onto our 0..10 range, one decimal place
+    scaleRating(score, maxScore) {
+        const value = parseFloat(score);
+        if (!value || value <= 0) return null;
+        return Math.min(10, Math.round((value / maxScore) * 100) / 10);
+    }
+
+    dateFromParts(parts) {
+        if (!parts || !parts.year) return null;
+        return new Date(parts.year, (parts.month || 1) - 1, parts.day || 1).toISOString();
+    }
+
+    dateFromString(value) {
+        if (!value) return null;
+        const date = new Date(value);
+        return isNaN(date) ? null : date.toISOString();
+    }
+}
+
+// MyAnimeList XML Import/Export
+class MalXmlConverter extends BaseImporter {
+    constructor() {
+        super();
+        this.id = 'mal';
+        this.name = 'MyAnimeList';
+        this.statusFromMal = {
+            'reading': 'reading',
+            'completed': 'completed',
+            'on-hold': 'on-hold',
+            'dropped': 'dropped',
+            'plan to read': 'plan-to-read',
+            // Older exports use numeric codes
+            '1': 'reading',
+            '2': 'completed',
+            '3': 'on-hold',
+            '4': 'dropped',
+            '6': 'plan-to-read'
+        };
+        this.statusToMal = {
+            'reading': 'Reading',
+            'completed': 'Completed',
+            'on-hold': 'On-Hold',
+            'dropped': 'Dropped',
+            'plan-to-read': 'Plan to Read'
+        };
+    }
+
+    detect(text) {
+        return /<myanimelist[\s>]/.test(text.slice(0, 2000));
+    }
+
+    // Returns manga data for MangaTracker.addManga plus entries that could not be read
+    parse(xmlText) {
+        const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+        if (doc.querySelector('parsererror') || doc.documentElement.nodeName !== 'myanimelist') {
+            throw new Error('File is not a MyAnimeList XML export');
+        }
+
+        const entries = [];
+        const skipped = [];
+
+        doc.querySelectorAll('myanimelist > manga').forEach(node => {
+            const field = (name) => {
+                const element = node.querySelector(name);
+                return element ? element.textContent.trim() : '';
+            };
+
+            const title = field('manga_title');
+            const rawStatus = field('my_status').toLowerCase();
+            const status = this.statusFromMal[rawStatus];
+
+            if (!title) {
+                skipped.push({ title: '(untitled)', reason: 'Missing title' });
+                return;
+            }
+            if (!status) {
+                skipped.push({ title, reason: `Unknown status "${field('my_status')}"` });
+                return;
+            }
+
+            const score = parseInt(field('my_score'), 10);
+            const totalChapters = parseInt(field('manga_chapters'), 10);
+            const totalVolumes = parseInt(field('manga_volumes'), 10);
+            const malId = field('manga_mangadb_id');
+            const currentChapter = parseInt(field('my_read_chapters'), 10) || 0;
+            // MAL only counts finished re-reads and doesn't date them
+            const timesRead = parseInt(field('my_times_read'), 10) || 0;
+            const rereads = Array.from({ length: timesRead }, (_, index) => ({
+                pass: index + 2,
+                startDate: null,
+                endDate: null,
+                dateUnknown: true,
+                currentChapter: totalChapters > 0 ? totalChapters : currentChapter
+            }));
+
+            entries.push({
+                title,
+                status,
+                currentChapter,
+                totalChapters: totalChapters > 0 ? totalChapters : null,
+                currentVolume: parseInt(field('my_read_volumes'), 10) || 0,
+                totalVolumes: totalVolumes > 0 ? totalVolumes : null,
+                rating: score > 0 ? score : null,
+                startDate: this.parseDate(field('my_start_date')),
+                endDate: this.parseDate(field('my_finish_date')),
+                tags: field('my_tags').split(',').map(tag => tag.trim()).filter(tag => tag),
+                notes: field('my_comments'),
+                externalIds: malId && malId !== '0' ? { mal: malId } : {},
+                rereads
+            });
+        });
+
+        return { entries, skipped };
+    }
+
+    build(mangaList) {
+        const count = status => mangaList.filter(manga => manga.status === status).length;
+
+        const entries = mangaList.map(manga => `
+    <manga>
+        <manga_mangadb_id>${(manga.externalIds && manga.externalIds.mal) || 0}</manga_mangadb_id>
+        <manga_title>${this.cdata(manga.title)}</manga_title>
+        <manga_volumes>${manga.totalVolumes || 0}</manga_volumes>
+        <manga_chapters>${manga.totalChapters || 0}</manga_chapters>
+        <my_id>0</my_id>
+        <my_read_volumes>${Math.floor(manga.currentVolume || 0)}</my_read_volumes>
+        <my_read_chapters>${Math.floor(manga.currentChapter || 0)}</my_read_chapters>
+        <my_start_date>${this.formatDate(manga.startDate)}</my_start_date>
+        <my_finish_date>${this.formatDate(manga.endDate)}</my_finish_date>
+        <my_scanalation_group>${this.cdata('')}</my_scanalation_group>
+        <my_score>${manga.rating ? Math.round(manga.rating) : 0}</my_score>
+        <my_storage></my_storage>
+        <my_retail_volumes>0</my_retail_volumes>
+        <my_status>${this.statusToMal[manga.status] || 'Reading'}</my_status>
+        <my_comments>${this.cdata(manga.notes)}</my_comments>
+        <my_times_read>${(manga.rereads || []).filter(MangaTracker.isFinishedReread).length}</my_times_read>
+        <my_tags>${this.cdata((manga.tags || []).join(', '))}</my_tags>
+        <my_priority>Low</my_priority>
+        <my_reread_value></my_reread_value>
+        <my_rereading>${(manga.rereads || []).some(r => !MangaTracker.isFinishedReread(r)) ? 'YES' : 'NO'}</my_rereading>
+        <my_discuss>YES</my_discuss>
+        <my_sns>default</my_sns>
+        <update_on_import>1</update_on_import>
+    </manga>`).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8" ?>
+<myanimelist>
+    <myinfo>
+        <user_export_type>2</user_export_type>
+        <user_total_manga>${mangaList.length}</user_total_manga>
+        <user_total_reading>${count('reading')}</user_total_reading>
+        <user_total_completed>${count('completed')}</user_total_completed>
+        <user_total_onhold>${count('on-hold')}</user_total_onhold>
+        <user_total_dropped>${count('dropped')}</user_total_dropped>
+        <user_total_plantoread>${count('plan-to-read')}</user_total_plantoread>
+    </myinfo>${entries}
+</myanimelist>
+`;
+    }
+
+    // MAL writes 0000-00-00 for unknown dates
+    parseDate(value) {
+        if (!value || value.startsWith('0000')) return null;
+        const [year, month, day] = value.split('-').map(part => parseInt(part, 10));
+        if (!year) return null;
+        return new Date(year, (month || 1) - 1, day || 1).toISOString();
+    }
+
+    formatDate(isoString) {
+        if (!isoString) return '0000-00-00';
+        const date = new Date(isoString);
+        if (isNaN(date)) return '0000-00-00';
+        const pad = n => n.toString().padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    cdata(text) {
+        return `<![CDATA[${String(text || '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+    }
+}
+
+// AniList MediaListCollection JSON (GraphQL response or its "data" payload)
+class AniListImporter extends BaseImporter {
+    constructor() {
+        super();
+        this.id = 'anilist';
+        this.name = 'AniList';
+        this.statusMap = {
+            'CURRENT': 'reading',
+            'REPEATING': 'reading',
+            'COMPLETED': 'completed',
+            'PAUSED': 'on-hold',
+            'DROPPED': 'dropped',
+            'PLANNING': 'plan-to-read'
+        };
+        this.scoreScales = {
+            'POINT_100': 100,
+            'POINT_10_DECIMAL': 10,
+            'POINT_10': 10,
+            'POINT_5': 5,
+            'POINT_3': 3
+        };
+    }
+
+    getCollection(json) {
+        if (!json || typeof json !== 'object') return null;
+        const root = json.data || json;
+        const collection = root.MediaListCollection || root;
+        return Array.isArray(collection.lists) && collection.lists.some(list => Array.isArray(list.entries))
+            ? collection
+            : null;
+    }
+
+    detect(text, json) {
+        return this.getCollection(json) !== null;
+    }
+
+    parse(text, json) {
+        const collection = this.getCollection(json);
+        const entries = [];
+        const skipped = [];
+        const ambiguous = [];
+
+        const allEntries = collection.lists.flatMap(list => list.entries || []);
+        const scoreFormat = collection.user && collection.user.mediaListOptions
+            ? collection.user.mediaListOptions.scoreFormat
+            : null;
+        // Without the user's score format, any score above 10 means a 100-point scale
+        const maxScore = this.scoreScales[scoreFormat]
+            || (allEntries.some(entry => entry.score > 10) ? 100 : 10);
+
+        allEntries.forEach(entry => {
+            const media = entry.media || {};
+            const titles = media.title || {};
+            const title = titles.english || titles.userPreferred || titles.romaji || titles.native;
+
+            if (!title) {
+                skipped.push({ title: `AniList #${media.id || '?'}`, reason: 'Missing title' });
+                return;
+            }
+            if (media.format === 'NOVEL') {
+                skipped.push({ title, reason: 'Light novel, not a comic' });
+                return;
+            }
+
+            const status = this.statusMap[entry.status];
+            if (!status) {
+                skipped.push({ title, reason: `Unknown status "${entry.status}"` });
+                return;
+            }
+
+            let type = this.typeFromOrigin(media.countryOfOrigin);
+            if (!type) {
+                type = 'manga';
+                ambiguous.push({ title, reason: `Unknown country of origin "${media.countryOfOrigin || ''}", imported as manga` });
+            }
+            if (entry.status === 'REPEATING') {
+                ambiguous.push({ title, reason: 'Marked as re-reading on AniList, imported as reading' });
+            }
+            if (!scoreFormat && entry.score > 0) {
+                ambiguous.push({ title, reason: `Score format missing, assumed a ${maxScore}-point scale` });
+            }
+
+            const externalIds = {};
+            if (media.id) externalIds.anilist = String(media.id);
+            if (media.idMal) externalIds.mal = String(media.idMal);
+
+            entries.push({
+                title,
+                type,
+                status,
+                currentChapter: entry.progress || 0,
+                totalChapters: media.chapters || null,
+                currentVolume: entry.progressVolumes || 0,
+                totalVolumes: media.volumes || null,
+                rating: this.scaleRating(entry.score, maxScore),
+                startDate: this.dateFromParts(entry.startedAt),
+                endDate: this.dateFromParts(entry.completedAt),
+                notes: entry.notes || '',
+                externalIds
+            });
+        });
+
+        return { entries, skipped, ambiguous };
+    }
+}
+
+// MangaDex follows list (JSON:API collection from /user/follows/manga),
+// optionally with a "statuses" map from /manga/status merged in
+class MangaDexImporter extends BaseImporter {
+    constructor() {
+        super();
+        this.id = 'mangadex';
+        this.name = 'MangaDex';
+        this.statusMap = {
+            'reading': 'reading',
+            're_reading': 'reading',
+            'completed': 'completed',
+            'on_hold': 'on-hold',
+            'dropped': 'dropped',
+            'plan_to_read': 'plan-to-read'
+        };
+    }
+
+    detect(text, json) {
+        return Boolean(json && Array.isArray(json.data) && json.data.length > 0
+            && json.data.every(item => item.type === 'manga' && item.attributes && item.attributes.title));
+    }
+
+    parse(text, json) {
+        const statuses = json.statuses || {};
+        const entries = [];
+        const skipped = [];
+        const ambiguous = [];
+
+        json.data.forEach(item => {
+            const attributes = item.attributes;
+            const title = attributes.title.en || Object.values(attributes.title)[0];
+
+            if (!title) {
+                skipped.push({ title: `MangaDex ${item.id}`, reason: 'Missing title' });
+                return;
+            }
+
+            let status = this.statusMap[statuses[item.id]];
+            if (!status) {
+                status = 'reading';
+                ambiguous.push({ title, reason: 'No reading status in export, imported as reading' });
+            }
+
+            let type = this.typeFromOrigin(attributes.originalLanguage);
+            if (!type) {
+                type = 'manga';
+                ambiguous.push({ title, reason: `Original language "${attributes.originalLanguage || ''}" unknown, imported as manga` });
+            }
+
+            // Follows lists only say what is followed, not how far it has been read
+            ambiguous.push({ title, reason: 'No reading progress in export, imported at chapter 0' });
+
+            const lastChapter = parseFloat(attributes.lastChapter);
+            const lastVolume = parseFloat(attributes.lastVolume);
+
+            entries.push({
+                title,
+                type,
+                status,
+                currentChapter: 0,
+                totalChapters: attributes.status === 'completed' && lastChapter > 0 ? lastChapter : null,
+                totalVolumes: attributes.status === 'completed' && lastVolume > 0 ? lastVolume : null,
+                tags: (attributes.tags || [])
+                    .map(tag => tag.attributes && tag.attributes.name && tag.attributes.name.en)
+                    .filter(tag => tag),
+                externalIds: { mangadex: item.id }
+            });
+        });
+
+        return { entries, skipped, ambiguous };
+    }
+}
+
+// Kitsu library entries (JSON:API with the manga records under "included")
+class KitsuImporter extends BaseImporter {
+    constructor() {
+        super();
+        this.id = 'kitsu';
+        this.name = 'Kitsu';
+        this.statusMap = {
+            'current': 'reading',
+            'completed': 'completed',
+            'on_hold': 'on-hold',
+            'dropped': 'dropped',
+            'planned': 'plan-to-read'
+        };
+        this.subtypeMap = {
+            'manga': 'manga',
+            'oneshot': 'manga',
+            'doujin': 'manga',
+            'manhwa': 'manhwa',
+            'manhua': 'manhua'
+        };
+    }
+
+    detect(text, json) {
+        return Boolean(json && Array.isArray(json.data) && json.data.length > 0
+            && json.data.every(item => item.type === 'libraryEntries'));
+    }
+
+    parse(text, json) {
+        const included = new Map((json.included || [])
+            .filter(item => item.type === 'manga')
+            .map(item => [item.id, item.attributes || {}]));
+        const entries = [];
+        const skipped = [];
+        const ambiguous = [];
+
+        json.data.forEach(item => {
+            const attributes = item.attributes || {};
+            const link = item.relationships && item.relationships.manga && item.relationships.manga.data;
+            if (!link) {
+                // Anime entries share the same library export
+                skipped.push({ title: `Kitsu entry ${item.id}`, reason: 'Not a manga entry' });
+                return;
+            }
+
+            const manga = included.get(link.id);
+            const titles = manga ? manga.titles || {} : {};
+            const title = manga && (titles.en || manga.canonicalTitle || titles.en_jp || titles.ja_jp);
+            if (!title) {
+                skipped.push({ title: `Kitsu manga ${link.id}`, reason: 'Manga details missing from export' });
+                return;
+            }
+
+            let type = this.subtypeMap[manga.subtype];
+            if (!type) {
+                if (['novel', 'oel'].includes(manga.subtype)) {
+                    skipped.push({ title, reason: `Kitsu subtype "${manga.subtype}" is not a comic` });
+                    return;
+                }
+                type = 'manga';
+                ambiguous.push({ title, reason: `Unknown subtype "${manga.subtype || ''}", imported as manga` });
+            }
+
+            const status = this.statusMap[attributes.status];
+            if (!status) {
+                skipped.push({ title, reason: `Unknown status "${attributes.status}"` });
+                return;
+            }
+            if (attributes.reconsuming) {
+                ambiguous.push({ title, reason: 'Marked as re-reading on Kitsu, imported as reading' });
+            }
+
+            // ratingTwenty is 2..20; older exports only have rating as "0.5".."5.0"
+            const rating = attributes.ratingTwenty
+                ? this.scaleRating(attributes.ratingTwenty, 20)
+                : this.scaleRating(attributes.rating, 5);
+
+            entries.push({
+                title,
+                type,
+                status,
+                currentChapter: attributes.progress || 0,
+                totalChapters: manga.chapterCount || null,
+                totalVolumes: manga.volumeCount || null,
+                rating,
+                startDate: this.dateFromString(attributes.startedAt),
+                endDate: this.dateFromString(attributes.finishedAt),
+                notes: attributes.notes || '',
+                externalIds: { kitsu: link.id }
+            });
+        });
+
+        return { entries, skipped, ambiguous };
+    }
+}
+
+// CSV Import/Export
+class CsvConverter {
+    constructor() {
+        this.statusAliases = {
+            'reading': 'reading',
+            'current': 'reading',
+            'completed': 'completed',
+            'complete': 'completed',
+            'finished': 'completed',
+            'on-hold': 'on-hold',
+            'on hold': 'on-hold',
+            'paused': 'on-hold',
+            'dropped': 'dropped',
+            'plan-to-read': 'plan-to-read',
+            'plan to read': 'plan-to-read',
+            'planned': 'plan-to-read',
+            'ptr': 'plan-to-read'
+        };
+
+        const text = value => value;
+        const number = (label, { min = 0, max = Infinity } = {}) => value => {
+            const parsed = Number(value);
+            if (isNaN(parsed) || parsed < min || parsed > max) {
+                throw new Error(`${label} must be a number${max < Infinity ? ` from ${min} to ${max}` : ''}, got "${value}"`);
+            }
+            return parsed;
+        };
+        const date = label => value => {
+            const parsed = new Date(value);
+            if (isNaN(parsed)) throw new Error(`${label} is not a valid date: "${value}"`);
+            return parsed.toISOString();
+        };
+
+        // key, header label, alternative header names, and how to read/write the value
+        this.fields = [
+            { key: 'title', label: 'Title', aliases: ['name', 'series'], parse: text },
+            { key: 'type', label: 'Type', aliases: ['format'], parse: value => this.normalizeType(value) },
+            { key: 'status', label: 'Status', aliases: ['state', 'list'], parse: value => this.normalizeStatus(value) },
+            { key: 'author', label: 'Author', aliases: ['authors', 'artist'], parse: text },
+            { key: 'currentChapter', label: 'Current Chapter', aliases: ['chapter', 'chapters read', 'progress', 'read'], parse: number('Current chapter') },
+            { key: 'totalChapters', label: 'Total Chapters', aliases: ['chapters', 'total'], parse: number('Total chapters') },
+            { key: 'currentVolume', label: 'Current Volume', aliases: ['volume', 'volumes read', 'vol'], parse: number('Current volume') },
+            { key: 'totalVolumes', label: 'Total Volumes', aliases: ['volumes', 'total volumes'], parse: number('Total volumes') },
+            { key: 'rating', label: 'Rating', aliases: ['score'], parse: number('Rating', { min: 0, max: 10 }) },
+            { key: 'tags', label: 'Tags', aliases: ['genres', 'genre'], parse: value => this.splitList(value), format: tags => (tags || []).join('; ') },
+            { key: 'notes', label: 'Notes', aliases: ['comments', 'comment'], parse: text },
+            { key: 'startDate', label: 'Start Date', aliases: ['started', 'start'], parse: date('Start date') },
+            { key: 'endDate', label: 'End Date', aliases: ['finished', 'finish date', 'end'], parse: date('End date') },
+            { key: 'lastRead', label: 'Last Read', aliases: [], parse: date('Last read') },
+            { key: 'coverImage', label: 'Cover Image', aliases: ['cover', 'image'], parse: text },
+            {
+                key: 'externalIds',
+                label: 'External IDs',
+                aliases: [],
+                // Split on the first ":" only; ids themselves may contain colons
+                parse: value => Object.fromEntries(this.splitList(value).filter(pair => pair.includes(':')).map(pair => {
+                    const separator = pair.indexOf(':');
+                    return [pair.slice(0, separator).trim(), pair.slice(separator + 1).trim()];
+                })),
+                format: ids => Object.entries(ids || {}).map(([site, id]) => `${site}:${id}`).join('; ')
+            },
+            { key: 'rereads', label: 'Times Re-read', aliases: [], exportOnly: true, format: rereads => (rereads || []).filter(MangaTracker.isFinishedReread).length },
+            { key: 'id', label: 'ID', aliases: [], exportOnly: true },
+            { key: 'createdAt', label: 'Date Added', aliases: ['created'], exportOnly: true },
+            { key: 'updatedAt', label: 'Last Updated', aliases: ['updated'], exportOnly: true }
+        ];
+
+        this.defaultColumns = ['title', 'type', 'status', 'author', 'currentChapter', 'totalChapters', 'currentVolume', 'totalVolumes', 'rating', 'tags', 'notes', 'startDate', 'endDate', 'lastRead'];
+    }
+
+    get importFields() {
+        return this.fields.filter(field => !field.exportOnly);
+    }
+
+    normalizeType(value) {
+        const type = value.trim().toLowerCase();
+        if (!['manga', 'manhwa', 'manhua'].includes(type)) {
+            throw new Error(`Unknown type "${value}"`);
+        }
+        return type;
+    }
+
+    normalizeStatus(value) {
+        const key = value.trim().toLowerCase().replace(/[_\s]+/g, ' ');
+        const status = this.statusAliases[key] || this.statusAliases[key.replace(/ /g, '-')];
+        if (!status) {
+            throw new Error(`Unknown status "${value}"`);
+        }
+        return status;
+    }
+
+    // Tags and similar lists are separated by semicolons (or pipes)
+    splitList(value) {
+        return value.split(/[;|]/).map(item => item.trim()).filter(item => item);
+    }
+
+    // RFC 4180 parsing with quoted fields; the delimiter is guessed from the header line
+    parse(text) {
+        const input = text.replace(/^\uFEFF/, '');
+        const firstLine = input.split(/\r?\n/, 1)[0];
+        const delimiter = [',', ';', '\t']
+            .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+            .sort((a, b) => b.count - a.count)[0].candidate;
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        const nonEmpty = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+        if (nonEmpty.length === 0) {
+            throw new Error('CSV file is empty');
+        }
+
+        return { headers: nonEmpty[0].map(header => header.trim()), rows: nonEmpty.slice(1) };
+    }
+
+    // Suggest a field for each column based on its header
+    guessMapping(headers) {
+        const used = new Set();
+        return headers.map(header => {
+            const name = header.toLowerCase().replace(/[_-]+/g, ' ').trim();
+            const field = this.importFields.find(candidate =>
+                !used.has(candidate.key) && (
+                    candidate.key.toLowerCase() === name.replace(/ /g, '') ||
+                    candidate.label.toLowerCase() === name ||
+                    candidate.aliases.includes(name)
+                )
+            );
+            if (!field) return '';
+            used.add(field.key);
+            return field.key;
+        });
+    }
+
+    // mapping[i] is the field key for column i, or '' to ignore it
+    buildEntries(rows, mapping) {
+        const entries = [];
+        const errors = [];
+
+        if (!mapping.includes('title')) {
+            return { entries, errors: [{ row: null, message: 'Map one column to Title' }] };
+        }
+
+        rows.forEach((cells, index) => {
+            const rowNumber = index + 2; // 1-based, after the header row
+            const entry = {};
+            const rowErrors = [];
+
+            mapping.forEach((key, column) => {
+                const value = this.unguard((cells[column] || '').trim());
+                if (!key || value === '') return;
+
+                const field = this.fields.find(candidate => candidate.key === key);
+                try {
+                    entry[key] = field.parse(value);
+                } catch (error) {
+                    rowErrors.push(error.message);
+                }
+            });
+
+            if (!entry.title) {
+                rowErrors.push('Title is empty');
+            }
+
+            if (rowErrors.length > 0) {
+                errors.push({ row: rowNumber, title: entry.title || '', message: rowErrors.join('; ') });
+            } else {
+                entries.push(entry);
+            }
+        });
+
+        return { entries, errors };
+    }
+
+    build(mangaList, columns = this.defaultColumns) {
+        const fields = columns
+            .map(key => this.fields.find(field => field.key === key))
+            .filter(field => field);
+
+        const lines = [fields.map(field => this.escape(field.label)).join(',')];
+        mangaList.forEach(manga => {
+            lines.push(fields.map(field => {
+                const value = field.format ? field.format(manga[field.key]) : manga[field.key];
+                if (value === null || value === undefined) return '';
+                return this.escape(typeof value === 'string' ? this.guard(value) : String(value));
+            }).join(','));
+        });
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    escape(value) {
+        return /[",\r\n]|^\s|\s$/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }
+
+    // Spreadsheets run cells starting with these characters as formulas
+    guard(value) {
+        return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+    }
+
+    // Undo guard() when reading our own exports back
+    unguard(value) {
+        return value.replace(/^'(?=[=+\-@])/, '');
+    }
+}
+
+// Search query language used by the My Manga and Library search boxes, e.g.
+//   status:reading type:manhwa rating>=8 tag:Action -tag:Romance chapters<50 author:"Oda" lastread>30d
+// Words without a field are looked up in the SearchIndex. A leading "-" negates a term.
+// Date fields take an age (30d, 2w, 6m, 1y; lastread>30d = more than 30 days ago)
+// or a date (added>=2026-01-01).
+class MangaQuery {
+    constructor() {
+        this.statuses = ['reading', 'completed', 'on-hold', 'dropped', 'plan-to-read'];
+        this.statusAliases = { 'hold': 'on-hold', 'onhold': 'on-hold', 'plan': 'plan-to-read', 'ptr': 'plan-to-read', 'done': 'completed' };
+        this.types = ['manga', 'manhwa', 'manhua'];
+
+        this.fields = [
+            { key: 'status', aliases: [], kind: 'enum', get: manga => manga.status },
+            { key: 'type', aliases: [], kind: 'enum', get: manga => manga.type },
+            { key: 'tag', aliases: ['tags'], kind: 'tag', get: manga => manga.tags },
+            { key: 'title', aliases: [], kind: 'text', get: manga => manga.title },
+            { key: 'author', aliases: ['by'], kind: 'text', get: manga => manga.author },
+            { key: 'notes', aliases: ['note'], kind: 'text', get: manga => manga.notes },
+            { key: 'rating', aliases: ['score'], kind: 'rating', get: manga => manga.rating },
+            { key: 'chapters', aliases: ['chapter', 'ch'], kind: 'number', get: manga => manga.currentChapter },
+            { key: 'total', aliases: [], kind: 'number', get: manga => manga.totalChapters },
+            { key: 'volumes', aliases: ['volume', 'vol'], kind: 'number', get: manga => manga.currentVolume || 0 },
+            { key: 'totalvolumes', aliases: [], kind: 'number', get: manga => manga.totalVolumes },
+            // By chapters when the total is known, otherwise by volumes
+            { key: 'progress', aliases: [], kind: 'number', get: manga => manga.totalChapters ? manga.currentChapter / manga.totalChapters * 100
+                : manga.totalVolumes ? (manga.currentVolume || 0) / manga.totalVolumes * 100 : null },
+            { key: 'lastread', aliases: ['read'], kind: 'date', get: manga => manga.lastRead },
+            { key: 'added', aliases: ['created'], kind: 'date', get: manga => manga.createdAt }
+        ];
+
+        this.operators = {
+            enum: [':', '='],
+            tag: [':', '='],
+            text: [':', '='],
+            rating: [':', '=', '>', '<', '>=', '<='],
+            number: [':', '=', '>', '<', '>=', '<='],
+            date: [':', '=', '>', '<', '>=', '<=']
+        };
+    }
+
+    getField(name) {
+        return this.fields.find(field => field.key === name || field.aliases.includes(name)) || null;
+    }
+
+    // Split into { text, negatedText, terms }; throws with a readable message on bad input
+    parse(input) {
+        const query = { text: [], negatedText: [], terms: [] };
+        const source = String(input || '');
+        let i = 0;
+
+        const readValue = () => {
+            if (source[i] === '"') {
+                const end = source.indexOf('"', i + 1);
+                if (end === -1) throw new Error(`Missing closing quote after position ${i + 1}`);
+                const value = source.slice(i + 1, end);
+                i = end + 1;
+                return value;
+            }
+            const start = i;
+            while (i < source.length && !/\s/.test(source[i])) i++;
+            return source.slice(start, i);
+        };
+
+        while (i < source.length) {
+            if (/\s/.test(source[i])) {
+                i++;
+                continue;
+            }
+
+            const negate = source[i] === '-' && i + 1 < source.length && !/\s/.test(source[i + 1]);
+            if (negate) i++;
+
+            const start = i;
+            const match = /^([a-z]+)(>=|<=|:|=|>|<)/i.exec(source.slice(i));
+            if (!match) {
+                const word = readValue();
+                (negate ? query.negatedText : query.text).push(word.toLowerCase());
+                continue;
+            }
+
+            const [, name, op] = match;
+            const field = this.getField(name.toLowerCase());
+            if (!field) {
+                throw new Error(`Unknown field "${name}". Put text containing "${op}" in quotes to search for it.`);
+            }
+            if (!this.operators[field.kind].includes(op)) {
+                throw new Error(`"${name}" can't be compared with "${op}"; use ${this.operators[field.kind].join(' or ')}`);
+            }
+
+            i += match[0].length;
+            const raw = readValue();
+            if (!raw) throw new Error(`Missing value after "${source.slice(start, i)}"`);
+
+            query.terms.push({ field, op, value: this.parseValue(field, name, raw), negate });
+        }
+
+        return query;
+    }
+
+    parseValue(field, name, raw) {
+        switch (field.kind) {
+            case 'enum': {
+                const allowed = field.key === 'status' ? this.statuses : this.types;
+                return raw.toLowerCase().split(',').map(value => {
+                    const normalized = field.key === 'status' ? (this.statusAliases[value] || value) : value;
+                    if (!allowed.includes(normalized)) {
+                        throw new Error(`Unknown ${field.key} "${value}"; use ${allowed.join(', ')}`);
+                    }
+                    return normalized;
+                });
+            }
+            case 'number':
+            case 'rating': {
+                const number = Number(raw);
+                if (raw.trim() === '' || isNaN(number)) throw new Error(`"${name}" needs a number, got "${raw}"`);
+                return number;
+            }
+            case 'date': {
+                const age = /^(\d+)([dwmy])$/i.exec(raw);
+                if (age) {
+                    const days = { d: 1, w: 7, m: 30, y: 365 }[age[2].toLowerCase()];
+                    return { ageDays: Number(age[1]) * days };
+                }
+                if (/^\d{4}-\d{2}-\d{2}$/.test(raw) && !isNaN(new Date(`${raw}T00:00:00`))) {
+                    return { date: new Date(`${raw}T00:00:00`) };
+                }
+                throw new Error(`"${name}" needs an age like 30d, 2w, 6m or 1y, or a date like 2026-01-31; got "${raw}"`);
+            }
+            default:
+                return raw.toLowerCase();
+        }
+    }
+
+    // options: { expandTag(lowercased tag) -> matching tags and their sub-tags, ratingScale, now,
+    //            textMatches: Map(id -> score) for the free text, normalize(text) for negated words }
+    compile(query, options = {}) {
+        const {
+            expandTag = tag => [tag],
+            ratingScale = 10,
+            now = new Date(),
+            textMatches = null,
+            normalize = text => String(text || '').toLowerCase()
+        } = options;
+        const compare = (actual, op, expected) => {
+            switch (op) {
+                case '>': return actual > expected;
+                case '<': return actual < expected;
+                case '>=': return actual >= expected;
+                case '<=': return actual <= expected;
+                default: return actual === expected;
+            }
+        };
+        const dayMs = 1000 * 60 * 60 * 24;
+
+        const tests = query.terms.map(({ field, op, value, negate }) => {
+            let test;
+            switch (field.kind) {
+                case 'enum':
+                    test = manga => value.includes(field.get(manga));
+                    break;
+                case 'tag': {
+                    const wanted = new Set([value, ...expandTag(value)].map(tag => tag.toLowerCase()));
+                    test = manga => field.get(manga).some(tag => wanted.has(tag.toLowerCase()));
+                    break;
+                }
+                case 'text':
+                    test = manga => {
+                        const actual = String(field.get(manga) || '').toLowerCase();
+                        return op === '=' ? actual === value : actual.includes(value);
+                    };
+                    break;
+                case 'rating':
+                    // Typed on the display scale, stored out of 10
+                    test = manga => manga.rating !== null && manga.rating !== undefined &&
+                        compare(manga.rating * ratingScale / 10, op, value);
+                    break;
+                case 'number':
+                    test = manga => {
+                        const actual = field.get(manga);
+                        return actual !== null && actual !== undefined && compare(actual, op, value);
+                    };
+                    break;
+                case 'date':
+                    test = manga => {
+                        const actual = field.get(manga);
+                        if (value.ageDays !== undefined) {
+                            // Never read counts as infinitely long ago
+                            const age = actual ? (now - new Date(actual)) / dayMs : Infinity;
+                            return compare(age, op === ':' || op === '=' ? '<=' : op, value.ageDays);
+                        }
+                        if (!actual) return false;
+                        const day = new Date(actual);
+                        day.setHours(0, 0, 0, 0);
+                        return compare(day.getTime(), op === ':' ? '=' : op, value.date.getTime());
+                    };
+                    break;
+            }
+            return negate ? manga => !test(manga) : test;
+        });
+
+        const searchable = manga => [manga.title, manga.author, ...manga.tags].map(normalize);
+        const negated = query.negatedText.map(normalize).filter(word => word);
+
+        return manga => {
+            if (textMatches && !textMatches.has(manga.id)) return false;
+            if (negated.some(word => searchable(manga).some(value => value.includes(word)))) return false;
+            return tests.every(test => test(manga));
+        };
+    }
+}
+
+// Typo-tolerant text index over title, author and tags. Kept in sync by
+// MangaTracker on every add/update/delete so searches never rescan the library.
+class SearchIndex {
+    constructor() {
+        // Scores are tiered so any title hit outranks any author hit, and so on
+        this.fieldWeights = { title: 100, author: 10, tags: 1 };
+        this.docs = new Map(); // id -> { title, tokens: { field: [token] } }
+        this.postings = new Map(); // token -> Map(id -> Set(field))
+        // Lookups over the vocabulary, so a query word is only compared with
+        // tokens that can be similar to it instead of with every token
+        this.prefixes = new Map(); // prefix -> Set(token)
+        this.prefixesByLength = new Map(); // length -> Set(prefix)
+        this.tokensByLength = new Map(); // length -> Set(token)
+        this.trigrams = new Map(); // trigram -> Set(token)
+    }
+
+    // "Kimetsu-no-Yaiba", "kimetsu no yaiba" and "Kimetsu no Yaibá" all become "kimetsu no yaiba"
+    normalize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/['’]/g, '')
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    tokenize(text) {
+        const normalized = this.normalize(text);
+        return normalized ? normalized.split(' ') : [];
+    }
+
+    rebuild(mangaList) {
+        [this.docs, this.postings, this.prefixes, this.prefixesByLength, this.tokensByLength, this.trigrams]
+            .forEach(map => map.clear());
+        mangaList.forEach(manga => this.add(manga));
+    }
+
+    add(manga) {
+        this.remove(manga.id);
+
+        const titleTokens = this.tokenize(manga.title);
+        const tokens = {
+            // The joined form lets "kimetsunoyaiba" find "Kimetsu no Yaiba"
+            title: titleTokens.length > 1 ? [...titleTokens, titleTokens.join('')] : titleTokens,
+            author: this.tokenize(manga.author),
+            tags: (manga.tags || []).flatMap(tag => this.tokenize(tag))
+        };
+        this.docs.set(manga.id, { title: this.normalize(manga.title), tokens });
+
+        Object.entries(tokens).forEach(([field, fieldTokens]) => {
+            fieldTokens.forEach(token => {
+                if (!this.postings.has(token)) {
+                    this.postings.set(token, new Map());
+                    this.addToVocabulary(token);
+                }
+                const posting = this.postings.get(token);
+                if (!posting.has(manga.id)) posting.set(manga.id, new Set());
+                posting.get(manga.id).add(field);
+            });
+        });
+    }
+
+    remove(id) {
+        const doc = this.docs.get(id);
+        if (!doc) return;
+
+        Object.values(doc.tokens).flat().forEach(token => {
+            const posting = this.postings.get(token);
+            if (!posting) return;
+            posting.delete(id);
+            if (posting.size === 0) {
+                this.postings.delete(token);
+                this.removeFromVocabulary(token);
+            }
+        });
+        this.docs.delete(id);
+    }
+
+    addToVocabulary(token) {
+        for (let length = 1; length <= token.length; length++) {
+            const prefix = token.slice(0, length);
+            SearchIndex.link(this.prefixes, prefix, token);
+            SearchIndex.link(this.prefixesByLength, length, prefix);
+        }
+        SearchIndex.link(this.tokensByLength, token.length, token);
+        this.trigramsOf(token).forEach(trigram => SearchIndex.link(this.trigrams, trigram, token));
+    }
+
+    removeFromVocabulary(token) {
+        for (let length = 1; length <= token.length; length++) {
+            const prefix = token.slice(0, length);
+            if (SearchIndex.unlink(this.prefixes, prefix, token)) {
+                SearchIndex.unlink(this.prefixesByLength, length, prefix);
+            }
+        }
+        SearchIndex.unlink(this.tokensByLength, token.length, token);
+        this.trigramsOf(token).forEach(trigram => SearchIndex.unlink(this.trigrams, trigram, token));
+    }
+
+    static link(map, key, value) {
+        if (!map.has(key)) map.set(key, new Set());
+        map.get(key).add(value);
+    }
+
+    // Returns true once nothing is left under key
+    static unlink(map, key, value) {
+        const values = map.get(key);
+        if (!values) return true;
+        values.delete(value);
+        if (values.size > 0) return false;
+        map.delete(key);
+        return true;
+    }
+
+    trigramsOf(token) {
+        const trigrams = [];
+        for (let i = 0; i + 3 <= token.length; i++) trigrams.push(token.slice(i, i + 3));
+        return trigrams;
+    }
+
+    // Tokens that similarity() could score above 0; every other token is skipped
+    candidates(queryToken) {
+        const candidates = new Set(this.prefixes.get(queryToken));
+        if (queryToken.length < 3) return candidates;
+
+        // Substring matches hold every trigram of the query word
+        const [rarest, ...others] = this.trigramsOf(queryToken)
+            .map(trigram => this.trigrams.get(trigram) || new Set())
+            .sort((a, b) => a.size - b.size);
+        rarest.forEach(token => {
+            if (others.every(tokens => tokens.has(token))) candidates.add(token);
+        });
+        if (queryToken.length < 4) return candidates;
+
+        // Near-miss spellings are within maxEdits of the word's length...
+        const maxEdits = this.maxEdits(queryToken);
+        for (let length = queryToken.length - maxEdits; length <= queryToken.length + maxEdits; length++) {
+            (this.tokensByLength.get(length) || []).forEach(token => candidates.add(token));
+        }
+        // ...or, while still typing, start with something close to it
+        (this.prefixesByLength.get(queryToken.length) || []).forEach(prefix => {
+            if (this.editDistance(queryToken, prefix, maxEdits) <= maxEdits) {
+                this.prefixes.get(prefix).forEach(token => candidates.add(token));
+            }
+        });
+        return candidates;
+    }
+
+    // Returns Map(id -> score) of manga matching every word in text
+    search(text) {
+        const queryTokens = this.tokenize(text);
+        if (queryTokens.length === 0) return new Map();
+
+        const perToken = queryTokens.map(queryToken => {
+            const best = new Map();
+            this.candidates(queryToken).forEach(token => {
+                const similarity = this.similarity(queryToken, token);
+                if (similarity === 0) return;
+                this.postings.get(token).forEach((fields, id) => {
+                    fields.forEach(field => {
+                        const score = this.fieldWeights[field] * similarity;
+                        if (score > (best.get(id) || 0)) best.set(id, score);
+                    });
+                });
+            });
+            return best;
+        });
+
+        const phrase = queryTokens.join(' ');
+        const scores = new Map();
+        perToken[0].forEach((score, id) => {
+            if (!perToken.every(best => best.has(id))) return;
+            let total = perToken.reduce((sum, best) => sum + best.get(id), 0);
+
+            const title = this.docs.get(id).title;
+            if (title === phrase) total += 300;
+            else if (title.startsWith(phrase)) total += 150;
+            scores.set(id, total);
+        });
+        return scores;
+    }
+
+    // 1 for an exact word, less for prefix, substring and near-miss spellings, 0 for no match
+    similarity(queryToken, token) {
+        if (token === queryToken) return 1;
+        if (token.startsWith(queryToken)) return 0.9;
+        if (queryToken.length < 3) return 0;
+        if (token.includes(queryToken)) return 0.7;
+        if (queryToken.length < 4) return 0;
+
+        const maxEdits = this.maxEdits(queryToken);
+        if (Math.abs(token.length - queryToken.length) <= maxEdits) {
+            const distance = this.editDistance(queryToken, token, maxEdits);
+            if (distance <= maxEdits) return 0.6 - (distance - 1) * 0.1;
+        }
+        // Still typing: compare against the start of longer words
+        if (token.length > queryToken.length &&
+            this.editDistance(queryToken, token.slice(0, queryToken.length), maxEdits) <= maxEdits) {
+            return 0.5;
+        }
+        return 0;
+    }
+
+    maxEdits(queryToken) {
+        return queryToken.length >= 8 ? 2 : 1;
+    }
+
+    // Optimal string alignment distance; stops early once it exceeds max
+    editDistance(a, b, max) {
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(row[j] + 1, current[j - 1] + 1, row[j - 1] + cost);
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousRow[j - 2] + 1);
+                }
+                current.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+            if (rowMin > max) return max + 1;
+            previousRow = row;
+            row = current;
+        }
+        return row[b.length];
+    }
+}
+
+// UI Controller
+class UIController {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.currentView = 'dashboard';
+        this.activeTimer = null;
+        this.timerInterval = null;
+        this.analyticsPeriod = { period: 'month', from: '', to: '' };
+        this.queryHelp = 'Fields: status, type, tag, title, author, notes, rating, chapters, total, volumes, totalvolumes, progress, lastread, added. '
+            + 'Use : or = to match, > < >= <= to compare, -field:value to exclude, quotes for phrases, and ages like 30d, 2w, 6m, 1y.';
+        this.accentColors = { blue: '#3b82f6', purple: '#8b5cf6', green: '#10b981', rose: '#f43f5e', amber: '#f59e0b' };
+        this.malConverter = new MalXmlConverter();
+        this.csvConverter = new CsvConverter();
+        this.importers = new ImporterRegistry()
+            .register(this.malConverter)
+            .register(new AniListImporter())
+            .register(new MangaDexImporter())
+            .register(new KitsuImporter());
+        this.init();
+    }
+
+    init() {
+        this.setupTheme();
+        this.setupStorageErrors();
+        this.setupSmartLists();
+        this.setupNavigation();
+        this.setupTimerButton();
+        this.setupMobileMenu();
+        this.setupAddMangaModal();
+        this.setupFileHandler();
+        this.setupUndoShortcuts();
+        this.loadDashboard();
+    }
+
+    // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes (outside text fields)
+    setupUndoShortcuts() {
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+    }
+
+    undo() {
+        const command = this.tracker.undo();
+        if (!command) {
+            this.showNotification('Nothing to undo', 'info');
+            return;
+        }
+        this.refreshAfterUndo();
+        this.showNotification(`Undid: ${command.label}`, 'info', { label: 'Redo', onClick: () => this.redo() });
+    }
+
+    redo() {
+        const command = this.tracker.redo();
+        if (!command) {
+            this.showNotification('Nothing to redo', 'info');
+            return;
+        }
+        this.refreshAfterUndo();
+        this.showNotification(`Redid: ${command.label}`, 'info', { label: 'Undo', onClick: () => this.undo() });
+    }
+
+    refreshAfterUndo() {
+        this.syncActiveTimer();
+        this.loadContent(this.currentView);
+    }
+
+    // Undo, delete and restore can close or reopen a reading session
+    syncActiveTimer() {
+        const activeSession = this.tracker.getActiveSession() || null;
+        if (activeSession && !this.activeTimer) {
+            this.activeTimer = activeSession;
+            this.updateTimerButton();
+            this.startTimerDisplay();
+        } else if (!activeSession && this.activeTimer) {
+            this.activeTimer = null;
+            this.updateTimerButton();
+            this.stopTimerDisplay();
+        } else {
+            this.activeTimer = activeSession;
+        }
+    }
+
+    // Success toast with an Undo button for the change that was just made
+    notifyUndoable(message) {
+        this.showNotification(message, 'success', { label: 'Undo', onClick: () => this.undo() });
+    }
+
+    setupTheme() {
+        this.systemDarkQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+        if (this.systemDarkQuery) {
+            this.systemDarkQuery.addEventListener('change', () => {
+                if (this.tracker.data.settings.theme === 'system') this.applyTheme();
+            });
+        }
+        this.applyTheme();
+    }
+
+    applyTheme() {
+        const { theme, accent } = this.tracker.data.settings;
+        const dark = theme === 'dark' || (theme === 'system' && !!this.systemDarkQuery && this.systemDarkQuery.matches);
+        document.documentElement.classList.toggle('dark', dark);
+        document.documentElement.dataset.accent = accent;
+
+        // Settings load asynchronously from IndexedDB, so keep a copy where the
+        // inline script in index.html can apply it before the first paint
+        try {
+            localStorage.setItem('mangaTrackerTheme', JSON.stringify({ theme, accent }));
+        } catch (error) {
+            console.error('Error saving theme:', error);
+        }
+
+        // Canvas charts don't follow CSS, so redraw them
+        if (this.currentView === 'analytics') {
+            this.loadAnalytics();
+        }
+    }
+
+    setupStorageErrors() {
+        this.tracker.onStorageError = (error) => {
+            const message = error && error.name === 'QuotaExceededError'
+                ? 'Storage is full. Your latest changes could not be saved.'
+                : `Error saving data: ${error.message}`;
+            this.showNotification(message, 'error');
+        };
+
+        if (!this.tracker.storage) {
+            this.showNotification('Offline storage is unavailable. Changes will not be saved.', 'error');
+        } else if (this.tracker.usingFallbackStorage) {
+            this.showNotification('The offline database is unavailable, so your library is saved in local storage, which holds less data.', 'warning');
+        } else if (this.tracker.migrationError) {
+            this.showNotification(`Could not upgrade your library: ${this.tracker.migrationError.message}`, 'error');
+        }
+    }
+
+    setupMobileMenu() {
+        const mobileMenuToggle = document.getElementById('mobile-menu-toggle');
+        const sidebar = document.getElementById('sidebar');
+        const sidebarOverlay = document.getElementById('sidebar-overlay');
+
+        mobileMenuToggle.addEventListener('click', () => {
+            sidebar.classList.toggle('open');
+            sidebarOverlay.classList.toggle('show');
+        });
+
+        sidebarOverlay.addEventListener('click', () => {
+            sidebar.classList.remove('open');
+            sidebarOverlay.classList.remove('show');
+        });
+
+        // Close sidebar when clicking nav links on mobile
+        document.querySelectorAll('.nav-link').forEach(link => {
+            link.addEventListener('click', () => {
+                if (window.innerWidth < 768) {
+                    sidebar.classList.remove('open');
+                    sidebarOverlay.classList.remove('show');
+                }
+            });
+        });
+    }
+
+    setupAddMangaModal() {
+        const form = document.getElementById('add-manga-form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleAddManga();
+        });
+    }
+
+    setupNavigation() {
+        const navLinks = document.querySelectorAll('.nav-link');
+        
+        navLinks.forEach(link => {
+            link.addEventListener('click', (event) => {
+                event.preventDefault();
+                const hash = link.getAttribute('href').substring(1);
+                this.navigateTo(hash);
+            });
+        });
+
+        // Handle initial load
+        const initialHash = window.location.hash.substring(1) || 'dashboard';
+        this.navigateTo(initialHash);
+
+        // Handle hash changes
+        window.addEventListener('hashchange', () => {
+            const hash = window.location.hash.substring(1) || 'dashboard';
+            this.navigateTo(hash);
+        });
+    }
+
+    navigateTo(view) {
+        // Update active navigation
+        document.querySelectorAll('.nav-link').forEach(link => {
+            link.classList.remove('active');
+        });
+        
+        const activeLink = document.querySelector(`.nav-link[href="#${view}"]`);
+        if (activeLink) {
+            activeLink.classList.add('active');
+        }
+
+        // Update URL
+        window.location.hash = view;
+        
+        // Load content
+        if (view !== 'my-manga') this.editingSmartListId = null;
+        this.currentView = view;
+        this.renderSmartListNav(); // counts for date queries like lastread>14d drift over time
+        this.loadContent(view);
+    }
+
+    loadContent(view) {
+        const mainContent = document.getElementById('main-content');
+        // Goal periods also end while the app is open (midnight, for daily goals)
+        this.tracker.closeGoalPeriods();
+        
+        switch (view) {
+            case 'dashboard':
+                this.loadDashboard();
+                break;
+            case 'my-manga':
+                this.loadMyManga();
+                break;
+            case 'library':
+                this.loadLibrary();
+                break;
+            case 'collections':
+                this.loadCollections();
+                break;
+            case 'discover':
+                this.loadDiscover();
+                break;
+            case 'bookmarks':
+                this.loadBookmarks();
+                break;
+            case 'history':
+                this.loadHistory();
+                break;
+            case 'analytics':
+                this.loadAnalytics();
+                break;
+            case 'goals':
+                this.loadGoals();
+                break;
+            case 'tags':
+                this.loadTags();
+                break;
+            case 'trash':
+                this.loadTrash();
+                break;
+            case 'settings':
+                this.loadSettings();
+                break;
+            default:
+                if (view.startsWith('smart-list/')) {
+                    this.loadSmartList(view.substring('smart-list/'.length));
+                } else if (view.startsWith('collection/')) {
+                    this.loadCollection(view.substring('collection/'.length));
+                } else {
+                    this.loadDashboard();
+                }
+        }
+    }
+
+    loadDashboard() {
+        const stats = this.tracker.getStatistics();
+        const recentActivity = this.tracker.getRecentActivity(5);
+        const streaks = this.tracker.getStreaks();
+        const { streakMinChapters, streakFreezeDays } = this.tracker.data.settings;
+        const heatmap = this.getHeatmapData();
+        const goals = this.tracker.getGoals();
+        
+        const content = `
+            <header class="flex justify-between items-center mb-6">
+                <h1 class="text-3xl font-semibold text-gray-800">Dashboard</h1>
+            </header>
+
+            <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+                <div class="bg-white p-4 rounded-lg shadow card">
+                    <div class="flex items-center justify-between">
+                        <div>
+                            <h2 class="text-lg font-semibold text-gray-700">Total Manga</h2>
+                            <p class="text-3xl font-bold text-blue-600">${stats.totalManga}</p>
+                        </div>
+                        <div class="text-blue-500 text-2xl">📚</div>
+                    </div>
+                </div>
+                <div class="bg-white p-4 rounded-lg shadow card">
+                    <div class="flex items-center justify-between">
+                        <div>
+                            <h2 class="text-lg font-semibold text-gray-700">Currently Reading</h2>
+                            <p class="text-3xl font-bold text-green-600">${stats.currentlyReading}</p>
+                        </div>
+                        <div class="text-green-500 text-2xl">📖</div>
+                    </div>
+                </div>
+                <div class="bg-white p-4 rounded-lg shadow card">
+                    <div class="flex items-center justify-between">
+                        <div>
+                            <h2 class="text-lg font-semibold text-gray-700">Completed</h2>
+                            <p class="text-3xl font-bold text-purple-600">${stats.completed}</p>
+                        </div>
+                        <div class="text-purple-500 text-2xl">✅</div>
+                    </div>
+                </div>
+                <div class="bg-white p-4 rounded-lg shadow card">
+                    <div class="flex items-center justify-between">
+                        <div>
+                            <h2 class="text-lg font-semibold text-gray-700">Chapters Read</h2>
+                            <p class="text-3xl font-bold text-orange-600">${stats.totalChaptersRead}</p>
+                            ${stats.rereadChaptersRead > 0 ? `<p class="text-xs text-gray-500">+${stats.rereadChaptersRead} re-read</p>` : ''}
+                            ${stats.totalVolumesRead > 0 ? `<p class="text-xs text-gray-500">${stats.totalVolumesRead} volume${stats.totalVolumesRead === 1 ? '' : 's'}</p>` : ''}
+                        </div>
+                        <div class="text-orange-500 text-2xl">📄</div>
+                    </div>
+                </div>
+            </div>
+
+            <div class="bg-white p-6 rounded-lg shadow mb-6">
+                <div class="flex flex-wrap justify-between items-start gap-4 mb-4">
+                    <div>
+                        <h2 class="text-xl font-semibold text-gray-800">Reading Activity</h2>
+                        <p class="text-gray-500 text-sm">${heatmap.total} chapter${heatmap.total === 1 ? '' : 's'} in the last year</p>
+                    </div>
+                    <div class="flex gap-8 text-center">
+                        <div>
+                            <p class="text-3xl font-bold text-orange-600">🔥 ${streaks.current}</p>
+                            <p class="text-gray-500 text-sm">Current streak${streaks.current > 0 && !streaks.readToday ? ' · read today to keep it' : ''}</p>
+                        </div>
+                        <div>
+                            <p class="text-3xl font-bold text-purple-600">${streaks.longest}</p>
+                            <p class="text-gray-500 text-sm">Longest streak</p>
+                        </div>
+                    </div>
+                </div>
+                ${this.renderHeatmap(heatmap)}
+                <p class="text-gray-500 text-xs mt-2">
+                    A day counts with ${streakMinChapters} chapter${streakMinChapters === 1 ? '' : 's'} or more${streakFreezeDays > 0 ? `; ${streakFreezeDays} missed day${streakFreezeDays === 1 ? '' : 's'} a week ${streakFreezeDays === 1 ? "doesn't" : "don't"} break a streak (${streaks.freezesLeft} left this week)` : ''}.
+                    Click a day to see what you read. <a href="#settings" class="text-blue-600 hover:underline">Change streak rules</a>
+                </p>
+            </div>
+
+            <div class="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+                <div class="bg-white p-6 rounded-lg shadow">
+                    <h2 class="text-xl font-semibold text-gray-800 mb-4">Recent Activity</h2>
+                    <div class="space-y-4">
+                        ${recentActivity.length > 0 ? recentActivity.map(activity => {
+                            const manga = this.tracker.getManga(activity.mangaId);
+                            const mangaTitle = manga ? manga.title : 'Unknown Manga';
+                            return `
+                                <div class="flex items-center justify-between">
+                                    <div>
+                                        <p class="text-gray-900 font-medium">${this.escapeHtml(mangaTitle)}</p>
+                                        <p class="text-gray-500 text-sm">${this.formatDate(activity.timestamp)}</p>
+                                    </div>
+                                    <span class="text-green-600 font-bold">${activity.action}</span>
+                                </div>
+                            `;
+                        }).join('') : '<p class="text-gray-500">No recent activity</p>'}
+                    </div>
+                </div>
+
+                <div class="bg-white p-6 rounded-lg shadow">
+                    <div class="flex justify-between items-center mb-4">
+                        <h2 class="text-xl font-semibold text-gray-800">Reading Goals</h2>
+                        <a href="#goals" class="text-sm text-blue-600 hover:underline">Manage goals</a>
+                    </div>
+                    <div class="space-y-4">
+                        ${goals.length > 0 ? goals.map(goal => this.renderGoal(goal)).join('') : `
+                            <p class="text-gray-500">No goals yet. <a href="#goals" class="text-blue-600 hover:underline">Set one</a></p>
+                        `}
+                        
+                        <div>
+                            <div class="flex items-center justify-between mb-2">
+                                <p class="text-gray-900 font-medium">Weekly Progress</p>
+                                <span class="text-green-600 font-bold">${stats.weeklyProgress}</span>
+                            </div>
+                        </div>
+                        
+                        <div>
+                            <div class="flex items-center justify-between mb-2">
+                                <p class="text-gray-900 font-medium">Monthly Progress</p>
+                                <span class="text-purple-600 font-bold">${stats.monthlyProgress}</span>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        document.getElementById('main-content').innerHTML = content;
+    }
+
+    // Chapters per day for the 53 weeks up to today, as week columns starting
+    // on settings.weekStart
+    getHeatmapData(today = new Date()) {
+        const end = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+        const thisWeek = this.tracker.getStartOfWeek(today);
+        const start = new Date(thisWeek.getFullYear(), thisWeek.getMonth(), thisWeek.getDate() - 52 * 7);
+        const counts = this.tracker.getDailyChapterCounts(start, end);
+
+        const weeks = [];
+        for (let day = start; day < end; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+            if (weeks.length === 0 || weeks[weeks.length - 1].length === 7) weeks.push([]);
+            weeks[weeks.length - 1].push({ date: day, count: counts.get(this.tracker.getDayKey(day)) || 0 });
+        }
+
+        const days = weeks.flat();
+        return {
+            weeks,
+            max: Math.max(0, ...days.map(day => day.count)),
+            total: days.reduce((sum, day) => sum + day.count, 0)
+        };
+    }
+
+    renderHeatmap({ weeks, max }) {
+        // Shade in four steps relative to the busiest day
+        const level = count => count === 0 ? 0 : Math.min(Math.ceil((count / max) * 4), 4);
+        const monthLabels = weeks.map(week => {
+            const firstOfMonth = week.find(day => day.date.getDate() === 1);
+            return `<span>${firstOfMonth ? firstOfMonth.date.toLocaleDateString(undefined, { month: 'short' }) : ''}</span>`;
+        });
+
+        return `
+            <div class="overflow-x-auto">
+                <div class="heatmap-months">${monthLabels.join('')}</div>
+                <div class="heatmap">
+                    ${weeks.flat().map(({ date, count }) => `
+                        <button class="heatmap-cell level-${level(count)}"
+                                title="${count} chapter${count === 1 ? '' : 's'} on ${date.toLocaleDateString()}"
+                                onclick="uiController.showDayActivity('${this.tracker.getDayKey(date)}')"></button>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    showDayActivity(dayKey) {
+        const date = new Date(`${dayKey}T00:00:00`);
+        const activity = this.tracker.getDayActivity(date);
+        const unlinked = activity.sessions.filter(session => !session.mangaId && session.chaptersRead > 0);
+
+        this.showDialog(`
+            <div class="flex justify-between items-center mb-4">
+                <h2 class="text-xl font-semibold">${date.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</h2>
+                <button onclick="uiController.closeDialog()" class="text-gray-500 hover:text-gray-700">✕</button>
+            </div>
+
+            ${activity.total === 0 && activity.sessions.length === 0 ? `
+                <p class="text-gray-500">Nothing read on this day.</p>
+            ` : `
+                <p class="text-gray-600 mb-4">${activity.total} chapter${activity.total === 1 ? '' : 's'}${activity.sessions.length > 0 ? ` in ${activity.sessions.length} session${activity.sessions.length === 1 ? '' : 's'}` : ''}</p>
+                <div class="divide-y divide-gray-200">
+                    ${activity.manga.map(({ manga, chapters }) => `
+                        <div class="flex justify-between py-2">
+                            <span class="font-medium">${this.escapeHtml(manga.title)}</span>
+                            <span class="text-gray-500">ch. ${this.formatChapterList(chapters)}</span>
+                        </div>
+                    `).join('')}
+                    ${unlinked.map(session => `
+                        <div class="flex justify-between py-2">
+                            <span class="font-medium">Session without a manga</span>
+                            <span class="text-gray-500">${session.chaptersRead} chapter${session.chaptersRead === 1 ? '' : 's'}</span>
+                        </div>
+                    `).join('')}
+                </div>
+                ${activity.sessions.length > 0 ? `
+                    <h3 class="font-semibold text-gray-700 mt-4 mb-2">Sessions</h3>
+                    <div class="text-sm space-y-1">
+                        ${activity.sessions.map(session => {
+                            const manga = session.mangaId && this.tracker.getManga(session.mangaId);
+                            return `
+                                <div class="flex justify-between">
+                                    <span>${manga ? this.escapeHtml(manga.title) : 'No manga'}</span>
+                                    <span class="text-gray-500">${new Date(session.endTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} · ${this.formatMinutes(Math.round((session.activeMs || 0) / 60000))} · ${session.chaptersRead || 0} ch.</span>
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+                ` : ''}
+            `}
+        `);
+    }
+
+    // [1, 2, 3, 5, 5.5] -> "1–3, 5–5.5"
+    formatChapterList(chapters) {
+        return chapters.reduce((ranges, chapter) => {
+            const last = ranges[ranges.length - 1];
+            if (last && chapter <= Math.floor(last[1]) + 1) {
+                last[1] = chapter;
+            } else {
+                ranges.push([chapter, chapter]);
+            }
+            return ranges;
+        }, []).map(([first, last]) => first === last ? `${first}` : `${first}–${last}`).join(', ');
+    }
+
+    loadMyManga() {
+        const manga = this.tracker.getAllManga();
+        const editingList = this.editingSmartListId && this.tracker.getSmartList(this.editingSmartListId);
+        
+        const content = `
+            <header class="flex justify-between items-center mb-6">
+                <h1 class="text-3xl font-semibold text-gray-800">My Manga</h1>
+                <div class="flex gap-2">
+                    <button onclick="uiController.saveSmartList('my-manga')" class="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Save as Smart List</button>
+                    <button onclick="uiController.showAddMangaModal()" class="btn-primary">Add Manga</button>
+                </div>
+            </header>
+
+            ${editingList ? `
+                <div class="bg-white p-4 rounded-lg shadow mb-4 flex flex-col md:flex-row md:items-center justify-between gap-2">
+                    <span class="text-gray-700">Editing smart list <strong>${this.escapeHtml(editingList.name)}</strong>. Adjust the filters below, then update it.</span>
+                    <div class="flex gap-2">
+                        <button onclick="uiController.updateSmartListFromFilters()" class="btn-primary">Update List</button>
+                        <button onclick="uiController.cancelSmartListEdit()" class="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600">Cancel</button>
+                    </div>
+                </div>
+            ` : ''}
+
+            <div class="mb-6 space-y-4">
+                <div class="flex flex-col md:flex-row gap-4">
+                    <div class="flex-1">
+                        <input type="text" id="manga-search" placeholder='Search, or try status:reading rating>=8 -tag:Romance lastread>30d' title="${this.queryHelp}" class="search-input" onkeyup="uiController.scheduleSearch(this, 'filterManga')">
+                        <p id="manga-search-error" class="text-sm text-red-600 mt-1" style="display: none;"></p>
+                    </div>
+                    <select id="status-filter" class="form-input md:w-48" onchange="uiController.filterManga()">
+                        <option value="">All Status</option>
+                        <option value="reading">Reading</option>
+                        <option value="completed">Completed</option>
+                        <option value="on-hold">On Hold</option>
+                        <option value="dropped">Dropped</option>
+                        <option value="plan-to-read">Plan to Read</option>
+                    </select>
+                    <select id="type-filter" class="form-input md:w-48" onchange="uiController.filterManga()">
+                        <option value="">All Types</option>
+                        <option value="manga">Manga</option>
+                        <option value="manhwa">Manhwa</option>
+                        <option value="manhua">Manhua</option>
+                    </select>
+                    <select id="sort-by" class="form-input md:w-48" onchange="uiController.filterManga()">
+                        <option value="relevance">Best Match</option>
+                        <option value="title">Sort by Title</option>
+                        <option value="lastRead">Last Read</option>
+                        <option value="progress">Progress</option>
+                        <option value="rating">Rating</option>
+                        <option value="createdAt">Date Added</option>
+                    </select>
+                </div>
+                
+                <div class="flex flex-wrap gap-2">
+                    <span class="text-sm text-gray-600">Filter by tags:</span>
+                    ${this.tracker.getTagTree().map(({ name }) => `
+                        <button class="tag" style="${this.getTagStyle(name)}" onclick="uiController.toggleTagFilter(this.dataset.tag)" data-tag="${this.escapeHtml(name)}">${this.escapeHtml(this.tracker.getTagPath(name).join(' › '))}</button>
+                    `).join('')}
+                </div>
+            </div>
+
+            <div id="manga-grid" class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+                ${this.renderMangaCards(manga)}
+            </div>
+        `;
+        
+        document.getElementById('main-content').innerHTML = content;
+        this.selectedTags = [];
+
+        if (editingList) {
+            this.applySmartListFilters(editingList);
+        }
+    }
+
+    renderMangaCards(mangaList) {
+        if (mangaList.length === 0) {
+            return `
+                <div class="col-span-full empty-state">
+                    <svg class="mx-auto mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.746 0 3.332.477 4.5 1.253v13C19.832 18.477 18.246 18 16.5 18c-1.746 0-3.332.477-4.5 1.253"></path>
+                    </svg>
+                    <h3 class="text-lg font-medium text-gray-900 mb-2">No manga found</h3>
+                    <p class="text-gray-500 mb-4">Start building your collection by adding your first manga!</p>
+                    <button onclick="uiController.showAddMangaModal()" class="btn-primary">Add Your First Manga</button>
+                </div>
+            `;
+        }
+
+        return mangaList.map(manga => {
+            // A re-read in progress shows that pass's progress instead of the first read
+            const reread = this.tracker.getActiveReread(manga);
+            const progress = this.tracker.getProgress(manga);
+            const volume = this.tracker.getVolumeProgress(manga);
+            const volumeText = volume || manga.totalVolumes ? `${volume}${manga.totalVolumes ? `/${manga.totalVolumes}` : ''}` : '';
+            const timesRead = (manga.rereads || []).filter(MangaTracker.isFinishedReread).length + 1;
+            const completion = this.tracker.getCompletion(manga);
+            const progressPercent = completion !== null ? Math.round(completion * 100) : 0;
+            
+            return `
+                <div class="manga-card">
+                    <div class="manga-card-image bg-gradient-to-br from-blue-100 to-purple-100 flex items-center justify-center">
+                        <span class="text-4xl">📚</span>
+                    </div>
+                    <div class="manga-card-content">
+                        <h3 class="manga-card-title">${this.escapeHtml(manga.title)}</h3>
+                        <div class="manga-card-meta">
+                            <span class="status-badge ${this.getStatusBadgeClass(manga.status)}">${manga.status}</span>
+                            <span class="type-badge ${this.getTypeBadgeClass(manga.type)}">${manga.type}</span>
+                        </div>
+                        <div class="manga-card-meta">
+                            ${manga.author ? `<p>by ${this.escapeHtml(manga.author)}</p>` : ''}
+                            ${reread ? `
+                                <p>Re-reading (${this.formatOrdinal(reread.pass)} time), ch. ${progress}${manga.totalChapters ? `/${manga.totalChapters}` : ''}${volumeText ? `, vol. ${volumeText}` : ''}</p>
+                            ` : `
+                                <p>Chapter ${manga.currentChapter}${manga.totalChapters ? ` / ${manga.totalChapters}` : ''}${volumeText ? ` · Vol. ${volumeText}` : ''}${timesRead > 1 ? ` · read ${timesRead} times` : ''}</p>
+                            `}
+                            ${completion !== null ? `<div class="progress-bar mt-2"><div class="progress-fill" style="width: ${progressPercent}%"></div></div>` : ''}
+                        </div>
+                        ${manga.tags.length > 0 ? `
+                            <div class="mt-2">
+                                ${manga.tags.map(tag => this.renderTag(tag)).join('')}
+                            </div>
+                        ` : ''}
+                        <div class="manga-card-actions mt-4">
+                            <button onclick="uiController.quickUpdateProgress('${manga.id}')" class="btn-edit">Update Progress</button>
+                            <button onclick="uiController.startSessionFor('${manga.id}')" class="btn-edit" title="Start a reading session">▶️</button>
+                            <button onclick="uiController.promptAddBookmark('${manga.id}')" class="btn-edit" title="Bookmark a chapter">🔖</button>
+                            <button onclick="uiController.showChapterLog('${manga.id}')" class="btn-edit" title="Chapters read">📑</button>
+                            <button onclick="uiController.showCollectionDialog('${manga.id}')" class="btn-edit" title="Add to collections">🗂️</button>
+                            ${reread ? `
+                                <button onclick="uiController.finishReread('${manga.id}')" class="btn-edit" title="Finish re-reading">⏹️</button>
+                            ` : manga.status === 'completed' ? `
+                                <button onclick="uiController.startReread('${manga.id}')" class="btn-edit" title="Read it again">🔁</button>
+                            ` : ''}
+                            <button onclick="uiController.editManga('${manga.id}')" class="btn-edit">Edit</button>
+                            <button onclick="uiController.deleteManga('${manga.id}')" class="btn-delete">Delete</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Typing runs one search per pause rather than one per key
+    scheduleSearch(input, search) {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => {
+            this.searchTimer = null;
+            // The view may have changed since the last key
+            if (input.isConnected) this[search]();
+        }, 150);
+    }
+
+    filterManga() {
+        const searchTerm = document.getElementById('manga-search').value;
+        const statusFilter = document.getElementById('status-filter').value;
+        const typeFilter = document.getElementById('type-filter').value;
+        const sortBy = document.getElementById('sort-by').value;
+        
+        let filteredManga = this.runSearch(searchTerm, {
+            status: statusFilter,
+            type: typeFilter,
+            tags: this.selectedTags || []
+        }, 'manga-search-error');
+        if (!filteredManga) return;
+        
+        // Sort manga
+        filteredManga = this.sortManga(filteredManga, sortBy, searchTerm);
+        
+        // Update the grid
+        document.getElementById('manga-grid').innerHTML = this.renderMangaCards(filteredManga);
+    }
+
+    // Search with the query language; a malformed query keeps the last results
+    // on screen and shows the parse error under the search box
+    runSearch(query, filters, errorElementId) {
+        const errorElement = document.getElementById(errorElementId);
+        try {
+            const results = this.tracker.searchManga(query, filters);
+            errorElement.style.display = 'none';
+            return results;
+        } catch (error) {
+            errorElement.textContent = error.message;
+            errorElement.style.display = 'block';
+            return null;
+        }
+    }
+
+    // "relevance" keeps the ranking from searchManga, or falls back to title
+    // when there is no free text to rank by
+    sortManga(mangaList, sortBy, searchTerm = '') {
+        if (sortBy === 'relevance') {
+            if (this.tracker.query.parse(searchTerm).text.length > 0) return mangaList;
+            sortBy = 'title';
+        }
+
+        return mangaList.sort((a, b) => {
+            switch (sortBy) {
+                case 'title':
+                    return a.title.localeCompare(b.title);
+                case 'title-desc':
+                    return b.title.localeCompare(a.title);
+                case 'lastRead':
+                    const aDate = a.lastRead ? new Date(a.lastRead) : new Date(0);
+                    const bDate = b.lastRead ? new Date(b.lastRead) : new Date(0);
+                    return bDate - aDate;
+                case 'progress':
+                    const aProgress = this.tracker.getCompletion(a) || 0;
+                    const bProgress = this.tracker.getCompletion(b) || 0;
+                    return (bProgress - aProgress) || (this.tracker.getProgress(b) - this.tracker.getProgress(a));
+                case 'rating':
+                    return (b.rating || 0) - (a.rating || 0);
+                case 'createdAt':
+                    return new Date(b.createdAt) - new Date(a.createdAt);
+                default:
+                    return 0;
+            }
         });
+    }
+
+    // Re-run the filters of whichever manga list is on screen
+    refreshMangaList() {
+        if (this.currentView === 'my-manga') {
+            this.filterManga();
+        } else if (this.currentView === 'library') {
+            this.searchLibrary();
+        } else {
+            this.loadContent(this.currentView);
+        }
+    }
+
+    toggleTagFilter(tag) {
+        if (!this.selectedTags) this.selectedTags = [];
+        
+        const tagButton = [...document.querySelectorAll('#main-content [data-tag]')].find(button => button.dataset.tag === tag);
+        const index = this.selectedTags.indexOf(tag);
+        
+        if (index > -1) {
+            this.selectedTags.splice(index, 1);
+            tagButton.classList.remove('active');
+        } else {
+            this.selectedTags.push(tag);
+            tagButton.classList.add('active');
+        }
+        
+        this.filterManga();
+    }
+
+    quickUpdateProgress(mangaId) {
+        const manga = this.tracker.getManga(mangaId);
+        if (!manga) return;
+        
+        const reread = this.tracker.getActiveReread(manga);
+        const progress = this.tracker.getProgress(manga);
+        const volume = this.tracker.getVolumeProgress(manga);
+        const label = reread ? `${manga.title}" (${this.formatOrdinal(reread.pass)} read)` : `${manga.title}"`;
+        const current = `Chapter ${progress}${volume || manga.totalVolumes ? `, volume ${volume}` : ''}`;
+        const newChapter = prompt(`Update progress for "${label}\nCurrent: ${current}\nNew chapter (10.5 for an extra; v5 for a volume, v5 42 for both):`, Math.floor(progress) + 1);
+        
+        if (newChapter !== null) {
+            const parsed = this.parseProgressInput(newChapter);
+            if (parsed) {
+                this.updateProgress(mangaId, parsed.chapter, parsed.volume);
+                this.refreshMangaList(); // Refresh the current view
+            } else {
+                this.showNotification(`"${newChapter}" is not a chapter number`, 'error');
+            }
+        }
+    }
+
+    // "42", "10.5", "v5", "vol 5 ch 42" -> { chapter, volume } with null for the
+    // part not given; null when the text isn't a valid position
+    parseProgressInput(text) {
+        const match = text.trim().match(/^(?:v(?:ol(?:ume)?)?\.?\s*(\d+(?:\.\d+)?))?\s*(?:c(?:h(?:apter)?)?\.?\s*)?(\d+(?:\.\d+)?)?$/i);
+        if (!match || (match[1] === undefined && match[2] === undefined)) return null;
+        return {
+            volume: match[1] !== undefined ? parseFloat(match[1]) : null,
+            chapter: match[2] !== undefined ? parseFloat(match[2]) : null
+        };
+    }
+
+    loadLibrary() {
+        const allManga = this.tracker.getAllManga();
+        const stats = this.tracker.getStatistics();
+        
+        const content = `
+            <header class="flex justify-between items-center mb-6">
+                <h1 class="text-3xl font-semibold text-gray-800">Library</h1>
+                <div class="flex gap-2">
+                    <button onclick="uiController.showAddMangaModal()" class="btn-primary">Add Manga</button>
+                    <button onclick="uiController.exportLibrary()" class="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Export</button>
+                    <button onclick="uiController.pickRestoreFile()" class="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Restore</button>
+                    <button onclick="uiController.pickImportFile()" class="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700" title="MyAnimeList, AniList, MangaDex, Kitsu or CSV">Import</button>
+                    <button onclick="uiController.exportMalXml()" class="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Export MAL</button>
+                    <button onclick="uiController.showCsvExportDialog()" class="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Export CSV</button>
+                    <button onclick="uiController.saveSmartList('library')" class="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Save as Smart List</button>
+                </div>
+            </header>
+
+            <!-- Library Stats -->
+            <div class="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+                <div class="bg-white p-4 rounded-lg shadow text-center">
+                    <div class="text-2xl font-bold text-blue-600">${stats.totalManga}</div>
+                    <div class="text-sm text-gray-600">Total</div>
+                </div>
+                <div class="bg-white p-4 rounded-lg shadow text-center">
+                    <div class="text-2xl font-bold text-green-600">${stats.currentlyReading}</div>
+                    <div class="text-sm text-gray-600">Reading</div>
+                </div>
+                <div class="bg-white p-4 rounded-lg shadow text-center">
+                    <div class="text-2xl font-bold text-purple-600">${stats.completed}</div>
+                    <div class="text-sm text-gray-600">Completed</div>
+                </div>
+                <div class="bg-white p-4 rounded-lg shadow text-center">
+                    <div class="text-2xl font-bold text-yellow-600">${stats.onHold}</div>
+                    <div class="text-sm text-gray-600">On Hold</div>
+                </div>
+                <div class="bg-white p-4 rounded-lg shadow text-center">
+                    <div class="text-2xl font-bold text-red-600">${stats.dropped}</div>
+                    <div class="text-sm text-gray-600">Dropped</div>
+                </div>
+            </div>
+
+            <!-- Advanced Search -->
+            <div class="bg-white p-6 rounded-lg shadow mb-6">
+                <h2 class="text-xl font-semibold mb-4">Advanced Search</h2>
+                <div class="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                        <label class="form-label">Search</label>
+                        <input type="text" id="library-search" placeholder='Title, author, tags or author:"Oda" chapters<50' title="${this.queryHelp}" class="form-input" onkeyup="uiController.scheduleSearch(this, 'searchLibrary')">
+                        <p id="library-search-error" class="text-sm text-red-600 mt-1" style="display: none;"></p>
+                    </div>
+                    <div>
+                        <label class="form-label">Status</label>
+                        <select id="library-status-filter" class="form-input" onchange="uiController.searchLibrary()">
+                            <option value="">All Status</option>
+                            <option value="reading">Reading</option>
+                            <option value="completed">Completed</option>
+                            <option value="on-hold">On Hold</option>
+                            <option value="dropped">Dropped</option>
+                            <option value="plan-to-read">Plan to Read</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label class="form-label">Type</label>
+                        <select id="library-type-filter" class="form-input" onchange="uiController.searchLibrary()">
+                            <option value="">All Types</option>
+                            <option value="manga">Manga</option>
+                            <option value="manhwa">Manhwa</option>
+                            <option value="manhua">Manhua</option>
+                        </select>
+                    </div>
+                </div>
+                
+                <div class="mt-4">
+                    <label class="form-label">Sort by</label>
+                    <div class="flex gap-4">
+                        <select id="library-sort" class="form-input" onchange="uiController.searchLibrary()">
+                            <option value="relevance">Best Match</option>
+                            <option value="title">Title (A-Z)</option>
+                            <option value="title-desc">Title (Z-A)</option>
+                            <option value="lastRead">Recently Read</option>
+                            <option value="progress">Progress</option>
+                            <option value="rating">Rating</option>
+                            <option value="createdAt">Date Added</option>
+                        </select>
+                        <button onclick="uiController.clearLibraryFilters()" class="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600">Clear Filters</button>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Results -->
+            <div id="library-results">
+                ${this.renderLibraryResults(allManga)}
+            </div>
+        `;
+        
+        document.getElementById('main-content').innerHTML = content;
+    }
+
+    renderLibraryResults(mangaList) {
+        if (mangaList.length === 0) {
+            return `
+                <div class="empty-state">
+                    <h3 class="text-lg font-medium text-gray-900 mb-2">No manga found</h3>
+                    <p class="text-gray-500">Try adjusting your search criteria or add some manga to your library.</p>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="bg-white rounded-lg shadow overflow-hidden">
+                <div class="px-6 py-4 border-b border-gray-200">
+                    <h3 class="text-lg font-medium">Found ${mangaList.length} manga</h3>
+                </div>
+                <div class="divide-y divide-gray-200">
+                    ${mangaList.map(manga => {
+                        const completion = this.tracker.getCompletion(manga);
+                        const progressPercent = completion !== null ? Math.round(completion * 100) : 0;
+                        
+                        return `
+                            <div class="px-6 py-4 hover:bg-gray-50">
+                                <div class="flex items-center justify-between">
+                                    <div class="flex-1">
+                                        <div class="flex items-center space-x-3">
+                                            <div class="flex-shrink-0">
+                                                <div class="w-12 h-16 bg-gradient-to-br from-blue-100 to-purple-100 rounded flex items-center justify-center">
+                                                    <span class="text-lg">📚</span>
+                                                </div>
+                                            </div>
+                                            <div class="flex-1 min-w-0">
+                                                <h4 class="text-lg font-medium text-gray-900 truncate">${this.escapeHtml(manga.title)}</h4>
+                                                ${manga.author ? `<p class="text-sm text-gray-500">${this.escapeHtml(manga.author)}</p>` : ''}
+                                                <div class="flex items-center space-x-2 mt-1">
+                                                    <span class="status-badge ${this.getStatusBadgeClass(manga.status)}">${manga.status}</span>
+                                                    <span class="type-badge ${this.getTypeBadgeClass(manga.type)}">${manga.type}</span>
+                                                    ${manga.rating ? `<span class="text-yellow-500">${this.formatRating(manga.rating)}</span>` : ''}
+                                                </div>
+                                            </div>
+                                        </div>
+                                    </div>
+                                    <div class="flex items-center space-x-4">
+                                        <div class="text-right">
+                                            <div class="text-sm font-medium text-gray-900">
+                                                Chapter ${manga.currentChapter}${manga.totalChapters ? ` / ${manga.totalChapters}` : ''}
+                                                ${manga.currentVolume || manga.totalVolumes ? ` · Vol. ${manga.currentVolume || 0}${manga.totalVolumes ? ` / ${manga.totalVolumes}` : ''}` : ''}
+                                            </div>
+                                            ${completion !== null ? `
+                                                <div class="w-24 progress-bar mt-1">
+                                                    <div class="progress-fill" style="width: ${progressPercent}%"></div>
+                                                </div>
+                                                <div class="text-xs text-gray-500">${progressPercent}% complete</div>
+                                            ` : ''}
+                                        </div>
+                                        <div class="flex space-x-2">
+                                            <button onclick="uiController.quickUpdateProgress('${manga.id}')" class="text-blue-600 hover:text-blue-800 text-sm">Update</button>
+                                            <button onclick="uiController.editManga('${manga.id}')" class="text-green-600 hover:text-green-800 text-sm">Edit</button>
+                                        </div>
+                                    </div>
+                                </div>
+                                ${manga.tags.length > 0 ? `
+                                    <div class="mt-2 flex flex-wrap gap-1">
+                                        ${manga.tags.map(tag => this.renderTag(tag)).join('')}
+                                    </div>
+                                ` : ''}
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    searchLibrary() {
+        const searchTerm = document.getElementById('library-search').value;
+        const statusFilter = document.getElementById('library-status-filter').value;
+        const typeFilter = document.getElementById('library-type-filter').value;
+        const sortBy = document.getElementById('library-sort').value;
         
-        const activeLink = document.querySelector(`.nav-link[href="#${view}"]`);
-        if (activeLink) {
-            activeLink.classList.add('active');
+        let filteredManga = this.runSearch(searchTerm, {
+            status: statusFilter,
+            type: typeFilter
+        }, 'library-search-error');
+        if (!filteredManga) return;
+        
+        // Sort manga
+        filteredManga = this.sortManga(filteredManga, sortBy, searchTerm);
+        
+        // Update results
+        document.getElementById('library-results').innerHTML = this.renderLibraryResults(filteredManga);
+    }
+
+    clearLibraryFilters() {
+        document.getElementById('library-search').value = '';
+        document.getElementById('library-status-filter').value = '';
+        document.getElementById('library-type-filter').value = '';
+        document.getElementById('library-sort').value = 'relevance';
+        this.searchLibrary();
+    }
+
+    // Smart lists: saved search/filter/sort combinations shown in the sidebar.
+    // Counts and contents are recomputed whenever the tracker reports a change.
+    setupSmartLists() {
+        this.editingSmartListId = null;
+        this.sortLabels = {
+            relevance: 'best match',
+            title: 'title',
+            'title-desc': 'title (Z-A)',
+            lastRead: 'last read',
+            progress: 'progress',
+            rating: 'rating',
+            createdAt: 'date added'
+        };
+        this.tracker.onChange = () => this.scheduleSmartListRefresh();
+        this.renderSmartListNav();
+    }
+
+    // A single mutation can write several records; refresh once afterwards
+    scheduleSmartListRefresh() {
+        if (this.smartListRefreshTimer) return;
+        this.smartListRefreshTimer = setTimeout(() => {
+            this.smartListRefreshTimer = null;
+            this.renderSmartListNav();
+            if (this.currentView.startsWith('smart-list/') && document.getElementById('smart-list-grid')) {
+                this.renderSmartListGrid(this.currentView.substring('smart-list/'.length));
+            }
+        }, 0);
+    }
+
+    renderSmartListNav() {
+        const container = document.getElementById('smart-list-nav');
+        if (!container) return;
+
+        const lists = this.tracker.getSmartLists();
+        container.innerHTML = `
+            <div class="mt-4 pt-4 border-t border-gray-700">
+                <h3 class="px-4 mx-2 mb-2 text-xs font-semibold uppercase tracking-wider text-gray-400">Smart Lists</h3>
+                ${lists.length === 0 ? `
+                    <p class="px-4 mx-2 text-xs text-gray-400">Save a search from My Manga or Library to pin it here.</p>
+                ` : lists.map(list => {
+                    const results = this.getSmartListResults(list);
+                    const active = this.currentView === `smart-list/${list.id}` ? ' active' : '';
+                    return `
+                        <a href="#smart-list/${list.id}" class="nav-link${active} flex items-center py-2 px-4 text-gray-200 hover:bg-gray-700 rounded-lg mx-2 mb-1 transition-colors duration-200">
+                            <span class="mr-3 text-lg">✨</span>
+                            <span class="font-medium flex-1 truncate">${this.escapeHtml(list.name)}</span>
+                            <span class="ml-2 text-xs bg-gray-700 rounded-full px-2 py-0.5" title="${results ? '' : 'The saved search is no longer valid'}">${results ? results.length : '!'}</span>
+                        </a>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    // Sorted contents of a list, or null if its saved query no longer parses
+    getSmartListResults(list) {
+        try {
+            return this.sortManga([...this.tracker.getSmartListManga(list.id)], list.sortBy, list.query);
+        } catch (error) {
+            return null;
         }
+    }
 
-        // Update URL
-        window.location.hash = view;
-        
-        // Load content
-        this.currentView = view;
-        this.loadContent(view);
+    describeSmartList(list) {
+        const parts = [];
+        if (list.query) parts.push(`matching "${list.query}"`);
+        if (list.status) parts.push(`status ${list.status}`);
+        if (list.type) parts.push(`type ${list.type}`);
+        if (list.tags.length > 0) parts.push(`tagged ${list.tags.join(' or ')}`);
+        const filters = parts.length > 0 ? parts.join(', ') : 'All manga';
+        return `${filters.charAt(0).toUpperCase()}${filters.slice(1)}, sorted by ${this.sortLabels[list.sortBy] || list.sortBy}`;
     }
 
-    loadContent(view) {
-        const mainContent = document.getElementById('main-content');
-        
-        switch (view) {
-            case 'dashboard':
-                this.loadDashboard();
-                break;
-            case 'my-manga':
-                this.loadMyManga();
-                break;
-            case 'library':
-                this.loadLibrary();
-                break;
-            case 'discover':
-                this.loadDiscover();
-                break;
-            case 'bookmarks':
-                this.loadBookmarks();
-                break;
-            case 'history':
-                this.loadHistory();
-                break;
-            case 'analytics':
-                this.loadAnalytics();
-                break;
-            case 'tags':
-                this.loadTags();
-                break;
-            case 'settings':
-                this.loadSettings();
-                break;
-            default:
-                this.loadDashboard();
+    loadSmartList(id) {
+        const list = this.tracker.getSmartList(id);
+        if (!list) {
+            this.showNotification('Smart list not found', 'error');
+            this.navigateTo('dashboard');
+            return;
+        }
+
+        const content = `
+            <header class="flex flex-col md:flex-row md:justify-between md:items-center gap-4 mb-6">
+                <div>
+                    <h1 class="text-3xl font-semibold text-gray-800">${this.escapeHtml(list.name)}</h1>
+                    <p class="text-sm text-gray-600 mt-1">${this.escapeHtml(this.describeSmartList(list))}</p>
+                </div>
+                <div class="flex gap-2">
+                    <button onclick="uiController.editSmartList('${list.id}')" class="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Edit Filters</button>
+                    <button onclick="uiController.renameSmartList('${list.id}')" class="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Rename</button>
+                    <button onclick="uiController.deleteSmartList('${list.id}')" class="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700">Delete</button>
+                </div>
+            </header>
+
+            <p id="smart-list-error" class="text-sm text-red-600 mb-4" style="display: none;"></p>
+            <div id="smart-list-grid" class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6"></div>
+        `;
+
+        document.getElementById('main-content').innerHTML = content;
+        this.renderSmartListGrid(id);
+    }
+
+    renderSmartListGrid(id) {
+        const list = this.tracker.getSmartList(id);
+        if (!list) return;
+
+        const errorElement = document.getElementById('smart-list-error');
+        try {
+            const manga = this.sortManga([...this.tracker.getSmartListManga(id)], list.sortBy, list.query);
+            errorElement.style.display = 'none';
+            document.getElementById('smart-list-grid').innerHTML = this.renderMangaCards(manga);
+        } catch (error) {
+            errorElement.textContent = `This list's search no longer works: ${error.message}. Use Edit Filters to fix it.`;
+            errorElement.style.display = 'block';
+            document.getElementById('smart-list-grid').innerHTML = '';
+        }
+    }
+
+    // Current search, filters, tags and sort of My Manga or Library
+    getCurrentFilters(source) {
+        if (source === 'library') {
+            return {
+                query: document.getElementById('library-search').value,
+                status: document.getElementById('library-status-filter').value,
+                type: document.getElementById('library-type-filter').value,
+                tags: [],
+                sortBy: document.getElementById('library-sort').value
+            };
+        }
+        return {
+            query: document.getElementById('manga-search').value,
+            status: document.getElementById('status-filter').value,
+            type: document.getElementById('type-filter').value,
+            tags: this.selectedTags || [],
+            sortBy: document.getElementById('sort-by').value
+        };
+    }
+
+    saveSmartList(source) {
+        const name = prompt('Name for this smart list:');
+        if (name === null) return;
+
+        try {
+            const list = this.tracker.createSmartList(name, this.getCurrentFilters(source));
+            this.showNotification(`Smart list "${list.name}" saved`, 'success', {
+                label: 'Open',
+                onClick: () => this.navigateTo(`smart-list/${list.id}`)
+            });
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    // Open the list's filters in My Manga so they can be adjusted and saved back
+    editSmartList(id) {
+        this.editingSmartListId = id;
+        this.navigateTo('my-manga');
+    }
+
+    applySmartListFilters(list) {
+        document.getElementById('manga-search').value = list.query;
+        document.getElementById('status-filter').value = list.status;
+        document.getElementById('type-filter').value = list.type;
+        document.getElementById('sort-by').value = list.sortBy;
+
+        this.selectedTags = [...list.tags];
+        document.querySelectorAll('#main-content [data-tag]').forEach(button => {
+            button.classList.toggle('active', this.selectedTags.includes(button.dataset.tag));
+        });
+        this.filterManga();
+    }
+
+    updateSmartListFromFilters() {
+        const id = this.editingSmartListId;
+        try {
+            const list = this.tracker.updateSmartList(id, this.getCurrentFilters('my-manga'));
+            this.showNotification(`Smart list "${list.name}" updated`, 'success');
+            this.navigateTo(`smart-list/${id}`);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    cancelSmartListEdit() {
+        const id = this.editingSmartListId;
+        this.editingSmartListId = null;
+        this.navigateTo(`smart-list/${id}`);
+    }
+
+    renameSmartList(id) {
+        const list = this.tracker.getSmartList(id);
+        const name = prompt('Rename smart list:', list.name);
+        if (name === null || name.trim() === list.name) return;
+
+        try {
+            this.tracker.updateSmartList(id, { name });
+            this.loadSmartList(id);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    deleteSmartList(id) {
+        const list = this.tracker.getSmartList(id);
+        if (!confirm(`Delete the smart list "${list.name}"? The manga in it are not affected.`)) return;
+
+        this.tracker.deleteSmartList(id);
+        this.showNotification(`Smart list "${list.name}" deleted`, 'success');
+        this.navigateTo('my-manga');
+    }
+
+    // Collections: hand-built lists with their own order
+    loadCollections() {
+        const collections = this.tracker.getCollections();
+
+        const content = `
+            <header class="flex justify-between items-center mb-6">
+                <h1 class="text-3xl font-semibold text-gray-800">Collections</h1>
+                <button onclick="uiController.promptCreateCollection()" class="btn-primary">New Collection</button>
+            </header>
+
+            ${collections.length === 0 ? `
+                <div class="bg-white p-6 rounded-lg shadow empty-state">
+                    <h3 class="text-lg font-medium text-gray-900 mb-2">No collections yet</h3>
+                    <p class="text-gray-500">Group manga into hand-picked lists like "Summer binge" or "Recommend to friends". Use the 🗂️ button on a manga card to add it to one.</p>
+                </div>
+            ` : `
+                <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                    ${collections.map(collection => {
+                        const manga = this.tracker.getCollectionManga(collection.id);
+                        return `
+                            <a href="#collection/${collection.id}" class="block bg-white p-4 rounded-lg shadow card hover:shadow-lg">
+                                <div class="flex justify-between items-start mb-2">
+                                    <h2 class="text-lg font-semibold text-gray-800">${this.escapeHtml(collection.name)}</h2>
+                                    <span class="text-sm text-gray-500">${manga.length} manga</span>
+                                </div>
+                                ${collection.description ? `<p class="text-sm text-gray-600 mb-2">${this.escapeHtml(collection.description)}</p>` : ''}
+                                <p class="text-sm text-gray-500 truncate">${manga.slice(0, 4).map(m => this.escapeHtml(m.title)).join(' · ') || 'Empty'}</p>
+                            </a>
+                        `;
+                    }).join('')}
+                </div>
+            `}
+        `;
+
+        document.getElementById('main-content').innerHTML = content;
+    }
+
+    loadCollection(id) {
+        const collection = this.tracker.getCollection(id);
+        if (!collection) {
+            this.showNotification('Collection not found', 'error');
+            this.navigateTo('collections');
+            return;
+        }
+
+        const manga = this.tracker.getCollectionManga(id);
+        const candidates = this.tracker.getAllManga().filter(m => !collection.mangaIds.includes(m.id));
+
+        const content = `
+            <header class="flex flex-col md:flex-row md:justify-between md:items-center gap-4 mb-6">
+                <div>
+                    <a href="#collections" class="text-sm text-gray-500 hover:underline">← Collections</a>
+                    <h1 class="text-3xl font-semibold text-gray-800">${this.escapeHtml(collection.name)}</h1>
+                    ${collection.description ? `<p class="text-sm text-gray-600 mt-1">${this.escapeHtml(collection.description)}</p>` : ''}
+                </div>
+                <div class="flex gap-2">
+                    <button onclick="uiController.editCollection('${id}')" class="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Edit</button>
+                    <button onclick="uiController.deleteCollection('${id}')" class="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700">Delete</button>
+                </div>
+            </header>
+
+            <div class="bg-white p-4 rounded-lg shadow mb-6 flex flex-col md:flex-row gap-2">
+                <input type="text" id="collection-add-input" list="collection-add-options" placeholder="Type a title to add..." class="form-input flex-1">
+                <datalist id="collection-add-options">
+                    ${candidates.map(m => `<option value="${this.escapeHtml(m.title)}"></option>`).join('')}
+                </datalist>
+                <button onclick="uiController.addToCollectionByTitle('${id}')" class="btn-primary">Add</button>
+            </div>
+
+            ${manga.length === 0 ? `
+                <div class="bg-white p-6 rounded-lg shadow empty-state">
+                    <p class="text-gray-500">This collection is empty. Add manga above or with the 🗂️ button on a manga card.</p>
+                </div>
+            ` : `
+                <p class="text-sm text-gray-500 mb-2">Drag to reorder.</p>
+                <div id="collection-items" class="bg-white rounded-lg shadow divide-y divide-gray-200">
+                    ${manga.map((m, index) => `
+                        <div class="collection-item flex items-center gap-3 p-3" draggable="true" data-manga-id="${m.id}">
+                            <span class="drag-handle text-gray-400 cursor-move select-none" title="Drag to reorder">⋮⋮</span>
+                            <span class="text-sm text-gray-500 w-6 text-right">${index + 1}</span>
+                            <div class="flex-1 min-w-0">
+                                <p class="font-medium text-gray-800 truncate">${this.escapeHtml(m.title)}</p>
+                                <p class="text-sm text-gray-500">
+                                    <span class="status-badge ${this.getStatusBadgeClass(m.status)}">${m.status}</span>
+                                    Chapter ${m.currentChapter}${m.totalChapters ? ` / ${m.totalChapters}` : ''}
+                                </p>
+                            </div>
+                            <button onclick="uiController.moveCollectionItem('${id}', '${m.id}', -1)" class="px-2 py-1 text-gray-600 hover:bg-gray-100 rounded" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                            <button onclick="uiController.moveCollectionItem('${id}', '${m.id}', 1)" class="px-2 py-1 text-gray-600 hover:bg-gray-100 rounded" title="Move down" ${index === manga.length - 1 ? 'disabled' : ''}>↓</button>
+                            <button onclick="uiController.removeFromCollection('${id}', '${m.id}')" class="px-3 py-1 bg-red-600 text-white text-sm rounded hover:bg-red-700">Remove</button>
+                        </div>
+                    `).join('')}
+                </div>
+            `}
+        `;
+
+        document.getElementById('main-content').innerHTML = content;
+        this.setupCollectionDragDrop(id);
+    }
+
+    // HTML5 drag and drop: dropping on a row places the dragged manga before it,
+    // dropping below the last row moves it to the end
+    setupCollectionDragDrop(id) {
+        const list = document.getElementById('collection-items');
+        if (!list) return;
+
+        let draggedId = null;
+        const clearMarkers = () => {
+            list.querySelectorAll('.drag-over').forEach(row => row.classList.remove('drag-over'));
+            list.classList.remove('drag-over-end');
+        };
+
+        list.addEventListener('dragstart', (e) => {
+            const row = e.target.closest('.collection-item');
+            if (!row) return;
+            draggedId = row.dataset.mangaId;
+            row.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', draggedId);
+        });
+
+        list.addEventListener('dragover', (e) => {
+            if (!draggedId) return;
+            e.preventDefault();
+            clearMarkers();
+            const row = e.target.closest('.collection-item');
+            if (row) {
+                row.classList.add('drag-over');
+            } else {
+                list.classList.add('drag-over-end');
+            }
+        });
+
+        list.addEventListener('dragleave', (e) => {
+            if (!list.contains(e.relatedTarget)) clearMarkers();
+        });
+
+        list.addEventListener('drop', (e) => {
+            e.preventDefault();
+            if (!draggedId) return;
+            const row = e.target.closest('.collection-item');
+            this.tracker.moveInCollection(id, draggedId, row ? row.dataset.mangaId : null);
+            draggedId = null;
+            this.loadCollection(id);
+        });
+
+        list.addEventListener('dragend', () => {
+            draggedId = null;
+            clearMarkers();
+            list.querySelectorAll('.dragging').forEach(row => row.classList.remove('dragging'));
+        });
+    }
+
+    // Keyboard-friendly alternative to dragging
+    moveCollectionItem(id, mangaId, offset) {
+        const order = this.tracker.getCollectionManga(id).map(m => m.id);
+        const index = order.indexOf(mangaId);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= order.length) return;
+
+        // Moving down means going before the item after the next one
+        const beforeId = offset < 0 ? order[target] : (order[target + 1] || null);
+        this.tracker.moveInCollection(id, mangaId, beforeId);
+        this.loadCollection(id);
+    }
+
+    addToCollectionByTitle(id) {
+        const title = document.getElementById('collection-add-input').value.trim().toLowerCase();
+        if (!title) return;
+
+        const collection = this.tracker.getCollection(id);
+        const manga = this.tracker.getAllManga().find(m =>
+            m.title.toLowerCase() === title && !collection.mangaIds.includes(m.id)
+        );
+        if (!manga) {
+            this.showNotification('No manga with that title outside this collection', 'error');
+            return;
+        }
+
+        this.tracker.addToCollection(id, manga.id);
+        this.showNotification(`"${manga.title}" added to ${collection.name}`, 'success');
+        this.loadCollection(id);
+    }
+
+    removeFromCollection(id, mangaId) {
+        this.tracker.removeFromCollection(id, mangaId);
+        this.loadCollection(id);
+    }
+
+    promptCreateCollection() {
+        const name = prompt('Collection name:');
+        if (name === null) return null;
+
+        try {
+            const collection = this.tracker.createCollection(name);
+            if (this.currentView === 'collections') this.loadCollections();
+            return collection;
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return null;
+        }
+    }
+
+    editCollection(id) {
+        const collection = this.tracker.getCollection(id);
+        this.showDialog(`
+            <h2 class="text-xl font-semibold mb-4">Edit Collection</h2>
+            <div class="form-group">
+                <label class="form-label">Name</label>
+                <input type="text" id="collection-name" class="form-input" value="${this.escapeHtml(collection.name)}">
+            </div>
+            <div class="form-group">
+                <label class="form-label">Description</label>
+                <textarea id="collection-description" class="form-input" rows="3">${this.escapeHtml(collection.description)}</textarea>
+            </div>
+            <div class="flex justify-end space-x-3 mt-6">
+                <button onclick="uiController.closeDialog()" class="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600">Cancel</button>
+                <button onclick="uiController.saveCollection('${id}')" class="btn-primary">Save</button>
+            </div>
+        `);
+    }
+
+    saveCollection(id) {
+        try {
+            this.tracker.updateCollection(id, {
+                name: document.getElementById('collection-name').value,
+                description: document.getElementById('collection-description').value
+            });
+            this.closeDialog();
+            this.loadCollection(id);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
         }
     }
 
-    loadDashboard() {
-        const stats = this.tracker.getStatistics();
-        const recentActivity = this.tracker.getRecentActivity(5);
-        
+    deleteCollection(id) {
+        const collection = this.tracker.getCollection(id);
+        if (!confirm(`Delete the collection "${collection.name}"? The manga in it are not affected.`)) return;
+
+        this.tracker.deleteCollection(id);
+        this.showNotification(`Collection "${collection.name}" deleted`, 'success');
+        this.navigateTo('collections');
+    }
+
+    // Opened from the 🗂️ button on a manga card; checkedIds keeps unsaved choices
+    showCollectionDialog(mangaId, checkedIds = null) {
+        const manga = this.tracker.getManga(mangaId);
+        const collections = this.tracker.getCollections();
+        const isChecked = collection => checkedIds ? checkedIds.includes(collection.id) : collection.mangaIds.includes(mangaId);
+
+        this.showDialog(`
+            <h2 class="text-xl font-semibold mb-4">Collections for "${this.escapeHtml(manga.title)}"</h2>
+            ${collections.length === 0 ? `
+                <p class="text-sm text-gray-600 mb-4">You don't have any collections yet.</p>
+            ` : `
+                <div class="space-y-2 mb-4 max-h-64 overflow-y-auto">
+                    ${collections.map(collection => `
+                        <label class="flex items-center gap-2 text-gray-700">
+                            <input type="checkbox" class="collection-choice" value="${collection.id}" ${isChecked(collection) ? 'checked' : ''}>
+                            ${this.escapeHtml(collection.name)}
+                        </label>
+                    `).join('')}
+                </div>
+            `}
+            <div class="flex justify-between items-center mt-6">
+                <button onclick="uiController.createCollectionFromDialog('${mangaId}')" class="text-sm text-blue-600 hover:underline">+ New collection</button>
+                <div class="flex space-x-3">
+                    <button onclick="uiController.closeDialog()" class="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600">Cancel</button>
+                    <button onclick="uiController.saveMangaCollections('${mangaId}')" class="btn-primary">Save</button>
+                </div>
+            </div>
+        `);
+    }
+
+    createCollectionFromDialog(mangaId) {
+        const checked = [...document.querySelectorAll('.collection-choice:checked')].map(input => input.value);
+        const collection = this.promptCreateCollection();
+        if (!collection) return;
+
+        // Reopen with the new collection ticked, keeping earlier choices
+        this.showCollectionDialog(mangaId, [...checked, collection.id]);
+    }
+
+    saveMangaCollections(mangaId) {
+        const collectionIds = [...document.querySelectorAll('.collection-choice:checked')].map(input => input.value);
+        this.tracker.setMangaCollections(mangaId, collectionIds);
+        this.closeDialog();
+        this.showNotification('Collections updated', 'success');
+    }
+
+    loadGoals() {
+        const goals = this.tracker.getGoals();
+
         const content = `
             <header class="flex justify-between items-center mb-6">
-                <h1 class="text-3xl font-semibold text-gray-800">Dashboard</h1>
+                <h1 class="text-3xl font-semibold text-gray-800">Goals</h1>
+                <button onclick="uiController.showGoalDialog()" class="btn-primary">New Goal</button>
             </header>
 
-            <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
-                <div class="bg-white p-4 rounded-lg shadow card">
-                    <div class="flex items-center justify-between">
-                        <div>
-                            <h2 class="text-lg font-semibold text-gray-700">Total Manga</h2>
-                            <p class="text-3xl font-bold text-blue-600">${stats.totalManga}</p>
-                        </div>
-                        <div class="text-blue-500 text-2xl">📚</div>
-                    </div>
+            ${goals.length === 0 ? `
+                <div class="bg-white p-6 rounded-lg shadow empty-state">
+                    <h3 class="text-lg font-medium text-gray-900 mb-2">No goals yet</h3>
+                    <p class="text-gray-500">Set chapter targets for a day, week, month or year, a number of series to finish, a yearly reading challenge, or a date to finish a series by.</p>
                 </div>
-                <div class="bg-white p-4 rounded-lg shadow card">
-                    <div class="flex items-center justify-between">
-                        <div>
-                            <h2 class="text-lg font-semibold text-gray-700">Currently Reading</h2>
-                            <p class="text-3xl font-bold text-green-600">${stats.currentlyReading}</p>
+            ` : `
+                <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    ${goals.map(goal => `
+                        <div class="bg-white p-4 rounded-lg shadow card">
+                            ${this.renderGoal(goal)}
+                            <div class="flex justify-end gap-3 mt-4 text-sm">
+                                ${goal.history.length > 0 ? `<button onclick="uiController.showGoalHistory('${goal.id}')" class="text-gray-600 hover:underline">History</button>` : ''}
+                                <button onclick="uiController.showGoalDialog('${goal.id}')" class="text-blue-600 hover:underline">Edit</button>
+                                <button onclick="uiController.deleteGoal('${goal.id}')" class="text-red-600 hover:underline">Delete</button>
+                            </div>
                         </div>
-                        <div class="text-green-500 text-2xl">📖</div>
-                    </div>
+                    `).join('')}
                 </div>
-                <div class="bg-white p-4 rounded-lg shadow card">
-                    <div class="flex items-center justify-between">
-                        <div>
-                            <h2 class="text-lg font-semibold text-gray-700">Completed</h2>
-                            <p class="text-3xl font-bold text-purple-600">${stats.completed}</p>
-                        </div>
-                        <div class="text-purple-500 text-2xl">✅</div>
-                    </div>
+            `}
+        `;
+
+        document.getElementById('main-content').innerHTML = content;
+    }
+
+    // A goal's current progress bar, its projection and its last dozen periods
+    renderGoal(goal) {
+        const progress = this.tracker.getGoalProgress(goal);
+        const statusLabels = { met: 'Met', 'on-track': 'On track', behind: 'Behind', missed: 'Missed', missing: 'Series deleted' };
+        const statusColors = { met: 'text-green-600', 'on-track': 'text-blue-600', behind: 'text-orange-600', missed: 'text-red-600', missing: 'text-gray-500' };
+        const met = goal.history.filter(entry => entry.met).length;
+
+        return `
+            <div>
+                <div class="flex items-center justify-between mb-2">
+                    <p class="text-gray-900 font-medium">${this.escapeHtml(this.describeGoal(goal))}</p>
+                    <span class="font-bold ${statusColors[progress.status]}">${goal.kind === 'deadline' ? `${Math.round(progress.fraction * 100)}%` : `${progress.value}/${progress.target}`}</span>
                 </div>
-                <div class="bg-white p-4 rounded-lg shadow card">
-                    <div class="flex items-center justify-between">
-                        <div>
-                            <h2 class="text-lg font-semibold text-gray-700">Chapters Read</h2>
-                            <p class="text-3xl font-bold text-orange-600">${stats.totalChaptersRead}</p>
-                        </div>
-                        <div class="text-orange-500 text-2xl">📄</div>
-                    </div>
+                <div class="progress-bar">
+                    <div class="progress-fill" style="width: ${progress.fraction * 100}%"></div>
                 </div>
+                <p class="text-gray-500 text-sm mt-2">
+                    <span class="${statusColors[progress.status]}">${statusLabels[progress.status]}</span> · ${this.describeGoalProjection(goal, progress)}
+                </p>
+                ${goal.kind !== 'deadline' && goal.history.length > 0 ? `
+                    <div class="flex items-center gap-1 mt-2">
+                        ${goal.history.slice(-12).map(entry => `
+                            <span class="goal-period ${entry.met ? 'met' : 'missed'}" title="${this.describeGoalPeriod(goal, entry)}: ${entry.value}/${entry.target}"></span>
+                        `).join('')}
+                        <span class="text-xs text-gray-500 ml-1">met ${met} of ${goal.history.length}</span>
+                    </div>
+                ` : ''}
             </div>
+        `;
+    }
 
-            <div class="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
-                <div class="bg-white p-6 rounded-lg shadow">
-                    <h2 class="text-xl font-semibold text-gray-800 mb-4">Recent Activity</h2>
-                    <div class="space-y-4">
-                        ${recentActivity.length > 0 ? recentActivity.map(activity => {
-                            const manga = this.tracker.getManga(activity.mangaId);
-                            const mangaTitle = manga ? manga.title : 'Unknown Manga';
-                            return `
-                                <div class="flex items-center justify-between">
-                                    <div>
-                                        <p class="text-gray-900 font-medium">${mangaTitle}</p>
-                                        <p class="text-gray-500 text-sm">${this.formatDate(activity.timestamp)}</p>
-                                    </div>
-                                    <span class="text-green-600 font-bold">${activity.action}</span>
-                                </div>
-                            `;
-                        }).join('') : '<p class="text-gray-500">No recent activity</p>'}
+    describeGoal(goal) {
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        switch (goal.kind) {
+            case 'chapters':
+                return `Read ${plural(goal.target, 'chapter')} a ${goal.period}`;
+            case 'series':
+                return `Finish ${goal.target} series a ${goal.period}`;
+            case 'challenge':
+                return `${new Date().getFullYear()} reading challenge: ${goal.target} series`;
+            default: {
+                const manga = this.tracker.getManga(goal.mangaId);
+                const due = this.formatCalendarDate(new Date(`${goal.dueDate}T00:00:00`));
+                return `Finish ${manga ? `"${manga.title}"` : 'a deleted series'} by ${due}`;
+            }
+        }
+    }
+
+    describeGoalProjection(goal, progress) {
+        if (goal.kind === 'deadline') {
+            const due = new Date(`${goal.dueDate}T00:00:00`);
+            switch (progress.status) {
+                case 'missing':
+                    return 'the series is no longer in your library';
+                case 'met':
+                    return 'finished in time';
+                case 'missed':
+                    return progress.value >= progress.target ? 'finished after the due date' : `ch. ${progress.value}/${progress.target}, was due ${this.formatCalendarDate(due)}`;
+                default: {
+                    const daysLeft = Math.ceil((progress.end - new Date()) / (24 * 60 * 60 * 1000));
+                    const left = `${daysLeft} day${daysLeft === 1 ? '' : 's'} left`;
+                    return progress.projectedDate
+                        ? `at this pace you'll finish ${this.formatCalendarDate(progress.projectedDate)} · ${left}`
+                        : `nothing read in the last 30 days · ${left}`;
+                }
+            }
+        }
+
+        const current = { day: 'today', week: 'this week', month: 'this month', year: 'this year' }[goal.period];
+        if (progress.status === 'met') return `reached ${current}`;
+        return `${progress.target - progress.value} to go · about ${progress.projected} by the end of ${current === 'today' ? 'the day' : current.replace('this ', 'the ')} at this pace`;
+    }
+
+    // Label for one finished period of a goal
+    describeGoalPeriod(goal, entry) {
+        const start = new Date(entry.start);
+        switch (goal.period) {
+            case 'day':
+                return this.formatCalendarDate(start);
+            case 'week':
+                return `Week of ${this.formatCalendarDate(start)}`;
+            case 'month':
+                return start.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+            case 'year':
+                return String(start.getFullYear());
+            default:
+                return `Due ${this.formatCalendarDate(new Date(`${goal.dueDate}T00:00:00`))}`;
+        }
+    }
+
+    showGoalHistory(id) {
+        const goal = this.tracker.getGoal(id);
+        if (!goal) return;
+        const met = goal.history.filter(entry => entry.met).length;
+
+        this.showDialog(`
+            <div class="flex justify-between items-center mb-4">
+                <h2 class="text-xl font-semibold">${this.escapeHtml(this.describeGoal(goal))}</h2>
+                <button onclick="uiController.closeDialog()" class="text-gray-500 hover:text-gray-700">✕</button>
+            </div>
+            <p class="text-gray-600 mb-4">Met ${met} of ${goal.history.length} time${goal.history.length === 1 ? '' : 's'}</p>
+            <div class="divide-y divide-gray-200 max-h-96 overflow-y-auto">
+                ${[...goal.history].reverse().map(entry => `
+                    <div class="flex justify-between py-2">
+                        <span>${this.describeGoalPeriod(goal, entry)}</span>
+                        <span class="${entry.met ? 'text-green-600' : 'text-red-600'}">${entry.value}/${entry.target} · ${entry.met ? 'met' : 'missed'}</span>
                     </div>
+                `).join('')}
+            </div>
+        `);
+    }
+
+    // New goal when id is null
+    showGoalDialog(id = null) {
+        const goal = id ? this.tracker.getGoal(id) : { kind: 'chapters', period: 'week', target: 20, mangaId: null, dueDate: null };
+        // Deadlines need a chapter count to measure against
+        const candidates = this.tracker.getAllManga()
+            .filter(manga => manga.id === goal.mangaId || (manga.totalChapters && manga.status !== 'completed'))
+            .sort((a, b) => a.title.localeCompare(b.title));
+        const option = (value, label, current) => `<option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>`;
+
+        this.showDialog(`
+            <h2 class="text-xl font-semibold mb-4">${id ? 'Edit Goal' : 'New Goal'}</h2>
+            <div class="form-group">
+                <label class="form-label">Goal</label>
+                <select id="goal-kind" class="form-input" onchange="uiController.updateGoalDialog()">
+                    ${option('chapters', 'Read a number of chapters', goal.kind)}
+                    ${option('series', 'Finish a number of series', goal.kind)}
+                    ${option('challenge', 'Yearly reading challenge (different series read)', goal.kind)}
+                    ${option('deadline', 'Finish a series by a date', goal.kind)}
+                </select>
+            </div>
+            <div id="goal-periodic-fields" class="grid grid-cols-2 gap-4">
+                <div class="form-group">
+                    <label class="form-label">Target</label>
+                    <input type="number" id="goal-target" min="1" step="1" class="form-input" value="${goal.target || ''}">
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Every</label>
+                    <select id="goal-period" class="form-input" data-current="${goal.period || ''}"></select>
+                </div>
+            </div>
+            <div id="goal-deadline-fields">
+                <div class="form-group">
+                    <label class="form-label">Series</label>
+                    ${candidates.length === 0 ? `
+                        <p class="text-sm text-gray-500">No unfinished series with a known number of chapters.</p>
+                    ` : `
+                        <select id="goal-manga" class="form-input">
+                            ${candidates.map(manga => option(manga.id, this.escapeHtml(manga.title), goal.mangaId)).join('')}
+                        </select>
+                    `}
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Finish by</label>
+                    <input type="date" id="goal-due" class="form-input" value="${goal.dueDate || ''}">
                 </div>
+            </div>
+            ${id && goal.history.length > 0 ? '<p class="text-xs text-gray-500">Changing the goal type, period or series starts its history over.</p>' : ''}
+            <div class="flex justify-end space-x-3 mt-6">
+                <button onclick="uiController.closeDialog()" class="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600">Cancel</button>
+                <button onclick="uiController.saveGoal(${id ? `'${id}'` : 'null'})" class="btn-primary">Save</button>
+            </div>
+        `);
+        this.updateGoalDialog();
+    }
 
-                <div class="bg-white p-6 rounded-lg shadow">
-                    <h2 class="text-xl font-semibold text-gray-800 mb-4">Reading Goals</h2>
-                    <div class="space-y-4">
-                        <div>
-                            <div class="flex items-center justify-between mb-2">
-                                <p class="text-gray-900 font-medium">Daily Goal</p>
-                                <span class="text-blue-600 font-bold">${stats.dailyProgress}/${this.tracker.data.settings.dailyGoal}</span>
-                            </div>
-                            <div class="progress-bar">
-                                <div class="progress-fill" style="width: ${Math.min((stats.dailyProgress / this.tracker.data.settings.dailyGoal) * 100, 100)}%"></div>
-                            </div>
-                            <p class="text-gray-500 text-sm mt-2">${this.tracker.data.settings.dailyGoal} chapters</p>
-                        </div>
-                        
-                        <div>
-                            <div class="flex items-center justify-between mb-2">
-                                <p class="text-gray-900 font-medium">Weekly Progress</p>
-                                <span class="text-green-600 font-bold">${stats.weeklyProgress}</span>
-                            </div>
-                        </div>
-                        
-                        <div>
-                            <div class="flex items-center justify-between mb-2">
-                                <p class="text-gray-900 font-medium">Monthly Progress</p>
-                                <span class="text-purple-600 font-bold">${stats.monthlyProgress}</span>
-                            </div>
+    // Show the fields for the chosen goal type and the periods it allows
+    updateGoalDialog() {
+        const kind = document.getElementById('goal-kind').value;
+        const periodSelect = document.getElementById('goal-period');
+        const periods = this.tracker.goalPeriods[kind];
+        const current = periodSelect.value || periodSelect.dataset.current;
+        const labels = { day: 'Day', week: 'Week', month: 'Month', year: 'Year' };
+
+        document.getElementById('goal-periodic-fields').classList.toggle('hidden', kind === 'deadline');
+        document.getElementById('goal-deadline-fields').classList.toggle('hidden', kind !== 'deadline');
+        if (kind === 'deadline') return;
+        periodSelect.innerHTML = periods
+            .map(period => `<option value="${period}" ${period === current ? 'selected' : ''}>${labels[period]}</option>`)
+            .join('');
+    }
+
+    saveGoal(id) {
+        const mangaSelect = document.getElementById('goal-manga');
+        const fields = {
+            kind: document.getElementById('goal-kind').value,
+            period: document.getElementById('goal-period').value,
+            target: Number(document.getElementById('goal-target').value),
+            mangaId: mangaSelect ? mangaSelect.value : null,
+            dueDate: document.getElementById('goal-due').value
+        };
+
+        try {
+            if (id) {
+                this.tracker.updateGoal(id, fields);
+            } else {
+                this.tracker.createGoal(fields);
+            }
+            this.closeDialog();
+            this.showNotification(id ? 'Goal updated' : 'Goal added', 'success');
+            this.loadContent(this.currentView);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    deleteGoal(id) {
+        const goal = this.tracker.getGoal(id);
+        if (!goal || !confirm(`Delete the goal "${this.describeGoal(goal)}" and its history?`)) return;
+
+        this.tracker.deleteGoal(id);
+        this.showNotification('Goal deleted', 'success');
+        this.loadContent(this.currentView);
+    }
+
+    // Per-series chapter view: which chapters are read, where the gaps are,
+    // and when each logged chapter was read
+    showChapterLog(mangaId) {
+        const manga = this.tracker.getManga(mangaId);
+        if (!manga) return;
+
+        // The grid and ranges cover the pass being read; the log lists every pass
+        const pass = this.tracker.getCurrentPass(manga);
+        const ranges = this.tracker.getChapterRanges(mangaId);
+        const read = this.tracker.getReadChapters(mangaId);
+        const log = this.tracker.getChapterLog(mangaId);
+        const loggedAt = new Map(log.filter(entry => (entry.pass || 1) === pass).reverse().map(entry => [entry.chapter, entry]));
+        const formatRanges = list => list.map(([first, last]) => first === last ? `${first}` : `${first}–${last}`).join(', ');
+
+        // One cell per whole chapter, with read extras (10.5) slotted in after their chapter
+        const highest = Math.max(0, ...read);
+        const cellCount = Math.min(Math.max(Math.floor(manga.totalChapters || 0), Math.floor(highest)), 2000);
+        const chapters = [];
+        for (let chapter = 1; chapter <= cellCount; chapter++) chapters.push(chapter);
+        chapters.push(...[...read].filter(chapter => !Number.isInteger(chapter) && chapter < cellCount + 1));
+        chapters.sort((a, b) => a - b);
+
+        const cells = chapters.map(chapter => {
+            const entry = loggedAt.get(chapter);
+            const state = read.has(chapter) ? 'read' : (chapter < highest ? 'gap' : 'unread');
+            const when = entry ? (entry.readAt ? `read ${this.formatDate(entry.readAt)}` : 'read, date unknown')
+                : read.has(chapter) ? 'read before tracking' : (state === 'gap' ? 'skipped' : 'unread');
+            const volume = entry && entry.volume ? ` · vol. ${entry.volume}` : '';
+            return `<span class="chapter-cell ${state}${Number.isInteger(chapter) ? '' : ' extra'}" title="Ch. ${chapter}${volume} · ${when}"></span>`;
+        });
+
+        const sessionLabel = entry => {
+            const session = entry.sessionId && this.tracker.getReadingSession(entry.sessionId);
+            return session ? `session, ${this.formatMinutes(Math.round((session.activeMs || 0) / 60000))}` : 'progress update';
+        };
+
+        this.showDialog(`
+            <div class="flex justify-between items-center mb-4">
+                <h2 class="text-xl font-semibold">Chapters · ${this.escapeHtml(manga.title)}${pass > 1 ? ` (${this.formatOrdinal(pass)} read)` : ''}</h2>
+                <button onclick="uiController.closeDialog()" class="text-gray-500 hover:text-gray-700">✕</button>
+            </div>
+
+            ${(manga.rereads || []).length > 0 ? `
+                <div class="text-sm text-gray-600 mb-4">
+                    <p>1st read: ${this.formatDate(manga.startDate)}${manga.endDate ? ` – ${this.formatDate(manga.endDate)}` : ''}, chapter ${manga.currentChapter}</p>
+                    ${manga.rereads.map(r => `
+                        <p>${this.formatOrdinal(r.pass)} read: ${r.startDate ? this.formatDate(r.startDate) : 'date unknown'}${r.endDate ? ` – ${this.formatDate(r.endDate)}` : r.dateUnknown ? '' : ' – now'}, chapter ${r.currentChapter}</p>
+                    `).join('')}
+                </div>
+            ` : ''}
+
+            <div class="space-y-1 text-sm mb-4">
+                <p><span class="font-medium">Read:</span> ${ranges.read.length > 0 ? formatRanges(ranges.read) : 'none yet'}</p>
+                ${ranges.gaps.length > 0 ? `<p class="text-yellow-700"><span class="font-medium">Skipped:</span> ${formatRanges(ranges.gaps)}</p>` : ''}
+                ${ranges.unread ? `<p class="text-gray-600"><span class="font-medium">Unread:</span> ${formatRanges([ranges.unread])}</p>` : ''}
+            </div>
+
+            ${cells.length > 0 ? `<div class="chapter-grid mb-4">${cells.join('')}</div>` : ''}
+
+            <div class="flex flex-col md:flex-row gap-2 mb-6">
+                <input type="text" id="chapter-log-input" class="form-input flex-1" placeholder="Chapters, e.g. 41-44, 47">
+                <button onclick="uiController.markChapters('${mangaId}', true)" class="btn-primary">Mark Read</button>
+                <button onclick="uiController.markChapters('${mangaId}', false)" class="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Mark Unread</button>
+            </div>
+
+            <h3 class="font-semibold text-gray-700 mb-2">Recently read</h3>
+            ${log.length === 0 ? `
+                <p class="text-sm text-gray-500">No chapters logged yet. They are recorded as you update progress or finish reading sessions.</p>
+            ` : `
+                <div class="text-sm divide-y divide-gray-200 max-h-48 overflow-y-auto">
+                    ${log.slice(0, 50).map(entry => `
+                        <div class="flex justify-between py-1">
+                            <span>${entry.volume ? `Vol. ${entry.volume}, ` : ''}Chapter ${entry.chapter}${entry.pass > 1 ? ` · ${this.formatOrdinal(entry.pass)} read` : ''}</span>
+                            <span class="text-gray-500">${entry.readAt ? this.formatDate(entry.readAt) : 'date unknown'} · ${sessionLabel(entry)}</span>
                         </div>
-                    </div>
+                    `).join('')}
+                </div>
+            `}
+        `, { wide: true });
+    }
+
+    markChapters(mangaId, asRead) {
+        let chapters;
+        try {
+            chapters = this.parseChapterList(document.getElementById('chapter-log-input').value);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        if (chapters.length === 0) return;
+
+        const count = asRead
+            ? this.tracker.markChaptersRead(mangaId, chapters)
+            : this.tracker.markChaptersUnread(mangaId, chapters);
+        this.notifyUndoable(`${count} chapter${count === 1 ? '' : 's'} marked ${asRead ? 'read' : 'unread'}`);
+        this.showChapterLog(mangaId);
+        this.refreshMangaList();
+    }
+
+    // "41-44, 47, 47.5" -> [41, 42, 43, 44, 47, 47.5]; a range covers the whole
+    // chapters between its ends, plus the ends themselves when they are extras
+    parseChapterList(text) {
+        const chapters = new Set();
+        text.split(',').map(part => part.trim()).filter(part => part).forEach(part => {
+            const match = part.match(/^(\d+(?:\.\d+)?)(?:\s*[-–]\s*(\d+(?:\.\d+)?))?$/);
+            if (!match) throw new Error(`"${part}" is not a chapter or range like 41-44`);
+
+            const first = parseFloat(match[1]);
+            const last = match[2] ? parseFloat(match[2]) : first;
+            if (first <= 0 || last < first) throw new Error(`"${part}" is not a valid range`);
+            if (last - first >= 5000) throw new Error(`"${part}" covers too many chapters`);
+            chapters.add(first);
+            this.tracker.chaptersBetween(first, last).forEach(chapter => chapters.add(chapter));
+        });
+        return [...chapters];
+    }
+
+    async exportLibrary() {
+        const exportData = await this.tracker.getExportData();
+        const dataStr = JSON.stringify(exportData, null, 2);
+        this.downloadFile(dataStr, `manga-library-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+        
+        this.showNotification('Library exported successfully!', 'success');
+    }
+
+    exportMalXml() {
+        const xml = this.malConverter.build(this.tracker.getAllManga());
+        this.downloadFile(xml, `manga-library-mal-${new Date().toISOString().split('T')[0]}.xml`, 'application/xml');
+
+        this.showNotification('Library exported in MyAnimeList format!', 'success');
+    }
+
+    downloadFile(content, fileName, mimeType) {
+        const dataBlob = new Blob([content], { type: mimeType });
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(dataBlob);
+        link.download = fileName;
+        link.click();
+        
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    pickFile(accept, onFile) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+        input.addEventListener('change', () => {
+            if (input.files[0]) {
+                onFile(input.files[0]);
+            }
+        });
+        input.click();
+    }
+
+    pickRestoreFile() {
+        this.pickFile('.json,application/json', file => this.handleRestoreFile(file));
+    }
+
+    pickImportFile() {
+        this.pickFile('.json,.xml,.csv,application/json,application/xml,text/xml,text/csv', file => this.handleImportFile(file));
+    }
+
+    // Import another tracker's export; the format is detected from the file contents
+    async handleImportFile(file) {
+        // CSV has no reliable signature, so it is recognised by extension and mapped by hand
+        if (/\.csv$/i.test(file.name) || file.type === 'text/csv') {
+            this.startCsvImport(file);
+            return;
+        }
+
+        try {
+            const result = this.importers.parse(file.name, await file.text());
+            const report = this.tracker.importMangaList(result.entries);
+            // Guesses only matter for entries that were actually imported
+            const importedTitles = new Set(report.imported.map(manga => manga.title.toLowerCase()));
+            const ambiguous = result.ambiguous.filter(entry => importedTitles.has(entry.title.trim().toLowerCase()));
+            this.showImportReport(result.importer.name, report.imported, [...result.skipped, ...report.skipped], ambiguous);
+            this.loadContent(this.currentView);
+        } catch (error) {
+            this.showNotification(`Could not import ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    showCsvExportDialog() {
+        const selected = this.tracker.data.settings.csvColumns || this.csvConverter.defaultColumns;
+
+        this.showDialog(`
+            <h2 class="text-xl font-semibold mb-2">Export CSV</h2>
+            <p class="text-sm text-gray-600 mb-4">Choose the columns to include.</p>
+            <div class="grid grid-cols-2 gap-2 mb-6">
+                ${this.csvConverter.fields.map(field => `
+                    <label class="flex items-center text-sm text-gray-700">
+                        <input type="checkbox" class="csv-column mr-2" value="${field.key}" ${selected.includes(field.key) ? 'checked' : ''}>
+                        ${field.label}
+                    </label>
+                `).join('')}
+            </div>
+            <div class="flex justify-end space-x-3">
+                <button onclick="uiController.closeDialog()" class="px-4 py-2 text-gray-600 border border-gray-300 rounded-md hover:bg-gray-50">Cancel</button>
+                <button onclick="uiController.exportCsv()" class="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700">Download</button>
+            </div>
+        `);
+    }
+
+    exportCsv() {
+        const columns = Array.from(document.querySelectorAll('.csv-column:checked')).map(input => input.value);
+        if (columns.length === 0) {
+            this.showNotification('Select at least one column', 'warning');
+            return;
+        }
+
+        // Remember the column choice for next time
+        this.tracker.updateSettings({ csvColumns: columns });
+
+        const csv = this.csvConverter.build(this.tracker.getAllManga(), columns);
+        this.downloadFile(csv, `manga-library-${new Date().toISOString().split('T')[0]}.csv`, 'text/csv');
+        this.closeDialog();
+
+        this.showNotification('Library exported as CSV!', 'success');
+    }
+
+    async startCsvImport(file) {
+        try {
+            const { headers, rows } = this.csvConverter.parse(await file.text());
+            this.pendingCsvImport = {
+                fileName: file.name,
+                headers,
+                rows,
+                mapping: this.csvConverter.guessMapping(headers)
+            };
+            this.renderCsvImportDialog();
+        } catch (error) {
+            this.showNotification(`Could not read ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    updateCsvMapping(column, key) {
+        if (!this.pendingCsvImport) return;
+        this.pendingCsvImport.mapping[column] = key;
+        this.renderCsvImportDialog();
+    }
+
+    // Preview with one field picker per column; rows are validated on every change
+    renderCsvImportDialog() {
+        const { fileName, headers, rows, mapping } = this.pendingCsvImport;
+        const { entries, errors } = this.csvConverter.buildEntries(rows, mapping);
+        const previewRows = rows.slice(0, 5);
+
+        const fieldOptions = (selected) => [
+            `<option value="">Ignore</option>`,
+            ...this.csvConverter.importFields.map(field =>
+                `<option value="${field.key}" ${selected === field.key ? 'selected' : ''}>${field.label}</option>`
+            )
+        ].join('');
+
+        this.showDialog(`
+            <h2 class="text-xl font-semibold mb-2">Import CSV</h2>
+            <p class="text-sm text-gray-600 mb-4">
+                ${this.escapeHtml(fileName)} has ${rows.length} rows. Choose which field each column fills.
+            </p>
+            <div class="overflow-x-auto mb-4">
+                <table class="min-w-full text-sm">
+                    <thead>
+                        <tr>
+                            ${headers.map((header, column) => `
+                                <th class="p-2 text-left align-top">
+                                    <div class="font-medium text-gray-700 mb-1">${this.escapeHtml(header)}</div>
+                                    <select class="form-input" onchange="uiController.updateCsvMapping(${column}, this.value)">
+                                        ${fieldOptions(mapping[column])}
+                                    </select>
+                                </th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-200">
+                        ${previewRows.map(cells => `
+                            <tr>
+                                ${headers.map((header, column) => `
+                                    <td class="p-2 text-gray-600 ${mapping[column] ? '' : 'opacity-50'}">${this.escapeHtml(cells[column] || '')}</td>
+                                `).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${errors.length > 0 ? `
+                <div class="mb-4">
+                    <h3 class="font-medium text-red-700">${errors.length} ${errors.length === 1 ? 'row has' : 'rows have'} problems and will be skipped</h3>
+                    <ul class="text-sm text-gray-700 space-y-1 max-h-40 overflow-y-auto">
+                        ${errors.slice(0, 50).map(error => `
+                            <li>${error.row ? `<span class="font-medium">Row ${error.row}:</span> ` : ''}${this.escapeHtml(error.message)}</li>
+                        `).join('')}
+                        ${errors.length > 50 ? `<li class="text-gray-500">…and ${errors.length - 50} more</li>` : ''}
+                    </ul>
+                </div>
+            ` : ''}
+            <div class="flex justify-end space-x-3">
+                <button onclick="uiController.cancelCsvImport()" class="px-4 py-2 text-gray-600 border border-gray-300 rounded-md hover:bg-gray-50">Cancel</button>
+                <button onclick="uiController.confirmCsvImport()" class="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50" ${entries.length === 0 ? 'disabled' : ''}>
+                    Import ${entries.length} ${entries.length === 1 ? 'row' : 'rows'}
+                </button>
+            </div>
+        `, { wide: true });
+    }
+
+    cancelCsvImport() {
+        this.pendingCsvImport = null;
+        this.closeDialog();
+    }
+
+    confirmCsvImport() {
+        const { rows, mapping } = this.pendingCsvImport;
+        const { entries, errors } = this.csvConverter.buildEntries(rows, mapping);
+        this.pendingCsvImport = null;
+        this.closeDialog();
+
+        const report = this.tracker.importMangaList(entries);
+        const skipped = [
+            ...errors.map(error => ({ title: error.title || '(untitled)', reason: `Row ${error.row}: ${error.message}` })),
+            ...report.skipped
+        ];
+        this.showImportReport('CSV', report.imported, skipped);
+        this.loadContent(this.currentView);
+    }
+
+    // Files opened through the OS can be one of our backups or another tracker's export
+    async handleOpenedFile(file) {
+        if (this.importers.detect(file.name, await file.text())) {
+            this.handleImportFile(file);
+        } else {
+            this.handleRestoreFile(file);
+        }
+    }
+
+    // Summarize an import; only opens a dialog when something needs attention
+    showImportReport(source, imported, skipped, ambiguous = []) {
+        if (skipped.length === 0 && ambiguous.length === 0) {
+            this.showNotification(`Imported ${imported.length} manga from ${source}`, 'success');
+            return;
+        }
+
+        const renderEntries = (list) => list.map(entry => `
+            <li><span class="font-medium">${this.escapeHtml(entry.title)}</span> — <span class="text-gray-500">${this.escapeHtml(entry.reason)}</span></li>
+        `).join('');
+
+        this.showDialog(`
+            <h2 class="text-xl font-semibold mb-2">${this.escapeHtml(source)} Import</h2>
+            <p class="text-sm text-gray-600 mb-4">Imported ${imported.length} manga.</p>
+            ${skipped.length > 0 ? `
+                <h3 class="font-medium text-red-700">Skipped (${skipped.length})</h3>
+                <ul class="text-sm text-gray-700 space-y-1 mb-4 max-h-48 overflow-y-auto">${renderEntries(skipped)}</ul>
+            ` : ''}
+            ${ambiguous.length > 0 ? `
+                <h3 class="font-medium text-yellow-700">Imported with guesses (${ambiguous.length})</h3>
+                <ul class="text-sm text-gray-700 space-y-1 mb-4 max-h-48 overflow-y-auto">${renderEntries(ambiguous)}</ul>
+            ` : ''}
+            <div class="flex justify-end">
+                <button onclick="uiController.closeDialog()" class="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700">Close</button>
+            </div>
+        `);
+    }
+
+    // Open .json files launched through the manifest file_handlers entry
+    setupFileHandler() {
+        if (!('launchQueue' in window)) return;
+
+        window.launchQueue.setConsumer(async (launchParams) => {
+            if (!launchParams.files || launchParams.files.length === 0) return;
+            const file = await launchParams.files[0].getFile();
+            this.handleOpenedFile(file);
+        });
+    }
+
+    async handleRestoreFile(file) {
+        try {
+            const importedData = this.tracker.parseExportFile(await file.text());
+            this.pendingRestore = importedData;
+            this.showRestoreSummary(file.name, importedData, this.tracker.diffLibrary(importedData));
+        } catch (error) {
+            this.showNotification(`Could not read ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    showRestoreSummary(fileName, importedData, diff) {
+        const renderTitles = (mangaList) => {
+            if (mangaList.length === 0) return '<p class="text-sm text-gray-500">None</p>';
+            const shown = mangaList.slice(0, 8).map(manga => `<li>${this.escapeHtml(manga.title)}</li>`).join('');
+            const more = mangaList.length > 8 ? `<li class="text-gray-500">…and ${mangaList.length - 8} more</li>` : '';
+            return `<ul class="text-sm text-gray-700 list-disc pl-5">${shown}${more}</ul>`;
+        };
+
+        this.showDialog(`
+            <h2 class="text-xl font-semibold mb-2">Restore Library</h2>
+            <p class="text-sm text-gray-600 mb-4">
+                ${this.escapeHtml(fileName)} contains ${importedData.manga.length} manga,
+                ${importedData.readingSessions.length} reading sessions,
+                ${importedData.bookmarks.length} bookmarks and ${importedData.history.length} history entries.
+            </p>
+            ${importedData.skipped.length > 0 ? `
+                <div class="mb-4">
+                    <h3 class="font-medium text-red-700">Left out (${importedData.skipped.length})</h3>
+                    <ul class="text-sm text-gray-700 list-disc pl-5">
+                        ${importedData.skipped.map(item => `<li>${this.escapeHtml(item.title)}: ${this.escapeHtml(item.reason)}</li>`).join('')}
+                    </ul>
                 </div>
+            ` : ''}
+            <div class="space-y-4 mb-6">
+                <div>
+                    <h3 class="font-medium text-green-700">Added (${diff.added.length})</h3>
+                    ${renderTitles(diff.added)}
+                </div>
+                <div>
+                    <h3 class="font-medium text-blue-700">Changed (${diff.changed.length})</h3>
+                    ${renderTitles(diff.changed)}
+                </div>
+                <div>
+                    <h3 class="font-medium text-red-700">Removed (${diff.removed.length}) <span class="text-xs text-gray-500">replace only</span></h3>
+                    ${renderTitles(diff.removed)}
+                </div>
+            </div>
+            <p class="text-xs text-gray-500 mb-4">
+                Replace swaps your library and settings for the file's contents. Merge adds new entries and keeps the most recently updated copy of each manga; your settings stay as they are.
+            </p>
+            <div class="flex justify-end space-x-3">
+                <button onclick="uiController.cancelRestore()" class="px-4 py-2 text-gray-600 border border-gray-300 rounded-md hover:bg-gray-50">Cancel</button>
+                <button onclick="uiController.applyRestore('merge')" class="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Merge</button>
+                <button onclick="uiController.applyRestore('replace')" class="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700">Replace</button>
             </div>
+        `);
+    }
+
+    cancelRestore() {
+        this.pendingRestore = null;
+        this.closeDialog();
+    }
+
+    async applyRestore(mode) {
+        const importedData = this.pendingRestore;
+        if (!importedData) return;
+
+        this.pendingRestore = null;
+        this.closeDialog();
+
+        try {
+            if (mode === 'replace') {
+                await this.tracker.replaceLibrary(importedData);
+                // The restored settings may pick a different theme or accent
+                this.syncActiveTimer();
+                this.applyTheme();
+                this.showNotification('Library restored from backup', 'success');
+            } else {
+                await this.tracker.mergeLibrary(importedData);
+                this.showNotification('Backup merged into your library. Your settings were not changed.', 'success');
+            }
+            this.loadContent(this.currentView);
+        } catch (error) {
+            this.showNotification(`Error restoring library: ${error.message}`, 'error');
+        }
+    }
+
+    loadDiscover() {
+        document.querySelector('main').innerHTML = `
+            <header class="flex justify-between items-center mb-6">
+                <h1 class="text-3xl font-semibold text-gray-800">Discover</h1>
+            </header>
+            <p class="text-gray-600">Discover view coming soon...</p>
         `;
-        
-        document.getElementById('main-content').innerHTML = content;
     }
 
-    loadMyManga() {
-        const manga = this.tracker.getAllManga();
-        
+    loadBookmarks() {
+        const bookmarks = this.tracker.data.bookmarks;
+        const groups = new Map();
+        const orphaned = [];
+
+        bookmarks.forEach(bookmark => {
+            const manga = this.tracker.getManga(bookmark.mangaId);
+            if (!manga) {
+                orphaned.push(bookmark);
+                return;
+            }
+            if (!groups.has(manga.id)) groups.set(manga.id, { manga, bookmarks: [] });
+            groups.get(manga.id).bookmarks.push(bookmark);
+        });
+
+        const sortedGroups = Array.from(groups.values())
+            .sort((a, b) => a.manga.title.localeCompare(b.manga.title));
+
         const content = `
             <header class="flex justify-between items-center mb-6">
-                <h1 class="text-3xl font-semibold text-gray-800">My Manga</h1>
-                <button onclick="uiController.showAddMangaModal()" class="btn-primary">Add Manga</button>
+                <h1 class="text-3xl font-semibold text-gray-800">Bookmarks</h1>
+                <span class="text-gray-500">${bookmarks.length} bookmark${bookmarks.length === 1 ? '' : 's'}</span>
             </header>
 
-            <div class="mb-6 space-y-4">
-                <div class="flex flex-col md:flex-row gap-4">
-                    <input type="text" id="manga-search" placeholder="Search manga..." class="search-input flex-1" onkeyup="uiController.filterManga()">
-                    <select id="status-filter" class="form-input md:w-48" onchange="uiController.filterManga()">
-                        <option value="">All Status</option>
-                        <option value="reading">Reading</option>
-                        <option value="completed">Completed</option>
-                        <option value="on-hold">On Hold</option>
-                        <option value="dropped">Dropped</option>
-                        <option value="plan-to-read">Plan to Read</option>
-                    </select>
-                    <select id="type-filter" class="form-input md:w-48" onchange="uiController.filterManga()">
-                        <option value="">All Types</option>
-                        <option value="manga">Manga</option>
-                        <option value="manhwa">Manhwa</option>
-                        <option value="manhua">Manhua</option>
-                    </select>
-                    <select id="sort-by" class="form-input md:w-48" onchange="uiController.filterManga()">
-                        <option value="title">Sort by Title</option>
-                        <option value="lastRead">Last Read</option>
-                        <option value="progress">Progress</option>
-                        <option value="rating">Rating</option>
-                        <option value="createdAt">Date Added</option>
-                    </select>
-                </div>
-                
-                <div class="flex flex-wrap gap-2">
-                    <span class="text-sm text-gray-600">Filter by tags:</span>
-                    ${this.tracker.data.tags.map(tag => `
-                        <button class="tag" onclick="uiController.toggleTagFilter('${tag}')" data-tag="${tag}">${tag}</button>
-                    `).join('')}
+            ${bookmarks.length === 0 ? `
+                <div class="empty-state">
+                    <h3 class="text-lg font-medium text-gray-900 mb-2">No bookmarks yet</h3>
+                    <p class="text-gray-500">Use the 🔖 button on a manga card or during a reading session to bookmark a chapter.</p>
                 </div>
-            </div>
-
-            <div id="manga-grid" class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-                ${this.renderMangaCards(manga)}
+            ` : ''}
+
+            <div class="space-y-6">
+                ${sortedGroups.map(group => this.renderBookmarkGroup(group.manga, group.bookmarks)).join('')}
+                ${orphaned.length > 0 ? `
+                    <div class="bg-white p-6 rounded-lg shadow">
+                        <div class="flex justify-between items-center mb-2">
+                            <h2 class="text-xl font-semibold text-gray-500">Deleted manga</h2>
+                            <button onclick="uiController.clearOrphanedBookmarks()" class="text-red-600 hover:text-red-800 text-sm">Remove all</button>
+                        </div>
+                        <p class="text-sm text-gray-500">${orphaned.length} bookmark${orphaned.length === 1 ? ' belongs' : 's belong'} to manga that no longer exist.</p>
+                    </div>
+                ` : ''}
             </div>
         `;
-        
+
         document.getElementById('main-content').innerHTML = content;
-        this.selectedTags = [];
     }
 
-    renderMangaCards(mangaList) {
-        if (mangaList.length === 0) {
-            return `
-                <div class="col-span-full empty-state">
-                    <svg class="mx-auto mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.746 0 3.332.477 4.5 1.253v13C19.832 18.477 18.246 18 16.5 18c-1.746 0-3.332.477-4.5 1.253"></path>
-                    </svg>
-                    <h3 class="text-lg font-medium text-gray-900 mb-2">No manga found</h3>
-                    <p class="text-gray-500 mb-4">Start building your collection by adding your first manga!</p>
-                    <button onclick="uiController.showAddMangaModal()" class="btn-primary">Add Your First Manga</button>
-                </div>
-            `;
-        }
+    renderBookmarkGroup(manga, bookmarks) {
+        const sorted = [...bookmarks].sort((a, b) => a.chapterNumber - b.chapterNumber);
 
-        return mangaList.map(manga => {
-            const progressPercent = manga.totalChapters ? 
-                Math.round((manga.currentChapter / manga.totalChapters) * 100) : 0;
-            
-            return `
-                <div class="manga-card">
-                    <div class="manga-card-image bg-gradient-to-br from-blue-100 to-purple-100 flex items-center justify-center">
-                        <span class="text-4xl">📚</span>
+        return `
+            <div class="bg-white p-6 rounded-lg shadow">
+                <div class="flex justify-between items-center mb-4">
+                    <div>
+                        <h2 class="text-xl font-semibold text-gray-800">${this.escapeHtml(manga.title)}</h2>
+                        <p class="text-sm text-gray-500">Currently on chapter ${manga.currentChapter}${manga.totalChapters ? ` / ${manga.totalChapters}` : ''}</p>
                     </div>
-                    <div class="manga-card-content">
-                        <h3 class="manga-card-title">${manga.title}</h3>
-                        <div class="manga-card-meta">
-                            <span class="status-badge ${this.getStatusBadgeClass(manga.status)}">${manga.status}</span>
-                            <span class="type-badge ${this.getTypeBadgeClass(manga.type)}">${manga.type}</span>
-                        </div>
-                        <div class="manga-card-meta">
-                            ${manga.author ? `<p>by ${manga.author}</p>` : ''}
-                            <p>Chapter ${manga.currentChapter}${manga.totalChapters ? ` / ${manga.totalChapters}` : ''}</p>
-                            ${manga.totalChapters ? `<div class="progress-bar mt-2"><div class="progress-fill" style="width: ${progressPercent}%"></div></div>` : ''}
-                        </div>
-                        ${manga.tags.length > 0 ? `
-                            <div class="mt-2">
-                                ${manga.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
+                    <button onclick="uiController.promptAddBookmark('${manga.id}')" class="text-blue-600 hover:text-blue-800 text-sm">Add bookmark</button>
+                </div>
+                <div class="divide-y divide-gray-200">
+                    ${sorted.map(bookmark => `
+                        <div class="py-3 flex flex-col md:flex-row md:items-center gap-3">
+                            <div class="md:w-32 flex-shrink-0">
+                                <div class="font-medium text-gray-900">Chapter ${bookmark.chapterNumber}</div>
+                                <div class="text-xs text-gray-500">${this.formatDate(bookmark.createdAt)}</div>
+                            </div>
+                            <input type="text" value="${this.escapeHtml(bookmark.note)}" placeholder="Add a note..."
+                                class="form-input flex-1" onchange="uiController.updateBookmarkNote('${bookmark.id}', this.value)">
+                            <div class="flex space-x-3 flex-shrink-0">
+                                <button onclick="uiController.jumpToBookmark('${bookmark.id}')" class="text-green-600 hover:text-green-800 text-sm"
+                                    ${bookmark.chapterNumber === manga.currentChapter ? 'disabled title="Already on this chapter"' : ''}>Jump to chapter</button>
+                                <button onclick="uiController.deleteBookmark('${bookmark.id}')" class="text-red-600 hover:text-red-800 text-sm">Delete</button>
                             </div>
-                        ` : ''}
-                        <div class="manga-card-actions mt-4">
-                            <button onclick="uiController.quickUpdateProgress('${manga.id}')" class="btn-edit">Update Progress</button>
-                            <button onclick="uiController.editManga('${manga.id}')" class="btn-edit">Edit</button>
-                            <button onclick="uiController.deleteManga('${manga.id}')" class="btn-delete">Delete</button>
                         </div>
-                    </div>
+                    `).join('')}
                 </div>
-            `;
-        }).join('');
+            </div>
+        `;
     }
 
-    filterManga() {
-        const searchTerm = document.getElementById('manga-search').value.toLowerCase();
-        const statusFilter = document.getElementById('status-filter').value;
-        const typeFilter = document.getElementById('type-filter').value;
-        const sortBy = document.getElementById('sort-by').value;
-        
-        let filteredManga = this.tracker.searchManga(searchTerm, {
-            status: statusFilter,
-            type: typeFilter,
-            tags: this.selectedTags || []
-        });
-        
-        // Sort manga
-        filteredManga = this.sortManga(filteredManga, sortBy);
-        
-        // Update the grid
-        document.getElementById('manga-grid').innerHTML = this.renderMangaCards(filteredManga);
-    }
+    promptAddBookmark(mangaId) {
+        const manga = this.tracker.getManga(mangaId);
+        if (!manga) return;
 
-    sortManga(mangaList, sortBy) {
-        return mangaList.sort((a, b) => {
-            switch (sortBy) {
-                case 'title':
-                    return a.title.localeCompare(b.title);
-                case 'lastRead':
-                    const aDate = a.lastRead ? new Date(a.lastRead) : new Date(0);
-                    const bDate = b.lastRead ? new Date(b.lastRead) : new Date(0);
-                    return bDate - aDate;
-                case 'progress':
-                    const aProgress = a.totalChapters ? a.currentChapter / a.totalChapters : 0;
-                    const bProgress = b.totalChapters ? b.currentChapter / b.totalChapters : 0;
-                    return bProgress - aProgress;
-                case 'rating':
-                    return (b.rating || 0) - (a.rating || 0);
-                case 'createdAt':
-                    return new Date(b.createdAt) - new Date(a.createdAt);
-                default:
-                    return 0;
-            }
-        });
+        const chapterInput = prompt(`Bookmark which chapter of "${manga.title}"?`, manga.currentChapter);
+        if (chapterInput === null) return;
+
+        const chapterNumber = parseFloat(chapterInput);
+        if (isNaN(chapterNumber) || chapterNumber < 0) {
+            this.showNotification('Please enter a valid chapter number', 'error');
+            return;
+        }
+
+        const note = prompt('Note (optional):', '');
+        if (note === null) return;
+
+        this.tracker.addBookmark(mangaId, chapterNumber, note.trim());
+        this.showNotification(`Bookmarked chapter ${chapterNumber} of "${manga.title}"`, 'success');
+
+        if (this.currentView === 'bookmarks') {
+            this.loadBookmarks();
+        }
     }
 
-    toggleTagFilter(tag) {
-        if (!this.selectedTags) this.selectedTags = [];
-        
-        const tagButton = document.querySelector(`[data-tag="${tag}"]`);
-        const index = this.selectedTags.indexOf(tag);
-        
-        if (index > -1) {
-            this.selectedTags.splice(index, 1);
-            tagButton.classList.remove('active');
-        } else {
-            this.selectedTags.push(tag);
-            tagButton.classList.add('active');
+    bookmarkActiveSession() {
+        if (!this.activeTimer || !this.activeTimer.mangaId) {
+            this.showNotification('This session is not linked to a manga', 'warning');
+            return;
         }
-        
-        this.filterManga();
+        this.promptAddBookmark(this.activeTimer.mangaId);
     }
 
-    quickUpdateProgress(mangaId) {
-        const manga = this.tracker.getManga(mangaId);
+    updateBookmarkNote(bookmarkId, note) {
+        this.tracker.updateBookmark(bookmarkId, { note: note.trim() });
+    }
+
+    jumpToBookmark(bookmarkId) {
+        const bookmark = this.tracker.data.bookmarks.find(b => b.id === bookmarkId);
+        const manga = bookmark && this.tracker.getManga(bookmark.mangaId);
         if (!manga) return;
-        
-        const newChapter = prompt(`Update progress for "${manga.title}"\nCurrent: Chapter ${manga.currentChapter}\nNew chapter:`, manga.currentChapter + 1);
-        
-        if (newChapter !== null) {
-            const chapterNum = parseInt(newChapter);
-            if (!isNaN(chapterNum) && chapterNum >= 0) {
-                this.updateProgress(mangaId, chapterNum);
-                this.filterManga(); // Refresh the current view
-            }
+
+        // Going back marks every chapter read after the bookmark as unread
+        if (bookmark.chapterNumber < this.tracker.getProgress(manga) &&
+            !confirm(`Go back to chapter ${bookmark.chapterNumber} of "${manga.title}"? Chapters read after it will be marked unread.`)) return;
+
+        this.updateProgress(bookmark.mangaId, bookmark.chapterNumber);
+        this.loadBookmarks();
+    }
+
+    deleteBookmark(bookmarkId) {
+        if (confirm('Delete this bookmark?')) {
+            this.tracker.removeBookmark(bookmarkId);
+            this.loadBookmarks();
         }
     }
 
-    loadLibrary() {
-        const allManga = this.tracker.getAllManga();
-        const stats = this.tracker.getStatistics();
-        
+    clearOrphanedBookmarks() {
+        const removed = this.tracker.removeOrphanedBookmarks();
+        this.showNotification(`Removed ${removed} bookmark${removed === 1 ? '' : 's'}`, 'success');
+        this.loadBookmarks();
+    }
+
+    loadHistory() {
+        if (!this.historyFilters) {
+            this.historyFilters = { action: '', mangaId: '', from: '', to: '' };
+        }
+        const filters = this.historyFilters;
+        const mangaOptions = [...this.tracker.getAllManga()].sort((a, b) => a.title.localeCompare(b.title));
+
         const content = `
             <header class="flex justify-between items-center mb-6">
-                <h1 class="text-3xl font-semibold text-gray-800">Library</h1>
-                <div class="flex gap-2">
-                    <button onclick="uiController.showAddMangaModal()" class="btn-primary">Add Manga</button>
-                    <button onclick="uiController.exportLibrary()" class="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Export</button>
-                </div>
+                <h1 class="text-3xl font-semibold text-gray-800">History</h1>
             </header>
 
-            <!-- Library Stats -->
-            <div class="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
-                <div class="bg-white p-4 rounded-lg shadow text-center">
-                    <div class="text-2xl font-bold text-blue-600">${stats.totalManga}</div>
-                    <div class="text-sm text-gray-600">Total</div>
-                </div>
-                <div class="bg-white p-4 rounded-lg shadow text-center">
-                    <div class="text-2xl font-bold text-green-600">${stats.currentlyReading}</div>
-                    <div class="text-sm text-gray-600">Reading</div>
-                </div>
-                <div class="bg-white p-4 rounded-lg shadow text-center">
-                    <div class="text-2xl font-bold text-purple-600">${stats.completed}</div>
-                    <div class="text-sm text-gray-600">Completed</div>
-                </div>
-                <div class="bg-white p-4 rounded-lg shadow text-center">
-                    <div class="text-2xl font-bold text-yellow-600">${stats.onHold}</div>
-                    <div class="text-sm text-gray-600">On Hold</div>
-                </div>
-                <div class="bg-white p-4 rounded-lg shadow text-center">
-                    <div class="text-2xl font-bold text-red-600">${stats.dropped}</div>
-                    <div class="text-sm text-gray-600">Dropped</div>
-                </div>
-            </div>
-
-            <!-- Advanced Search -->
-            <div class="bg-white p-6 rounded-lg shadow mb-6">
-                <h2 class="text-xl font-semibold mb-4">Advanced Search</h2>
-                <div class="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div class="bg-white p-4 rounded-lg shadow mb-6">
+                <div class="grid grid-cols-1 md:grid-cols-4 gap-4">
                     <div>
-                        <label class="form-label">Search</label>
-                        <input type="text" id="library-search" placeholder="Title, author, or tags..." class="form-input" onkeyup="uiController.searchLibrary()">
+                        <label class="form-label">Action</label>
+                        <select id="history-action-filter" class="form-input" onchange="uiController.filterHistory()">
+                            <option value="">All Actions</option>
+                            ${['read', 'added', 'completed', 'updated', 'deleted'].map(action => `
+                                <option value="${action}" ${filters.action === action ? 'selected' : ''}>${this.getHistoryActionLabel(action)}</option>
+                            `).join('')}
+                        </select>
                     </div>
                     <div>
-                        <label class="form-label">Status</label>
-                        <select id="library-status-filter" class="form-input" onchange="uiController.searchLibrary()">
-                            <option value="">All Status</option>
-                            <option value="reading">Reading</option>
-                            <option value="completed">Completed</option>
-                            <option value="on-hold">On Hold</option>
-                            <option value="dropped">Dropped</option>
-                            <option value="plan-to-read">Plan to Read</option>
+                        <label class="form-label">Manga</label>
+                        <select id="history-manga-filter" class="form-input" onchange="uiController.filterHistory()">
+                            <option value="">All Manga</option>
+                            ${mangaOptions.map(manga => `
+                                <option value="${manga.id}" ${filters.mangaId === manga.id ? 'selected' : ''}>${this.escapeHtml(manga.title)}</option>
+                            `).join('')}
                         </select>
                     </div>
                     <div>
-                        <label class="form-label">Type</label>
-                        <select id="library-type-filter" class="form-input" onchange="uiController.searchLibrary()">
-                            <option value="">All Types</option>
-                            <option value="manga">Manga</option>
-                            <option value="manhwa">Manhwa</option>
-                            <option value="manhua">Manhua</option>
-                        </select>
+                        <label class="form-label">From</label>
+                        <input type="date" id="history-from-filter" class="form-input" value="${filters.from}" onchange="uiController.filterHistory()">
                     </div>
-                </div>
-                
-                <div class="mt-4">
-                    <label class="form-label">Sort by</label>
-                    <div class="flex gap-4">
-                        <select id="library-sort" class="form-input" onchange="uiController.searchLibrary()">
-                            <option value="title">Title (A-Z)</option>
-                            <option value="title-desc">Title (Z-A)</option>
-                            <option value="lastRead">Recently Read</option>
-                            <option value="progress">Progress</option>
-                            <option value="rating">Rating</option>
-                            <option value="createdAt">Date Added</option>
-                        </select>
-                        <button onclick="uiController.clearLibraryFilters()" class="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600">Clear Filters</button>
+                    <div>
+                        <label class="form-label">To</label>
+                        <input type="date" id="history-to-filter" class="form-input" value="${filters.to}" onchange="uiController.filterHistory()">
                     </div>
                 </div>
+                <div class="mt-4 text-right">
+                    <button onclick="uiController.clearHistoryFilters()" class="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600">Clear Filters</button>
+                </div>
             </div>
 
-            <!-- Results -->
-            <div id="library-results">
-                ${this.renderLibraryResults(allManga)}
+            <div id="history-results"></div>
+            <div class="text-center mt-6">
+                <button id="history-load-more" onclick="uiController.loadMoreHistory()" class="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700" style="display: none;">Load more</button>
             </div>
         `;
-        
+
         document.getElementById('main-content').innerHTML = content;
+        this.refreshHistory();
     }
 
-    renderLibraryResults(mangaList) {
-        if (mangaList.length === 0) {
+    filterHistory() {
+        this.historyFilters = {
+            action: document.getElementById('history-action-filter').value,
+            mangaId: document.getElementById('history-manga-filter').value,
+            from: document.getElementById('history-from-filter').value,
+            to: document.getElementById('history-to-filter').value
+        };
+        this.refreshHistory();
+    }
+
+    clearHistoryFilters() {
+        this.historyFilters = null;
+        this.loadHistory();
+    }
+
+    refreshHistory() {
+        this.historyEntries = [];
+        return this.loadMoreHistory();
+    }
+
+    async loadMoreHistory() {
+        // Ignore results from a query that was superseded by newer filters
+        const queryId = (this.historyQueryId || 0) + 1;
+        this.historyQueryId = queryId;
+
+        const before = this.historyEntries.length > 0 ? this.historyEntries[this.historyEntries.length - 1] : null;
+        const { entries, hasMore } = await this.tracker.queryHistory(this.historyFilters, { before, limit: 50 });
+        if (queryId !== this.historyQueryId || this.currentView !== 'history') return;
+
+        this.historyEntries.push(...entries);
+        document.getElementById('history-results').innerHTML = this.renderHistoryEntries(this.historyEntries);
+        document.getElementById('history-load-more').style.display = hasMore ? 'inline-block' : 'none';
+    }
+
+    // Entries arrive newest first, so each day's group is contiguous
+    renderHistoryEntries(entries) {
+        if (entries.length === 0) {
             return `
                 <div class="empty-state">
-                    <h3 class="text-lg font-medium text-gray-900 mb-2">No manga found</h3>
-                    <p class="text-gray-500">Try adjusting your search criteria or add some manga to your library.</p>
+                    <h3 class="text-lg font-medium text-gray-900 mb-2">No history found</h3>
+                    <p class="text-gray-500">Reading sessions, progress updates and library changes show up here.</p>
                 </div>
             `;
         }
 
-        return `
-            <div class="bg-white rounded-lg shadow overflow-hidden">
-                <div class="px-6 py-4 border-b border-gray-200">
-                    <h3 class="text-lg font-medium">Found ${mangaList.length} manga</h3>
-                </div>
-                <div class="divide-y divide-gray-200">
-                    ${mangaList.map(manga => {
-                        const progressPercent = manga.totalChapters ? 
-                            Math.round((manga.currentChapter / manga.totalChapters) * 100) : 0;
-                        
+        const groups = [];
+        entries.forEach(entry => {
+            const day = new Date(entry.timestamp).toDateString();
+            if (groups.length === 0 || groups[groups.length - 1].day !== day) {
+                groups.push({ day, entries: [] });
+            }
+            groups[groups.length - 1].entries.push(entry);
+        });
+
+        return groups.map(group => `
+            <div class="mb-6">
+                <h2 class="text-lg font-semibold text-gray-700 mb-2">${this.getDayLabel(new Date(group.day))}</h2>
+                <div class="bg-white rounded-lg shadow divide-y divide-gray-200">
+                    ${group.entries.map(entry => {
+                        const manga = this.tracker.getManga(entry.mangaId);
+                        const title = manga ? manga.title : (entry.details && entry.details.title) || 'Unknown manga';
+                        const category = this.tracker.getHistoryCategory(entry.action);
                         return `
-                            <div class="px-6 py-4 hover:bg-gray-50">
-                                <div class="flex items-center justify-between">
-                                    <div class="flex-1">
-                                        <div class="flex items-center space-x-3">
-                                            <div class="flex-shrink-0">
-                                                <div class="w-12 h-16 bg-gradient-to-br from-blue-100 to-purple-100 rounded flex items-center justify-center">
-                                                    <span class="text-lg">📚</span>
-                                                </div>
-                                            </div>
-                                            <div class="flex-1 min-w-0">
-                                                <h4 class="text-lg font-medium text-gray-900 truncate">${manga.title}</h4>
-                                                ${manga.author ? `<p class="text-sm text-gray-500">${manga.author}</p>` : ''}
-                                                <div class="flex items-center space-x-2 mt-1">
-                                                    <span class="status-badge ${this.getStatusBadgeClass(manga.status)}">${manga.status}</span>
-                                                    <span class="type-badge ${this.getTypeBadgeClass(manga.type)}">${manga.type}</span>
-                                                    ${manga.rating ? `<span class="text-yellow-500">★ ${manga.rating}/10</span>` : ''}
-                                                </div>
-                                            </div>
-                                        </div>
-                                    </div>
-                                    <div class="flex items-center space-x-4">
-                                        <div class="text-right">
-                                            <div class="text-sm font-medium text-gray-900">
-                                                Chapter ${manga.currentChapter}${manga.totalChapters ? ` / ${manga.totalChapters}` : ''}
-                                            </div>
-                                            ${manga.totalChapters ? `
-                                                <div class="w-24 progress-bar mt-1">
-                                                    <div class="progress-fill" style="width: ${progressPercent}%"></div>
-                                                </div>
-                                                <div class="text-xs text-gray-500">${progressPercent}% complete</div>
-                                            ` : ''}
-                                        </div>
-                                        <div class="flex space-x-2">
-                                            <button onclick="uiController.quickUpdateProgress('${manga.id}')" class="text-blue-600 hover:text-blue-800 text-sm">Update</button>
-                                            <button onclick="uiController.editManga('${manga.id}')" class="text-green-600 hover:text-green-800 text-sm">Edit</button>
-                                        </div>
+                            <div class="px-4 py-3 flex items-center justify-between">
+                                <div class="flex items-center space-x-3">
+                                    <span class="status-badge ${this.getHistoryBadgeClass(category)}">${this.getHistoryActionLabel(category)}</span>
+                                    <div>
+                                        <div class="font-medium text-gray-900">${this.escapeHtml(title)}</div>
+                                        <div class="text-sm text-gray-500">${this.describeHistoryEntry(entry)}</div>
                                     </div>
                                 </div>
-                                ${manga.tags.length > 0 ? `
-                                    <div class="mt-2 flex flex-wrap gap-1">
-                                        ${manga.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
-                                    </div>
-                                ` : ''}
+                                <div class="text-sm text-gray-400">${new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</div>
                             </div>
                         `;
                     }).join('')}
                 </div>
             </div>
-        `;
+        `).join('');
     }
 
-    searchLibrary() {
-        const searchTerm = document.getElementById('library-search').value.toLowerCase();
-        const statusFilter = document.getElementById('library-status-filter').value;
-        const typeFilter = document.getElementById('library-type-filter').value;
-        const sortBy = document.getElementById('library-sort').value;
-        
-        let filteredManga = this.tracker.searchManga(searchTerm, {
-            status: statusFilter,
-            type: typeFilter
-        });
-        
-        // Sort manga
-        filteredManga = this.sortManga(filteredManga, sortBy);
-        
-        // Update results
-        document.getElementById('library-results').innerHTML = this.renderLibraryResults(filteredManga);
+    getDayLabel(date) {
+        const daysAgo = this.getDaysAgo(date);
+        if (daysAgo === 0) return 'Today';
+        if (daysAgo === 1) return 'Yesterday';
+        if (['iso', 'dmy', 'mdy'].includes(this.tracker.data.settings.dateFormat)) {
+            return `${date.toLocaleDateString(undefined, { weekday: 'long' })}, ${this.formatCalendarDate(date)}`;
+        }
+        return date.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
     }
 
-    clearLibraryFilters() {
-        document.getElementById('library-search').value = '';
-        document.getElementById('library-status-filter').value = '';
-        document.getElementById('library-type-filter').value = '';
-        document.getElementById('library-sort').value = 'title';
-        this.searchLibrary();
+    getHistoryActionLabel(category) {
+        const labels = {
+            'read': 'Read',
+            'added': 'Added',
+            'completed': 'Completed',
+            'updated': 'Updated',
+            'deleted': 'Deleted'
+        };
+        return labels[category] || category;
     }
 
-    exportLibrary() {
-        const allManga = this.tracker.getAllManga();
-        const exportData = {
-            exportDate: new Date().toISOString(),
-            manga: allManga,
-            stats: this.tracker.getStatistics()
+    getHistoryBadgeClass(category) {
+        const classes = {
+            'read': 'bg-blue-100 text-blue-800',
+            'added': 'bg-green-100 text-green-800',
+            'completed': 'bg-purple-100 text-purple-800',
+            'updated': 'bg-yellow-100 text-yellow-800',
+            'deleted': 'bg-red-100 text-red-800'
         };
-        
-        const dataStr = JSON.stringify(exportData, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
-        
-        const link = document.createElement('a');
-        link.href = URL.createObjectURL(dataBlob);
-        link.download = `manga-library-${new Date().toISOString().split('T')[0]}.json`;
-        link.click();
-        
-        this.showNotification('Library exported successfully!', 'success');
+        return classes[category] || 'bg-gray-100 text-gray-800';
     }
 
-    loadDiscover() {
-        document.querySelector('main').innerHTML = `
-            <header class="flex justify-between items-center mb-6">
-                <h1 class="text-3xl font-semibold text-gray-800">Discover</h1>
-            </header>
-            <p class="text-gray-600">Discover view coming soon...</p>
-        `;
+    describeHistoryEntry(entry) {
+        const details = entry.details || {};
+        if (entry.action === 'progress_update') {
+            const pass = details.pass > 1 ? ` (${this.formatOrdinal(details.pass)} read)` : '';
+            const volume = details.newVolume !== undefined ? `Volume ${details.oldVolume} → ${details.newVolume}` : '';
+            const chapter = details.oldChapter !== details.newChapter || !volume ? `Chapter ${details.oldChapter} → ${details.newChapter}` : '';
+            return `${[chapter, volume].filter(part => part).join(', ')}${pass}`;
+        }
+        if (entry.action === 'reread_started') {
+            return `Started reading for the ${this.formatOrdinal(details.pass)} time`;
+        }
+        if (entry.action === 'completed' && details.pass) {
+            return `Finished the ${this.formatOrdinal(details.pass)} read at chapter ${details.chapter}`;
+        }
+        if (entry.action === 'read') {
+            if (details.chaptersRead !== undefined) {
+                const minutes = Math.round((details.sessionDuration || 0) / 60);
+                return `${details.chaptersRead} chapter${details.chaptersRead === 1 ? '' : 's'} in ${minutes} min`;
+            }
+            if (details.chapter !== undefined) return `Chapter ${details.chapter}`;
+        }
+        return '';
     }
 
-    loadBookmarks() {
-        document.querySelector('main').innerHTML = `
+    loadTrash() {
+        const entries = this.tracker.getTrash();
+        const retentionDays = this.tracker.data.settings.trashRetentionDays || 0;
+        const retentionOptions = [7, 14, 30, 90, 0];
+
+        const content = `
             <header class="flex justify-between items-center mb-6">
-                <h1 class="text-3xl font-semibold text-gray-800">Bookmarks</h1>
+                <h1 class="text-3xl font-semibold text-gray-800">Trash</h1>
+                <div class="flex items-center space-x-4">
+                    <label class="text-sm text-gray-600">
+                        Delete after
+                        <select class="form-input inline-block w-auto ml-2" onchange="uiController.updateTrashRetention(this.value)">
+                            ${retentionOptions.map(days => `
+                                <option value="${days}" ${days === retentionDays ? 'selected' : ''}>${days ? `${days} days` : 'Never'}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    ${entries.length > 0 ? `
+                        <button onclick="uiController.emptyTrash()" class="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700">Empty Trash</button>
+                    ` : ''}
+                </div>
             </header>
-            <p class="text-gray-600">Bookmarks view coming soon...</p>
+
+            ${entries.length === 0 ? `
+                <div class="empty-state">
+                    <h3 class="text-lg font-medium text-gray-900 mb-2">Trash is empty</h3>
+                    <p class="text-gray-500">Deleted manga are kept here with their sessions, bookmarks and history until you restore them or they expire.</p>
+                </div>
+            ` : `
+                <div class="bg-white rounded-lg shadow divide-y divide-gray-200">
+                    ${entries.map(entry => this.renderTrashEntry(entry)).join('')}
+                </div>
+            `}
         `;
+
+        document.getElementById('main-content').innerHTML = content;
     }
 
-    loadHistory() {
-        document.querySelector('main').innerHTML = `
-            <header class="flex justify-between items-center mb-6">
-                <h1 class="text-3xl font-semibold text-gray-800">History</h1>
-            </header>
-            <p class="text-gray-600">History view coming soon...</p>
+    renderTrashEntry(entry) {
+        const expiry = this.tracker.getTrashExpiry(entry);
+        const daysLeft = expiry ? Math.max(0, Math.ceil((expiry - new Date()) / (1000 * 60 * 60 * 24))) : null;
+        const related = [
+            [entry.readingSessions.length, 'session', 'sessions'],
+            [entry.bookmarks.length, 'bookmark', 'bookmarks'],
+            [entry.history.length, 'history entry', 'history entries'],
+            [(entry.chapterLog || []).length, 'logged chapter', 'logged chapters']
+        ].filter(([count]) => count > 0)
+            .map(([count, singular, plural]) => `${count} ${count === 1 ? singular : plural}`);
+
+        return `
+            <div class="px-4 py-3 flex items-center justify-between">
+                <div>
+                    <div class="font-medium text-gray-900">${this.escapeHtml(entry.manga.title)}</div>
+                    <div class="text-sm text-gray-500">
+                        Deleted ${this.formatDate(entry.deletedAt)}
+                        ${related.length > 0 ? ` · ${related.join(', ')}` : ''}
+                        ${daysLeft !== null ? ` · deleted permanently in ${daysLeft} day${daysLeft === 1 ? '' : 's'}` : ''}
+                    </div>
+                </div>
+                <div class="flex space-x-2">
+                    <button onclick="uiController.restoreFromTrash('${entry.id}')" class="px-3 py-1 bg-blue-600 text-white text-sm rounded hover:bg-blue-700">Restore</button>
+                    <button onclick="uiController.purgeFromTrash('${entry.id}')" class="px-3 py-1 bg-red-600 text-white text-sm rounded hover:bg-red-700">Delete Forever</button>
+                </div>
+            </div>
         `;
     }
 
+    updateTrashRetention(value) {
+        this.tracker.updateSettings({ trashRetentionDays: parseInt(value) || 0 });
+        const purged = this.tracker.purgeExpiredTrash();
+        if (purged > 0) {
+            this.showNotification(`${purged} expired item${purged === 1 ? '' : 's'} deleted permanently`, 'info');
+        }
+        this.loadTrash();
+    }
+
+    restoreFromTrash(id) {
+        const manga = this.tracker.restoreFromTrash(id);
+        if (!manga) return;
+        this.syncActiveTimer();
+        this.notifyUndoable(`"${manga.title}" restored`);
+        this.loadTrash();
+    }
+
+    purgeFromTrash(id) {
+        const entry = this.tracker.data.trash.find(e => e.id === id);
+        if (!entry || !confirm(`Permanently delete "${entry.manga.title}"?`)) return;
+        this.tracker.purgeFromTrash(id);
+        this.showNotification(`"${entry.manga.title}" deleted permanently`, 'success');
+        this.loadTrash();
+    }
+
+    emptyTrash() {
+        const count = this.tracker.data.trash.length;
+        if (!confirm(`Permanently delete ${count} item${count === 1 ? '' : 's'} in the trash?`)) return;
+        this.tracker.emptyTrash();
+        this.showNotification('Trash emptied', 'success');
+        this.loadTrash();
+    }
+
     loadAnalytics() {
         const stats = this.tracker.getStatistics();
         const allManga = this.tracker.getAllManga();
-        const sessions = this.tracker.data.readingSessions.filter(s => !s.active);
+        const range = this.getAnalyticsRange();
+        const { period, from, to } = this.analyticsPeriod;
+
+        // All time shows the library as it stands; any other period is measured
+        // from the chapter log and compared with the period just before it
+        const allTime = !range.previous;
+        const current = this.tracker.getPeriodStatistics(range.from, range.to);
+        const previous = allTime ? null : this.tracker.getPeriodStatistics(range.previous.from, range.previous.to);
+        const periodManga = allTime ? allManga : current.manga;
+        const goals = this.tracker.getGoals();
+        const firstReads = periodStats => periodStats.chaptersRead - periodStats.rereadChaptersRead;
+        const chaptersRead = allTime ? stats.totalChaptersRead : firstReads(current);
+        const rereadChapters = allTime ? stats.rereadChaptersRead : current.rereadChaptersRead;
+        const days = allTime ? this.getDaysSinceFirstManga(allManga) : Math.round((range.to - range.from) / 86400000);
+        // Averages count first reads only, like the Chapters Read badge
+        const dailyAverage = chaptersRead / Math.max(days, 1);
+        const previousDailyAverage = previous
+            ? firstReads(previous) / Math.max(Math.round((range.previous.to - range.previous.from) / 86400000), 1)
+            : null;
+
+        const getStatusStats = mangaList => {
+            const countStatus = status => mangaList.filter(m => m.status === status).length;
+            return {
+                currentlyReading: countStatus('reading'),
+                completed: countStatus('completed'),
+                onHold: countStatus('on-hold'),
+                dropped: countStatus('dropped'),
+                planToRead: countStatus('plan-to-read')
+            };
+        };
+        const completionRate = (mangaList, statusCounts) => mangaList.length > 0 ? Math.round((statusCounts.completed / mangaList.length) * 100) : 0;
+        const statusStats = getStatusStats(periodManga);
+        // Each section below compares with the same section over the previous period
+        const previousStatus = previous ? getStatusStats(previous.manga) : {};
+        const previousTypes = new Map(previous ? this.getTypeDistribution(previous.manga).map(item => [item.type, item.count]) : []);
+        const previousTags = new Map(previous ? this.getTagFrequency(previous.manga).map(tag => [tag.name, tag.count]) : []);
+        // null rather than 0 on All time, so renderDelta leaves those sections alone
+        const before = value => previous ? value || 0 : null;
+        const topManga = allTime
+            ? this.getTopMangaByChapters(allManga, 5)
+            : current.manga
+                .filter(m => current.chaptersByManga.has(m.id))
+                .map(manga => ({ manga, chapters: current.chaptersByManga.get(manga.id) }))
+                .sort((a, b) => b.chapters - a.chapters)
+                .slice(0, 5);
+        const periods = [
+            ['week', 'Last 7 Days'],
+            ['month', 'Last 30 Days'],
+            ['quarter', 'Last 3 Months'],
+            ['year', 'Last Year'],
+            ['all', 'All Time'],
+            ['custom', 'Custom Range']
+        ];
+        const lastDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
         
         const content = `
-            <header class="flex justify-between items-center mb-6">
+            <header class="flex flex-wrap justify-between items-center gap-4 mb-2">
                 <h1 class="text-3xl font-semibold text-gray-800">Analytics</h1>
-                <div class="flex gap-2">
+                <div class="flex flex-wrap items-center gap-2">
                     <select id="analytics-period" class="form-input" onchange="uiController.updateAnalyticsPeriod()">
-                        <option value="week">Last 7 Days</option>
-                        <option value="month">Last 30 Days</option>
-                        <option value="quarter">Last 3 Months</option>
-                        <option value="year">Last Year</option>
-                        <option value="all">All Time</option>
+                        ${periods.map(([value, label]) => `
+                            <option value="${value}" ${value === period ? 'selected' : ''}>${label}</option>
+                        `).join('')}
                     </select>
+                    ${period === 'custom' ? `
+                        <input type="date" id="analytics-from" class="form-input w-auto" value="${from}" onchange="uiController.updateAnalyticsPeriod()">
+                        <span class="text-gray-500">to</span>
+                        <input type="date" id="analytics-to" class="form-input w-auto" value="${to}" onchange="uiController.updateAnalyticsPeriod()">
+                    ` : ''}
                 </div>
             </header>
+            <p class="text-sm text-gray-500 mb-6">
+                ${allTime ? 'Everything recorded so far' : `${this.formatCalendarDate(range.from)} – ${this.formatCalendarDate(lastDay(range.to))}, compared with ${this.formatCalendarDate(range.previous.from)} – ${this.formatCalendarDate(lastDay(range.previous.to))}`}
+            </p>
 
             <!-- Key Metrics -->
-            <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            <div class="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4 mb-6">
                 <div class="bg-gradient-to-r from-blue-500 to-blue-600 text-white p-6 rounded-lg shadow">
-                    <div class="text-3xl font-bold">${stats.totalManga}</div>
-                    <div class="text-blue-100">Total Manga</div>
+                    <div class="text-3xl font-bold">${allTime ? stats.totalManga : current.mangaAdded}</div>
+                    <div class="text-blue-100">${allTime ? 'Total Manga' : 'Manga Added'}</div>
+                    ${previous ? `<div class="text-xs text-blue-100 mt-1">${this.renderPeriodChange(current.mangaAdded, previous.mangaAdded)}</div>` : ''}
                 </div>
                 <div class="bg-gradient-to-r from-green-500 to-green-600 text-white p-6 rounded-lg shadow">
-                    <div class="text-3xl font-bold">${stats.totalChaptersRead}</div>
-                    <div class="text-green-100">Chapters Read</div>
+                    <div class="text-3xl font-bold">${chaptersRead}</div>
+                    <div class="text-green-100">Chapters Read${rereadChapters > 0 ? ` · +${rereadChapters} re-read` : ''}${allTime && stats.totalVolumesRead > 0 ? ` · ${stats.totalVolumesRead} vol.` : ''}</div>
+                    ${previous ? `<div class="text-xs text-green-100 mt-1">${this.renderPeriodChange(firstReads(current), firstReads(previous))}</div>` : ''}
                 </div>
                 <div class="bg-gradient-to-r from-purple-500 to-purple-600 text-white p-6 rounded-lg shadow">
-                    <div class="text-3xl font-bold">${stats.totalReadingSessions}</div>
+                    <div class="text-3xl font-bold">${allTime ? stats.totalReadingSessions : current.readingSessions}</div>
                     <div class="text-purple-100">Reading Sessions</div>
+                    ${previous ? `<div class="text-xs text-purple-100 mt-1">${this.renderPeriodChange(current.readingSessions, previous.readingSessions)}</div>` : ''}
                 </div>
                 <div class="bg-gradient-to-r from-orange-500 to-orange-600 text-white p-6 rounded-lg shadow">
-                    <div class="text-3xl font-bold">${stats.averageSessionTime}</div>
+                    <div class="text-3xl font-bold">${allTime ? stats.averageSessionTime : current.averageSessionTime}</div>
                     <div class="text-orange-100">Avg Session (min)</div>
+                    ${previous ? `<div class="text-xs text-orange-100 mt-1">${this.renderPeriodChange(current.averageSessionTime, previous.averageSessionTime)}</div>` : ''}
+                </div>
+                <div class="bg-gradient-to-r from-pink-500 to-pink-600 text-white p-6 rounded-lg shadow">
+                    <div class="text-3xl font-bold">${allTime ? stats.completed : current.seriesCompleted}</div>
+                    <div class="text-pink-100">Series Completed${!allTime && current.rereadsCompleted > 0 ? ` · +${current.rereadsCompleted} re-read` : ''}</div>
+                    ${previous ? `<div class="text-xs text-pink-100 mt-1">${this.renderPeriodChange(current.seriesCompleted, previous.seriesCompleted)}</div>` : ''}
                 </div>
             </div>
 
@@ -990,29 +6788,29 @@ class UIController {
             <div class="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
                 <!-- Reading Status Distribution -->
                 <div class="bg-white p-6 rounded-lg shadow">
-                    <h3 class="text-lg font-semibold mb-4">Reading Status Distribution</h3>
+                    <h3 class="text-lg font-semibold mb-4">Reading Status Distribution${allTime ? '' : ' <span class="text-sm font-normal text-gray-500">(series read or added)</span>'}</h3>
                     <div class="chart-container">
                         <canvas id="status-chart" width="400" height="300"></canvas>
                     </div>
                     <div class="mt-4 grid grid-cols-2 gap-2 text-sm">
-                        <div class="flex items-center"><div class="w-3 h-3 bg-blue-500 rounded mr-2"></div>Reading (${stats.currentlyReading})</div>
-                        <div class="flex items-center"><div class="w-3 h-3 bg-green-500 rounded mr-2"></div>Completed (${stats.completed})</div>
-                        <div class="flex items-center"><div class="w-3 h-3 bg-yellow-500 rounded mr-2"></div>On Hold (${stats.onHold})</div>
-                        <div class="flex items-center"><div class="w-3 h-3 bg-red-500 rounded mr-2"></div>Dropped (${stats.dropped})</div>
+                        <div class="flex items-center"><div class="w-3 h-3 bg-blue-500 rounded mr-2"></div>Reading (${statusStats.currentlyReading})${this.renderDelta(statusStats.currentlyReading, before(previousStatus.currentlyReading))}</div>
+                        <div class="flex items-center"><div class="w-3 h-3 bg-green-500 rounded mr-2"></div>Completed (${statusStats.completed})${this.renderDelta(statusStats.completed, before(previousStatus.completed))}</div>
+                        <div class="flex items-center"><div class="w-3 h-3 bg-yellow-500 rounded mr-2"></div>On Hold (${statusStats.onHold})${this.renderDelta(statusStats.onHold, before(previousStatus.onHold))}</div>
+                        <div class="flex items-center"><div class="w-3 h-3 bg-red-500 rounded mr-2"></div>Dropped (${statusStats.dropped})${this.renderDelta(statusStats.dropped, before(previousStatus.dropped))}</div>
                     </div>
                 </div>
 
                 <!-- Type Distribution -->
                 <div class="bg-white p-6 rounded-lg shadow">
-                    <h3 class="text-lg font-semibold mb-4">Type Distribution</h3>
+                    <h3 class="text-lg font-semibold mb-4">Type Distribution${allTime ? '' : ' <span class="text-sm font-normal text-gray-500">(series read or added)</span>'}</h3>
                     <div class="chart-container">
                         <canvas id="type-chart" width="400" height="300"></canvas>
                     </div>
                     <div class="mt-4 grid grid-cols-3 gap-2 text-sm">
-                        ${this.getTypeDistribution(allManga).map(item => `
+                        ${this.getTypeDistribution(periodManga).map(item => `
                             <div class="flex items-center">
                                 <div class="w-3 h-3 rounded mr-2" style="background-color: ${item.color}"></div>
-                                ${item.type} (${item.count})
+                                ${item.type} (${item.count})${this.renderDelta(item.count, before(previousTypes.get(item.type)))}
                             </div>
                         `).join('')}
                     </div>
@@ -1023,7 +6821,7 @@ class UIController {
             <div class="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
                 <!-- Reading Progress Over Time -->
                 <div class="bg-white p-6 rounded-lg shadow">
-                    <h3 class="text-lg font-semibold mb-4">Reading Progress (Last 30 Days)</h3>
+                    <h3 class="text-lg font-semibold mb-4">Reading Progress (${this.getProgressBucket(range.from, range.to) === 'day' ? 'chapters per day' : `chapters per ${this.getProgressBucket(range.from, range.to)}`})</h3>
                     <div class="chart-container">
                         <canvas id="progress-chart" width="400" height="300"></canvas>
                     </div>
@@ -1033,19 +6831,20 @@ class UIController {
                 <div class="bg-white p-6 rounded-lg shadow">
                     <h3 class="text-lg font-semibold mb-4">Most Read Manga</h3>
                     <div class="space-y-3">
-                        ${this.getTopMangaByChapters(allManga, 5).map((manga, index) => `
+                        ${topManga.length === 0 ? '<p class="text-sm text-gray-500">Nothing read in this period.</p>' : ''}
+                        ${topManga.map(({ manga, chapters }, index) => `
                             <div class="flex items-center justify-between">
                                 <div class="flex items-center space-x-3">
                                     <div class="w-8 h-8 bg-gradient-to-r from-blue-500 to-purple-500 text-white rounded-full flex items-center justify-center text-sm font-bold">
                                         ${index + 1}
                                     </div>
                                     <div>
-                                        <div class="font-medium text-gray-900">${manga.title}</div>
+                                        <div class="font-medium text-gray-900">${this.escapeHtml(manga.title)}</div>
                                         <div class="text-sm text-gray-500">${manga.type}</div>
                                     </div>
                                 </div>
                                 <div class="text-right">
-                                    <div class="font-bold text-gray-900">${manga.currentChapter}</div>
+                                    <div class="font-bold text-gray-900">${chapters}${this.renderDelta(chapters, before(previous && previous.chaptersByManga.get(manga.id)))}</div>
                                     <div class="text-sm text-gray-500">chapters</div>
                                 </div>
                             </div>
@@ -1062,54 +6861,31 @@ class UIController {
                     <div class="space-y-3">
                         <div class="flex justify-between">
                             <span class="text-gray-600">Daily Average</span>
-                            <span class="font-medium">${(stats.totalChaptersRead / Math.max(this.getDaysSinceFirstManga(allManga), 1)).toFixed(1)} chapters</span>
+                            <span class="font-medium">${dailyAverage.toFixed(1)} chapters${this.renderDelta(dailyAverage, previousDailyAverage, 1)}</span>
                         </div>
                         <div class="flex justify-between">
                             <span class="text-gray-600">Weekly Average</span>
-                            <span class="font-medium">${stats.weeklyProgress} chapters</span>
+                            <span class="font-medium">${(dailyAverage * 7).toFixed(1)} chapters${this.renderDelta(dailyAverage * 7, previous ? previousDailyAverage * 7 : null, 1)}</span>
                         </div>
                         <div class="flex justify-between">
                             <span class="text-gray-600">Monthly Average</span>
-                            <span class="font-medium">${stats.monthlyProgress} chapters</span>
+                            <span class="font-medium">${(dailyAverage * 30).toFixed(1)} chapters${this.renderDelta(dailyAverage * 30, previous ? previousDailyAverage * 30 : null, 1)}</span>
                         </div>
                         <div class="flex justify-between">
                             <span class="text-gray-600">Completion Rate</span>
-                            <span class="font-medium">${stats.totalManga > 0 ? Math.round((stats.completed / stats.totalManga) * 100) : 0}%</span>
+                            <span class="font-medium">${completionRate(periodManga, statusStats)}%${this.renderDelta(completionRate(periodManga, statusStats), previous ? completionRate(previous.manga, previousStatus) : null)}</span>
                         </div>
                     </div>
                 </div>
 
-                <!-- Goals Progress -->
+                <!-- Goals Progress (current periods, whatever range is selected) -->
                 <div class="bg-white p-6 rounded-lg shadow">
-                    <h3 class="text-lg font-semibold mb-4">Goals Progress</h3>
+                    <div class="flex justify-between items-center mb-4">
+                        <h3 class="text-lg font-semibold">Goals Progress</h3>
+                        <a href="#goals" class="text-sm text-blue-600 hover:underline">Manage</a>
+                    </div>
                     <div class="space-y-4">
-                        <div>
-                            <div class="flex justify-between mb-2">
-                                <span class="text-gray-600">Daily Goal</span>
-                                <span class="font-medium">${stats.dailyProgress}/${this.tracker.data.settings.dailyGoal}</span>
-                            </div>
-                            <div class="progress-bar">
-                                <div class="progress-fill" style="width: ${Math.min((stats.dailyProgress / this.tracker.data.settings.dailyGoal) * 100, 100)}%"></div>
-                            </div>
-                        </div>
-                        <div>
-                            <div class="flex justify-between mb-2">
-                                <span class="text-gray-600">Weekly Goal</span>
-                                <span class="font-medium">${stats.weeklyProgress}/${this.tracker.data.settings.dailyGoal * 7}</span>
-                            </div>
-                            <div class="progress-bar">
-                                <div class="progress-fill" style="width: ${Math.min((stats.weeklyProgress / (this.tracker.data.settings.dailyGoal * 7)) * 100, 100)}%"></div>
-                            </div>
-                        </div>
-                        <div>
-                            <div class="flex justify-between mb-2">
-                                <span class="text-gray-600">Monthly Goal</span>
-                                <span class="font-medium">${stats.monthlyProgress}/${this.tracker.data.settings.dailyGoal * 30}</span>
-                            </div>
-                            <div class="progress-bar">
-                                <div class="progress-fill" style="width: ${Math.min((stats.monthlyProgress / (this.tracker.data.settings.dailyGoal * 30)) * 100, 100)}%"></div>
-                            </div>
-                        </div>
+                        ${goals.length > 0 ? goals.map(goal => this.renderGoal(goal)).join('') : '<p class="text-gray-500">No goals set</p>'}
                     </div>
                 </div>
 
@@ -1125,7 +6901,7 @@ class UIController {
                                     <div class="w-2 h-2 bg-green-500 rounded-full"></div>
                                     <div class="flex-1">
                                         <div class="text-sm font-medium text-gray-900">${activity.action}</div>
-                                        <div class="text-xs text-gray-500">${mangaTitle}</div>
+                                        <div class="text-xs text-gray-500">${this.escapeHtml(mangaTitle)}</div>
                                     </div>
                                     <div class="text-xs text-gray-400">${this.formatDate(activity.timestamp)}</div>
                                 </div>
@@ -1137,11 +6913,11 @@ class UIController {
 
             <!-- Tag Cloud -->
             <div class="bg-white p-6 rounded-lg shadow">
-                <h3 class="text-lg font-semibold mb-4">Popular Tags</h3>
+                <h3 class="text-lg font-semibold mb-4">Popular Tags${allTime ? '' : ' <span class="text-sm font-normal text-gray-500">(series read or added)</span>'}</h3>
                 <div class="flex flex-wrap gap-2">
-                    ${this.getTagFrequency(allManga).map(tag => `
+                    ${this.getTagFrequency(periodManga).map(tag => `
                         <span class="tag" style="font-size: ${Math.max(0.75, Math.min(1.5, tag.frequency / 2))}rem; opacity: ${Math.max(0.5, tag.frequency / 10)}">
-                            ${tag.name} (${tag.count})
+                            ${this.escapeHtml(tag.name)} (${tag.count})${this.renderDelta(tag.count, before(previousTags.get(tag.name)))}
                         </span>
                     `).join('')}
                 </div>
@@ -1152,12 +6928,92 @@ class UIController {
         
         // Draw charts after content is loaded
         setTimeout(() => {
-            this.drawStatusChart(stats);
-            this.drawTypeChart(allManga);
-            this.drawProgressChart();
+            this.drawStatusChart(statusStats);
+            this.drawTypeChart(periodManga);
+            this.drawProgressChart(range);
         }, 100);
     }
 
+    // { from, to, previous } for the selected analytics period, as local-midnight
+    // bounds with to exclusive. previous is the period of the same length just
+    // before, or null for all time.
+    getAnalyticsRange() {
+        const { period, from, to } = this.analyticsPeriod;
+        const today = new Date();
+        const end = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+        const daysBefore = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() - days);
+
+        let start;
+        let stop = end;
+        switch (period) {
+            case 'week':
+                start = daysBefore(end, 7);
+                break;
+            case 'month':
+                start = daysBefore(end, 30);
+                break;
+            case 'quarter':
+                start = new Date(end.getFullYear(), end.getMonth() - 3, end.getDate());
+                break;
+            case 'year':
+                start = new Date(end.getFullYear() - 1, end.getMonth(), end.getDate());
+                break;
+            case 'custom':
+                start = new Date(`${from}T00:00:00`);
+                stop = daysBefore(new Date(`${to}T00:00:00`), -1);
+                break;
+            default: {
+                const first = this.tracker.getFirstActivityDate();
+                return { from: new Date(first.getFullYear(), first.getMonth(), first.getDate()), to: end, previous: null };
+            }
+        }
+
+        const days = Math.round((stop - start) / 86400000);
+        return { from: start, to: stop, previous: { from: daysBefore(start, days), to: start } };
+    }
+
+    updateAnalyticsPeriod() {
+        const period = document.getElementById('analytics-period').value;
+        const fromInput = document.getElementById('analytics-from');
+        const toInput = document.getElementById('analytics-to');
+        let from = fromInput ? fromInput.value : this.analyticsPeriod.from;
+        let to = toInput ? toInput.value : this.analyticsPeriod.to;
+
+        if (period === 'custom') {
+            // Switching to a custom range starts from the dates on screen
+            if (!from || !to) {
+                const range = this.getAnalyticsRange();
+                from = from || this.formatCalendarDate(range.from, 'iso');
+                to = to || this.formatCalendarDate(new Date(range.to.getFullYear(), range.to.getMonth(), range.to.getDate() - 1), 'iso');
+            }
+            if (from > to) {
+                this.showNotification('The start of the range must come before its end', 'error');
+                return;
+            }
+        }
+
+        this.analyticsPeriod = { period, from, to };
+        this.loadAnalytics();
+    }
+
+    // "▲ 25% vs previous period" for the analytics cards
+    renderPeriodChange(current, previous) {
+        if (current === previous) return `Same as previous period (${previous})`;
+        const arrow = current > previous ? '▲' : '▼';
+        const change = previous === 0
+            ? `+${current}`
+            : `${Math.round(Math.abs(current - previous) / previous * 100)}%`;
+        return `${arrow} ${change} vs previous period (${previous})`;
+    }
+
+    // Short change marker for chart legends and list rows; nothing on All time
+    renderDelta(current, previous, digits = 0) {
+        if (previous === null) return '';
+        const difference = Number((current - previous).toFixed(digits));
+        const text = difference === 0 ? '±0' : `${difference > 0 ? '▲' : '▼'}${Math.abs(difference).toFixed(digits)}`;
+        return ` <span class="text-xs font-normal text-gray-500" title="Previous period: ${previous.toFixed(digits)}">${text}</span>`;
+    }
+
     getTypeDistribution(mangaList) {
         const distribution = {};
         const colors = { manga: '#3b82f6', manhwa: '#10b981', manhua: '#ef4444' };
@@ -1176,7 +7032,8 @@ class UIController {
     getTopMangaByChapters(mangaList, limit = 5) {
         return mangaList
             .sort((a, b) => b.currentChapter - a.currentChapter)
-            .slice(0, limit);
+            .slice(0, limit)
+            .map(manga => ({ manga, chapters: manga.currentChapter }));
     }
 
     getDaysSinceFirstManga(mangaList) {
@@ -1225,10 +7082,7 @@ class UIController {
         ].filter(item => item.value > 0);
         
         if (data.length === 0) {
-            ctx.fillStyle = '#6b7280';
-            ctx.font = '16px sans-serif';
-            ctx.textAlign = 'center';
-            ctx.fillText('No data available', canvas.width / 2, canvas.height / 2);
+            this.drawEmptyChart(ctx, canvas, 'No data available');
             return;
         }
         
@@ -1243,10 +7097,7 @@ class UIController {
         const typeDistribution = this.getTypeDistribution(mangaList);
         
         if (typeDistribution.length === 0) {
-            ctx.fillStyle = '#6b7280';
-            ctx.font = '16px sans-serif';
-            ctx.textAlign = 'center';
-            ctx.fillText('No data available', canvas.width / 2, canvas.height / 2);
+            this.drawEmptyChart(ctx, canvas, 'No data available');
             return;
         }
         
@@ -1259,56 +7110,75 @@ class UIController {
         this.drawPieChart(ctx, data, canvas.width, canvas.height);
     }
 
-    drawProgressChart() {
+    drawProgressChart(range) {
         const canvas = document.getElementById('progress-chart');
         if (!canvas) return;
         
         const ctx = canvas.getContext('2d');
-        const progressData = this.getProgressData();
+        const progressData = this.getProgressData(range.from, range.to);
         
         if (progressData.length === 0) {
-            ctx.fillStyle = '#6b7280';
-            ctx.font = '16px sans-serif';
-            ctx.textAlign = 'center';
-            ctx.fillText('No reading data available', canvas.width / 2, canvas.height / 2);
+            this.drawEmptyChart(ctx, canvas, 'No reading data available');
             return;
         }
         
         this.drawLineChart(ctx, progressData, canvas.width, canvas.height);
     }
 
-    getProgressData() {
-        const sessions = this.tracker.data.readingSessions.filter(s => !s.active && s.endTime);
-        const last30Days = new Date();
-        last30Days.setDate(last30Days.getDate() - 30);
-        
-        const dailyProgress = {};
-        
-        // Initialize all days with 0
-        for (let i = 0; i < 30; i++) {
-            const date = new Date();
-            date.setDate(date.getDate() - i);
-            const dateStr = date.toISOString().split('T')[0];
-            dailyProgress[dateStr] = 0;
+    // Chart points are days for up to three months, then weeks up to a year, then months
+    getProgressBucket(from, to) {
+        const days = Math.round((to - from) / 86400000);
+        return days <= 92 ? 'day' : days <= 366 ? 'week' : 'month';
+    }
+
+    // Chapters read per day/week/month in [from, to), oldest first
+    getProgressData(from, to) {
+        const bucket = this.getProgressBucket(from, to);
+        const bucketStart = date => {
+            if (bucket === 'week') return this.tracker.getStartOfWeek(date);
+            if (bucket === 'month') return new Date(date.getFullYear(), date.getMonth(), 1);
+            return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        };
+        const next = date => bucket === 'month'
+            ? new Date(date.getFullYear(), date.getMonth() + 1, 1)
+            : new Date(date.getFullYear(), date.getMonth(), date.getDate() + (bucket === 'week' ? 7 : 1));
+
+        // Initialize every bucket with 0
+        const progress = new Map();
+        for (let date = bucketStart(from); date < to; date = next(date)) {
+            progress.set(date.getTime(), 0);
         }
         
-        // Add actual progress
-        sessions.forEach(session => {
-            const sessionDate = new Date(session.endTime);
-            if (sessionDate >= last30Days) {
-                const dateStr = sessionDate.toISOString().split('T')[0];
-                if (dailyProgress[dateStr] !== undefined) {
-                    dailyProgress[dateStr] += session.chaptersRead || 0;
-                }
-            }
+        // Add actual progress from the chapter log
+        this.tracker.getChapterReads(from, to).forEach(read => {
+            const key = bucketStart(read.date).getTime();
+            if (progress.has(key)) progress.set(key, progress.get(key) + read.count);
         });
         
-        return Object.entries(dailyProgress)
-            .sort(([a], [b]) => a.localeCompare(b))
-            .map(([date, chapters]) => ({
-                date: new Date(date),
-                value: chapters
-            }));
+        return [...progress].map(([time, chapters]) => ({
+            date: new Date(time),
+            value: chapters
+        }));
+    }
+
+    // Canvas can't use CSS variables directly, so resolve the theme colors here
+    getChartColors() {
+        const style = getComputedStyle(document.documentElement);
+        const read = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+        return {
+            text: read('--chart-text', '#6b7280'),
+            grid: read('--chart-grid', '#e5e7eb'),
+            accent: read('--accent', '#3b82f6'),
+            surface: read('--surface', '#ffffff')
+        };
+    }
+
+    drawEmptyChart(ctx, canvas, message) {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = this.getChartColors().text;
+        ctx.font = '16px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(message, canvas.width / 2, canvas.height / 2);
     }
 
     drawPieChart(ctx, data, width, height) {
@@ -1318,7 +7188,9 @@ class UIController {
         
         const total = data.reduce((sum, item) => sum + item.value, 0);
         let currentAngle = -Math.PI / 2;
+        const colors = this.getChartColors();
         
+        ctx.clearRect(0, 0, width, height);
         data.forEach(item => {
             const sliceAngle = (item.value / total) * 2 * Math.PI;
             
@@ -1328,6 +7200,9 @@ class UIController {
             ctx.closePath();
             ctx.fillStyle = item.color;
             ctx.fill();
+            ctx.strokeStyle = colors.surface;
+            ctx.lineWidth = 2;
+            ctx.stroke();
             
             currentAngle += sliceAngle;
         });
@@ -1343,13 +7218,15 @@ class UIController {
         const maxValue = Math.max(...data.map(d => d.value), 1);
         const minDate = data[0].date;
         const maxDate = data[data.length - 1].date;
-        const dateRange = maxDate - minDate;
+        const dateRange = (maxDate - minDate) || 1;
+        
+        const colors = this.getChartColors();
         
         // Clear canvas
         ctx.clearRect(0, 0, width, height);
         
         // Draw axes
-        ctx.strokeStyle = '#e5e7eb';
+        ctx.strokeStyle = colors.grid;
         ctx.lineWidth = 1;
         
         // Y-axis
@@ -1365,7 +7242,7 @@ class UIController {
         ctx.stroke();
         
         // Draw data line
-        ctx.strokeStyle = '#3b82f6';
+        ctx.strokeStyle = colors.accent;
         ctx.lineWidth = 2;
         ctx.beginPath();
         
@@ -1383,7 +7260,7 @@ class UIController {
         ctx.stroke();
         
         // Draw data points
-        ctx.fillStyle = '#3b82f6';
+        ctx.fillStyle = colors.accent;
         data.forEach(point => {
             const x = padding + (chartWidth * (point.date - minDate)) / dateRange;
             const y = height - padding - (chartHeight * point.value) / maxValue;
@@ -1394,28 +7271,360 @@ class UIController {
         });
     }
 
-    updateAnalyticsPeriod() {
-        // This would filter data based on selected period
-        // For now, just reload the analytics
-        this.loadAnalytics();
-    }
-
     loadTags() {
-        document.querySelector('main').innerHTML = `
+        const tree = this.tracker.getTagTree();
+
+        const content = `
             <header class="flex justify-between items-center mb-6">
                 <h1 class="text-3xl font-semibold text-gray-800">Tags</h1>
+                <button onclick="uiController.promptAddTag()" class="btn-primary">Add Tag</button>
             </header>
-            <p class="text-gray-600">Tags view coming soon...</p>
+
+            ${tree.length === 0 ? `
+                <div class="empty-state">
+                    <h3 class="text-lg font-medium text-gray-900 mb-2">No tags yet</h3>
+                    <p class="text-gray-500">Tags you add to manga show up here.</p>
+                </div>
+            ` : `
+                <div class="bg-white rounded-lg shadow divide-y divide-gray-200">
+                    ${tree.map(node => this.renderTagRow(node, tree)).join('')}
+                </div>
+            `}
+        `;
+
+        document.getElementById('main-content').innerHTML = content;
+    }
+
+    renderTagRow({ name, depth, count }, tree) {
+        const tag = this.escapeHtml(name);
+        const color = this.tracker.getTagColor(name);
+        const parent = this.tracker.getTagParent(name);
+        const descendants = this.tracker.getTagDescendants(name);
+        const totalCount = descendants.length > 1
+            ? this.tracker.searchManga('', { tags: [name] }).length
+            : count;
+        const parentOptions = tree
+            .map(node => node.name)
+            .filter(other => !descendants.includes(other));
+
+        return `
+            <div class="px-4 py-3 flex flex-wrap items-center justify-between gap-2">
+                <div class="flex items-center space-x-3" style="padding-left: ${depth * 1.5}rem">
+                    <input type="color" value="${color || '#e5e7eb'}" data-tag="${tag}" onchange="uiController.setTagColor(this.dataset.tag, this.value)" title="Tag color">
+                    ${this.renderTag(name)}
+                    <span class="text-sm text-gray-500">${count} manga${totalCount !== count ? ` (${totalCount} with sub-tags)` : ''}</span>
+                </div>
+                <div class="flex items-center space-x-2">
+                    <select class="form-input w-auto text-sm" data-tag="${tag}" onchange="uiController.setTagParent(this.dataset.tag, this.value)" title="Parent tag">
+                        <option value="">No parent</option>
+                        ${parentOptions.map(other => `
+                            <option value="${this.escapeHtml(other)}" ${other === parent ? 'selected' : ''}>${this.escapeHtml(this.tracker.getTagPath(other).join(' › '))}</option>
+                        `).join('')}
+                    </select>
+                    ${color ? `<button data-tag="${tag}" onclick="uiController.setTagColor(this.dataset.tag, null)" class="text-sm text-gray-600 hover:text-gray-800">Reset color</button>` : ''}
+                    <button data-tag="${tag}" onclick="uiController.promptRenameTag(this.dataset.tag)" class="btn-edit">Rename</button>
+                    <button data-tag="${tag}" onclick="uiController.showMergeTagDialog(this.dataset.tag)" class="btn-edit">Merge</button>
+                    <button data-tag="${tag}" onclick="uiController.deleteTag(this.dataset.tag)" class="btn-delete">Delete</button>
+                </div>
+            </div>
         `;
     }
 
-    loadSettings() {
-        document.querySelector('main').innerHTML = `
+    renderTag(tag) {
+        const path = this.tracker.getTagPath(tag);
+        return `<span class="tag" style="${this.getTagStyle(tag)}" title="${this.escapeHtml(path.join(' › '))}">${this.escapeHtml(tag)}</span>`;
+    }
+
+    // Inline colors for a tag chip, picking dark or light text for contrast
+    getTagStyle(tag) {
+        const color = this.tracker.getTagColor(tag);
+        if (!color) return '';
+
+        const [r, g, b] = [1, 3, 5].map(i => parseInt(color.substr(i, 2), 16));
+        const textColor = (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#1f2937' : '#ffffff';
+        return `background-color: ${color}; color: ${textColor};`;
+    }
+
+    promptAddTag() {
+        const name = prompt('New tag name:');
+        if (!name || !name.trim()) return;
+        this.tracker.registerTags([name.trim()]);
+        this.loadTags();
+    }
+
+    setTagColor(tag, color) {
+        this.tracker.setTagColor(tag, color);
+        this.loadTags();
+    }
+
+    setTagParent(tag, parent) {
+        try {
+            this.tracker.setTagParent(tag, parent || null);
+        } catch (error) {
+            this.showNotification(`Cannot nest tag: ${error.message}`, 'error');
+        }
+        this.loadTags();
+    }
+
+    promptRenameTag(tag) {
+        const newName = prompt(`Rename "${tag}" to:`, tag);
+        if (newName === null || newName.trim() === tag) return;
+
+        const target = newName.trim();
+        if (this.tracker.getTagUsage().has(target) && !confirm(`"${target}" already exists. Merge "${tag}" into it?`)) {
+            return;
+        }
+        this.applyTagRename([tag], target);
+    }
+
+    showMergeTagDialog(tag) {
+        const others = this.tracker.getTagTree().map(node => node.name).filter(name => name !== tag);
+        if (others.length === 0) {
+            this.showNotification('There are no other tags to merge into', 'info');
+            return;
+        }
+
+        this.mergeSourceTag = tag;
+        this.showDialog(`
+            <h2 class="text-xl font-semibold mb-4">Merge "${this.escapeHtml(tag)}"</h2>
+            <p class="text-sm text-gray-600 mb-4">Every manga tagged "${this.escapeHtml(tag)}" gets the tag below instead, and "${this.escapeHtml(tag)}" is removed.</p>
+            <select id="merge-tag-target" class="form-input mb-6">
+                ${others.map(name => `<option value="${this.escapeHtml(name)}">${this.escapeHtml(this.tracker.getTagPath(name).join(' › '))}</option>`).join('')}
+            </select>
+            <div class="flex justify-end space-x-3">
+                <button onclick="uiController.closeDialog()" class="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600">Cancel</button>
+                <button onclick="uiController.confirmMergeTag()" class="btn-primary">Merge</button>
+            </div>
+        `);
+    }
+
+    confirmMergeTag() {
+        const target = document.getElementById('merge-tag-target').value;
+        this.closeDialog();
+        this.applyTagRename([this.mergeSourceTag], target);
+        this.mergeSourceTag = null;
+    }
+
+    applyTagRename(sources, target) {
+        try {
+            const count = this.tracker.mergeTags(sources, target);
+            this.notifyUndoable(`Tag "${target}" updated on ${count} manga`);
+        } catch (error) {
+            this.showNotification(`Could not rename tag: ${error.message}`, 'error');
+        }
+        this.loadTags();
+    }
+
+    deleteTag(tag) {
+        const count = this.tracker.getTagUsage().get(tag) || 0;
+        const message = count > 0
+            ? `Delete tag "${tag}"? It will be removed from ${count} manga.`
+            : `Delete tag "${tag}"?`;
+        if (!confirm(message)) return;
+
+        this.tracker.deleteTag(tag);
+        this.notifyUndoable(`Tag "${tag}" deleted`);
+        this.loadTags();
+    }
+
+    async loadSettings() {
+        const settings = this.tracker.data.settings;
+        const option = (value, label, current) => `<option value="${value}" ${String(value) === String(current) ? 'selected' : ''}>${label}</option>`;
+        const sample = new Date(2026, 2, 14);
+
+        const content = `
             <header class="flex justify-between items-center mb-6">
                 <h1 class="text-3xl font-semibold text-gray-800">Settings</h1>
             </header>
-            <p class="text-gray-600">Settings view coming soon...</p>
+
+            <div class="space-y-6">
+                <div class="bg-white p-6 rounded-lg shadow">
+                    <h2 class="text-xl font-semibold mb-4">Reading</h2>
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div>
+                            <label class="form-label">Reading goals</label>
+                            <a href="#goals" class="text-blue-600 hover:underline">Set daily, weekly and yearly goals on the Goals page</a>
+                        </div>
+                        <div>
+                            <label class="form-label">Week starts on</label>
+                            <select class="form-input" onchange="uiController.updateSetting('weekStart', parseInt(this.value))">
+                                ${option(0, 'Sunday', settings.weekStart)}
+                                ${option(1, 'Monday', settings.weekStart)}
+                                ${option(6, 'Saturday', settings.weekStart)}
+                            </select>
+                        </div>
+                        <div>
+                            <label class="form-label">Chapters a day needed for a streak</label>
+                            <input type="number" min="1" class="form-input" value="${settings.streakMinChapters}" onchange="uiController.updateSetting('streakMinChapters', parseInt(this.value))">
+                        </div>
+                        <div>
+                            <label class="form-label">Missed days a week that keep a streak</label>
+                            <select class="form-input" onchange="uiController.updateSetting('streakFreezeDays', parseInt(this.value))">
+                                ${[0, 1, 2].map(days => option(days, days ? `${days} freeze day${days === 1 ? '' : 's'}` : 'None', settings.streakFreezeDays)).join('')}
+                            </select>
+                        </div>
+                        <div>
+                            <label class="form-label">Ask about idle session time after</label>
+                            <select class="form-input" onchange="uiController.updateSetting('idleMinutes', parseInt(this.value))">
+                                ${[10, 15, 30, 60, 0].map(minutes => option(minutes, minutes ? this.formatMinutes(minutes) : 'Never', settings.idleMinutes)).join('')}
+                            </select>
+                        </div>
+                    </div>
+                </div>
+
+                <div class="bg-white p-6 rounded-lg shadow">
+                    <h2 class="text-xl font-semibold mb-4">New Entries</h2>
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div>
+                            <label class="form-label">Default status</label>
+                            <select class="form-input" onchange="uiController.updateSetting('defaultStatus', this.value)">
+                                ${option('reading', 'Reading', settings.defaultStatus)}
+                                ${option('completed', 'Completed', settings.defaultStatus)}
+                                ${option('on-hold', 'On Hold', settings.defaultStatus)}
+                                ${option('dropped', 'Dropped', settings.defaultStatus)}
+                                ${option('plan-to-read', 'Plan to Read', settings.defaultStatus)}
+                            </select>
+                        </div>
+                        <div>
+                            <label class="form-label">Default type</label>
+                            <select class="form-input" onchange="uiController.updateSetting('defaultType', this.value)">
+                                ${option('manga', 'Manga', settings.defaultType)}
+                                ${option('manhwa', 'Manhwa', settings.defaultType)}
+                                ${option('manhua', 'Manhua', settings.defaultType)}
+                            </select>
+                        </div>
+                    </div>
+                </div>
+
+                <div class="bg-white p-6 rounded-lg shadow">
+                    <h2 class="text-xl font-semibold mb-4">Display</h2>
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div>
+                            <label class="form-label">Theme</label>
+                            <select class="form-input" onchange="uiController.updateSetting('theme', this.value)">
+                                ${option('light', 'Light', settings.theme)}
+                                ${option('dark', 'Dark', settings.theme)}
+                                ${option('system', 'Follow system', settings.theme)}
+                            </select>
+                        </div>
+                        <div>
+                            <label class="form-label">Accent color</label>
+                            <div class="flex space-x-2 mt-1">
+                                ${Object.entries(this.accentColors).map(([name, color]) => `
+                                    <button onclick="uiController.updateSetting('accent', '${name}')" title="${name}"
+                                        class="w-8 h-8 rounded-full" style="background-color: ${color}; ${settings.accent === name ? 'box-shadow: 0 0 0 3px var(--surface), 0 0 0 5px ' + color + ';' : ''}"></button>
+                                `).join('')}
+                            </div>
+                        </div>
+                        <div>
+                            <label class="form-label">Date format</label>
+                            <select class="form-input" onchange="uiController.updateSetting('dateFormat', this.value)">
+                                ${['relative', 'locale', 'iso', 'dmy', 'mdy'].map(format => option(format, format === 'relative' ? 'Relative (3 days ago)' : this.formatCalendarDate(sample, format), settings.dateFormat)).join('')}
+                            </select>
+                        </div>
+                        <div>
+                            <label class="form-label">Rating scale</label>
+                            <select class="form-input" onchange="uiController.updateSetting('ratingScale', parseInt(this.value))">
+                                ${option(5, 'Out of 5', settings.ratingScale)}
+                                ${option(10, 'Out of 10', settings.ratingScale)}
+                                ${option(100, 'Out of 100', settings.ratingScale)}
+                            </select>
+                        </div>
+                        <div>
+                            <label class="flex items-center space-x-2">
+                                <input type="checkbox" ${settings.notifications ? 'checked' : ''} onchange="uiController.updateSetting('notifications', this.checked)">
+                                <span>Show confirmation messages</span>
+                            </label>
+                            <p class="text-sm text-gray-500 mt-1">Errors and messages with an Undo button are always shown.</p>
+                        </div>
+                    </div>
+                </div>
+
+                <div class="bg-white p-6 rounded-lg shadow">
+                    <h2 class="text-xl font-semibold mb-4">Data</h2>
+                    <div class="flex flex-wrap gap-2 mb-6">
+                        <button onclick="uiController.exportLibrary()" class="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Export Library</button>
+                        <button onclick="uiController.pickRestoreFile()" class="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Restore from File</button>
+                        <button onclick="uiController.pickImportFile()" class="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700" title="MyAnimeList, AniList, MangaDex, Kitsu or CSV">Import</button>
+                    </div>
+
+                    <div class="mb-6 md:w-1/2">
+                        <label class="form-label">Keep deleted manga in the trash for</label>
+                        <select class="form-input" onchange="uiController.updateSetting('trashRetentionDays', parseInt(this.value))">
+                            ${[7, 14, 30, 90, 0].map(days => option(days, days ? `${days} days` : 'Until the trash is emptied', settings.trashRetentionDays)).join('')}
+                        </select>
+                    </div>
+
+                    <h3 class="font-semibold text-gray-700 mb-2">Automatic backups</h3>
+                    <div id="settings-backups" class="mb-6 text-sm text-gray-500">Loading...</div>
+
+                    <div class="flex flex-wrap gap-2">
+                        <button onclick="uiController.resetSettings()" class="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600">Reset Settings</button>
+                        <button onclick="uiController.resetLibrary()" class="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700">Reset Library</button>
+                    </div>
+                </div>
+            </div>
         `;
+
+        document.getElementById('main-content').innerHTML = content;
+
+        const backups = await this.tracker.getBackups();
+        const container = document.getElementById('settings-backups');
+        if (!container || this.currentView !== 'settings') return;
+        container.innerHTML = backups.length === 0
+            ? 'No backups yet. One is made before every restore, upgrade or reset.'
+            : backups.map(backup => `
+                <div class="flex items-center justify-between py-2 border-b border-gray-100">
+                    <span class="text-gray-700">${this.escapeHtml(backup.reason)} · ${new Date(backup.createdAt).toLocaleString()}</span>
+                    <button onclick="uiController.restoreBackup('${backup.id}')" class="text-blue-600 hover:text-blue-800">Restore</button>
+                </div>
+            `).join('');
+    }
+
+    updateSetting(key, value) {
+        if (key === 'streakMinChapters' && !(value >= 1)) {
+            this.showNotification('A streak day needs at least 1 chapter', 'error');
+            this.loadSettings();
+            return;
+        }
+        this.tracker.updateSettings({ [key]: value });
+        if (key === 'trashRetentionDays') this.tracker.purgeExpiredTrash();
+        if (key === 'theme' || key === 'accent') this.applyTheme();
+        this.loadSettings();
+    }
+
+    resetSettings() {
+        if (!confirm('Reset all settings to their defaults?')) return;
+        // CSV column choices have no default, so the merge keeps them
+        this.tracker.updateSettings({ ...this.tracker.defaultSettings });
+        this.applyTheme();
+        this.showNotification('Settings reset', 'success');
+        this.loadSettings();
+    }
+
+    async resetLibrary() {
+        if (!confirm('Delete every manga, reading session, bookmark and history entry? A backup is kept and can be restored from this page.')) return;
+        try {
+            await this.tracker.resetLibrary();
+            this.syncActiveTimer();
+            this.showNotification('Library reset', 'success');
+        } catch (error) {
+            this.showNotification(`Error resetting library: ${error.message}`, 'error');
+        }
+        this.loadSettings();
+    }
+
+    async restoreBackup(backupId) {
+        if (!confirm('Replace your current library with this backup?')) return;
+        try {
+            await this.tracker.restoreBackup(backupId);
+            this.syncActiveTimer();
+            this.applyTheme();
+            this.showNotification('Backup restored', 'success');
+        } catch (error) {
+            this.showNotification(`Error restoring backup: ${error.message}`, 'error');
+        }
+        this.loadSettings();
     }
 
     setupTimerButton() {
@@ -1424,13 +7633,141 @@ class UIController {
             this.toggleTimer();
         });
         
-        // Check for active session on load
+        this.setupIdleDetection();
+
+        // Check for active session on load; paused state and active time are stored with it
         const activeSession = this.tracker.getActiveSession();
         if (activeSession) {
             this.activeTimer = activeSession;
             this.updateTimerButton();
             this.startTimerDisplay();
+
+            // Time spent with the app closed counts as idle
+            if (activeSession.runningSince && activeSession.lastActiveAt &&
+                Date.now() - new Date(activeSession.lastActiveAt) >= this.getIdleThreshold()) {
+                this.offerIdleDiscard(new Date(activeSession.lastActiveAt));
+            }
+        }
+    }
+
+    // Any interaction counts as activity. A gap longer than settings.idleMinutes
+    // during a running session is only noticed when the reader comes back, which
+    // is when we ask whether to keep that stretch. Time with the tab hidden or
+    // the window unfocused is usually spent reading the chapter elsewhere, so
+    // it never counts as idle.
+    setupIdleDetection() {
+        this.lastActivity = Date.now();
+        this.lastActivitySaved = 0;
+        this.idleSince = null;
+        this.pendingIdleSince = null;
+
+        const onActivity = () => {
+            // The pointer passing over a background window isn't the reader coming back
+            if (document.hasFocus()) this.noteActivity();
+        };
+        ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'].forEach(type => {
+            document.addEventListener(type, onActivity, { capture: true, passive: true });
+        });
+
+        // Leaving and returning both restart the idle clock
+        const onAwayChange = () => {
+            this.lastActivity = Date.now();
+            if (this.activeTimer) {
+                this.lastActivitySaved = this.lastActivity;
+                this.tracker.touchReadingSession(this.activeTimer.id);
+            }
+        };
+        document.addEventListener('visibilitychange', onAwayChange);
+        window.addEventListener('blur', onAwayChange);
+        window.addEventListener('focus', onAwayChange);
+    }
+
+    getIdleThreshold() {
+        const minutes = this.tracker.data.settings.idleMinutes;
+        return minutes > 0 ? minutes * 60 * 1000 : Infinity;
+    }
+
+    noteActivity() {
+        const now = Date.now();
+        const session = this.activeTimer;
+
+        if (session && session.runningSince && now - this.lastActivity >= this.getIdleThreshold()) {
+            this.offerIdleDiscard(new Date(this.lastActivity));
+        }
+        this.lastActivity = now;
+
+        // Saved at most once a minute so a reload can tell how long we were gone
+        if (session && now - this.lastActivitySaved >= 60 * 1000) {
+            this.lastActivitySaved = now;
+            this.tracker.touchReadingSession(session.id);
+        }
+    }
+
+    offerIdleDiscard(since) {
+        if (this.idleSince) return; // already asking
+        // Don't replace a dialog the reader is using; ask once it closes
+        if (document.getElementById('app-dialog').style.display !== 'none') {
+            if (!this.pendingIdleSince) this.pendingIdleSince = since;
+            return;
         }
+        const session = this.activeTimer;
+        this.idleSince = new Date(Math.max(since, new Date(session.runningSince)));
+
+        const minutes = Math.round((Date.now() - this.idleSince) / 60000);
+        const manga = session.mangaId ? this.tracker.getManga(session.mangaId) : null;
+        this.showDialog(`
+            <h2 class="text-xl font-semibold mb-4">Welcome back</h2>
+            <p class="text-gray-700 mb-6">
+                Your reading session${manga ? ` for "${this.escapeHtml(manga.title)}"` : ''} kept running while you were away
+                for ${this.formatMinutes(minutes)} (since ${this.idleSince.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}).
+                Should that time count as reading?
+            </p>
+            <div class="flex flex-wrap justify-end gap-3">
+                <button onclick="uiController.resolveIdle('keep')" class="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600">Keep it</button>
+                <button onclick="uiController.resolveIdle('pause')" class="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700">Discard and pause</button>
+                <button onclick="uiController.resolveIdle('discard')" class="btn-primary">Discard and continue</button>
+            </div>
+        `);
+    }
+
+    resolveIdle(choice) {
+        const since = this.idleSince;
+        this.idleSince = null;
+        this.closeDialog();
+        if (!this.activeTimer || !since) return;
+
+        const id = this.activeTimer.id;
+        if (choice === 'discard') {
+            this.activeTimer = this.tracker.discardIdleTime(id, since);
+        } else if (choice === 'pause') {
+            this.activeTimer = this.tracker.pauseReadingSession(id, since);
+        } else {
+            this.tracker.touchReadingSession(id);
+        }
+        this.updateTimerDisplay();
+    }
+
+    togglePause() {
+        if (!this.activeTimer) return;
+
+        const id = this.activeTimer.id;
+        this.activeTimer = this.activeTimer.runningSince
+            ? this.tracker.pauseReadingSession(id)
+            : this.tracker.resumeReadingSession(id);
+        this.lastActivity = Date.now();
+        this.updateTimerDisplay();
+    }
+
+    formatMinutes(minutes) {
+        if (minutes < 60) return `${minutes} min`;
+        const hours = Math.floor(minutes / 60);
+        return `${hours} h${minutes % 60 ? ` ${minutes % 60} min` : ''}`;
+    }
+
+    // 1st, 2nd, 3rd, 4th, ... 11th, 12th, 13th, 21st
+    formatOrdinal(n) {
+        const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+        return `${n}${(n % 100 >= 11 && n % 100 <= 13) ? 'th' : (suffixes[n % 10] || 'th')}`;
     }
 
     toggleTimer() {
@@ -1442,22 +7779,33 @@ class UIController {
     }
 
     startTimer() {
-        // Show manga selection modal if user has manga
-        const allManga = this.tracker.getAllManga();
-        let selectedMangaId = null;
-        
-        if (allManga.length > 0) {
-            const mangaOptions = allManga.map(m => `${m.title} (Ch. ${m.currentChapter})`);
-            const selectedIndex = this.showMangaSelectionModal(mangaOptions);
-            if (selectedIndex !== null && selectedIndex >= 0) {
-                selectedMangaId = allManga[selectedIndex].id;
-            }
+        // Pick what to read if user has manga
+        if (this.tracker.getAllManga().length === 0) {
+            this.startSessionFor(null);
+            return;
         }
-        
-        this.activeTimer = this.tracker.startReadingSession(selectedMangaId);
+
+        this.showMangaPicker({
+            title: 'Start Reading Session',
+            noneLabel: 'General reading (no specific manga)',
+            onPick: mangaId => this.startSessionFor(mangaId)
+        });
+    }
+
+    // Also used by the ▶️ button on manga cards
+    startSessionFor(mangaId) {
+        const manga = mangaId ? this.tracker.getManga(mangaId) : null;
+
+        if (this.activeTimer) {
+            if (!confirm(`End the current reading session and start ${manga ? `reading "${manga.title}"` : 'a new one'}?`)) return;
+            this.stopTimer();
+        }
+
+        this.activeTimer = this.tracker.startReadingSession(mangaId);
+        this.lastActivity = Date.now();
         this.updateTimerButton();
         this.startTimerDisplay();
-        this.showNotification('Reading session started!', 'success');
+        this.showNotification(manga ? `Reading session started: ${manga.title}` : 'Reading session started!', 'success');
     }
 
     stopTimer() {
@@ -1465,25 +7813,27 @@ class UIController {
             const chaptersRead = prompt('How many chapters did you read?', '1');
             const chapters = parseInt(chaptersRead) || 0;
             
-            this.tracker.endReadingSession(this.activeTimer.id, chapters);
-            
-            // Add to history
-            if (this.activeTimer.mangaId) {
-                const manga = this.tracker.getManga(this.activeTimer.mangaId);
-                if (manga) {
-                    this.tracker.addToHistory(this.activeTimer.mangaId, 'read', {
-                        title: manga.title,
-                        chaptersRead: chapters,
-                        sessionDuration: this.getSessionDuration()
-                    });
+            this.tracker.runCommand('End reading session', () => {
+                this.tracker.endReadingSession(this.activeTimer.id, chapters);
+                
+                // Add to history
+                if (this.activeTimer.mangaId) {
+                    const manga = this.tracker.getManga(this.activeTimer.mangaId);
+                    if (manga) {
+                        this.tracker.addToHistory(this.activeTimer.mangaId, 'read', {
+                            title: manga.title,
+                            chaptersRead: chapters,
+                            sessionDuration: this.getSessionDuration()
+                        });
+                    }
                 }
-            }
+            });
             
             this.activeTimer = null;
             this.updateTimerButton();
             this.stopTimerDisplay();
             
-            this.showNotification(`Reading session completed! ${chapters} chapters read.`, 'success');
+            this.notifyUndoable(`Reading session completed! ${chapters} chapters read.`);
             
             // Refresh dashboard if we're on it
             if (this.currentView === 'dashboard') {
@@ -1534,6 +7884,16 @@ class UIController {
         const timerDisplay = document.createElement('div');
         timerDisplay.id = 'timer-display';
         timerDisplay.className = 'timer-display fixed top-4 right-4 z-50 bg-gradient-to-r from-purple-600 to-blue-600 text-white px-4 py-2 rounded-lg shadow-lg';
+        // Built once so the controls are not recreated on every tick
+        timerDisplay.innerHTML = `
+            <div class="text-center">
+                <div id="timer-title" class="text-sm opacity-90"></div>
+                <div id="timer-time" class="text-lg font-mono font-bold" title="Active reading time"></div>
+                <div id="timer-wall" class="text-xs opacity-75"></div>
+                <button id="timer-pause" onclick="uiController.togglePause()" class="text-xs opacity-90 hover:opacity-100 mr-2"></button>
+                <button onclick="uiController.bookmarkActiveSession()" class="text-xs opacity-90 hover:opacity-100">🔖 Bookmark</button>
+            </div>
+        `;
         
         // Insert after the main content
         const mainContent = document.getElementById('main-content');
@@ -1552,86 +7912,128 @@ class UIController {
             
             const manga = this.activeTimer.mangaId ? this.tracker.getManga(this.activeTimer.mangaId) : null;
             const mangaTitle = manga ? manga.title : 'General Reading';
+            const paused = !this.activeTimer.runningSince;
+            const wallMinutes = Math.floor((Date.now() - new Date(this.activeTimer.startTime)) / 60000);
             
-            timerDisplay.innerHTML = `
-                <div class="text-center">
-                    <div class="text-sm opacity-90">${mangaTitle}</div>
-                    <div class="text-lg font-mono font-bold">${timeString}</div>
-                </div>
-            `;
+            document.getElementById('timer-title').textContent = paused ? `⏸️ Paused · ${mangaTitle}` : mangaTitle;
+            document.getElementById('timer-time').textContent = timeString;
+            document.getElementById('timer-wall').textContent = `${this.formatMinutes(wallMinutes)} since start`;
+            document.getElementById('timer-pause').textContent = paused ? '▶️ Resume' : '⏸️ Pause';
         }
     }
 
+    // Active seconds, excluding pauses and discarded idle time
     getSessionDuration() {
         if (!this.activeTimer) return 0;
-        const startTime = new Date(this.activeTimer.startTime);
-        const now = new Date();
-        return Math.floor((now - startTime) / 1000);
+        return Math.floor(this.tracker.getSessionActiveTime(this.activeTimer) / 1000);
     }
 
-    showMangaSelectionModal(options) {
-        // Simple implementation using prompt for now
-        // In a full implementation, this would be a proper modal
-        const optionsText = options.map((option, index) => `${index + 1}. ${option}`).join('\n');
-        const selection = prompt(`Select manga for reading session:\n\n${optionsText}\n\nEnter number (or cancel for general session):`);
-        
-        if (selection === null) return null; // User cancelled
-        const index = parseInt(selection) - 1;
-        return (index >= 0 && index < options.length) ? index : null;
-    }
+    // Searchable manga picker. With an empty search it shows what you were reading
+    // last; onPick gets the chosen id, or null for the noneLabel option.
+    showMangaPicker({ title, onPick, noneLabel = null }) {
+        this.mangaPicker = { onPick, results: [], highlighted: 0 };
+        const count = this.tracker.getAllManga().length;
+
+        this.showDialog(`
+            <h2 class="text-xl font-semibold mb-4">${this.escapeHtml(title)}</h2>
+            <input type="text" id="manga-picker-search" class="search-input mb-4" placeholder="Type to search ${count} title${count === 1 ? '' : 's'}..." autocomplete="off">
+            <div id="manga-picker-results" class="max-h-80 overflow-y-auto"></div>
+            <div class="flex justify-between items-center mt-6">
+                ${noneLabel ? `<button onclick="uiController.pickManga(null)" class="text-sm text-blue-600 hover:underline">${this.escapeHtml(noneLabel)}</button>` : '<span></span>'}
+                <button onclick="uiController.closeDialog()" class="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600">Cancel</button>
+            </div>
+        `);
 
-    formatDate(dateString) {
-        const date = new Date(dateString);
-        const now = new Date();
-        const diffTime = Math.abs(now - date);
-        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-        
-        if (diffDays === 1) return 'Yesterday';
-        if (diffDays < 7) return `${diffDays} days ago`;
-        if (diffDays < 30) return `${Math.ceil(diffDays / 7)} weeks ago`;
-        return date.toLocaleDateString();
+        const input = document.getElementById('manga-picker-search');
+        input.addEventListener('input', () => this.renderMangaPickerResults());
+        input.addEventListener('keydown', (e) => this.handleMangaPickerKey(e));
+        this.renderMangaPickerResults();
+        input.focus();
     }
 
-    // Modal methods (to be implemented)
-    showAddMangaModal() {
-        // TODO: Implement add manga modal
-        alert('Add manga modal coming soon!');
+    renderMangaPickerResults() {
+        const text = document.getElementById('manga-picker-search').value.trim();
+        const results = text ? this.tracker.quickSearch(text) : this.tracker.getContinueReading();
+        this.mangaPicker.results = results;
+        this.mangaPicker.highlighted = 0;
+
+        const emptyMessage = text
+            ? 'No manga match that search.'
+            : 'Nothing in progress yet. Type to search your library.';
+
+        document.getElementById('manga-picker-results').innerHTML = `
+            <h3 class="text-xs font-semibold uppercase tracking-wider text-gray-500 mb-2">${text ? 'Results' : 'Continue reading'}</h3>
+            ${results.length === 0 ? `<p class="text-sm text-gray-500">${emptyMessage}</p>` : results.map((manga, index) => `
+                <button type="button" class="manga-picker-option w-full text-left px-3 py-2 rounded flex justify-between items-center gap-4${index === 0 ? ' highlighted' : ''}" data-manga-id="${manga.id}" onclick="uiController.pickManga(this.dataset.mangaId)">
+                    <span class="truncate">
+                        <span class="font-medium">${this.escapeHtml(manga.title)}</span>
+                        ${manga.author ? `<span class="text-sm opacity-75"> · ${this.escapeHtml(manga.author)}</span>` : ''}
+                    </span>
+                    <span class="text-sm opacity-75 whitespace-nowrap">
+                        Ch. ${manga.currentChapter}${manga.totalChapters ? ` / ${manga.totalChapters}` : ''}${!text && manga.lastRead ? ` · ${this.formatDate(manga.lastRead)}` : ''}
+                    </span>
+                </button>
+            `).join('')}
+        `;
     }
 
-    editManga(id) {
-        // TODO: Implement edit manga functionality
-        alert(`Edit manga ${id} coming soon!`);
-    }
+    // Arrow keys move the highlight, Enter picks it, Escape closes
+    handleMangaPickerKey(e) {
+        const { results, highlighted } = this.mangaPicker;
 
-    deleteManga(id) {
-        if (confirm('Are you sure you want to delete this manga?')) {
-            this.tracker.deleteManga(id);
-            this.loadMyManga(); // Refresh the view
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (results.length === 0) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.mangaPicker.highlighted = (highlighted + step + results.length) % results.length;
+
+            document.querySelectorAll('.manga-picker-option').forEach((option, index) => {
+                const isHighlighted = index === this.mangaPicker.highlighted;
+                option.classList.toggle('highlighted', isHighlighted);
+                if (isHighlighted && option.scrollIntoView) option.scrollIntoView({ block: 'nearest' });
+            });
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (results.length > 0) this.pickManga(results[highlighted].id);
+        } else if (e.key === 'Escape') {
+            this.mangaPicker = null;
+            this.closeDialog();
         }
     }
-}
-
-// Initialize the app when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    window.uiController = new UIController(mangaTracker);
-});
-
 
+    pickManga(mangaId) {
+        const { onPick } = this.mangaPicker;
+        this.mangaPicker = null;
+        this.closeDialog();
+        onPick(mangaId || null);
+    }
 
     // Modal methods
     showAddMangaModal() {
         const modal = document.getElementById('add-manga-modal');
+        if (!this.editingMangaId) {
+            const { defaultStatus, defaultType } = this.tracker.data.settings;
+            document.getElementById('manga-status').value = defaultStatus;
+            document.getElementById('manga-type').value = defaultType;
+        }
         modal.classList.remove('hidden');
+        modal.style.display = 'flex';
         document.body.style.overflow = 'hidden';
     }
 
     closeAddMangaModal() {
         const modal = document.getElementById('add-manga-modal');
         modal.classList.add('hidden');
+        modal.style.display = 'none';
         document.body.style.overflow = 'auto';
         
         // Reset form
         document.getElementById('add-manga-form').reset();
+
+        // Leave edit mode so the next open adds a new manga
+        this.editingMangaId = null;
+        document.querySelector('#add-manga-modal h2').textContent = 'Add New Manga';
+        document.querySelector('#add-manga-form button[type="submit"]').textContent = 'Add Manga';
     }
 
     handleAddManga() {
@@ -1640,16 +8042,26 @@ document.addEventListener('DOMContentLoaded', () => {
             type: document.getElementById('manga-type').value,
             status: document.getElementById('manga-status').value,
             author: document.getElementById('manga-author').value,
-            currentChapter: parseInt(document.getElementById('manga-current-chapter').value) || 0,
-            totalChapters: parseInt(document.getElementById('manga-total-chapters').value) || null,
+            currentChapter: parseFloat(document.getElementById('manga-current-chapter').value) || 0,
+            totalChapters: parseFloat(document.getElementById('manga-total-chapters').value) || null,
+            currentVolume: parseFloat(document.getElementById('manga-current-volume').value) || 0,
+            totalVolumes: parseFloat(document.getElementById('manga-total-volumes').value) || null,
             tags: document.getElementById('manga-tags').value.split(',').map(tag => tag.trim()).filter(tag => tag),
             notes: document.getElementById('manga-notes').value
         };
 
+        if (this.editingMangaId) {
+            this.saveEditedManga(this.editingMangaId, formData);
+            return;
+        }
+
         try {
-            const manga = this.tracker.addManga(formData);
-            this.tracker.addToHistory(manga.id, 'added', { title: manga.title });
-            this.showNotification('Manga added successfully!', 'success');
+            const manga = this.tracker.runCommand('Add manga', () => {
+                const added = this.tracker.addManga(formData);
+                this.tracker.addToHistory(added.id, 'added', { title: added.title });
+                return added;
+            });
+            this.notifyUndoable(`"${manga.title}" added`);
             this.closeAddMangaModal();
             
             // Refresh current view if it's my-manga
@@ -1663,69 +8075,83 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
-    editManga(id) {
-        const manga = this.tracker.getManga(id);
-        if (!manga) {
-            this.showNotification('Manga not found', 'error');
-            return;
-        }
-
-        // Pre-fill the form with existing data
-        document.getElementById('manga-title').value = manga.title;
-        document.getElementById('manga-type').value = manga.type;
-        document.getElementById('manga-status').value = manga.status;
-        document.getElementById('manga-author').value = manga.author;
-        document.getElementById('manga-current-chapter').value = manga.currentChapter;
-        document.getElementById('manga-total-chapters').value = manga.totalChapters || '';
-        document.getElementById('manga-tags').value = manga.tags.join(', ');
-        document.getElementById('manga-notes').value = manga.notes;
-
-        // Change form behavior to edit mode
-        const form = document.getElementById('add-manga-form');
-        form.dataset.editId = id;
-        
-        // Update modal title and button text
-        document.querySelector('#add-manga-modal h2').textContent = 'Edit Manga';
-        document.querySelector('#add-manga-form button[type="submit"]').textContent = 'Update Manga';
-        
-        this.showAddMangaModal();
-    }
-
-    deleteManga(id) {
-        if (confirm('Are you sure you want to delete this manga?')) {
-            const manga = this.tracker.getManga(id);
-            if (manga) {
-                this.tracker.deleteManga(id);
-                this.tracker.addToHistory(id, 'deleted', { title: manga.title });
-                this.showNotification('Manga deleted successfully!', 'success');
-                
-                // Refresh current view
-                if (this.currentView === 'my-manga') {
-                    this.loadMyManga();
-                } else if (this.currentView === 'dashboard') {
-                    this.loadDashboard();
-                }
-            }
+    saveEditedManga(mangaId, formData) {
+        try {
+            const manga = this.tracker.runCommand('Update manga', () => {
+                const updated = this.tracker.updateManga(mangaId, formData);
+                if (updated) this.tracker.addToHistory(mangaId, 'updated', { title: updated.title });
+                return updated;
+            });
+            if (!manga) throw new Error('Manga not found');
+            this.notifyUndoable(`"${manga.title}" updated`);
+            this.closeAddMangaModal();
+            this.refreshMangaList();
+        } catch (error) {
+            this.showNotification('Error updating manga: ' + error.message, 'error');
         }
     }
 
     // Notification system
-    showNotification(message, type = 'info') {
+    // action: optional { label, onClick } rendered as a button in the toast
+    showNotification(message, type = 'info', action = null) {
+        // With confirmations turned off only errors, warnings and undo prompts show
+        const quiet = !this.tracker.data.settings.notifications;
+        if (quiet && !action && (type === 'success' || type === 'info')) return;
+
         const notification = document.createElement('div');
         notification.className = `notification ${type}`;
         notification.textContent = message;
+
+        if (action) {
+            const button = document.createElement('button');
+            button.className = 'notification-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                notification.remove();
+                action.onClick();
+            });
+            notification.appendChild(button);
+        }
         
         document.body.appendChild(notification);
         
-        // Auto remove after 3 seconds
+        // Auto remove after 3 seconds, or 6 when there is something to click
         setTimeout(() => {
             if (notification.parentNode) {
                 notification.parentNode.removeChild(notification);
             }
-        }, 3000);
+        }, action ? 6000 : 3000);
+    }
+
+    // Generic dialog used by flows that need more than a prompt()
+    showDialog(html, options = {}) {
+        const content = document.getElementById('app-dialog-content');
+        content.innerHTML = html;
+        content.style.maxWidth = options.wide ? '56rem' : '';
+        document.getElementById('app-dialog').style.display = 'flex';
+        document.body.style.overflow = 'hidden';
+    }
+
+    closeDialog() {
+        document.getElementById('app-dialog').style.display = 'none';
+        document.getElementById('app-dialog-content').innerHTML = '';
+        document.body.style.overflow = 'auto';
+
+        const idleSince = this.pendingIdleSince;
+        this.pendingIdleSince = null;
+        if (idleSince && this.activeTimer && this.activeTimer.runningSince) this.offerIdleDiscard(idleSince);
     }
 
     // Utility methods
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     getStatusBadgeClass(status) {
         const statusClasses = {
             'reading': 'status-reading',
@@ -1746,76 +8172,80 @@ document.addEventListener('DOMContentLoaded', () => {
         return typeClasses[type] || 'type-manga';
     }
 
-    updateProgress(mangaId, newChapter) {
+    // newChapter or newVolume may be null to leave that unit where it is
+    updateProgress(mangaId, newChapter, newVolume = null) {
         const manga = this.tracker.getManga(mangaId);
-        if (manga) {
-            this.tracker.updateManga(mangaId, { 
-                currentChapter: newChapter,
-                lastRead: new Date().toISOString()
-            });
-            this.tracker.addToHistory(mangaId, 'read', { 
-                title: manga.title, 
-                chapter: newChapter 
-            });
-            this.showNotification(`Updated ${manga.title} to chapter ${newChapter}`, 'success');
-            
-            // Refresh current view
-            if (this.currentView === 'my-manga') {
-                this.loadMyManga();
-            } else if (this.currentView === 'dashboard') {
-                this.loadDashboard();
-            }
-        }
-    }
-}
-
-
+        if (!manga) return;
 
-    // Missing utility methods
-    getStatusBadgeClass(status) {
-        const statusClasses = {
-            'reading': 'bg-blue-100 text-blue-800',
-            'completed': 'bg-green-100 text-green-800',
-            'on-hold': 'bg-yellow-100 text-yellow-800',
-            'dropped': 'bg-red-100 text-red-800',
-            'plan-to-read': 'bg-purple-100 text-purple-800'
+        // During a re-read progress goes to that pass; the first read stays as it was
+        const reread = this.tracker.getActiveReread(manga);
+        const oldChapter = this.tracker.getProgress(manga);
+        const oldVolume = this.tracker.getVolumeProgress(manga);
+        if (newChapter === null) newChapter = oldChapter;
+        const updates = {
+            lastRead: new Date().toISOString()
         };
-        return statusClasses[status] || 'bg-gray-100 text-gray-800';
-    }
 
-    getTypeBadgeClass(type) {
-        const typeClasses = {
-            'manga': 'bg-blue-100 text-blue-800',
-            'manhwa': 'bg-green-100 text-green-800',
-            'manhua': 'bg-red-100 text-red-800'
-        };
-        return typeClasses[type] || 'bg-gray-100 text-gray-800';
-    }
+        // Update status if completed
+        const justCompleted = !reread && manga.status !== 'completed' && this.tracker.reachesEnd(manga, newChapter, newVolume ?? oldVolume);
+        if (justCompleted) {
+            updates.status = 'completed';
+        }
 
-    updateProgress(mangaId, newChapter) {
-        const manga = this.tracker.getManga(mangaId);
-        if (!manga) return;
+        let rereadFinished = false;
+        this.tracker.runCommand('Update progress', () => {
+            // Moving forward logs the chapters in between; moving back un-reads them
+            if (newChapter > oldChapter) {
+                this.tracker.logProgress(mangaId, oldChapter, newChapter, { volume: newVolume });
+            } else if (newChapter < oldChapter) {
+                const readAbove = [...this.tracker.getReadChapters(mangaId)].filter(chapter => chapter > newChapter);
+                this.tracker.markChaptersUnread(mangaId, readAbove);
+            }
+            
+            // Add to history
+            this.tracker.addToHistory(mangaId, 'progress_update', {
+                title: manga.title,
+                oldChapter,
+                newChapter,
+                chaptersRead: Math.floor(newChapter) - Math.floor(oldChapter),
+                ...(newVolume !== null && newVolume !== oldVolume ? { oldVolume, newVolume } : {}),
+                ...(reread ? { pass: reread.pass } : {})
+            });
+            rereadFinished = this.tracker.setProgress(mangaId, newChapter, updates, newVolume);
+            if (justCompleted) {
+                this.tracker.addToHistory(mangaId, 'completed', { title: manga.title });
+            }
+        });
 
-        const oldChapter = manga.currentChapter;
-        manga.currentChapter = newChapter;
-        manga.lastRead = new Date().toISOString();
+        const position = [
+            newChapter !== oldChapter || newVolume === null ? `chapter ${newChapter}` : '',
+            newVolume !== null ? `volume ${newVolume}` : ''
+        ].filter(part => part).join(', ');
+        this.notifyUndoable(rereadFinished
+            ? `Finished reading "${manga.title}" for the ${this.formatOrdinal(reread.pass)} time`
+            : `Updated "${manga.title}" to ${position}`);
+    }
 
-        // Update status if completed
-        if (manga.totalChapters && newChapter >= manga.totalChapters) {
-            manga.status = 'completed';
+    startReread(mangaId) {
+        try {
+            const reread = this.tracker.startReread(mangaId);
+            if (!reread) return;
+            this.notifyUndoable(`Started reading "${this.tracker.getManga(mangaId).title}" for the ${this.formatOrdinal(reread.pass)} time`);
+            this.refreshMangaList();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
         }
+    }
 
-        this.tracker.updateManga(mangaId, manga);
-        
-        // Add to history
-        this.tracker.addToHistory(mangaId, 'progress_update', {
-            title: manga.title,
-            oldChapter,
-            newChapter,
-            chaptersRead: newChapter - oldChapter
-        });
+    finishReread(mangaId) {
+        const manga = this.tracker.getManga(mangaId);
+        const reread = manga && this.tracker.getActiveReread(manga);
+        if (!reread) return;
+        if (!confirm(`Finish re-reading "${manga.title}" at chapter ${reread.currentChapter}?`)) return;
 
-        this.showNotification(`Updated "${manga.title}" to chapter ${newChapter}`, 'success');
+        this.tracker.finishReread(mangaId);
+        this.notifyUndoable(`Finished the ${this.formatOrdinal(reread.pass)} read of "${manga.title}"`);
+        this.refreshMangaList();
     }
 
     editManga(mangaId) {
@@ -1829,26 +8259,32 @@ document.addEventListener('DOMContentLoaded', () => {
         document.getElementById('manga-author').value = manga.author || '';
         document.getElementById('manga-current-chapter').value = manga.currentChapter;
         document.getElementById('manga-total-chapters').value = manga.totalChapters || '';
+        document.getElementById('manga-current-volume').value = manga.currentVolume || 0;
+        document.getElementById('manga-total-volumes').value = manga.totalVolumes || '';
         document.getElementById('manga-tags').value = manga.tags.join(', ');
         document.getElementById('manga-notes').value = manga.notes || '';
 
         // Change modal title and button
         document.querySelector('#add-manga-modal h2').textContent = 'Edit Manga';
-        document.querySelector('#add-manga-modal .btn-primary').textContent = 'Update Manga';
+        document.querySelector('#add-manga-form button[type="submit"]').textContent = 'Update Manga';
         
         // Store the ID for updating
         this.editingMangaId = mangaId;
         
-        this.showModal('add-manga-modal');
+        this.showAddMangaModal();
     }
 
     deleteManga(mangaId) {
         const manga = this.tracker.getManga(mangaId);
         if (!manga) return;
 
-        if (confirm(`Are you sure you want to delete "${manga.title}"? This action cannot be undone.`)) {
-            this.tracker.deleteManga(mangaId);
-            this.showNotification(`"${manga.title}" has been deleted`, 'success');
+        if (confirm(`Move "${manga.title}" to the trash?`)) {
+            this.tracker.runCommand('Delete manga', () => {
+                this.tracker.deleteManga(mangaId);
+                this.tracker.addToHistory(mangaId, 'deleted', { title: manga.title });
+            });
+            this.syncActiveTimer();
+            this.notifyUndoable(`"${manga.title}" moved to the trash`);
             
             // Refresh current view
             if (this.currentView === 'my-manga') {
@@ -1863,11 +8299,15 @@ document.addEventListener('DOMContentLoaded', () => {
 
     formatDate(dateString) {
         const date = new Date(dateString);
-        const now = new Date();
-        const diffTime = Math.abs(now - date);
-        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+        if (this.tracker.data.settings.dateFormat !== 'relative') {
+            return this.formatCalendarDate(date);
+        }
+
+        const diffDays = this.getDaysAgo(date);
 
-        if (diffDays === 1) {
+        if (diffDays === 0) {
+            return 'Today';
+        } else if (diffDays === 1) {
             return 'Yesterday';
         } else if (diffDays < 7) {
             return `${diffDays} days ago`;
@@ -1879,6 +8319,35 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    formatCalendarDate(date, format = this.tracker.data.settings.dateFormat) {
+        const pad = value => String(value).padStart(2, '0');
+        const [year, month, day] = [date.getFullYear(), pad(date.getMonth() + 1), pad(date.getDate())];
+
+        switch (format) {
+            case 'iso':
+                return `${year}-${month}-${day}`;
+            case 'dmy':
+                return `${day}/${month}/${year}`;
+            case 'mdy':
+                return `${month}/${day}/${year}`;
+            default:
+                return date.toLocaleDateString();
+        }
+    }
+
+    // Ratings are stored out of 10
+    formatRating(rating) {
+        const scale = this.tracker.data.settings.ratingScale;
+        const value = Math.round(rating * scale / 10 * 10) / 10;
+        return `★ ${value}/${scale}`;
+    }
+
+    // Calendar days between date and today (0 = today)
+    getDaysAgo(date) {
+        const startOfDay = d => new Date(d.getFullYear(), d.getMonth(), d.getDate());
+        return Math.round((startOfDay(new Date()) - startOfDay(date)) / (1000 * 60 * 60 * 24));
+    }
+
     // Handle URL parameters for shortcuts
     handleURLParams() {
         const urlParams = new URLSearchParams(window.location.search);
@@ -1939,8 +8408,8 @@ document.addEventListener('DOMContentLoaded', () => {
 }
 
 // Initialize the application when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    window.tracker = new MangaTracker();
+document.addEventListener('DOMContentLoaded', async () => {
+    window.tracker = await new MangaTracker().init();
     window.uiController = new UIController(window.tracker);
     
     // Handle URL parameters
@@ -1,6 +1,6 @@
-const CACHE_NAME = 'manga-tracker-v1.0.0';
-const STATIC_CACHE = 'manga-tracker-static-v1.0.0';
-const DYNAMIC_CACHE = 'manga-tracker-dynamic-v1.0.0';
+const CACHE_NAME = 'manga-tracker-v1.1.0';
+const STATIC_CACHE = 'manga-tracker-static-v1.1.0';
+const DYNAMIC_CACHE = 'manga-tracker-dynamic-v1.1.0';
 
 // Files to cache for offline functionality
 const STATIC_FILES = [
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTracker, startApp } = require('./helpers/load');
+
+const daysAgo = days => new Date(Date.now() - days * 86400000);
+
+test('period statistics only count what happened in the period', async () => {
+    const { tracker } = await createTracker();
+    const manga = tracker.addManga({ title: 'Planetes', status: 'completed', currentChapter: 0, totalChapters: 3 });
+    tracker.logChapters(manga.id, [1, 2], { readAt: daysAgo(2).toISOString() });
+    tracker.logChapters(manga.id, [3], { readAt: daysAgo(20).toISOString() });
+    tracker.startReread(manga.id);
+    tracker.markChaptersRead(manga.id, [1]);
+
+    const week = tracker.getPeriodStatistics(daysAgo(7), new Date(Date.now() + 1000));
+    assert.equal(week.chaptersRead, 3);
+    assert.equal(week.rereadChaptersRead, 1);
+    assert.equal(week.chaptersByManga.get(manga.id), 3);
+    assert.equal(week.mangaAdded, 1);
+
+    const before = tracker.getPeriodStatistics(daysAgo(30), daysAgo(7));
+    assert.equal(before.chaptersRead, 1);
+    assert.equal(before.mangaAdded, 0);
+    assert.equal(before.manga.length, 1);
+});
+
+test('a custom range includes its last day and compares with the days just before it', async () => {
+    const { ui } = await startApp();
+    ui.analyticsPeriod = { period: 'custom', from: '2024-03-10', to: '2024-03-16' };
+
+    const range = ui.getAnalyticsRange();
+    assert.equal(range.from.getTime(), new Date(2024, 2, 10).getTime());
+    assert.equal(range.to.getTime(), new Date(2024, 2, 17).getTime());
+    assert.equal(range.previous.from.getTime(), new Date(2024, 2, 3).getTime());
+    assert.equal(range.previous.to.getTime(), range.from.getTime());
+
+    ui.analyticsPeriod = { period: 'all', from: '', to: '' };
+    assert.equal(ui.getAnalyticsRange().previous, null);
+});
+
+test('the analytics view shows changes against the previous period except on All time', async () => {
+    const { window, tracker, ui } = await startApp();
+    const manga = tracker.addManga({ title: 'Aria', currentChapter: 0 });
+    tracker.logChapters(manga.id, [1, 2], { readAt: daysAgo(1).toISOString() });
+    tracker.logChapters(manga.id, [3], { readAt: daysAgo(10).toISOString() });
+    const content = () => window.document.getElementById('main-content').textContent;
+
+    ui.analyticsPeriod = { period: 'week', from: '', to: '' };
+    ui.loadAnalytics();
+    assert.match(content(), /▲ 100% vs previous period \(1\)/);
+
+    ui.analyticsPeriod = { period: 'all', from: '', to: '' };
+    ui.loadAnalytics();
+    assert.doesNotMatch(content(), /vs previous period/);
+});
+
+test('the daily average counts first reads only, like the chapters badge', async () => {
+    const { window, tracker, ui } = await startApp();
+    const manga = tracker.addManga({ title: 'Aria', status: 'completed', currentChapter: 0, totalChapters: 7 });
+    tracker.logChapters(manga.id, [1, 2, 3, 4, 5, 6, 7], { readAt: daysAgo(2).toISOString() });
+    tracker.startReread(manga.id);
+    tracker.markChaptersRead(manga.id, [1, 2, 3, 4, 5, 6, 7]);
+    const stat = label => [...window.document.querySelectorAll('#main-content .flex.justify-between')]
+        .find(row => row.firstElementChild.textContent === label).lastElementChild.textContent;
+
+    ui.analyticsPeriod = { period: 'week', from: '', to: '' };
+    ui.loadAnalytics();
+    assert.match(window.document.getElementById('main-content').textContent, /7\s*Chapters Read · \+7 re-read/);
+    assert.match(stat('Daily Average'), /^1\.0 chapters/);
+    assert.match(stat('Weekly Average'), /^7\.0 chapters/);
+});
+
+test('titles and tags with markup show as plain text in analytics', async () => {
+    const { window, tracker, ui } = await startApp();
+    const title = '<img src=x>Aria';
+    const manga = tracker.addManga({ title, currentChapter: 0, tags: ['<b>Slice of life</b>'] });
+    tracker.logChapters(manga.id, [1], { readAt: daysAgo(1).toISOString() });
+    tracker.addToHistory(manga.id, 'read', { title, chapter: 1 });
+
+    ui.analyticsPeriod = { period: 'week', from: '', to: '' };
+    ui.loadAnalytics();
+    const main = window.document.getElementById('main-content');
+    assert.equal(main.querySelectorAll('img, b').length, 0);
+    assert.ok([...main.querySelectorAll('.font-medium, .text-xs')].filter(el => el.textContent === title).length >= 2);
+    assert.match(main.textContent, /<b>Slice of life<\/b> \(1\)/);
+});
+
+test('period changes read as a percentage, or as a count when there was nothing before', async () => {
+    const { ui } = await startApp();
+
+    assert.equal(ui.renderPeriodChange(6, 4), '▲ 50% vs previous period (4)');
+    assert.equal(ui.renderPeriodChange(1, 4), '▼ 75% vs previous period (4)');
+    assert.equal(ui.renderPeriodChange(3, 0), '▲ +3 vs previous period (0)');
+    assert.equal(ui.renderPeriodChange(2, 2), 'Same as previous period (2)');
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { startApp, settle, plain } = require('./helpers/load');
+
+async function bookmarksApp(options) {
+    const app = await startApp(options);
+    app.ui.navigateTo('bookmarks');
+    await settle();
+    return app;
+}
+
+const groups = window => [...window.document.querySelectorAll('#main-content h2')].map(h2 => {
+    const group = h2.closest('.shadow');
+    return [h2.textContent, [...group.querySelectorAll('.font-medium')].map(el => el.textContent)];
+});
+
+test('bookmarks are grouped by manga in title order, chapters ascending', async () => {
+    const { window, tracker, ui } = await bookmarksApp();
+    const pluto = tracker.addManga({ title: 'Pluto', currentChapter: 40 });
+    const akira = tracker.addManga({ title: 'Akira', currentChapter: 10 });
+    tracker.addBookmark(pluto.id, 30);
+    tracker.addBookmark(akira.id, 8);
+    tracker.addBookmark(pluto.id, 12);
+    tracker.addBookmark('deleted-before-cleanup', 3);
+
+    ui.loadBookmarks();
+
+    assert.deepEqual(groups(window), [
+        ['Akira', ['Chapter 8']],
+        ['Pluto', ['Chapter 12', 'Chapter 30']],
+        ['Deleted manga', []]
+    ]);
+    assert.match(window.document.getElementById('main-content').textContent, /4 bookmarks/);
+    window.close();
+});
+
+test('notes are edited in place and saved trimmed', async () => {
+    const indexedDB = new IDBFactory();
+    const { window, tracker, ui } = await bookmarksApp({ indexedDB });
+    const manga = tracker.addManga({ title: 'Monster', currentChapter: 20 });
+    const bookmark = tracker.addBookmark(manga.id, 15, '"Johan" <reveal>');
+    ui.loadBookmarks();
+
+    // Notes are shown as typed, quotes and markup included
+    const input = window.document.querySelector('#main-content input[type="text"]');
+    assert.equal(input.value, '"Johan" <reveal>');
+
+    // What the input's onchange handler does
+    ui.updateBookmarkNote(bookmark.id, '  The twins  ');
+    assert.equal(tracker.data.bookmarks[0].note, 'The twins');
+    await settle();
+    window.close();
+
+    const reopened = await startApp({ indexedDB });
+    assert.equal(reopened.tracker.data.bookmarks[0].note, 'The twins');
+    reopened.window.close();
+});
+
+test('jumping forward to a bookmark updates progress without asking', async () => {
+    const asked = [];
+    const { window, tracker, ui } = await bookmarksApp({ confirm: message => { asked.push(message); return true; } });
+    const manga = tracker.addManga({ title: 'Vagabond', currentChapter: 10 });
+    const bookmark = tracker.addBookmark(manga.id, 14);
+
+    ui.jumpToBookmark(bookmark.id);
+
+    assert.deepEqual(asked, []);
+    assert.equal(tracker.getManga(manga.id).currentChapter, 14);
+    assert.deepEqual(plain(tracker.getChapterLog(manga.id).map(entry => entry.chapter).sort((a, b) => a - b)), [11, 12, 13, 14]);
+    window.close();
+});
+
+test('jumping back to a bookmark asks first, since later chapters become unread', async () => {
+    let answer = false;
+    const asked = [];
+    const { window, tracker, ui } = await bookmarksApp({ confirm: message => { asked.push(message); return answer; } });
+    const manga = tracker.addManga({ title: 'Vagabond', currentChapter: 10 });
+    ui.updateProgress(manga.id, 14);
+    const bookmark = tracker.addBookmark(manga.id, 12);
+
+    ui.jumpToBookmark(bookmark.id);
+    assert.equal(asked.length, 1);
+    assert.match(asked[0], /chapter 12 of "Vagabond"/);
+    assert.equal(tracker.getManga(manga.id).currentChapter, 14);
+    assert.equal(tracker.getChapterLog(manga.id).length, 4);
+
+    answer = true;
+    ui.jumpToBookmark(bookmark.id);
+    assert.equal(tracker.getManga(manga.id).currentChapter, 12);
+    assert.deepEqual(plain(tracker.getChapterLog(manga.id).map(entry => entry.chapter).sort((a, b) => a - b)), [11, 12]);
+    window.close();
+});
+
+test('bookmarks of deleted manga can be cleared in one go', async () => {
+    const { window, tracker, ui } = await bookmarksApp();
+    const manga = tracker.addManga({ title: 'Dorohedoro', currentChapter: 5 });
+    tracker.addBookmark(manga.id, 3);
+    tracker.addBookmark('deleted-before-cleanup', 3);
+    tracker.addBookmark('deleted-before-cleanup', 7);
+    ui.loadBookmarks();
+    assert.match(window.document.getElementById('main-content').textContent, /2 bookmarks belong to manga that no longer exist/);
+
+    ui.clearOrphanedBookmarks();
+
+    assert.deepEqual(plain(tracker.data.bookmarks.map(bookmark => bookmark.mangaId)), [manga.id]);
+    assert.deepEqual(groups(window), [['Dorohedoro', ['Chapter 3']]]);
+    assert.ok([...window.document.querySelectorAll('.notification')].some(el => el.textContent === 'Removed 2 bookmarks'));
+    window.close();
+});
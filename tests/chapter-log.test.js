@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { createTracker, startApp, settle, plain } = require('./helpers/load');
+
+test('updating progress logs the chapters passed, and moving back un-reads them', async () => {
+    const { window, ui, tracker } = await startApp();
+    const manga = tracker.addManga({ title: 'Mushishi', currentChapter: 5 });
+
+    ui.updateProgress(manga.id, 8);
+    const log = tracker.getChapterLog(manga.id);
+    assert.deepEqual(plain(log.map(entry => entry.chapter).sort((a, b) => a - b)), [6, 7, 8]);
+    assert.ok(log.every(entry => entry.readAt && entry.pass === 1));
+
+    ui.updateProgress(manga.id, 6);
+    assert.equal(tracker.getManga(manga.id).currentChapter, 6);
+    assert.deepEqual(plain(tracker.getChapterLog(manga.id).map(entry => entry.chapter)), [6]);
+    window.close();
+});
+
+test('chapters already read are not logged twice', async () => {
+    const { tracker } = await createTracker();
+    const manga = tracker.addManga({ title: 'Vagabond', currentChapter: 3 });
+
+    assert.equal(tracker.logProgress(manga.id, 0, 5), 2);
+    assert.equal(tracker.markChaptersRead(manga.id, [4, 5, 6]), 1);
+    assert.equal(tracker.getChapterLog(manga.id).length, 3);
+    assert.equal(tracker.getManga(manga.id).currentChapter, 6);
+});
+
+test('un-reading a chapter from before the log splits the undated baseline', async () => {
+    const indexedDB = new IDBFactory();
+    const { tracker } = await createTracker({ indexedDB });
+    const manga = tracker.addManga({ title: 'Berserk', currentChapter: 10 });
+
+    assert.equal(tracker.markChaptersUnread(manga.id, [4]), 1);
+    assert.equal(tracker.getManga(manga.id).chaptersBeforeLog, 3);
+    assert.equal(tracker.getManga(manga.id).currentChapter, 10);
+    assert.ok(tracker.getChapterLog(manga.id).every(entry => entry.readAt === null));
+    assert.deepEqual(plain(tracker.getChapterRanges(manga.id)), { read: [[1, 3], [5, 10]], gaps: [[4, 4]], unread: null });
+    await settle();
+
+    const { tracker: reloaded } = await createTracker({ indexedDB });
+    assert.deepEqual(plain(reloaded.getChapterRanges(manga.id).gaps), [[4, 4]]);
+});
+
+test('un-reading the last chapters moves progress back, and undo restores both', async () => {
+    const { tracker } = await createTracker();
+    const manga = tracker.addManga({ title: 'Monster', currentChapter: 2, totalChapters: 20 });
+    tracker.markChaptersRead(manga.id, [3, 4, 5]);
+
+    tracker.markChaptersUnread(manga.id, [4, 5]);
+    assert.equal(tracker.getManga(manga.id).currentChapter, 3);
+    assert.deepEqual(plain(tracker.getChapterRanges(manga.id)), { read: [[1, 3]], gaps: [], unread: [4, 20] });
+
+    assert.equal(tracker.undo().label, 'Mark chapters unread');
+    assert.equal(tracker.getManga(manga.id).currentChapter, 5);
+    assert.equal(tracker.getChapterLog(manga.id).length, 3);
+});
+
+test('chapters from sessions without a manga still count as read', async () => {
+    const { tracker } = await createTracker();
+    const manga = tracker.addManga({ title: 'Pluto' });
+    tracker.endReadingSession(tracker.startReadingSession(manga.id).id, 2);
+    tracker.endReadingSession(tracker.startReadingSession(null).id, 3);
+
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    assert.equal(tracker.countChaptersRead(hourAgo), 5);
+    assert.equal(tracker.getChapterLog(manga.id)[0].sessionId, tracker.data.readingSessions[0].id);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { createTracker, settle, plain } = require('./helpers/load');
+
+async function shelf(options) {
+    const { tracker } = await createTracker(options);
+    const [a, b, c] = ['A', 'B', 'C'].map(title => tracker.addManga({ title }));
+    const collection = tracker.createCollection('Favourites', ' Best ones ');
+    [a, b, c].forEach(manga => tracker.addToCollection(collection.id, manga.id));
+    return { tracker, collection, a, b, c };
+}
+
+const order = (tracker, id) => plain(tracker.getCollectionManga(id).map(manga => manga.title));
+
+test('collections keep their hand-picked order across reloads', async () => {
+    const indexedDB = new IDBFactory();
+    const { tracker, collection, a, c } = await shelf({ indexedDB });
+    assert.equal(collection.description, 'Best ones');
+    assert.equal(tracker.addToCollection(collection.id, a.id), false);
+
+    tracker.moveInCollection(collection.id, c.id, a.id);
+    assert.deepEqual(order(tracker, collection.id), ['C', 'A', 'B']);
+    tracker.moveInCollection(collection.id, c.id, null);
+    assert.deepEqual(order(tracker, collection.id), ['A', 'B', 'C']);
+    tracker.moveInCollection(collection.id, a.id, c.id);
+    await settle();
+
+    const { tracker: reloaded } = await createTracker({ indexedDB });
+    assert.deepEqual(order(reloaded, collection.id), ['B', 'A', 'C']);
+});
+
+test('collection names must be unique and non-empty', async () => {
+    const { tracker, collection } = await shelf();
+    assert.throws(() => tracker.createCollection(''), /cannot be empty/);
+    assert.throws(() => tracker.createCollection('favourites'), /already exists/);
+    assert.equal(tracker.updateCollection(collection.id, { name: 'FAVOURITES' }).name, 'FAVOURITES');
+});
+
+test('membership can be set per manga', async () => {
+    const { tracker, collection, a } = await shelf();
+    const other = tracker.createCollection('Other');
+
+    tracker.setMangaCollections(a.id, [other.id]);
+    assert.deepEqual(plain(tracker.getMangaCollections(a.id).map(c => c.name)), ['Other']);
+    assert.deepEqual(order(tracker, collection.id), ['B', 'C']);
+});
+
+test('trashed manga keep their place and purged ones are dropped', async () => {
+    const { tracker, collection, a, b, c } = await shelf();
+
+    tracker.deleteManga(b.id);
+    assert.deepEqual(order(tracker, collection.id), ['A', 'C']);
+    tracker.restoreFromTrash(b.id);
+    assert.deepEqual(order(tracker, collection.id), ['A', 'B', 'C']);
+
+    tracker.deleteManga(a.id);
+    tracker.purgeFromTrash(a.id);
+    assert.deepEqual(plain(tracker.getCollection(collection.id).mangaIds), [b.id, c.id]);
+});
+
+test('collection changes are undo steps of their own', async () => {
+    const indexedDB = new IDBFactory();
+    const { tracker, collection, a, c } = await shelf({ indexedDB });
+    const other = tracker.createCollection('Other');
+
+    tracker.setMangaCollections(a.id, [other.id]);
+    assert.equal(tracker.undo().label, 'Change collections');
+    assert.deepEqual(order(tracker, collection.id), ['A', 'B', 'C']);
+    assert.deepEqual(order(tracker, other.id), []);
+
+    tracker.moveInCollection(collection.id, c.id, a.id);
+    assert.equal(tracker.undo().label, 'Reorder collection');
+    assert.deepEqual(order(tracker, collection.id), ['A', 'B', 'C']);
+
+    tracker.updateCollection(collection.id, { name: 'Best' });
+    assert.equal(tracker.undo().label, 'Edit collection');
+    assert.equal(tracker.getCollection(collection.id).name, 'Favourites');
+
+    tracker.deleteCollection(collection.id);
+    assert.equal(tracker.undo().label, 'Delete collection');
+    assert.equal(tracker.undo().label, 'Create collection');
+    assert.deepEqual(plain(tracker.getCollections().map(c => c.name)), ['Favourites']);
+    assert.equal(tracker.redo().label, 'Create collection');
+    await settle();
+
+    const { tracker: reloaded } = await createTracker({ indexedDB });
+    assert.deepEqual(plain(reloaded.getCollections().map(c => c.name)), ['Favourites', 'Other']);
+    assert.deepEqual(order(reloaded, collection.id), ['A', 'B', 'C']);
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTracker, plain } = require('./helpers/load');
+
+// Noon on a day of June 2024
+const june = day => new Date(2024, 5, day, 12);
+
+test('goals are checked before they are saved', async () => {
+    const { tracker } = await createTracker();
+    const unbounded = tracker.addManga({ title: 'One Piece' });
+    const finished = tracker.addManga({ title: 'Akira', status: 'completed', totalChapters: 120 });
+
+    assert.throws(() => tracker.createGoal({ kind: 'chapters', period: 'day', target: 0 }), /at least 1/);
+    assert.throws(() => tracker.createGoal({ kind: 'series', period: 'day', target: 1 }), /per day/);
+    assert.throws(() => tracker.createGoal({ kind: 'deadline', mangaId: unbounded.id, dueDate: '2999-01-01' }), /total chapters/);
+    assert.throws(() => tracker.createGoal({ kind: 'deadline', mangaId: finished.id, dueDate: '2999-01-01' }), /already finished/);
+    // Only the daily goal every new library starts with
+    assert.deepEqual(plain(tracker.getGoals().map(goal => goal.id)), ['daily-goal']);
+});
+
+test('periodic goals project the count so far over the whole period', async () => {
+    const { tracker } = await createTracker();
+    const manga = tracker.addManga({ title: 'Dungeon Meshi', currentChapter: 0 });
+    tracker.logChapters(manga.id, [1, 2, 3, 4, 5, 6], { readAt: june(3).toISOString() });
+    const goal = tracker.createGoal({ kind: 'chapters', period: 'month', target: 10 });
+    const midMonth = new Date(2024, 5, 16);
+
+    const progress = tracker.getGoalProgress(goal, midMonth);
+    assert.equal(progress.value, 6);
+    assert.equal(progress.projected, 12);
+    assert.equal(progress.status, 'on-track');
+
+    tracker.updateGoal(goal.id, { target: 20 });
+    assert.equal(tracker.getGoalProgress(goal, midMonth).status, 'behind');
+    tracker.updateGoal(goal.id, { target: 5 });
+    assert.equal(tracker.getGoalProgress(goal, midMonth).status, 'met');
+});
+
+test('every period that ended since the goal was created is recorded once', async () => {
+    const { tracker } = await createTracker();
+    const manga = tracker.addManga({ title: 'Frieren', currentChapter: 0 });
+    tracker.logChapters(manga.id, [1, 2], { readAt: june(1).toISOString() });
+    tracker.logChapters(manga.id, [3], { readAt: june(2).toISOString() });
+    const goal = tracker.createGoal({ kind: 'chapters', period: 'day', target: 2 });
+    goal.createdAt = june(1).toISOString();
+
+    assert.equal(tracker.closeGoalPeriods(june(4)), true);
+    assert.deepEqual(plain(goal.history.map(entry => [entry.value, entry.met])), [[2, true], [1, false], [0, false]]);
+    assert.equal(tracker.closeGoalPeriods(june(4)), false);
+
+    tracker.updateGoal(goal.id, { period: 'week' });
+    assert.deepEqual(plain(goal.history), []);
+});
+
+test('series finished through Edit count towards series goals', async () => {
+    const { tracker } = await createTracker();
+    const manga = tracker.addManga({ title: 'Nana', status: 'reading' });
+    const goal = tracker.createGoal({ kind: 'series', period: 'year', target: 1 });
+
+    tracker.updateManga(manga.id, { status: 'completed' });
+    assert.ok(tracker.getManga(manga.id).endDate);
+    assert.equal(tracker.getGoalProgress(goal).status, 'met');
+});
+
+test('a deadline is settled once its series is finished', async () => {
+    const { tracker } = await createTracker();
+    const manga = tracker.addManga({ title: 'Witch Hat Atelier', status: 'reading', currentChapter: 0, totalChapters: 4 });
+    const goal = tracker.createGoal({ kind: 'deadline', mangaId: manga.id, dueDate: '2999-12-31' });
+
+    tracker.markChaptersRead(manga.id, [1, 2]);
+    const progress = tracker.getGoalProgress(goal);
+    assert.equal(progress.fraction, 0.5);
+    assert.equal(progress.status, 'on-track');
+    assert.ok(progress.projectedDate);
+    assert.equal(tracker.closeGoalPeriods(), false);
+
+    tracker.updateManga(manga.id, { status: 'completed' });
+    assert.equal(tracker.closeGoalPeriods(), true);
+    assert.equal(goal.history.length, 1);
+    assert.equal(goal.history[0].met, true);
+});
+
+test('imported goals in the wrong shape are left out, and missing fields get defaults', async () => {
+    const { tracker: source } = await createTracker();
+    const manga = source.addManga({ title: 'Frieren', currentChapter: 10, totalChapters: 140 });
+    const file = await source.getExportData();
+    file.goals = [
+        { id: 'no-history', kind: 'chapters', period: 'week', target: 7 },
+        { id: 'no-due-date', kind: 'deadline', mangaId: manga.id, history: [] },
+        { id: 'bad-period', kind: 'series', period: 'day', target: 1, history: [] },
+        null
+    ];
+
+    const { tracker } = await createTracker();
+    const parsed = tracker.parseExportFile(JSON.stringify(file));
+    assert.deepEqual(plain(parsed.goals.map(goal => goal.id)), ['no-history']);
+    assert.deepEqual(plain(parsed.goals[0].history), []);
+    assert.ok(!isNaN(new Date(parsed.goals[0].createdAt)));
+    assert.deepEqual(plain(parsed.skipped), [
+        { title: 'Goal "no-due-date"', reason: 'Choose a due date' },
+        { title: 'Goal "bad-period"', reason: "This goal can't be set per day" },
+        { title: 'Goal (no id)', reason: 'Not a goal' }
+    ]);
+
+    // Neither import mode can leave goals that break the next navigation
+    await tracker.mergeLibrary(parsed);
+    assert.equal(tracker.closeGoalPeriods(), false);
+    await tracker.replaceLibrary(tracker.parseExportFile(JSON.stringify(file)));
+    assert.equal(tracker.closeGoalPeriods(), false);
+    assert.deepEqual(plain(tracker.getGoals().map(goal => goal.id)), ['no-history']);
+    assert.equal(tracker.data.skipped, undefined);
+});
+
+test('imported goal history keeps only periods with dates and numbers', async () => {
+    const { tracker: source } = await createTracker();
+    const file = await source.getExportData();
+    const period = { start: '2024-06-03T00:00:00.000Z', end: '2024-06-10T00:00:00.000Z' };
+    file.goals = [{
+        id: 'weekly', kind: 'chapters', period: 'week', target: 7,
+        history: [
+            { ...period, value: 9, target: 7, met: true },
+            { ...period, value: '"><img src=x onerror=alert(1)>', target: 7, met: false },
+            { ...period, value: 3, target: '7', met: false },
+            { start: 'soon', end: period.end, value: 3, target: 7, met: false }
+        ]
+    }];
+
+    const { tracker } = await createTracker();
+    const [goal] = tracker.parseExportFile(JSON.stringify(file)).goals;
+    assert.deepEqual(plain(goal.history), [{ ...period, value: 9, target: 7, met: true }]);
+});
+
+test('editing a deadline applies the same checks as creating one', async () => {
+    const { tracker } = await createTracker();
+    const reading = tracker.addManga({ title: 'Blue Period', status: 'reading', totalChapters: 80 });
+    const finished = tracker.addManga({ title: 'Akira', status: 'completed', totalChapters: 120 });
+    const goal = tracker.createGoal({ kind: 'deadline', mangaId: reading.id, dueDate: '2999-01-01' });
+
+    assert.throws(() => tracker.updateGoal(goal.id, { dueDate: '2000-01-01' }), /already passed/);
+    assert.throws(() => tracker.updateGoal(goal.id, { mangaId: finished.id }), /already finished/);
+    assert.equal(tracker.getGoal(goal.id).dueDate, '2999-01-01');
+    assert.equal(tracker.getGoal(goal.id).mangaId, reading.id);
+
+    tracker.updateGoal(goal.id, { dueDate: '2999-06-01' });
+    assert.equal(tracker.getGoal(goal.id).dueDate, '2999-06-01');
+});
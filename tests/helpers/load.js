@@ -0,0 +1,71 @@
+// Runs index.html and script.js in jsdom so tests drive the real app code.
+// IndexedDB comes from fake-indexeddb; pass indexedDB: false to exercise the
+// localStorage fallback instead.
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const root = path.join(__dirname, '..', '..');
+const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8').replace(/<script[\s\S]*?<\/script>/g, '');
+const script = fs.readFileSync(path.join(root, 'script.js'), 'utf8');
+
+// Top-level classes in script.js aren't window properties, so hand them out explicitly
+const exported = [
+    'MangaStorage', 'LocalStorageStore', 'SCHEMA_MIGRATIONS', 'SchemaMigrator', 'CommandStack', 'MangaTracker',
+    'ImporterRegistry', 'MalXmlConverter', 'AniListImporter', 'MangaDexImporter', 'KitsuImporter', 'CsvConverter', 'UIController'
+];
+
+async function loadApp({ indexedDB = new IDBFactory(), localStorage = {}, confirm = () => true, matchMedia = () => ({ matches: false, addEventListener() {}, addListener() {} }) } = {}) {
+    const dom = new JSDOM(html, { runScripts: 'outside-only', url: 'http://localhost/', virtualConsole: new VirtualConsole() });
+    const window = dom.window;
+    // Evaluate only after jsdom's own DOMContentLoaded, or booting the app would happen twice
+    await new Promise(resolve => window.addEventListener('load', resolve));
+
+    if (indexedDB) {
+        window.indexedDB = indexedDB;
+        window.IDBKeyRange = IDBKeyRange;
+    }
+    Object.entries(localStorage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+    window.confirm = confirm;
+    window.alert = () => {};
+    window.prompt = () => null;
+    window.matchMedia = matchMedia;
+    // Charts draw on canvas, which jsdom doesn't implement
+    window.HTMLCanvasElement.prototype.getContext = () => new Proxy({}, {
+        get: (target, key) => key in target ? target[key] : () => ({ width: 0 }),
+        set: (target, key, value) => { target[key] = value; return true; }
+    });
+
+    window.eval(`${script}\n${exported.map(name => `window.${name} = ${name};`).join('\n')}`);
+    return window;
+}
+
+async function createTracker(options) {
+    const window = await loadApp(options);
+    const tracker = await new window.MangaTracker().init();
+    return { window, tracker };
+}
+
+// Boots the whole app the way the DOMContentLoaded handler does
+async function startApp(options) {
+    const window = await loadApp(options);
+    window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+    while (!window.uiController) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    return { window, tracker: window.tracker, ui: window.uiController };
+}
+
+// Let queued IndexedDB writes finish before reading the database back
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 20));
+}
+
+// Copy a value out of the jsdom realm; strict assertions otherwise trip over
+// its Array and Object prototypes
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadApp, createTracker, startApp, settle, plain };
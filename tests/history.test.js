@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTracker, startApp, settle, plain } = require('./helpers/load');
+
+test('history beyond the in-memory window is archived and still paged through', async () => {
+    const { tracker } = await createTracker();
+    tracker.historyWindow = 5;
+    for (let i = 0; i < 12; i++) {
+        tracker.addToHistory('m', i % 2 ? 'read' : 'added', { i });
+    }
+    await settle();
+
+    assert.equal(tracker.data.history.length, 5);
+    assert.equal((await tracker.getArchivedHistory()).length, 7);
+
+    const first = await tracker.queryHistory({}, { limit: 8 });
+    assert.equal(first.entries.length, 8);
+    assert.equal(first.hasMore, true);
+    const rest = await tracker.queryHistory({}, { before: first.entries[7], limit: 8 });
+    assert.equal(rest.entries.length, 4);
+    assert.equal(rest.hasMore, false);
+
+    const added = await tracker.queryHistory({ action: 'added' }, { limit: 50 });
+    assert.equal(added.entries.length, 6);
+});
+
+test('saving the edit form logs an update that undoes along with it', async () => {
+    const { window, tracker, ui } = await startApp();
+    const manga = tracker.addManga({ title: 'Before' });
+
+    ui.editManga(manga.id);
+    window.document.getElementById('manga-title').value = 'After';
+    window.document.getElementById('add-manga-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+
+    assert.equal(tracker.getManga(manga.id).title, 'After');
+    assert.equal(tracker.data.history[0].action, 'updated');
+    assert.equal(tracker.data.history[0].details.title, 'After');
+
+    tracker.undo();
+    assert.equal(tracker.getManga(manga.id).title, 'Before');
+    assert.equal(tracker.data.history.length, 0);
+});
+
+test('a manga deleted for good keeps its history', async () => {
+    const { tracker } = await createTracker();
+    const manga = tracker.addManga({ title: 'Gone' });
+    tracker.addToHistory(manga.id, 'added', { title: manga.title });
+
+    tracker.deleteManga(manga.id);
+    assert.equal(tracker.data.history.length, 0);
+    tracker.purgeFromTrash(manga.id);
+
+    assert.equal(tracker.data.trash.length, 0);
+    assert.equal(tracker.data.history.length, 1);
+    assert.equal(tracker.data.history[0].details.title, 'Gone');
+});
+
+test('history filters by action, manga and local date range', async () => {
+    const { tracker } = await createTracker();
+    const at = (entry, date) => { entry.timestamp = new Date(date).toISOString(); };
+    at(tracker.addToHistory('a', 'progress_update', {}), '2024-03-01T10:00:00');
+    at(tracker.addToHistory('a', 'read', {}), '2024-03-02T23:30:00');
+    at(tracker.addToHistory('b', 'added', {}), '2024-03-03T00:15:00');
+    const actions = async filters => plain((await tracker.queryHistory(filters, { limit: 50 })).entries.map(entry => entry.action));
+
+    // Progress updates count as reading
+    assert.deepEqual(await actions({ action: 'read' }), ['read', 'progress_update']);
+    assert.deepEqual(await actions({ mangaId: 'b' }), ['added']);
+    assert.deepEqual(await actions({ from: '2024-03-02', to: '2024-03-02' }), ['read']);
+    assert.deepEqual(await actions({ action: 'read', from: '2024-03-02' }), ['read']);
+});
+
+test('deleting a manga is logged, and the view groups entries by day', async () => {
+    const { window, tracker, ui } = await startApp();
+    const kept = tracker.addManga({ title: 'Kept' });
+    const gone = tracker.addManga({ title: 'Gone' });
+    const earlier = tracker.addToHistory(kept.id, 'added', { title: kept.title });
+    earlier.timestamp = new Date(Date.now() - 86400000).toISOString();
+
+    // The view renders once its IndexedDB query comes back; navigating also
+    // fires hashchange, which loads the view a second time
+    let rendered;
+    const refreshHistory = ui.refreshHistory.bind(ui);
+    ui.refreshHistory = () => (rendered = refreshHistory());
+
+    ui.deleteManga(gone.id);
+    ui.navigateTo('history');
+    await settle();
+    await rendered;
+
+    const results = window.document.getElementById('history-results');
+    assert.deepEqual([...results.querySelectorAll('h2')].map(h2 => h2.textContent), ['Today', 'Yesterday']);
+    assert.deepEqual([...results.querySelectorAll('.font-medium')].map(el => el.textContent), ['Gone', 'Kept']);
+
+    window.document.getElementById('history-action-filter').value = 'deleted';
+    ui.filterHistory();
+    await rendered;
+    assert.deepEqual([...results.querySelectorAll('.font-medium')].map(el => el.textContent), ['Gone']);
+});
@@ -0,0 +1,249 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createTracker, startApp, plain } = require('./helpers/load');
+
+let window;
+test.before(async () => {
+    window = await loadApp();
+});
+
+const malExport = `<?xml version="1.0" encoding="UTF-8" ?>
+<myanimelist>
+    <myinfo><user_export_type>2</user_export_type></myinfo>
+    <manga>
+        <manga_mangadb_id>2</manga_mangadb_id>
+        <manga_title><![CDATA[Berserk]]></manga_title>
+        <manga_volumes>0</manga_volumes>
+        <manga_chapters>0</manga_chapters>
+        <my_read_volumes>41</my_read_volumes>
+        <my_read_chapters>364</my_read_chapters>
+        <my_start_date>2019-03-05</my_start_date>
+        <my_finish_date>0000-00-00</my_finish_date>
+        <my_score>10</my_score>
+        <my_status>Reading</my_status>
+        <my_comments><![CDATA[Eclipse arc]]></my_comments>
+        <my_times_read>0</my_times_read>
+        <my_tags><![CDATA[Dark Fantasy, Seinen]]></my_tags>
+    </manga>
+    <manga>
+        <manga_title><![CDATA[Odd status]]></manga_title>
+        <my_status>Watching</my_status>
+    </manga>
+</myanimelist>`;
+
+test('MAL XML import maps list fields and skips entries it cannot read', () => {
+    const converter = new window.MalXmlConverter();
+    const { entries, skipped } = converter.parse(malExport);
+
+    assert.equal(entries.length, 1);
+    const [berserk] = plain(entries);
+    assert.equal(berserk.title, 'Berserk');
+    assert.equal(berserk.status, 'reading');
+    assert.equal(berserk.currentChapter, 364);
+    assert.equal(berserk.currentVolume, 41);
+    assert.equal(berserk.totalChapters, null);
+    assert.equal(berserk.rating, 10);
+    assert.equal(berserk.endDate, null);
+    assert.deepEqual(berserk.tags, ['Dark Fantasy', 'Seinen']);
+    assert.deepEqual(berserk.externalIds, { mal: '2' });
+    assert.equal(berserk.notes, 'Eclipse arc');
+    assert.deepEqual(plain(skipped), [{ title: 'Odd status', reason: 'Unknown status "Watching"' }]);
+});
+
+test('MAL XML export reads back as the same list', async () => {
+    const { tracker } = await createTracker();
+    const converter = new window.MalXmlConverter();
+    tracker.addManga({ title: 'A & <B> ]]>', status: 'completed', currentChapter: 10, totalChapters: 10, rating: 8, tags: ['x'], externalIds: { mal: '42' }, startDate: new Date(2024, 0, 2).toISOString() });
+
+    const { entries } = converter.parse(converter.build(tracker.getAllManga()));
+    const [entry] = plain(entries);
+    assert.equal(entry.title, 'A & <B> ]]>');
+    assert.equal(entry.status, 'completed');
+    assert.equal(entry.totalChapters, 10);
+    assert.equal(entry.rating, 8);
+    assert.deepEqual(entry.externalIds, { mal: '42' });
+    assert.equal(entry.startDate, new Date(2024, 0, 2).toISOString());
+});
+
+test('imported titles with markup show as plain text in cards and lists', async () => {
+    const { window: app, tracker, ui } = await startApp();
+    const title = '<img src=x onerror="window.pwned = true">Berserk';
+    const { entries } = new app.MalXmlConverter().parse(`<myanimelist><manga>
+        <manga_title><![CDATA[${title}]]></manga_title>
+        <my_status>Reading</my_status>
+    </manga></myanimelist>`);
+    const manga = tracker.addManga({ ...entries[0], author: '<b>Miura</b>' });
+    tracker.addToHistory(manga.id, 'added', { title: manga.title });
+    const { document } = app;
+
+    ui.loadDashboard();
+    assert.ok([...document.querySelectorAll('#main-content p')].some(p => p.textContent === title));
+    ui.loadMyManga();
+    assert.equal(document.querySelector('.manga-card-title').textContent, title);
+    assert.ok(document.getElementById('manga-grid').textContent.includes('by <b>Miura</b>'));
+    ui.loadLibrary();
+    assert.equal(document.querySelector('#library-results h4').textContent, title);
+    assert.equal(document.querySelectorAll('#main-content img, #main-content b').length, 0);
+    app.close();
+});
+
+test('importing skips titles already in the library', async () => {
+    const { tracker } = await createTracker();
+    tracker.addManga({ title: 'Berserk' });
+    const { entries } = new window.MalXmlConverter().parse(malExport);
+
+    const report = tracker.importMangaList(entries);
+    assert.equal(report.imported.length, 0);
+    assert.equal(report.skipped.length, 1);
+});
+
+// Detection goes through the registry, as it does for a dropped file
+function parseFile(fileName, json) {
+    const registry = new window.ImporterRegistry()
+        .register(new window.MalXmlConverter())
+        .register(new window.AniListImporter())
+        .register(new window.MangaDexImporter())
+        .register(new window.KitsuImporter());
+    const result = registry.parse(fileName, JSON.stringify(json));
+    return { id: result.importer.id, ...plain({ entries: result.entries, skipped: result.skipped, ambiguous: result.ambiguous }) };
+}
+
+test('AniList import scales scores and reports what it had to guess', () => {
+    const { id, entries, skipped, ambiguous } = parseFile('anilist.json', {
+        data: {
+            MediaListCollection: {
+                lists: [{
+                    entries: [
+                        {
+                            status: 'REPEATING', score: 85, progress: 30, progressVolumes: 3,
+                            startedAt: { year: 2023, month: 4, day: 1 }, completedAt: {}, notes: 'again',
+                            media: { id: 30002, idMal: 2, title: { english: 'Berserk' }, countryOfOrigin: 'JP', chapters: null, volumes: 41 }
+                        },
+                        { status: 'CURRENT', media: { id: 1, title: { romaji: 'Solo Leveling' }, countryOfOrigin: 'KR' } },
+                        { status: 'CURRENT', media: { id: 2, title: { romaji: 'A novel' }, format: 'NOVEL' } }
+                    ]
+                }]
+            }
+        }
+    });
+
+    assert.equal(id, 'anilist');
+    assert.equal(entries.length, 2);
+    assert.equal(entries[0].status, 'reading');
+    assert.equal(entries[0].rating, 8.5);
+    assert.equal(entries[0].currentVolume, 3);
+    assert.equal(entries[0].startDate, new Date(2023, 3, 1).toISOString());
+    assert.equal(entries[0].endDate, null);
+    assert.deepEqual(entries[0].externalIds, { anilist: '30002', mal: '2' });
+    assert.equal(entries[1].type, 'manhwa');
+    assert.deepEqual(skipped, [{ title: 'A novel', reason: 'Light novel, not a comic' }]);
+    assert.deepEqual(ambiguous.map(item => item.reason), [
+        'Marked as re-reading on AniList, imported as reading',
+        'Score format missing, assumed a 100-point scale'
+    ]);
+});
+
+test('MangaDex import keeps synopses out of notes and flags missing progress', () => {
+    const { id, entries, ambiguous } = parseFile('follows.json', {
+        data: [{
+            id: 'abc-123',
+            type: 'manga',
+            attributes: {
+                title: { en: 'Vinland Saga' },
+                description: { en: 'A synopsis, not a note' },
+                originalLanguage: 'ja',
+                status: 'completed',
+                lastChapter: '220',
+                lastVolume: '',
+                tags: [{ attributes: { name: { en: 'Historical' } } }]
+            }
+        }],
+        statuses: { 'abc-123': 'on_hold' }
+    });
+
+    assert.equal(id, 'mangadex');
+    assert.equal(entries[0].status, 'on-hold');
+    assert.equal(entries[0].totalChapters, 220);
+    assert.equal(entries[0].totalVolumes, null);
+    assert.equal(entries[0].notes, undefined);
+    assert.deepEqual(entries[0].tags, ['Historical']);
+    assert.deepEqual(entries[0].externalIds, { mangadex: 'abc-123' });
+    assert.deepEqual(ambiguous.map(item => item.reason), ['No reading progress in export, imported at chapter 0']);
+});
+
+test('Kitsu import reads manga from included records and skips anime and novels', () => {
+    const { id, entries, skipped } = parseFile('kitsu.json', {
+        data: [
+            {
+                id: '1', type: 'libraryEntries',
+                attributes: { status: 'completed', progress: 12, ratingTwenty: 16, finishedAt: '2024-02-03T10:00:00.000Z' },
+                relationships: { manga: { data: { type: 'manga', id: '77' } } }
+            },
+            { id: '2', type: 'libraryEntries', attributes: { status: 'current' }, relationships: { anime: { data: { id: '5' } } } },
+            { id: '3', type: 'libraryEntries', attributes: { status: 'current' }, relationships: { manga: { data: { id: '78' } } } }
+        ],
+        included: [
+            { id: '77', type: 'manga', attributes: { canonicalTitle: 'Dorohedoro', subtype: 'manga', chapterCount: 167 } },
+            { id: '78', type: 'manga', attributes: { canonicalTitle: 'Spice and Wolf', subtype: 'novel' } }
+        ]
+    });
+
+    assert.equal(id, 'kitsu');
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].title, 'Dorohedoro');
+    assert.equal(entries[0].rating, 8);
+    assert.equal(entries[0].totalChapters, 167);
+    assert.equal(entries[0].endDate, '2024-02-03T10:00:00.000Z');
+    assert.deepEqual(skipped.map(item => item.reason), ['Not a manga entry', 'Kitsu subtype "novel" is not a comic']);
+});
+
+// Parse CSV text with the column mapping the import dialog would suggest
+function importCsv(text) {
+    const converter = new window.CsvConverter();
+    const { headers, rows } = converter.parse(text);
+    return plain(converter.buildEntries(rows, converter.guessMapping(headers)));
+}
+
+test('CSV import guesses columns from common header names and reports bad rows', () => {
+    const { entries, errors } = importCsv([
+        'Name,Chapters Read,Total Chapters,Status,Tags,Score',
+        'Blame!,"12",65,Plan to Read,Sci-Fi; Cyberpunk,9',
+        ',3,,reading,,',
+        'Biomega,many,,reading,,'
+    ].join('\n'));
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].title, 'Blame!');
+    assert.equal(entries[0].currentChapter, 12);
+    assert.equal(entries[0].totalChapters, 65);
+    assert.equal(entries[0].status, 'plan-to-read');
+    assert.deepEqual(entries[0].tags, ['Sci-Fi', 'Cyberpunk']);
+    assert.deepEqual(errors.map(error => error.row), [3, 4]);
+});
+
+test('CSV export guards formula-like cells and reads back unchanged', async () => {
+    const { tracker } = await createTracker();
+    const converter = new window.CsvConverter();
+    tracker.addManga({
+        title: '=HYPERLINK("http://example.com")',
+        author: '@someone',
+        notes: 'line one\nline two, with "quotes"',
+        currentChapter: 10.5,
+        tags: ['+plus', 'plain'],
+        externalIds: { mangadex: 'urn:uuid:1234', mal: '2' }
+    });
+
+    const csv = converter.build(tracker.getAllManga(), ['title', 'author', 'notes', 'currentChapter', 'tags', 'externalIds']);
+    const dataRow = csv.split('\r\n')[1];
+    assert.ok(dataRow.startsWith(`"'=HYPERLINK(""http://example.com"")"`));
+    assert.ok(dataRow.includes(",'@someone,"));
+
+    const { entries, errors } = importCsv(csv);
+    assert.deepEqual(errors, []);
+    assert.equal(entries[0].title, '=HYPERLINK("http://example.com")');
+    assert.equal(entries[0].author, '@someone');
+    assert.equal(entries[0].notes, 'line one\nline two, with "quotes"');
+    assert.equal(entries[0].currentChapter, 10.5);
+    assert.deepEqual(entries[0].tags, ['+plus', 'plain']);
+    assert.deepEqual(entries[0].externalIds, { mangadex: 'urn:uuid:1234', mal: '2' });
+});
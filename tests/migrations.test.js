@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createTracker, plain } = require('./helpers/load');
+
+let window;
+test.before(async () => {
+    window = await loadApp();
+});
+
+// Run the steps after `from` up to and including `to` over a copy of data
+function migrate(data, from, to = Infinity) {
+    const steps = window.SCHEMA_MIGRATIONS.filter(step => step.version <= to);
+    return plain(new window.SchemaMigrator(steps).migrate({ ...data, schemaVersion: from }));
+}
+
+test('the migrator runs every step and leaves its input untouched', () => {
+    const data = { manga: [{ id: 'a', title: 'Old', status: 'Reading', tags: 'A' }] };
+    const migrator = new window.SchemaMigrator();
+    const migrated = migrator.migrate(data);
+
+    assert.equal(migrated.schemaVersion, migrator.currentVersion);
+    assert.equal(data.schemaVersion, undefined);
+    assert.equal(data.manga[0].tags, 'A');
+    assert.equal(migrator.needsMigration(migrated), false);
+});
+
+test('data from a newer version of the app is refused', () => {
+    const migrator = new window.SchemaMigrator();
+    assert.throws(() => migrator.migrate({ schemaVersion: migrator.currentVersion + 1, manga: [] }), /newer version/);
+});
+
+test('a failing step names the schema it was migrating to', () => {
+    const migrator = new window.SchemaMigrator([{ version: 1, up() { throw new Error('boom'); } }]);
+    assert.throws(() => migrator.migrate({ manga: [] }), /Migration to schema 1 failed: boom/);
+});
+
+test('migration 1 fills in manga fields and normalizes statuses and tags', () => {
+    const { manga, bookmarks } = migrate({
+        manga: [{ id: 'a', title: 'Old', createdAt: '2024-01-01T00:00:00.000Z', status: 'Plan to Read', tags: 'A, B,', currentChapter: '3' }]
+    }, 0, 1);
+
+    assert.deepEqual(bookmarks, []);
+    assert.equal(manga[0].status, 'plan-to-read');
+    assert.deepEqual(manga[0].tags, ['A', 'B']);
+    assert.equal(manga[0].currentChapter, 3);
+    assert.equal(manga[0].startDate, '2024-01-01T00:00:00.000Z');
+    assert.equal(manga[0].updatedAt, '2024-01-01T00:00:00.000Z');
+    assert.equal(manga[0].totalChapters, null);
+});
+
+test('an old library is migrated on load and a backup of it is kept', async () => {
+    const legacy = { manga: [{ id: 'a', title: 'Old', status: 'On Hold', tags: [], currentChapter: 1 }], settings: {} };
+    const { tracker } = await createTracker({ localStorage: { mangaTrackerData: JSON.stringify(legacy) } });
+
+    assert.equal(tracker.data.schemaVersion, tracker.migrator.currentVersion);
+    assert.equal(tracker.getManga('a').status, 'on-hold');
+    const [backup] = await tracker.getBackups();
+    assert.equal(backup.schemaVersion, 0);
+    assert.equal(backup.data.manga[0].status, 'On Hold');
+});
+
+test('restoring a backup from an older schema migrates it again', async () => {
+    const legacy = { manga: [{ id: 'a', title: 'Old', status: 'On Hold', tags: [], currentChapter: 1 }], settings: {} };
+    const { tracker } = await createTracker({ localStorage: { mangaTrackerData: JSON.stringify(legacy) } });
+    const [backup] = await tracker.getBackups();
+
+    await tracker.restoreBackup(backup.id);
+    assert.equal(tracker.data.schemaVersion, tracker.migrator.currentVersion);
+    assert.equal(tracker.getManga('a').status, 'on-hold');
+});
+
+test('export files from older versions are migrated when read', async () => {
+    const { tracker } = await createTracker();
+    const file = JSON.stringify({ manga: [{ id: 'a', title: 'Old', status: 'Completed', tags: [] }] });
+    const parsed = tracker.parseExportFile(file);
+
+    assert.equal(parsed.schemaVersion, tracker.migrator.currentVersion);
+    assert.equal(parsed.manga[0].status, 'completed');
+});
+
+test('migration 2 gives every manga an externalIds map', () => {
+    const { manga } = migrate({ manga: [{ id: 'a', title: 'A', tags: [] }, { id: 'b', title: 'B', tags: [], externalIds: { mal: '1' } }] }, 1, 2);
+    assert.deepEqual(manga.map(m => m.externalIds), [{}, { mal: '1' }]);
+});
+
+test('migration 3 adds the trash and a 30 day retention unless one is set', () => {
+    assert.deepEqual(migrate({ manga: [], settings: {} }, 2, 3).trash, []);
+    assert.equal(migrate({ manga: [], settings: {} }, 2, 3).settings.trashRetentionDays, 30);
+    assert.equal(migrate({ manga: [], settings: { trashRetentionDays: 0 } }, 2, 3).settings.trashRetentionDays, 0);
+});
+
+test('migration 4 adds tag info and lists every tag in use', () => {
+    const migrated = migrate({ manga: [{ id: 'a', title: 'A', tags: ['X', 'Y'] }], tags: ['Y', 'Z'] }, 3, 4);
+    assert.deepEqual(migrated.tagInfo, {});
+    assert.deepEqual(migrated.tags, ['Y', 'Z', 'X']);
+});
+
+test('migration 5 adds an empty list of smart lists', () => {
+    assert.deepEqual(migrate({ manga: [] }, 4, 5).smartLists, []);
+    assert.deepEqual(migrate({ manga: [], smartLists: [{ id: 's' }] }, 4, 5).smartLists, [{ id: 's' }]);
+});
+
+test('migration 6 adds an empty list of collections', () => {
+    assert.deepEqual(migrate({ manga: [] }, 5, 6).collections, []);
+});
+
+test('migration 7 backfills active time, counting idle time from the upgrade', () => {
+    const loadedAt = new Date().toISOString();
+    const { readingSessions, trash } = migrate({
+        manga: [],
+        readingSessions: [
+            { id: 'ended', startTime: '2024-01-01T10:00:00.000Z', endTime: '2024-01-01T10:45:00.000Z', active: false },
+            { id: 'open', startTime: '2024-01-01T11:00:00.000Z', endTime: null, active: true },
+            { id: 'new', startTime: '2024-01-01T12:00:00.000Z', active: true, activeMs: 5 }
+        ],
+        trash: [{ id: 't', readingSessions: [{ id: 'trashed', startTime: '2024-01-01T09:00:00.000Z', endTime: '2024-01-01T09:30:00.000Z', active: false }] }]
+    }, 6, 7);
+
+    assert.equal(readingSessions[0].activeMs, 45 * 60 * 1000);
+    assert.equal(readingSessions[0].lastActiveAt, null);
+    assert.equal(readingSessions[1].activeMs, 0);
+    assert.equal(readingSessions[1].runningSince, '2024-01-01T11:00:00.000Z');
+    assert.ok(readingSessions[1].lastActiveAt >= loadedAt);
+    assert.equal(readingSessions[2].runningSince, undefined);
+    assert.equal(trash[0].readingSessions[0].activeMs, 30 * 60 * 1000);
+});
+
+test('migration 8 keeps progress from before the chapter log as an undated baseline', () => {
+    const { manga, chapterLog, trash } = migrate({
+        manga: [{ id: 'a', currentChapter: 12 }, { id: 'b', currentChapter: 4, chaptersBeforeLog: 2 }],
+        trash: [{ id: 't', manga: { id: 't', currentChapter: 7 } }]
+    }, 7, 8);
+
+    assert.deepEqual(chapterLog, []);
+    assert.equal(manga[0].chaptersBeforeLog, 12);
+    assert.equal(manga[1].chaptersBeforeLog, 2);
+    assert.equal(trash[0].manga.chaptersBeforeLog, 7);
+    assert.deepEqual(trash[0].chapterLog, []);
+});
+
+test('migration 9 gives every manga an empty list of re-reads', () => {
+    const { manga, trash } = migrate({
+        manga: [{ id: 'a' }, { id: 'b', rereads: [{ pass: 2 }] }],
+        trash: [{ id: 't', manga: { id: 't' } }]
+    }, 8, 9);
+
+    assert.deepEqual(manga[0].rereads, []);
+    assert.equal(manga[1].rereads.length, 1);
+    assert.deepEqual(trash[0].manga.rereads, []);
+});
+
+test('migration 10 starts volume progress at zero with an unknown total', () => {
+    const { manga, trash } = migrate({
+        manga: [{ id: 'a' }, { id: 'b', currentVolume: 3, totalVolumes: 9 }],
+        trash: [{ id: 't', manga: { id: 't' } }]
+    }, 9, 10);
+
+    assert.equal(manga[0].currentVolume, 0);
+    assert.equal(manga[0].totalVolumes, null);
+    assert.equal(manga[1].currentVolume, 3);
+    assert.equal(manga[1].totalVolumes, 9);
+    assert.equal(trash[0].manga.currentVolume, 0);
+});
+
+test('migration 11 turns the daily goal setting into a goal', () => {
+    const { goals, settings } = migrate({ manga: [], settings: { dailyGoal: 5, weekStart: 1 } }, 10, 11);
+    assert.equal(goals.length, 1);
+    assert.deepEqual({ ...goals[0], createdAt: null, updatedAt: null }, {
+        id: 'daily-goal', kind: 'chapters', period: 'day', target: 5, mangaId: null, dueDate: null, history: [], createdAt: null, updatedAt: null
+    });
+    assert.deepEqual(settings, { weekStart: 1 });
+
+    assert.deepEqual(migrate({ manga: [], settings: { dailyGoal: 0 } }, 10, 11).goals, []);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, settle } = require('./helpers/load');
+
+const daysAgo = days => new Date(Date.now() - days * 86400000).toISOString();
+
+async function pickerApp(options) {
+    const app = await startApp(options);
+    const { tracker } = app;
+    tracker.addManga({ title: 'Vinland Saga', author: 'Makoto Yukimura', status: 'reading', currentChapter: 200, lastRead: daysAgo(3) });
+    tracker.addManga({ title: 'Planetes', author: 'Makoto Yukimura', status: 'reading', currentChapter: 10, lastRead: daysAgo(1) });
+    tracker.addManga({ title: 'Dorohedoro', status: 'completed', currentChapter: 167, lastRead: daysAgo(0) });
+    tracker.addManga({ title: 'Blue Period', status: 'plan-to-read' });
+    return app;
+}
+
+const optionTitles = window => [...window.document.querySelectorAll('.manga-picker-option')].map(option => option.querySelector('.font-medium').textContent);
+const highlightedTitle = window => window.document.querySelector('.manga-picker-option.highlighted .font-medium').textContent;
+const press = (window, key) => window.document.getElementById('manga-picker-search')
+    .dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true }));
+const type = (window, text) => {
+    const input = window.document.getElementById('manga-picker-search');
+    input.value = text;
+    input.dispatchEvent(new window.Event('input', { bubbles: true }));
+};
+
+test('an empty picker shortlists unfinished manga, most recently read first', async () => {
+    const { window, ui } = await pickerApp();
+    ui.showMangaPicker({ title: 'Pick one', onPick() {} });
+
+    assert.deepEqual(optionTitles(window), ['Planetes', 'Vinland Saga']);
+    assert.match(window.document.getElementById('manga-picker-results').textContent, /Continue reading/);
+    assert.equal(highlightedTitle(window), 'Planetes');
+    window.close();
+});
+
+test('typing searches the whole library and clearing it brings the shortlist back', async () => {
+    const { window, ui } = await pickerApp();
+    ui.showMangaPicker({ title: 'Pick one', onPick() {} });
+
+    type(window, 'dorohedro');
+    assert.deepEqual(optionTitles(window), ['Dorohedoro']);
+    type(window, 'yukimura');
+    assert.deepEqual(optionTitles(window).sort(), ['Planetes', 'Vinland Saga']);
+    type(window, 'zzzz');
+    assert.deepEqual(optionTitles(window), []);
+    assert.match(window.document.getElementById('manga-picker-results').textContent, /No manga match that search/);
+
+    type(window, '');
+    assert.deepEqual(optionTitles(window), ['Planetes', 'Vinland Saga']);
+    window.close();
+});
+
+test('arrow keys move the highlight and Enter picks it', async () => {
+    const { window, ui } = await pickerApp();
+    const picked = [];
+    ui.showMangaPicker({ title: 'Pick one', onPick: id => picked.push(id) });
+    const vinland = ui.mangaPicker.results[1].id;
+
+    press(window, 'ArrowDown');
+    assert.equal(highlightedTitle(window), 'Vinland Saga');
+    // The highlight wraps around both ends
+    press(window, 'ArrowDown');
+    assert.equal(highlightedTitle(window), 'Planetes');
+    press(window, 'ArrowUp');
+    assert.equal(highlightedTitle(window), 'Vinland Saga');
+
+    press(window, 'Enter');
+    assert.deepEqual(picked, [vinland]);
+    assert.equal(ui.mangaPicker, null);
+    assert.equal(window.document.getElementById('app-dialog').style.display, 'none');
+
+    // Enter with nothing to pick does nothing; Escape closes without picking
+    ui.showMangaPicker({ title: 'Pick one', onPick: id => picked.push(id) });
+    type(window, 'zzzz');
+    press(window, 'Enter');
+    press(window, 'Escape');
+    assert.deepEqual(picked, [vinland]);
+    assert.equal(ui.mangaPicker, null);
+    window.close();
+});
+
+test('starting the timer picks a manga, and a card ▶️ switches the session to its manga', async () => {
+    const { window, tracker, ui } = await pickerApp();
+    const planetes = tracker.getAllManga().find(manga => manga.title === 'Planetes');
+    const blue = tracker.getAllManga().find(manga => manga.title === 'Blue Period');
+
+    ui.startTimer();
+    press(window, 'Enter');
+    assert.equal(ui.activeTimer.mangaId, planetes.id);
+
+    // The card button calls startSessionFor with the card's id
+    ui.navigateTo('my-manga');
+    await settle();
+    const cardButton = [...window.document.querySelectorAll('[title="Start a reading session"]')]
+        .find(button => button.getAttribute('onclick').includes(blue.id));
+    assert.ok(cardButton);
+    ui.startSessionFor(blue.id);
+
+    assert.equal(ui.activeTimer.mangaId, blue.id);
+    const sessions = tracker.data.readingSessions;
+    assert.equal(sessions.filter(session => session.active).length, 1);
+    assert.ok(sessions.some(session => session.mangaId === planetes.id && !session.active));
+    window.close();
+});
+
+test('a card ▶️ keeps the current session when switching is declined', async () => {
+    const { window, tracker, ui } = await pickerApp({ confirm: () => false });
+    const [planetes, blue] = ['Planetes', 'Blue Period'].map(title => tracker.getAllManga().find(manga => manga.title === title));
+
+    ui.startSessionFor(planetes.id);
+    ui.startSessionFor(blue.id);
+
+    assert.equal(ui.activeTimer.mangaId, planetes.id);
+    assert.equal(tracker.data.readingSessions.length, 1);
+    window.close();
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTracker, plain } = require('./helpers/load');
+
+const titles = manga => plain(manga.map(m => m.title)).sort();
+const daysAgo = days => new Date(Date.now() - days * 86400000).toISOString();
+
+async function library() {
+    const { tracker } = await createTracker();
+    tracker.addManga({ title: 'One Piece', author: 'Eiichiro Oda', status: 'reading', currentChapter: 1100, rating: 9, tags: ['Action', 'Adventure'], lastRead: daysAgo(2) });
+    tracker.addManga({ title: 'Solo Leveling', type: 'manhwa', status: 'completed', currentChapter: 179, totalChapters: 179, rating: 7, tags: ['Action'], lastRead: daysAgo(40) });
+    tracker.addManga({ title: 'Horimiya', author: 'HERO', status: 'on-hold', currentChapter: 30, tags: ['Romance'], notes: 'Oda recommended it' });
+    return tracker;
+}
+
+test('field terms combine with =, :, comparisons and quoted values', async () => {
+    const tracker = await library();
+
+    assert.deepEqual(titles(tracker.searchManga('status:reading,hold')), ['Horimiya', 'One Piece']);
+    assert.deepEqual(titles(tracker.searchManga('type=manhwa')), ['Solo Leveling']);
+    assert.deepEqual(titles(tracker.searchManga('rating>=8')), ['One Piece']);
+    assert.deepEqual(titles(tracker.searchManga('chapters<200 tag:action')), ['Solo Leveling']);
+    assert.deepEqual(titles(tracker.searchManga('progress>=100')), ['Solo Leveling']);
+    assert.deepEqual(titles(tracker.searchManga('author:"eiichiro oda"')), ['One Piece']);
+    // ":" finds the value anywhere in a text field, "=" wants all of it
+    assert.deepEqual(titles(tracker.searchManga('author:her')), ['Horimiya']);
+    assert.deepEqual(titles(tracker.searchManga('author=her')), []);
+    assert.deepEqual(titles(tracker.searchManga('notes:"oda recommended"')), ['Horimiya']);
+});
+
+test('a leading "-" excludes a field term or a word', async () => {
+    const tracker = await library();
+
+    assert.deepEqual(titles(tracker.searchManga('-tag:romance')), ['One Piece', 'Solo Leveling']);
+    assert.deepEqual(titles(tracker.searchManga('tag:action -status:completed')), ['One Piece']);
+    assert.deepEqual(titles(tracker.searchManga('-leveling -horimiya')), ['One Piece']);
+});
+
+test('lastread takes an age, and never read counts as longest ago', async () => {
+    const tracker = await library();
+
+    assert.deepEqual(titles(tracker.searchManga('lastread>30d')), ['Horimiya', 'Solo Leveling']);
+    assert.deepEqual(titles(tracker.searchManga('lastread<30d')), ['One Piece']);
+    assert.deepEqual(titles(tracker.searchManga('read:1w')), ['One Piece']);
+    assert.deepEqual(titles(tracker.searchManga('lastread>1m -lastread>1y')), ['Solo Leveling']);
+    assert.equal(tracker.searchManga('added>=2020-01-01').length, 3);
+    assert.equal(tracker.searchManga('added<2020-01-01').length, 0);
+});
+
+test('unknown fields are errors unless the text is quoted', async () => {
+    const tracker = await library();
+    tracker.addManga({ title: 'Re:Zero' });
+
+    assert.throws(() => tracker.searchManga('colour:red'), /Unknown field "colour"/);
+    assert.deepEqual(titles(tracker.searchManga('"re:zero"')), ['Re:Zero']);
+    // Field names are case-insensitive and have aliases
+    assert.deepEqual(titles(tracker.searchManga('BY:hero')), ['Horimiya']);
+});
+
+test('bad input is reported with a message that says how to fix it', async () => {
+    const { tracker } = await createTracker();
+    const error = query => {
+        try {
+            tracker.query.parse(query);
+        } catch (e) {
+            return e.message;
+        }
+        return null;
+    };
+
+    assert.equal(error('rating>=x'), '"rating" needs a number, got "x"');
+    assert.equal(error('author:"Oda'), 'Missing closing quote after position 8');
+    assert.equal(error('foo:bar'), 'Unknown field "foo". Put text containing ":" in quotes to search for it.');
+    assert.equal(error('tag>Action'), '"tag" can\'t be compared with ">"; use : or =');
+    assert.equal(error('status:reeding'), 'Unknown status "reeding"; use reading, completed, on-hold, dropped, plan-to-read');
+    assert.equal(error('lastread>soon'), '"lastread" needs an age like 30d, 2w, 6m or 1y, or a date like 2026-01-31; got "soon"');
+    assert.equal(error('chapters:'), 'Missing value after "chapters:"');
+    assert.equal(error('status:reading "quoted words" -tag:x'), null);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTracker, plain } = require('./helpers/load');
+
+function addCompleted(tracker, title) {
+    return tracker.addManga({ title, status: 'completed', currentChapter: 3, totalChapters: 3 });
+}
+
+test('only a completed series can be re-read, one pass at a time', async () => {
+    const { tracker } = await createTracker();
+    const reading = tracker.addManga({ title: 'Gantz', status: 'reading' });
+    const completed = addCompleted(tracker, 'Hellsing');
+
+    assert.throws(() => tracker.startReread(reading.id), /has to be completed/);
+    assert.equal(tracker.startReread(completed.id).pass, 2);
+    assert.throws(() => tracker.startReread(completed.id), /already being re-read/);
+});
+
+test('a re-read keeps its own progress and log, and finishes at the last chapter', async () => {
+    const { tracker } = await createTracker();
+    const manga = addCompleted(tracker, 'Homunculus');
+    tracker.startReread(manga.id);
+
+    tracker.markChaptersRead(manga.id, [1, 2]);
+    assert.equal(tracker.getProgress(tracker.getManga(manga.id)), 2);
+    assert.equal(tracker.getManga(manga.id).currentChapter, 3);
+    assert.deepEqual(plain([...tracker.getReadChapters(manga.id, 2)]), [1, 2]);
+    assert.equal(tracker.getReadChapters(manga.id, 1).size, 3);
+
+    tracker.markChaptersRead(manga.id, [3]);
+    const [reread] = tracker.getManga(manga.id).rereads;
+    assert.ok(reread.endDate);
+    assert.equal(tracker.getActiveReread(tracker.getManga(manga.id)), null);
+    assert.equal(tracker.getCurrentPass(tracker.getManga(manga.id)), 1);
+    assert.ok(tracker.data.history.some(entry => entry.action === 'completed' && entry.details.pass === 2));
+});
+
+test('finishing a re-read early keeps its progress, and undo picks it back up', async () => {
+    const { tracker } = await createTracker();
+    const manga = addCompleted(tracker, 'Kingdom');
+    tracker.startReread(manga.id);
+    tracker.markChaptersRead(manga.id, [1]);
+
+    const finished = tracker.finishReread(manga.id);
+    assert.equal(finished.currentChapter, 1);
+    assert.ok(finished.endDate);
+
+    assert.equal(tracker.undo().label, 'Finish re-read');
+    assert.equal(tracker.getActiveReread(tracker.getManga(manga.id)).currentChapter, 1);
+});
+
+test('MAL re-read counts come in as finished passes without dates', async () => {
+    const { window, tracker } = await createTracker();
+    const { entries } = new window.MalXmlConverter().parse(`<?xml version="1.0" encoding="UTF-8" ?>
+<myanimelist>
+    <manga>
+        <manga_title><![CDATA[Yotsuba&!]]></manga_title>
+        <manga_chapters>100</manga_chapters>
+        <my_read_chapters>100</my_read_chapters>
+        <my_finish_date>2020-05-01</my_finish_date>
+        <my_status>Completed</my_status>
+        <my_times_read>2</my_times_read>
+    </manga>
+</myanimelist>`);
+    const manga = tracker.addManga(entries[0]);
+
+    assert.deepEqual(plain(manga.rereads.map(r => [r.pass, r.endDate, r.dateUnknown])), [[2, null, true], [3, null, true]]);
+    assert.equal(tracker.getActiveReread(manga), null);
+    assert.equal(tracker.getStatistics().totalRereads, 2);
+    assert.equal(tracker.getPeriodStatistics(new Date(0), new Date()).rereadsCompleted, 0);
+});
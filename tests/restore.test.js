@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTracker, plain } = require('./helpers/load');
+
+async function exportFile(tracker) {
+    return JSON.stringify(await tracker.getExportData());
+}
+
+test('an export restores into an empty library in replace mode', async () => {
+    const { tracker: source } = await createTracker();
+    const manga = source.addManga({ title: 'Pluto', currentChapter: 4, tags: ['Sci-Fi'] });
+    source.addBookmark(manga.id, 3, 'robots');
+    source.addToHistory(manga.id, 'added', { title: manga.title });
+    const file = await exportFile(source);
+
+    const { tracker } = await createTracker();
+    await tracker.replaceLibrary(tracker.parseExportFile(file));
+
+    assert.deepEqual(plain(tracker.getAllManga().map(m => [m.id, m.title, m.currentChapter])), [[manga.id, 'Pluto', 4]]);
+    assert.equal(tracker.data.bookmarks[0].note, 'robots');
+    assert.equal(tracker.data.history.length, 1);
+});
+
+test('merge mode keeps the newer copy of a manga and adds the rest', async () => {
+    const { tracker } = await createTracker();
+    const kept = tracker.addManga({ title: 'Kept' });
+    const file = JSON.parse(await exportFile(tracker));
+    file.manga[0] = { ...file.manga[0], title: 'Older copy', updatedAt: '2000-01-01T00:00:00.000Z' };
+    file.manga.push({ ...file.manga[0], id: 'other', title: 'New', updatedAt: new Date().toISOString() });
+
+    await tracker.mergeLibrary(tracker.parseExportFile(JSON.stringify(file)));
+    assert.deepEqual(plain(tracker.getAllManga().map(m => m.title).sort()), ['Kept', 'New']);
+    assert.equal(tracker.getManga(kept.id).title, 'Kept');
+});
+
+test('files that are not exports, or carry unsafe ids, are rejected', async () => {
+    const { tracker } = await createTracker();
+
+    assert.throws(() => tracker.parseExportFile('not json'), /not valid JSON/);
+    assert.throws(() => tracker.parseExportFile('{"manga": {}}'), /not a MangaMarks library export/);
+    assert.throws(() => tracker.parseExportFile('{"manga": [{"title": "No id"}]}'), /missing an id or title/);
+    assert.throws(
+        () => tracker.parseExportFile(JSON.stringify({ manga: [{ id: "x');alert(1);('", title: 'Bad' }] })),
+        /1 entry has an id with characters that aren't allowed/
+    );
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTracker, startApp, settle, plain } = require('./helpers/load');
+
+const titles = manga => plain(manga.map(m => m.title));
+
+test('title hits rank above author hits, and author hits above tag hits', async () => {
+    const { tracker } = await createTracker();
+    tracker.addManga({ title: 'Tagged', tags: ['Monster Hunt'] });
+    tracker.addManga({ title: 'Written', author: 'Monster Studio' });
+    tracker.addManga({ title: 'Monster' });
+    tracker.addManga({ title: 'Monster Musume' });
+
+    // An exact title outranks a title that only starts with the words
+    assert.deepEqual(titles(tracker.searchManga('monster')), ['Monster', 'Monster Musume', 'Written', 'Tagged']);
+});
+
+test('misspelled and half-typed words still find the series', async () => {
+    const { tracker } = await createTracker();
+    tracker.addManga({ title: 'Berserk', author: 'Kentaro Miura' });
+    tracker.addManga({ title: 'Vagabond', author: 'Takehiko Inoue' });
+
+    assert.deepEqual(titles(tracker.searchManga('bersrek')), ['Berserk']);
+    assert.deepEqual(titles(tracker.searchManga('vagabnod')), ['Vagabond']);
+    assert.deepEqual(titles(tracker.searchManga('kentaor')), ['Berserk']);
+    assert.deepEqual(titles(tracker.searchManga('vagab')), ['Vagabond']);
+    // Short words have to match exactly or as a prefix
+    assert.deepEqual(titles(tracker.searchManga('bre')), []);
+});
+
+test('accents, case and punctuation are ignored', async () => {
+    const { tracker } = await createTracker();
+    tracker.addManga({ title: 'Kimetsu-no-Yaiba' });
+    tracker.addManga({ title: 'Pokémon Adventures' });
+
+    assert.deepEqual(titles(tracker.searchManga('kimetsu no yaiba')), ['Kimetsu-no-Yaiba']);
+    assert.deepEqual(titles(tracker.searchManga('KIMETSUNOYAIBA')), ['Kimetsu-no-Yaiba']);
+    assert.deepEqual(titles(tracker.searchManga('pokemon')), ['Pokémon Adventures']);
+});
+
+test('text that normalizes to nothing does not filter the list', async () => {
+    const { tracker } = await createTracker();
+    tracker.addManga({ title: 'Akira', status: 'completed' });
+    tracker.addManga({ title: 'Pluto', status: 'reading' });
+
+    assert.equal(tracker.searchManga('!!!').length, 2);
+    // A lone "-" excludes nothing
+    assert.equal(tracker.searchManga('-').length, 2);
+    assert.deepEqual(titles(tracker.searchManga('- status:reading')), ['Pluto']);
+});
+
+test('the index follows edits, deletes and restores', async () => {
+    const { tracker } = await createTracker();
+    const manga = tracker.addManga({ title: 'Blame', author: 'Nihei' });
+
+    tracker.updateManga(manga.id, { title: 'Knights of Sidonia', tags: ['Mecha'] });
+    assert.deepEqual(titles(tracker.searchManga('blame')), []);
+    assert.deepEqual(titles(tracker.searchManga('sidonia')), ['Knights of Sidonia']);
+    assert.deepEqual(titles(tracker.searchManga('mecha')), ['Knights of Sidonia']);
+    assert.deepEqual(titles(tracker.searchManga('nihei')), ['Knights of Sidonia']);
+
+    tracker.deleteManga(manga.id);
+    assert.deepEqual(titles(tracker.searchManga('sidonia')), []);
+    // Nothing is left behind in the vocabulary lookups either
+    assert.equal(tracker.searchIndex.prefixes.size, 0);
+    assert.equal(tracker.searchIndex.trigrams.size, 0);
+
+    tracker.restoreFromTrash(manga.id);
+    assert.deepEqual(titles(tracker.searchManga('sidonia')), ['Knights of Sidonia']);
+});
+
+test('typing in the search box searches once after a pause', async () => {
+    const { window, tracker, ui } = await startApp();
+    tracker.addManga({ title: 'Akira' });
+    tracker.addManga({ title: 'Pluto' });
+    ui.navigateTo('my-manga');
+    await settle();
+    let searches = 0;
+    const filterManga = ui.filterManga.bind(ui);
+    ui.filterManga = () => { searches++; filterManga(); };
+
+    // What the box's onkeyup handler does on each key
+    const input = window.document.getElementById('manga-search');
+    for (const text of ['p', 'pl', 'plu']) {
+        input.value = text;
+        ui.scheduleSearch(input, 'filterManga');
+    }
+    assert.equal(searches, 0);
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    assert.equal(searches, 1);
+    assert.deepEqual([...window.document.querySelectorAll('.manga-card-title')].map(el => el.textContent), ['Pluto']);
+    window.close();
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { createTracker, startApp, settle } = require('./helpers/load');
+
+const minutes = n => n * 60 * 1000;
+const ago = ms => new Date(Date.now() - ms).toISOString();
+
+test('paused time does not count towards a session', async () => {
+    const { tracker } = await createTracker();
+    const session = tracker.startReadingSession(null);
+    session.runningSince = ago(minutes(30));
+
+    tracker.pauseReadingSession(session.id, new Date(Date.now() - minutes(10)));
+    assert.equal(session.activeMs, minutes(20));
+    assert.equal(tracker.getSessionActiveTime(session), minutes(20));
+
+    tracker.resumeReadingSession(session.id);
+    session.runningSince = ago(minutes(5));
+    tracker.endReadingSession(session.id);
+    assert.ok(Math.abs(session.activeMs - minutes(25)) < 1000);
+    assert.equal(session.active, false);
+});
+
+test('a pause can not reach back past the point the session resumed', async () => {
+    const { tracker } = await createTracker();
+    const session = tracker.startReadingSession(null);
+    const resumedAt = ago(minutes(5));
+    session.runningSince = resumedAt;
+
+    tracker.pauseReadingSession(session.id, new Date(Date.now() - minutes(60)));
+    assert.equal(session.activeMs, 0);
+    assert.equal(session.pausedAt, resumedAt);
+});
+
+test('discarding idle time keeps the session running', async () => {
+    const { tracker } = await createTracker();
+    const session = tracker.startReadingSession(null);
+    const now = Date.now();
+    session.runningSince = new Date(now - minutes(50)).toISOString();
+
+    tracker.discardIdleTime(session.id, new Date(now - minutes(40)));
+    assert.equal(session.activeMs, minutes(10));
+    assert.ok(session.runningSince);
+    assert.equal(session.pausedAt, null);
+});
+
+test('ending a session moves progress on, and undo takes it back', async () => {
+    const { tracker } = await createTracker();
+    const manga = tracker.addManga({ title: 'Akira', currentChapter: 10.5 });
+    const session = tracker.startReadingSession(manga.id);
+
+    tracker.endReadingSession(session.id, 3);
+    assert.equal(tracker.getManga(manga.id).currentChapter, 13);
+    assert.equal(tracker.getChapterLog(manga.id).length, 3);
+
+    assert.equal(tracker.undo().label, 'End reading session');
+    assert.equal(tracker.getManga(manga.id).currentChapter, 10.5);
+    assert.equal(tracker.getChapterLog(manga.id).length, 0);
+    assert.equal(tracker.getActiveSession().id, session.id);
+});
+
+test('time away with the app closed is offered for discarding on the next start', async () => {
+    const indexedDB = new IDBFactory();
+    const { tracker } = await createTracker({ indexedDB });
+    const session = tracker.startReadingSession(null);
+    session.runningSince = ago(minutes(180));
+    session.lastActiveAt = ago(minutes(120));
+    tracker.saveRecord('readingSessions', session);
+    await settle();
+
+    const { window, ui } = await startApp({ indexedDB });
+    assert.ok(ui.idleSince);
+    ui.resolveIdle('discard');
+    assert.ok(Math.abs(ui.activeTimer.activeMs - minutes(60)) < 1000);
+    assert.ok(ui.activeTimer.runningSince);
+    // The restored session keeps a ticking timer display that would hold the test open
+    window.close();
+});
+
+test('activity only ends an idle stretch while the window has focus', async () => {
+    const { window, tracker, ui } = await startApp();
+    ui.activeTimer = tracker.startReadingSession(null);
+    ui.lastActivity = Date.now() - minutes(45);
+
+    window.document.hasFocus = () => false;
+    window.document.dispatchEvent(new window.Event('mousemove'));
+    assert.equal(ui.idleSince, null);
+
+    window.document.hasFocus = () => true;
+    window.document.dispatchEvent(new window.Event('mousemove'));
+    assert.ok(ui.idleSince);
+    window.close();
+});
+
+test('the idle prompt waits for an open dialog to close', async () => {
+    const { window, tracker, ui } = await startApp();
+    ui.activeTimer = tracker.startReadingSession(null);
+    ui.activeTimer.runningSince = ago(minutes(60));
+    ui.showDialog('<p id="editing">Half-filled form</p>');
+    const idleFrom = Date.now() - minutes(45);
+    ui.lastActivity = idleFrom;
+
+    window.document.hasFocus = () => true;
+    window.document.dispatchEvent(new window.Event('mousemove'));
+    assert.equal(ui.idleSince, null);
+    assert.ok(window.document.getElementById('editing'));
+
+    ui.closeDialog();
+    // The idle stretch still starts where the reader left, not at the close
+    assert.equal(ui.idleSince.getTime(), idleFrom);
+    assert.match(window.document.getElementById('app-dialog-content').textContent, /Welcome back/);
+
+    ui.resolveIdle('keep');
+    assert.equal(window.document.getElementById('app-dialog').style.display, 'none');
+    window.close();
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { startApp, settle } = require('./helpers/load');
+
+const notifications = window => [...window.document.querySelectorAll('.notification')].map(el => el.textContent);
+
+test('changed settings show up in the next view without a reload and are saved', async () => {
+    const indexedDB = new IDBFactory();
+    const { window, tracker, ui } = await startApp({ indexedDB });
+    tracker.addManga({ title: 'Monster', rating: 9 });
+    ui.navigateTo('settings');
+    await settle();
+
+    ui.updateSetting('ratingScale', 5);
+    ui.updateSetting('dateFormat', 'iso');
+    ui.updateSetting('defaultStatus', 'plan-to-read');
+    ui.navigateTo('library');
+    await settle();
+    assert.match(window.document.getElementById('main-content').textContent, /★ 4\.5\/5/);
+    assert.equal(ui.formatDate('2024-03-05T12:00:00'), '2024-03-05');
+
+    assert.equal(tracker.addManga({ title: 'Pluto' }).status, 'plan-to-read');
+    ui.showAddMangaModal();
+    assert.equal(window.document.getElementById('manga-status').value, 'plan-to-read');
+    await settle();
+    window.close();
+
+    const reopened = await startApp({ indexedDB });
+    assert.equal(reopened.tracker.data.settings.ratingScale, 5);
+    assert.equal(reopened.tracker.data.settings.dateFormat, 'iso');
+    reopened.window.close();
+});
+
+test('turning notifications off hides confirmations but not errors', async () => {
+    const { window, ui } = await startApp();
+
+    ui.updateSetting('notifications', false);
+    ui.showNotification('Saved', 'success');
+    ui.showNotification('Could not save', 'error');
+
+    assert.deepEqual(notifications(window), ['Could not save']);
+    await settle();
+    window.close();
+});
+
+test('resetting settings restores the defaults but keeps the CSV columns', async () => {
+    const { window, tracker, ui } = await startApp();
+    ui.updateSetting('dateFormat', 'dmy');
+    ui.updateSetting('ratingScale', 100);
+    ui.updateSetting('weekStart', 1);
+    tracker.updateSettings({ csvColumns: ['title', 'rating'] });
+
+    ui.resetSettings();
+
+    const { settings } = tracker.data;
+    assert.equal(settings.dateFormat, 'relative');
+    assert.equal(settings.ratingScale, 10);
+    assert.equal(settings.weekStart, 0);
+    assert.deepEqual([...settings.csvColumns], ['title', 'rating']);
+    await settle();
+    window.close();
+});
+
+test('declining the reset leaves settings alone', async () => {
+    const { window, tracker, ui } = await startApp({ confirm: () => false });
+    ui.updateSetting('ratingScale', 5);
+
+    ui.resetSettings();
+
+    assert.equal(tracker.data.settings.ratingScale, 5);
+    await settle();
+    window.close();
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { createTracker, settle, plain } = require('./helpers/load');
+
+const titles = manga => plain(manga.map(m => m.title)).sort();
+
+test('a smart list always shows what currently matches it', async () => {
+    const indexedDB = new IDBFactory();
+    const { tracker } = await createTracker({ indexedDB });
+    tracker.addManga({ title: 'Short', status: 'reading', currentChapter: 5, tags: ['Action'] });
+    tracker.addManga({ title: 'Long', status: 'reading', currentChapter: 90, tags: ['Action'] });
+    const done = tracker.addManga({ title: 'Done', status: 'completed', currentChapter: 10, tags: ['Action'] });
+
+    const list = tracker.createSmartList('  Early on  ', { query: 'chapters<50', status: 'reading', tags: ['Action'] });
+    assert.equal(list.name, 'Early on');
+    assert.deepEqual(titles(tracker.getSmartListManga(list.id)), ['Short']);
+
+    tracker.updateManga(done.id, { status: 'reading' });
+    assert.deepEqual(titles(tracker.getSmartListManga(list.id)), ['Done', 'Short']);
+    await settle();
+
+    const { tracker: reloaded } = await createTracker({ indexedDB });
+    assert.deepEqual(titles(reloaded.getSmartListManga(list.id)), ['Done', 'Short']);
+});
+
+test('smart lists need a unique name and a valid query', async () => {
+    const { tracker } = await createTracker();
+    const list = tracker.createSmartList('Unread', { query: 'status:plan' });
+
+    assert.throws(() => tracker.createSmartList(' ', {}), /cannot be empty/);
+    assert.throws(() => tracker.createSmartList('unread', {}), /already exists/);
+    assert.throws(() => tracker.createSmartList('Broken', { query: 'colour:red' }), /Unknown field/);
+    assert.throws(() => tracker.updateSmartList(list.id, { query: 'rating>=high' }), /needs a number/);
+    assert.equal(tracker.getSmartList(list.id).query, 'status:plan');
+
+    // Saving a list under its own name is fine
+    tracker.updateSmartList(list.id, { name: 'UNREAD' });
+    assert.equal(tracker.getSmartList(list.id).name, 'UNREAD');
+
+    tracker.deleteSmartList(list.id);
+    assert.equal(tracker.getSmartLists().length, 0);
+});
+
+test('smart lists follow tag renames and deletes, and undo with them', async () => {
+    const { tracker } = await createTracker();
+    const list = tracker.createSmartList('Fights', { tags: ['Action', 'Drama'] });
+
+    tracker.renameTag('Action', 'Battle');
+    assert.deepEqual(plain(tracker.getSmartList(list.id).tags), ['Battle', 'Drama']);
+
+    tracker.deleteTag('Drama');
+    assert.deepEqual(plain(tracker.getSmartList(list.id).tags), ['Battle']);
+
+    tracker.undo();
+    tracker.undo();
+    assert.deepEqual(plain(tracker.getSmartList(list.id).tags), ['Action', 'Drama']);
+});
+
+test('imported smart lists are checked, and merged ones never share a name', async () => {
+    const { tracker: source } = await createTracker();
+    source.createSmartList('Fights', { tags: ['Action'] });
+    const file = await source.getExportData();
+    file.smartLists.push(
+        { id: 'no-tags', name: 'Unread', query: 'status:plan' },
+        { id: 'string-tags', name: 'Odd', tags: 'Action' },
+        { id: 'bad-query', name: 'Broken', query: 'colour:red' },
+        { id: 'same-name', name: 'fights' },
+        null
+    );
+
+    const { tracker } = await createTracker();
+    const parsed = tracker.parseExportFile(JSON.stringify(file));
+    assert.deepEqual(plain(parsed.smartLists.map(list => list.name)), ['Fights', 'Unread']);
+    assert.deepEqual(plain(parsed.smartLists[1].tags), []);
+    assert.deepEqual(plain(parsed.skipped.map(item => item.title)), [
+        'Smart list "Odd"', 'Smart list "Broken"', 'Smart list "fights"', 'Smart list (no name)'
+    ]);
+    assert.match(parsed.skipped[2].reason, /already exists/);
+
+    // Merging next to a list of the same name keeps both, told apart by a number
+    tracker.createSmartList('Fights', { query: 'rating>=8' });
+    await tracker.mergeLibrary(parsed);
+    assert.deepEqual(plain(tracker.getSmartLists().map(list => list.name)), ['Fights', 'Fights (2)', 'Unread']);
+
+    // Tag renames now reach every imported list
+    tracker.renameTag('Action', 'Battle');
+    assert.deepEqual(plain(tracker.getSmartLists()[1].tags), ['Battle']);
+});
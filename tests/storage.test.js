@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { createTracker, settle, plain } = require('./helpers/load');
+
+test('the library survives a reload from IndexedDB', async () => {
+    const indexedDB = new IDBFactory();
+    const { tracker } = await createTracker({ indexedDB });
+    const manga = tracker.addManga({ title: 'Berserk', currentChapter: 12, tags: ['Dark Fantasy'] });
+    tracker.addToHistory(manga.id, 'added', { title: manga.title });
+    await settle();
+
+    const { tracker: reloaded } = await createTracker({ indexedDB });
+    assert.equal(reloaded.usingFallbackStorage, false);
+    assert.deepEqual(plain(reloaded.getAllManga().map(m => [m.title, m.currentChapter])), [['Berserk', 12]]);
+    assert.equal(reloaded.data.history.length, 1);
+    assert.ok(reloaded.data.tags.includes('Dark Fantasy'));
+});
+
+test('a localStorage library from before IndexedDB is moved over', async () => {
+    const legacy = { manga: [{ id: 'a', title: 'Vagabond', status: 'reading', currentChapter: 5, tags: [] }], settings: {} };
+    const { window, tracker } = await createTracker({ localStorage: { mangaTrackerData: JSON.stringify(legacy) } });
+
+    assert.deepEqual(plain(tracker.getAllManga().map(m => m.title)), ['Vagabond']);
+    assert.equal(window.localStorage.getItem('mangaTrackerData'), null);
+});
+
+test('without IndexedDB the tracker falls back to localStorage and keeps its data', async () => {
+    const { window, tracker } = await createTracker({ indexedDB: null });
+    assert.equal(tracker.usingFallbackStorage, true);
+
+    tracker.addManga({ title: 'Monster', currentChapter: 3 });
+    await settle();
+    const stored = window.localStorage.getItem('mangaTrackerData');
+    assert.ok(stored);
+
+    const { tracker: reloaded } = await createTracker({ indexedDB: null, localStorage: { mangaTrackerData: stored } });
+    assert.deepEqual(plain(reloaded.getAllManga().map(m => m.title)), ['Monster']);
+});
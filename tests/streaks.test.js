@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTracker, startApp, settle, plain } = require('./helpers/load');
+
+// Friday 14 June 2024; the Sunday before is the 9th
+const today = new Date(2024, 5, 14, 18);
+
+// Log count new chapters read at noon on a day of June 2024
+let lastChapter = 0;
+function readOn(tracker, manga, day, count = 1) {
+    const chapters = Array.from({ length: count }, () => ++lastChapter);
+    tracker.logChapters(manga.id, chapters, { readAt: new Date(2024, 5, day, 12).toISOString() });
+}
+
+async function setup() {
+    const context = await createTracker();
+    return { ...context, manga: context.tracker.addManga({ title: 'Yokohama Kaidashi Kikou', currentChapter: 0 }) };
+}
+
+test('a streak runs up to yesterday until today has been read', async () => {
+    const { tracker, manga } = await setup();
+    [1, 2, 10, 11, 12, 13].forEach(day => readOn(tracker, manga, day));
+
+    assert.deepEqual(plain(tracker.getStreaks(today)), { current: 4, longest: 4, readToday: false, freezesLeft: 0 });
+
+    readOn(tracker, manga, 14);
+    assert.equal(tracker.getStreaks(today).current, 5);
+    assert.equal(tracker.getStreaks(today).readToday, true);
+});
+
+test('days short of the chapter minimum break a streak', async () => {
+    const { tracker, manga } = await setup();
+    readOn(tracker, manga, 11, 2);
+    readOn(tracker, manga, 12, 1);
+    readOn(tracker, manga, 13, 3);
+    tracker.updateSettings({ streakMinChapters: 2 });
+
+    const streaks = tracker.getStreaks(today);
+    assert.equal(streaks.current, 1);
+    assert.equal(streaks.longest, 1);
+});
+
+test('a streak day needs at least one chapter', async () => {
+    const { window, tracker, ui } = await startApp();
+    ui.navigateTo('settings');
+    await settle();
+    ui.updateSetting('streakMinChapters', 3);
+
+    // What the number input sends for 0, a negative number and an empty box
+    for (const value of [0, -2, NaN]) {
+        ui.updateSetting('streakMinChapters', value);
+    }
+
+    assert.equal(tracker.data.settings.streakMinChapters, 3);
+    assert.equal([...window.document.querySelectorAll('.notification')].map(el => el.textContent).filter(text => text === 'A streak day needs at least 1 chapter').length, 3);
+    await settle();
+    window.close();
+});
+
+test('freeze days bridge missed days within a week without adding to the streak', async () => {
+    const { tracker, manga } = await setup();
+    [10, 12, 13].forEach(day => readOn(tracker, manga, day));
+    assert.equal(tracker.getStreaks(today).current, 2);
+
+    tracker.updateSettings({ streakFreezeDays: 1 });
+    assert.deepEqual(plain(tracker.getStreaks(today)), { current: 3, longest: 3, readToday: false, freezesLeft: 0 });
+});
+
+test('the heatmap covers a year of weeks starting on the configured day', async () => {
+    const { tracker, ui } = await startApp();
+    const manga = tracker.addManga({ title: 'Aria', currentChapter: 0 });
+    readOn(tracker, manga, 12, 3);
+    readOn(tracker, manga, 13, 1);
+
+    const sunday = ui.getHeatmapData(today);
+    assert.equal(sunday.weeks.length, 53);
+    assert.equal(sunday.weeks[0][0].date.getDay(), 0);
+    assert.equal(sunday.weeks[52].length, 6);
+    assert.equal(sunday.weeks[52][3].count, 3);
+    assert.equal(sunday.max, 3);
+    assert.equal(sunday.total, 4);
+
+    tracker.updateSettings({ weekStart: 1 });
+    const monday = ui.getHeatmapData(today);
+    assert.equal(monday.weeks[0][0].date.getDay(), 1);
+    assert.equal(monday.weeks[52].length, 5);
+});
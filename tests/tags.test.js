@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { createTracker, settle, plain } = require('./helpers/load');
+
+// Fantasy > Isekai, plus an unrelated Comedy tag
+async function taggedLibrary(options) {
+    const { tracker } = await createTracker(options);
+    const a = tracker.addManga({ title: 'A', tags: ['Isekai', 'Comedy'] });
+    const b = tracker.addManga({ title: 'B', tags: ['Fantasy'] });
+    tracker.setTagParent('Isekai', 'Fantasy');
+    tracker.setTagColor('Isekai', '#ff0000');
+    return { tracker, a, b };
+}
+
+test('renaming a tag updates manga, colors and sub-tags, and undoes in one step', async () => {
+    const indexedDB = new IDBFactory();
+    const { tracker, a, b } = await taggedLibrary({ indexedDB });
+
+    assert.equal(tracker.renameTag('Fantasy', 'High Fantasy'), 1);
+    assert.deepEqual(plain(tracker.getManga(b.id).tags), ['High Fantasy']);
+    assert.equal(tracker.getTagParent('Isekai'), 'High Fantasy');
+    assert.equal(tracker.data.tags.includes('Fantasy'), false);
+    await settle();
+
+    const { tracker: reloaded } = await createTracker({ indexedDB });
+    assert.equal(reloaded.getTagParent('Isekai'), 'High Fantasy');
+
+    assert.equal(tracker.undo().label, 'Rename tag');
+    assert.deepEqual(plain(tracker.getManga(b.id).tags), ['Fantasy']);
+    assert.equal(tracker.getTagParent('Isekai'), 'Fantasy');
+    assert.deepEqual(plain(tracker.getManga(a.id).tags), ['Isekai', 'Comedy']);
+    assert.equal(tracker.data.tags.includes('High Fantasy'), false);
+});
+
+test('renaming onto an existing tag merges the two without duplicates', async () => {
+    const { tracker, a } = await taggedLibrary();
+    tracker.updateManga(a.id, { tags: ['Isekai', 'Comedy', 'Fantasy'] });
+
+    tracker.renameTag('Isekai', 'Fantasy');
+    assert.deepEqual(plain(tracker.getManga(a.id).tags), ['Fantasy', 'Comedy']);
+    // Fantasy can't end up nested under itself, but it does keep Isekai's color
+    assert.equal(tracker.getTagParent('Fantasy'), null);
+    assert.equal(tracker.getTagColor('Fantasy'), '#ff0000');
+});
+
+test('merging several tags is a single undo step', async () => {
+    const { tracker, a, b } = await taggedLibrary();
+
+    assert.equal(tracker.mergeTags(['Isekai', 'Comedy'], 'Fantasy'), 2);
+    assert.deepEqual(plain(tracker.getManga(a.id).tags), ['Fantasy']);
+
+    assert.equal(tracker.undo().label, 'Merge tags');
+    assert.deepEqual(plain(tracker.getManga(a.id).tags), ['Isekai', 'Comedy']);
+    assert.deepEqual(plain(tracker.getManga(b.id).tags), ['Fantasy']);
+    assert.equal(tracker.getTagColor('Isekai'), '#ff0000');
+});
+
+test('deleting a tag moves its sub-tags up and undoes', async () => {
+    const { tracker, a } = await taggedLibrary();
+    tracker.setTagParent('Fantasy', 'Genre');
+
+    assert.equal(tracker.deleteTag('Fantasy'), 1);
+    assert.equal(tracker.getTagParent('Isekai'), 'Genre');
+    assert.equal(tracker.getKnownTags().includes('Fantasy'), false);
+
+    tracker.undo();
+    assert.equal(tracker.getTagParent('Isekai'), 'Fantasy');
+    assert.ok(tracker.getKnownTags().includes('Fantasy'));
+    assert.deepEqual(plain(tracker.getManga(a.id).tags), ['Isekai', 'Comedy']);
+});
+
+test('a tag cannot be nested under its own sub-tag', async () => {
+    const { tracker } = await taggedLibrary();
+    assert.throws(() => tracker.setTagParent('Fantasy', 'Isekai'), /nested under/);
+});
+
+test('the tag tree lists tags depth first with usage counts', async () => {
+    const { tracker } = await taggedLibrary();
+    // Leave out the unused tags a new library starts with
+    assert.deepEqual(plain(tracker.getTagTree().filter(node => node.count > 0)), [
+        { name: 'Comedy', depth: 0, count: 1 },
+        { name: 'Fantasy', depth: 0, count: 1 },
+        { name: 'Isekai', depth: 1, count: 1 }
+    ]);
+});
+
+test('only #rrggbb tag colors are kept, whether set or imported', async () => {
+    const { tracker } = await taggedLibrary();
+    tracker.setTagColor('Comedy', '"><img src=x onerror=alert(1)>');
+    assert.equal(tracker.getTagColor('Comedy'), null);
+    assert.equal(tracker.data.tagInfo.Comedy, undefined);
+
+    const file = await tracker.getExportData();
+    file.tagInfo = {
+        Comedy: { color: 'red; background-image: url(x)' },
+        Fantasy: { color: '#00FF00', parent: 'Genre' },
+        Isekai: { color: '#ff0000"', parent: 'Fantasy' },
+        Broken: 'not an object'
+    };
+    const parsed = tracker.parseExportFile(JSON.stringify(file));
+    assert.deepEqual(plain(parsed.tagInfo), {
+        Fantasy: { color: '#00FF00', parent: 'Genre' },
+        Isekai: { parent: 'Fantasy' }
+    });
+
+    const { tracker: merged } = await createTracker();
+    await merged.mergeLibrary(tracker.parseExportFile(JSON.stringify(file)));
+    assert.equal(merged.getTagColor('Isekai'), null);
+    assert.equal(merged.getTagColor('Fantasy'), '#00FF00');
+
+    await tracker.replaceLibrary(tracker.parseExportFile(JSON.stringify(file)));
+    assert.equal(tracker.getTagColor('Comedy'), null);
+    assert.equal(tracker.getTagColor('Isekai'), null);
+    assert.equal(tracker.getTagParent('Isekai'), 'Fantasy');
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadApp, startApp, settle } = require('./helpers/load');
+
+// The inline script at the top of index.html that themes the page before script.js loads
+const noFlashScript = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8')
+    .match(/<script>([\s\S]*?)<\/script>/)[1];
+
+// A prefers-color-scheme query whose answer the test can flip
+function systemScheme(dark) {
+    const listeners = [];
+    const query = {
+        matches: dark,
+        addEventListener: (type, listener) => listeners.push(listener),
+        addListener: listener => listeners.push(listener),
+        set(value) {
+            query.matches = value;
+            listeners.forEach(listener => listener({ matches: value }));
+        }
+    };
+    return query;
+}
+
+const isDark = window => window.document.documentElement.classList.contains('dark');
+
+test('theme and accent apply straight away and are copied for the next page load', async () => {
+    const { window, ui } = await startApp();
+    assert.equal(isDark(window), false);
+    assert.equal(window.document.documentElement.dataset.accent, 'blue');
+
+    ui.updateSetting('theme', 'dark');
+    ui.updateSetting('accent', 'rose');
+
+    assert.equal(isDark(window), true);
+    assert.equal(window.document.documentElement.dataset.accent, 'rose');
+    assert.deepEqual(JSON.parse(window.localStorage.getItem('mangaTrackerTheme')), { theme: 'dark', accent: 'rose' });
+    await settle();
+    window.close();
+});
+
+test('resetting settings goes back to the light theme', async () => {
+    const { window, ui } = await startApp();
+    ui.updateSetting('theme', 'dark');
+    ui.updateSetting('accent', 'purple');
+
+    ui.resetSettings();
+
+    assert.equal(isDark(window), false);
+    assert.equal(window.document.documentElement.dataset.accent, 'blue');
+    assert.deepEqual(JSON.parse(window.localStorage.getItem('mangaTrackerTheme')), { theme: 'light', accent: 'blue' });
+    await settle();
+    window.close();
+});
+
+test('index.html themes the page from the saved copy before the app starts', async () => {
+    const dark = await loadApp({ localStorage: { mangaTrackerTheme: JSON.stringify({ theme: 'dark', accent: 'green' }) } });
+    dark.eval(noFlashScript);
+    assert.equal(isDark(dark), true);
+    assert.equal(dark.document.documentElement.dataset.accent, 'green');
+
+    const system = await loadApp({
+        localStorage: { mangaTrackerTheme: JSON.stringify({ theme: 'system', accent: 'amber' }) },
+        matchMedia: () => systemScheme(true)
+    });
+    system.eval(noFlashScript);
+    assert.equal(isDark(system), true);
+
+    // Nothing saved yet, or a copy that doesn't parse, leaves the light theme
+    const unreadable = await loadApp({ localStorage: { mangaTrackerTheme: '{not json' } });
+    unreadable.eval(noFlashScript);
+    assert.equal(isDark(unreadable), false);
+    assert.equal(unreadable.document.documentElement.dataset.accent, undefined);
+
+    [dark, system, unreadable].forEach(window => window.close());
+});
+
+test('the system theme follows the OS setting while the app is open', async () => {
+    const scheme = systemScheme(false);
+    const { window, ui } = await startApp({ matchMedia: () => scheme });
+
+    ui.updateSetting('theme', 'system');
+    assert.equal(isDark(window), false);
+    scheme.set(true);
+    assert.equal(isDark(window), true);
+    scheme.set(false);
+    assert.equal(isDark(window), false);
+
+    // An explicit theme ignores the OS
+    ui.updateSetting('theme', 'light');
+    scheme.set(true);
+    assert.equal(isDark(window), false);
+    await settle();
+    window.close();
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { createTracker, settle, plain } = require('./helpers/load');
+
+// A manga with one of each record that follows it into the trash
+function addWithRecords(tracker, title) {
+    const manga = tracker.addManga({ title });
+    tracker.addBookmark(manga.id, 4, 'Good bit');
+    tracker.addToHistory(manga.id, 'added', { title });
+    const session = tracker.startReadingSession(manga.id);
+    tracker.endReadingSession(session.id, 1);
+    return manga;
+}
+
+test('deleting moves a manga and its records to the trash, and restoring brings them all back', async () => {
+    const indexedDB = new IDBFactory();
+    const { tracker } = await createTracker({ indexedDB });
+    const manga = addWithRecords(tracker, 'Dorohedoro');
+
+    tracker.deleteManga(manga.id);
+    const [entry] = tracker.getTrash();
+    assert.equal(entry.manga.id, manga.id);
+    assert.equal(entry.bookmarks.length, 1);
+    assert.equal(entry.readingSessions.length, 1);
+    assert.ok(entry.history.length >= 1);
+    assert.equal(tracker.getManga(manga.id), undefined);
+    assert.equal(tracker.data.bookmarks.length, 0);
+    assert.equal(tracker.data.readingSessions.length, 0);
+    await settle();
+
+    const { tracker: reloaded } = await createTracker({ indexedDB });
+    assert.equal(reloaded.getTrash().length, 1);
+    reloaded.restoreFromTrash(manga.id);
+    assert.equal(reloaded.getManga(manga.id).title, 'Dorohedoro');
+    assert.equal(reloaded.data.bookmarks.length, 1);
+    assert.equal(reloaded.data.readingSessions.length, 1);
+    assert.equal(reloaded.getTrash().length, 0);
+});
+
+test('undoing a restore sends the manga back to the trash', async () => {
+    const { tracker } = await createTracker();
+    const manga = addWithRecords(tracker, 'Blame!');
+    tracker.deleteManga(manga.id);
+    tracker.restoreFromTrash(manga.id);
+
+    assert.equal(tracker.undo().label, 'Restore from trash');
+    assert.equal(tracker.getManga(manga.id), undefined);
+    assert.equal(tracker.data.bookmarks.length, 0);
+    assert.equal(tracker.getTrash()[0].id, manga.id);
+});
+
+test('emptying the trash is permanent and not on the undo stack', async () => {
+    const { tracker } = await createTracker();
+    tracker.deleteManga(tracker.addManga({ title: 'One' }).id);
+    tracker.deleteManga(tracker.addManga({ title: 'Two' }).id);
+
+    const commands = tracker.commands.undoStack.length;
+    assert.equal(tracker.emptyTrash(), 2);
+    assert.equal(tracker.getTrash().length, 0);
+    assert.equal(tracker.commands.undoStack.length, commands);
+});
+
+test('entries past the retention period are purged on startup', async () => {
+    const indexedDB = new IDBFactory();
+    const { tracker } = await createTracker({ indexedDB });
+    const old = addWithRecords(tracker, 'Old');
+    const recent = addWithRecords(tracker, 'Recent');
+    tracker.deleteManga(old.id);
+    tracker.deleteManga(recent.id);
+
+    const expired = tracker.data.trash.find(entry => entry.id === old.id);
+    expired.deletedAt = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+    tracker.saveRecord('trash', expired);
+    await settle();
+
+    const { tracker: reloaded } = await createTracker({ indexedDB });
+    assert.deepEqual(plain(reloaded.getTrash().map(entry => entry.id)), [recent.id]);
+    // The purged manga's activity stays in the log
+    assert.ok(reloaded.data.history.some(record => record.mangaId === old.id));
+});
+
+test('a retention period of 0 keeps trashed manga forever', async () => {
+    const indexedDB = new IDBFactory();
+    const { tracker } = await createTracker({ indexedDB });
+    tracker.updateSettings({ trashRetentionDays: 0 });
+    const manga = tracker.addManga({ title: 'Kept' });
+    tracker.deleteManga(manga.id);
+
+    const entry = tracker.data.trash[0];
+    entry.deletedAt = '2000-01-01T00:00:00.000Z';
+    tracker.saveRecord('trash', entry);
+    assert.equal(tracker.getTrashExpiry(entry), null);
+    await settle();
+
+    const { tracker: reloaded } = await createTracker({ indexedDB });
+    assert.equal(reloaded.getTrash().length, 1);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { createTracker, settle, plain } = require('./helpers/load');
+
+test('adding a manga undoes and redoes, in memory, search and storage', async () => {
+    const indexedDB = new IDBFactory();
+    const { tracker } = await createTracker({ indexedDB });
+    const manga = tracker.addManga({ title: 'Berserk' });
+
+    assert.equal(tracker.undo().label, 'Add manga');
+    assert.equal(tracker.getManga(manga.id), undefined);
+    assert.equal(tracker.searchManga('berserk').length, 0);
+    assert.equal(tracker.canRedo(), true);
+
+    tracker.redo();
+    assert.deepEqual(plain(tracker.getManga(manga.id)), plain(manga));
+    assert.equal(tracker.searchManga('berserk')[0].id, manga.id);
+    await settle();
+
+    const { tracker: reloaded } = await createTracker({ indexedDB });
+    assert.equal(reloaded.getManga(manga.id).title, 'Berserk');
+});
+
+test('an edit undoes back to the previous record and redoes forward', async () => {
+    const { tracker } = await createTracker();
+    const manga = tracker.addManga({ title: 'Vagabond', currentChapter: 3 });
+    tracker.updateManga(manga.id, { currentChapter: 10, notes: 'Great' });
+
+    tracker.undo();
+    assert.deepEqual(plain(tracker.getManga(manga.id)), plain(manga));
+
+    tracker.redo();
+    assert.equal(tracker.getManga(manga.id).currentChapter, 10);
+    assert.equal(tracker.getManga(manga.id).notes, 'Great');
+});
+
+test('undoing a delete puts the manga back in place with its history', async () => {
+    const indexedDB = new IDBFactory();
+    const { tracker } = await createTracker({ indexedDB });
+    const first = tracker.addManga({ title: 'First' });
+    const second = tracker.addManga({ title: 'Second' });
+    tracker.addManga({ title: 'Third' });
+    tracker.addToHistory(second.id, 'added', { title: second.title });
+
+    tracker.deleteManga(second.id);
+    assert.equal(tracker.data.trash.length, 1);
+    assert.equal(tracker.data.history.length, 0);
+
+    tracker.undo();
+    assert.deepEqual(tracker.data.manga.map(m => m.title), ['First', 'Second', 'Third']);
+    assert.equal(tracker.data.trash.length, 0);
+    assert.equal(tracker.data.history[0].mangaId, second.id);
+    await settle();
+
+    const { tracker: reloaded } = await createTracker({ indexedDB });
+    assert.equal(reloaded.data.trash.length, 0);
+    assert.ok(reloaded.getManga(first.id) && reloaded.getManga(second.id));
+    assert.equal(reloaded.data.history.length, 1);
+});
+
+test('nested changes run as one command and undo together', async () => {
+    const { tracker } = await createTracker();
+    const manga = tracker.runCommand('Add manga', () => {
+        const added = tracker.addManga({ title: 'Monster' });
+        tracker.addToHistory(added.id, 'added', { title: added.title });
+        return added;
+    });
+
+    assert.equal(tracker.commands.undoStack.length, 1);
+    tracker.undo();
+    assert.equal(tracker.getManga(manga.id), undefined);
+    assert.equal(tracker.data.history.length, 0);
+    assert.equal(tracker.canUndo(), false);
+
+    tracker.redo();
+    assert.equal(tracker.getManga(manga.id).title, 'Monster');
+    assert.equal(tracker.data.history.length, 1);
+});
+
+test('undo removes a history entry even after it was archived', async () => {
+    const { tracker } = await createTracker();
+    tracker.historyWindow = 2;
+    for (let n = 1; n <= 3; n++) {
+        tracker.runCommand('Log', () => tracker.addToHistory('m', 'added', { n }));
+    }
+    await settle();
+    assert.equal((await tracker.getArchivedHistory()).length, 1);
+
+    // The oldest entry is the one in the archive; undo back to it
+    tracker.undo();
+    tracker.undo();
+    tracker.undo();
+    await settle();
+
+    assert.equal(tracker.data.history.length, 0);
+    assert.equal((await tracker.getArchivedHistory()).length, 0);
+});
+
+test('a new change clears redo and the stack keeps only the latest commands', async () => {
+    const { tracker } = await createTracker();
+    const manga = tracker.addManga({ title: 'Pluto' });
+    tracker.updateManga(manga.id, { notes: 'a' });
+    tracker.undo();
+    tracker.updateManga(manga.id, { notes: 'b' });
+    assert.equal(tracker.canRedo(), false);
+
+    for (let i = 0; i < 25; i++) {
+        tracker.updateManga(manga.id, { currentChapter: i + 1 });
+    }
+    let undone = 0;
+    while (tracker.undo()) undone++;
+    assert.equal(undone, tracker.commands.limit);
+    assert.equal(tracker.getManga(manga.id).currentChapter, 5);
+});
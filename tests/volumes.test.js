@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTracker, startApp, plain } = require('./helpers/load');
+
+test('progress input reads chapters, extras and volumes', async () => {
+    const { window, ui } = await startApp();
+
+    assert.deepEqual(plain(ui.parseProgressInput('42')), { volume: null, chapter: 42 });
+    assert.deepEqual(plain(ui.parseProgressInput('10.5')), { volume: null, chapter: 10.5 });
+    assert.deepEqual(plain(ui.parseProgressInput('v5')), { volume: 5, chapter: null });
+    assert.deepEqual(plain(ui.parseProgressInput('vol 5 ch 42')), { volume: 5, chapter: 42 });
+    assert.equal(ui.parseProgressInput('chapter'), null);
+    assert.equal(ui.parseProgressInput('5 v'), null);
+    window.close();
+});
+
+test('reaching the last volume completes a series without a chapter count and dates it', async () => {
+    const { window, ui, tracker } = await startApp();
+    const manga = tracker.addManga({ title: 'Blade of the Immortal', status: 'reading', currentChapter: 200, totalVolumes: 30 });
+
+    ui.updateProgress(manga.id, null, 29);
+    assert.equal(tracker.getManga(manga.id).status, 'reading');
+    assert.equal(tracker.getCompletion(tracker.getManga(manga.id)), 29 / 30);
+
+    ui.updateProgress(manga.id, 210, 30);
+    const completed = tracker.getManga(manga.id);
+    assert.equal(completed.status, 'completed');
+    assert.equal(completed.currentVolume, 30);
+    assert.ok(completed.endDate);
+    assert.ok(tracker.getChapterLog(manga.id).every(entry => entry.volume === 30));
+    window.close();
+});
+
+test('extras are logged but never leave a gap', async () => {
+    const { tracker } = await createTracker();
+    const manga = tracker.addManga({ title: 'Dragon Ball', currentChapter: 10 });
+
+    assert.deepEqual(plain(tracker.chaptersBetween(10, 12.5)), [11, 12, 12.5]);
+    tracker.markChaptersRead(manga.id, [10.5, 11]);
+    assert.equal(tracker.getManga(manga.id).currentChapter, 11);
+    assert.deepEqual(plain(tracker.getChapterRanges(manga.id)), { read: [[1, 11]], gaps: [], unread: null });
+
+    tracker.markChaptersRead(manga.id, [13]);
+    assert.deepEqual(plain(tracker.getChapterRanges(manga.id).gaps), [[12, 12]]);
+});